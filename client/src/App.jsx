@@ -6,88 +6,118 @@
 import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
 import { Toaster } from 'react-hot-toast';
 import { AuthProvider } from './context/AuthContext';
+import { ProjectProvider } from './context/ProjectContext';
 import { BugProvider } from './context/BugContext';
 import ErrorBoundary from './components/error/ErrorBoundary';
 import Layout from './components/layout/Layout';
 import BugBoard from './components/bugs/BugBoard';
 import LoginForm from './components/auth/LoginForm';
 import SignupForm from './components/auth/SignupForm';
+import ForgotPassword from './components/auth/ForgotPassword';
+import ResetPassword from './components/auth/ResetPassword';
 import ProtectedRoute from './components/auth/ProtectedRoute';
+import AdminUsers from './components/admin/AdminUsers';
+import AdminLabels from './components/admin/AdminLabels';
+import StatsDashboard from './components/stats/StatsDashboard';
+import { USER_ROLES } from './utils/constants';
 
 function App() {
   return (
     <ErrorBoundary>
       <AuthProvider>
-        <BugProvider>
-          <Router>
-            <Routes>
-              {/* Public routes */}
-              <Route path="/login" element={<LoginForm />} />
-              <Route path="/signup" element={<SignupForm />} />
+        <ProjectProvider>
+          <BugProvider>
+            <Router>
+              <Routes>
+                {/* Public routes */}
+                <Route path="/login" element={<LoginForm />} />
+                <Route path="/signup" element={<SignupForm />} />
+                <Route path="/forgot-password" element={<ForgotPassword />} />
+                <Route path="/reset-password/:token" element={<ResetPassword />} />
 
-              {/* Protected routes */}
-              <Route
-                path="/"
-                element={
-                  <ProtectedRoute>
-                    <Layout>
-                      {({ toggleMobileMenu }) => (
-                        <BugBoard toggleMobileMenu={toggleMobileMenu} />
-                      )}
-                    </Layout>
-                  </ProtectedRoute>
-                }
-              />
-              <Route
-                path="/stats"
-                element={
-                  <ProtectedRoute>
-                    <Layout>
-                      {() => (
-                        <div className="p-6">
-                          <h1 className="text-2xl font-bold text-text-primary">
-                            Statistics
-                          </h1>
-                          <p className="text-text-secondary mt-2">
-                            Coming soon...
-                          </p>
-                        </div>
-                      )}
-                    </Layout>
-                  </ProtectedRoute>
-                }
-              />
+                {/* Protected routes */}
+                <Route
+                  path="/"
+                  element={
+                    <ProtectedRoute>
+                      <Layout>
+                        {({ toggleMobileMenu }) => (
+                          <BugBoard toggleMobileMenu={toggleMobileMenu} />
+                        )}
+                      </Layout>
+                    </ProtectedRoute>
+                  }
+                />
+                <Route
+                  path="/stats"
+                  element={
+                    <ProtectedRoute>
+                      <Layout>
+                        {({ toggleMobileMenu }) => (
+                          <StatsDashboard toggleMobileMenu={toggleMobileMenu} />
+                        )}
+                      </Layout>
+                    </ProtectedRoute>
+                  }
+                />
+
+                <Route
+                  path="/admin"
+                  element={
+                    <ProtectedRoute role={USER_ROLES.ADMIN}>
+                      <Layout>
+                        {({ toggleMobileMenu }) => (
+                          <AdminUsers toggleMobileMenu={toggleMobileMenu} />
+                        )}
+                      </Layout>
+                    </ProtectedRoute>
+                  }
+                />
 
-              {/* 404 - Redirect to home */}
-              <Route path="*" element={<Navigate to="/" replace />} />
-            </Routes>
+                <Route
+                  path="/admin/labels"
+                  element={
+                    <ProtectedRoute role={USER_ROLES.ADMIN}>
+                      <Layout>
+                        {({ toggleMobileMenu }) => (
+                          <AdminLabels toggleMobileMenu={toggleMobileMenu} />
+                        )}
+                      </Layout>
+                    </ProtectedRoute>
+                  }
+                />
 
-            {/* Toast Notifications */}
-            <Toaster
-              position="top-right"
-              toastOptions={{
-                duration: 3000,
-                style: {
-                  background: '#141414',
-                  color: '#FFFFFF',
-                  border: '1px solid #262626',
-                },
-                success: {
-                  iconTheme: {
-                    primary: '#10B981',
-                    secondary: '#FFFFFF',
+                {/* 404 - Redirect to home */}
+                <Route path="*" element={<Navigate to="/" replace />} />
+              </Routes>
+
+              {/* Toast Notifications */}
+              <Toaster
+                position="top-right"
+                toastOptions={{
+                  duration: 3000,
+                  style: {
+                    background: '#141414',
+                    color: '#FFFFFF',
+                    border: '1px solid #262626',
+                  },
+                  success: {
+                    iconTheme: {
+                      primary: '#10B981',
+                      secondary: '#FFFFFF',
+                    },
                   },
-                },
-                error: {
-                  iconTheme: {
-                    primary: '#EF4444',
-                    secondary: '#FFFFFF',
+                  error: {
+                    iconTheme: {
+                      primary: '#EF4444',
+                      secondary: '#FFFFFF',
+                    },
                   },
-                },
-              }}
-            />
-          </Router>
-        </BugProvider>
+                }}
+              />
+            </Router>
+          </BugProvider>
+        </ProjectProvider>
       </AuthProvider>
     </ErrorBoundary>
   );
@@ -0,0 +1,189 @@
+/**
+ * AdminLabels Component
+ * Admin page for creating, renaming, recoloring and deleting labels
+ */
+
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { Menu, Pencil, Trash2, Plus } from 'lucide-react';
+import { useLabels } from '../../hooks/useLabels';
+import Button from '../common/Button';
+import Input from '../common/Input';
+import LabelChip from '../common/LabelChip';
+import Loading from '../common/Loading';
+import Modal from '../common/Modal';
+import { VALIDATION_RULES } from '../../utils/constants';
+
+const DEFAULT_COLOR = '#0969da';
+
+const EMPTY_FORM = { name: '', color: DEFAULT_COLOR };
+
+const AdminLabels = ({ toggleMobileMenu }) => {
+  const { labels, loading, createLabel, updateLabel, deleteLabel } = useLabels();
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editingId, setEditingId] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [labelToDelete, setLabelToDelete] = useState(null);
+
+  const name = form.name.trim();
+  const preview = { name: name || 'Preview', color: form.color };
+
+  const resetForm = () => {
+    setForm(EMPTY_FORM);
+    setEditingId(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!name) return;
+
+    setSaving(true);
+    const saved = editingId
+      ? await updateLabel(editingId, { name, color: form.color })
+      : await createLabel({ name, color: form.color });
+    setSaving(false);
+
+    if (saved) resetForm();
+  };
+
+  const handleEdit = (label) => {
+    setEditingId(label._id);
+    setForm({ name: label.name, color: label.color });
+  };
+
+  const handleConfirmDelete = async () => {
+    await deleteLabel(labelToDelete._id);
+    if (editingId === labelToDelete._id) resetForm();
+    setLabelToDelete(null);
+  };
+
+  return (
+    <div className="p-4 md:p-6">
+      <div className="flex items-center gap-3 mb-6">
+        {toggleMobileMenu && (
+          <button
+            onClick={toggleMobileMenu}
+            className="md:hidden p-2 rounded-lg hover:bg-tertiary transition-colors"
+            aria-label="Open menu"
+          >
+            <Menu size={24} className="text-text-primary" />
+          </button>
+        )}
+        <div>
+          <h1 className="text-2xl font-bold text-text-primary">Labels</h1>
+          <p className="text-text-secondary text-sm mt-1">
+            The labels everyone can tag bugs with
+          </p>
+        </div>
+      </div>
+
+      <form
+        onSubmit={handleSubmit}
+        className="bg-secondary border border-border rounded-lg p-4 mb-6 flex flex-wrap items-end gap-3"
+      >
+        <div className="w-56">
+          <Input
+            id="label-name"
+            label="Name"
+            value={form.name}
+            maxLength={VALIDATION_RULES.LABEL.NAME_MAX_LENGTH}
+            onChange={(e) => setForm((prev) => ({ ...prev, name: e.target.value }))}
+            placeholder="e.g. frontend"
+          />
+        </div>
+        <div>
+          <label htmlFor="label-color" className="block text-sm font-medium text-text-primary mb-1.5">
+            Color
+          </label>
+          <input
+            id="label-color"
+            type="color"
+            value={form.color}
+            onChange={(e) => setForm((prev) => ({ ...prev, color: e.target.value }))}
+            className="h-10 w-14 bg-secondary border border-border rounded-lg cursor-pointer"
+          />
+        </div>
+        <div className="pb-2">
+          <LabelChip label={preview} size="md" />
+        </div>
+        <div className="flex gap-2 ml-auto">
+          {editingId && (
+            <Button variant="secondary" onClick={resetForm} disabled={saving}>
+              Cancel
+            </Button>
+          )}
+          <Button type="submit" loading={saving} disabled={saving || !name}>
+            {editingId ? (
+              'Save label'
+            ) : (
+              <>
+                <Plus size={16} className="mr-1.5" />
+                Add label
+              </>
+            )}
+          </Button>
+        </div>
+      </form>
+
+      {loading && labels.length === 0 ? (
+        <Loading size="lg" />
+      ) : labels.length === 0 ? (
+        <p className="text-text-tertiary text-sm">No labels yet.</p>
+      ) : (
+        <ul className="bg-secondary border border-border rounded-lg divide-y divide-border">
+          {labels.map((label) => (
+            <li key={label._id} className="flex items-center justify-between px-4 py-3">
+              <LabelChip label={label} size="md" />
+              <div className="flex gap-2">
+                <Button
+                  size="sm"
+                  variant="ghost"
+                  onClick={() => handleEdit(label)}
+                  aria-label={`Edit label ${label.name}`}
+                >
+                  <Pencil size={16} />
+                </Button>
+                <Button
+                  size="sm"
+                  variant="ghost"
+                  onClick={() => setLabelToDelete(label)}
+                  aria-label={`Delete label ${label.name}`}
+                >
+                  <Trash2 size={16} className="text-accent-danger" />
+                </Button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <Modal
+        isOpen={!!labelToDelete}
+        onClose={() => setLabelToDelete(null)}
+        title="Delete Label"
+        size="sm"
+      >
+        <div className="space-y-4">
+          <p className="text-text-secondary">
+            <span className="text-text-primary font-semibold">{labelToDelete?.name}</span> will be
+            removed from every bug that has it. This action cannot be undone.
+          </p>
+          <div className="flex gap-3 justify-end pt-2">
+            <Button variant="secondary" onClick={() => setLabelToDelete(null)}>
+              Cancel
+            </Button>
+            <Button variant="danger" onClick={handleConfirmDelete}>
+              Delete
+            </Button>
+          </div>
+        </div>
+      </Modal>
+    </div>
+  );
+};
+
+AdminLabels.propTypes = {
+  toggleMobileMenu: PropTypes.func,
+};
+
+export default AdminLabels;
@@ -0,0 +1,196 @@
+/**
+ * AdminUsers Component
+ * Admin page for managing roles, account status and sessions
+ */
+
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { Menu, LogOut, UserX, UserCheck } from 'lucide-react';
+import { useAuth } from '../../context/AuthContext';
+import { useAdminUsers } from '../../hooks/useAdminUsers';
+import Avatar from '../common/Avatar';
+import Button from '../common/Button';
+import Loading from '../common/Loading';
+import Modal from '../common/Modal';
+import { cn } from '../../utils/helpers';
+import { formatDate } from '../../utils/formatters';
+import { ROLE_OPTIONS } from '../../utils/constants';
+
+const AdminUsers = ({ toggleMobileMenu }) => {
+  const { user: currentUser } = useAuth();
+  const { users, loading, pendingId, changeRole, setActive, forceLogout } = useAdminUsers();
+  const [userToDeactivate, setUserToDeactivate] = useState(null);
+
+  const handleConfirmDeactivate = async () => {
+    await setActive(userToDeactivate._id, false);
+    setUserToDeactivate(null);
+  };
+
+  return (
+    <div className="p-4 md:p-6">
+      <div className="flex items-center gap-3 mb-6">
+        {toggleMobileMenu && (
+          <button
+            onClick={toggleMobileMenu}
+            className="md:hidden p-2 rounded-lg hover:bg-tertiary transition-colors"
+            aria-label="Open menu"
+          >
+            <Menu size={24} className="text-text-primary" />
+          </button>
+        )}
+        <div>
+          <h1 className="text-2xl font-bold text-text-primary">User Management</h1>
+          <p className="text-text-secondary text-sm mt-1">
+            Change roles, deactivate accounts and sign users out
+          </p>
+        </div>
+      </div>
+
+      {loading && users.length === 0 ? (
+        <Loading size="lg" />
+      ) : (
+        <div className="bg-secondary border border-border rounded-lg overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b border-border text-left text-text-tertiary">
+                <th className="px-4 py-3 font-medium">User</th>
+                <th className="px-4 py-3 font-medium">Role</th>
+                <th className="px-4 py-3 font-medium">Status</th>
+                <th className="px-4 py-3 font-medium">Joined</th>
+                <th className="px-4 py-3 font-medium text-right">Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {users.map((account) => {
+                // The API refuses self-changes; disable them here as well
+                const isSelf = account._id === (currentUser?.id || currentUser?._id);
+                const isPending = pendingId === account._id;
+
+                return (
+                  <tr
+                    key={account._id}
+                    className={cn(
+                      'border-b border-border last:border-0',
+                      !account.isActive && 'opacity-60'
+                    )}
+                  >
+                    <td className="px-4 py-3">
+                      <div className="flex items-center gap-3">
+                        <Avatar name={account.name} size="sm" />
+                        <div>
+                          <p className="text-text-primary font-medium">
+                            {account.name}
+                            {isSelf && <span className="text-text-tertiary font-normal"> (you)</span>}
+                          </p>
+                          <p className="text-text-tertiary text-xs">{account.email}</p>
+                        </div>
+                      </div>
+                    </td>
+                    <td className="px-4 py-3">
+                      <select
+                        aria-label={`Role for ${account.name}`}
+                        value={account.role}
+                        disabled={isSelf || isPending}
+                        onChange={(e) => changeRole(account._id, e.target.value)}
+                        className="px-2 py-1 bg-primary border border-border rounded-md text-text-primary disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        {ROLE_OPTIONS.map((option) => (
+                          <option key={option.value} value={option.value}>
+                            {option.label}
+                          </option>
+                        ))}
+                      </select>
+                    </td>
+                    <td className="px-4 py-3">
+                      <span
+                        className={cn(
+                          'inline-flex items-center px-2 py-0.5 text-xs font-medium rounded-md border',
+                          account.isActive
+                            ? 'bg-accent-success/10 text-accent-success border-accent-success/30'
+                            : 'bg-accent-danger/10 text-accent-danger border-accent-danger/30'
+                        )}
+                      >
+                        {account.isActive ? 'Active' : 'Deactivated'}
+                      </span>
+                    </td>
+                    <td className="px-4 py-3 text-text-secondary whitespace-nowrap">
+                      {formatDate(account.createdAt)}
+                    </td>
+                    <td className="px-4 py-3">
+                      <div className="flex justify-end gap-2">
+                        <Button
+                          size="sm"
+                          variant="ghost"
+                          disabled={isSelf || isPending || !account.isActive}
+                          onClick={() => forceLogout(account._id)}
+                          title="Sign out of all devices"
+                        >
+                          <LogOut size={16} className="mr-1.5" />
+                          Sign out
+                        </Button>
+                        {account.isActive ? (
+                          <Button
+                            size="sm"
+                            variant="ghost"
+                            disabled={isSelf || isPending}
+                            onClick={() => setUserToDeactivate(account)}
+                          >
+                            <UserX size={16} className="mr-1.5" />
+                            Deactivate
+                          </Button>
+                        ) : (
+                          <Button
+                            size="sm"
+                            variant="ghost"
+                            disabled={isPending}
+                            onClick={() => setActive(account._id, true)}
+                          >
+                            <UserCheck size={16} className="mr-1.5" />
+                            Reactivate
+                          </Button>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <Modal
+        isOpen={!!userToDeactivate}
+        onClose={() => setUserToDeactivate(null)}
+        title="Deactivate Account"
+        size="sm"
+      >
+        <div className="space-y-4">
+          <p className="text-text-secondary">
+            <span className="text-text-primary font-semibold">{userToDeactivate?.name}</span> will be
+            signed out everywhere and will no longer be able to log in. You can reactivate the
+            account later.
+          </p>
+          <div className="flex gap-3 justify-end pt-2">
+            <Button variant="secondary" onClick={() => setUserToDeactivate(null)}>
+              Cancel
+            </Button>
+            <Button
+              variant="danger"
+              loading={pendingId === userToDeactivate?._id}
+              onClick={handleConfirmDeactivate}
+            >
+              Deactivate
+            </Button>
+          </div>
+        </div>
+      </Modal>
+    </div>
+  );
+};
+
+AdminUsers.propTypes = {
+  toggleMobileMenu: PropTypes.func,
+};
+
+export default AdminUsers;
@@ -0,0 +1,117 @@
+/**
+ * Forgot Password Component
+ * Requests a password reset email
+ */
+
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { toast } from 'react-hot-toast';
+import { Bug, MailCheck } from 'lucide-react';
+import * as authService from '../../services/authService';
+import Button from '../common/Button';
+import Input from '../common/Input';
+
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('');
+  const [error, setError] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [sent, setSent] = useState(false);
+
+  const handleChange = (e) => {
+    setEmail(e.target.value);
+    if (error) {
+      setError('');
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!email.trim()) {
+      setError('Email is required');
+      return;
+    }
+    if (!/\S+@\S+\.\S+/.test(email)) {
+      setError('Email is invalid');
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      await authService.forgotPassword(email.trim());
+      setSent(true);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to send reset email');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-background px-4">
+      <div className="w-full max-w-md">
+        {/* Logo and Title */}
+        <div className="text-center mb-8">
+          <div className="flex justify-center mb-4">
+            <div className="p-3 bg-primary/10 rounded-lg">
+              <Bug className="w-12 h-12 text-primary" />
+            </div>
+          </div>
+          <h1 className="text-3xl font-bold text-text-primary mb-2">
+            Forgot Password
+          </h1>
+          <p className="text-text-secondary">
+            We&apos;ll email you a link to choose a new one
+          </p>
+        </div>
+
+        <div className="bg-surface border border-border rounded-lg p-6 shadow-lg">
+          {sent ? (
+            <div className="text-center space-y-3" role="status">
+              <MailCheck className="w-10 h-10 mx-auto text-accent-success" />
+              <p className="text-text-primary font-medium">Check your inbox</p>
+              <p className="text-sm text-text-secondary">
+                If an account exists for {email.trim()}, a reset link is on its way.
+                The link expires soon and can only be used once.
+              </p>
+            </div>
+          ) : (
+            <form onSubmit={handleSubmit} className="space-y-5">
+              <Input
+                label="Email"
+                type="email"
+                name="email"
+                value={email}
+                onChange={handleChange}
+                error={error}
+                placeholder="you@example.com"
+                autoComplete="email"
+                required
+              />
+
+              <Button
+                type="submit"
+                variant="primary"
+                fullWidth
+                disabled={submitting}
+              >
+                {submitting ? 'Sending...' : 'Send Reset Link'}
+              </Button>
+            </form>
+          )}
+
+          <div className="mt-6 text-center">
+            <Link
+              to="/login"
+              className="text-sm text-text-secondary hover:text-text-primary transition-colors"
+            >
+              Back to sign in
+            </Link>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
@@ -113,6 +113,15 @@ const LoginForm = () => {
               required
             />
 
+            <div className="flex justify-end -mt-3">
+              <Link
+                to="/forgot-password"
+                className="text-sm text-text-secondary hover:text-text-primary transition-colors"
+              >
+                Forgot password?
+              </Link>
+            </div>
+
             <Button
               type="submit"
               variant="primary"
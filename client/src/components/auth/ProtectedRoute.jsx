@@ -3,12 +3,13 @@
  * Wraps routes that require authentication
  */
 
+import PropTypes from 'prop-types';
 import { Navigate } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
 import Loading from '../common/Loading';
 
-const ProtectedRoute = ({ children }) => {
-  const { isAuthenticated, loading } = useAuth();
+const ProtectedRoute = ({ children, role }) => {
+  const { isAuthenticated, loading, user } = useAuth();
 
   // Show loading while checking authentication status
   if (loading) {
@@ -24,8 +25,18 @@ const ProtectedRoute = ({ children }) => {
     return <Navigate to="/login" replace />;
   }
 
+  // Send users without the required role back to the board
+  if (role && user?.role !== role) {
+    return <Navigate to="/" replace />;
+  }
+
   // Render children if authenticated
   return children;
 };
 
+ProtectedRoute.propTypes = {
+  children: PropTypes.node.isRequired,
+  role: PropTypes.string,
+};
+
 export default ProtectedRoute;
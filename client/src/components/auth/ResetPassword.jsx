@@ -0,0 +1,140 @@
+/**
+ * Reset Password Component
+ * Sets a new password using the token from the reset email
+ */
+
+import { useState } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { toast } from 'react-hot-toast';
+import { Bug } from 'lucide-react';
+import * as authService from '../../services/authService';
+import Button from '../common/Button';
+import Input from '../common/Input';
+
+const ResetPassword = () => {
+  const navigate = useNavigate();
+  const { token } = useParams();
+
+  const [formData, setFormData] = useState({
+    password: '',
+    confirmPassword: '',
+  });
+  const [errors, setErrors] = useState({});
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+    // Clear error for this field when user starts typing
+    if (errors[name]) {
+      setErrors((prev) => ({ ...prev, [name]: '' }));
+    }
+  };
+
+  const validateForm = () => {
+    const newErrors = {};
+
+    if (!formData.password) {
+      newErrors.password = 'Password is required';
+    } else if (formData.password.length < 6) {
+      newErrors.password = 'Password must be at least 6 characters';
+    }
+
+    if (!formData.confirmPassword) {
+      newErrors.confirmPassword = 'Please confirm your password';
+    } else if (formData.password !== formData.confirmPassword) {
+      newErrors.confirmPassword = 'Passwords do not match';
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!validateForm()) {
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      const response = await authService.resetPassword(token, formData.password);
+      toast.success(response.message || 'Password has been reset');
+      navigate('/login');
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to reset password');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-background px-4">
+      <div className="w-full max-w-md">
+        {/* Logo and Title */}
+        <div className="text-center mb-8">
+          <div className="flex justify-center mb-4">
+            <div className="p-3 bg-primary/10 rounded-lg">
+              <Bug className="w-12 h-12 text-primary" />
+            </div>
+          </div>
+          <h1 className="text-3xl font-bold text-text-primary mb-2">
+            Choose a New Password
+          </h1>
+          <p className="text-text-secondary">
+            You&apos;ll be signed out of all other sessions
+          </p>
+        </div>
+
+        <div className="bg-surface border border-border rounded-lg p-6 shadow-lg">
+          <form onSubmit={handleSubmit} className="space-y-5">
+            <Input
+              label="New Password"
+              type="password"
+              name="password"
+              value={formData.password}
+              onChange={handleChange}
+              error={errors.password}
+              placeholder="At least 6 characters"
+              autoComplete="new-password"
+              required
+            />
+
+            <Input
+              label="Confirm Password"
+              type="password"
+              name="confirmPassword"
+              value={formData.confirmPassword}
+              onChange={handleChange}
+              error={errors.confirmPassword}
+              placeholder="Re-enter your password"
+              autoComplete="new-password"
+              required
+            />
+
+            <Button
+              type="submit"
+              variant="primary"
+              fullWidth
+              disabled={submitting}
+            >
+              {submitting ? 'Resetting...' : 'Reset Password'}
+            </Button>
+          </form>
+
+          <div className="mt-6 text-center">
+            <Link
+              to="/forgot-password"
+              className="text-sm text-text-secondary hover:text-text-primary transition-colors"
+            >
+              Need a new link?
+            </Link>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
@@ -0,0 +1,248 @@
+/**
+ * BugAttachments Component
+ * Drag-and-drop uploads and thumbnails for the files attached to a bug
+ */
+
+import { useEffect, useRef, useState } from 'react';
+import PropTypes from 'prop-types';
+import { Paperclip, Upload, FileText, Download, Trash2 } from 'lucide-react';
+import Loading from '../common/Loading';
+import { useAttachments } from '../../hooks/useAttachments';
+import { useAuth } from '../../context/AuthContext';
+import { useProjects } from '../../context/ProjectContext';
+import { bugService } from '../../services/bugService';
+import { formatFileSize, formatRelativeTime } from '../../utils/formatters';
+import { cn, canDeleteAttachment, downloadBlob } from '../../utils/helpers';
+import { ATTACHMENTS } from '../../utils/constants';
+
+const getId = (item) => item._id || item.id;
+
+const isImage = (attachment) => attachment.mimeType.startsWith('image/');
+
+/**
+ * Image preview or file icon for one attachment
+ * Downloads need the auth header, so images are fetched as blobs rather than
+ * pointing an <img> at the API
+ */
+const AttachmentPreview = ({ bugId, attachment }) => {
+  const [src, setSrc] = useState(null);
+  const attachmentId = getId(attachment);
+  const image = isImage(attachment);
+
+  useEffect(() => {
+    if (!image) return undefined;
+
+    let objectUrl = null;
+    let cancelled = false;
+
+    bugService
+      .downloadAttachment(bugId, attachmentId)
+      .then((response) => {
+        if (cancelled) return;
+        objectUrl = URL.createObjectURL(response.data);
+        setSrc(objectUrl);
+      })
+      .catch((error) => console.error('Attachment preview error:', error));
+
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [bugId, attachmentId, image]);
+
+  if (image && src) {
+    return <img src={src} alt={attachment.filename} className="h-full w-full object-cover" />;
+  }
+
+  return <FileText size={28} className="text-text-tertiary" aria-hidden="true" />;
+};
+
+AttachmentPreview.propTypes = {
+  bugId: PropTypes.string.isRequired,
+  attachment: PropTypes.object.isRequired,
+};
+
+const BugAttachments = ({ bug }) => {
+  const bugId = bug._id || bug.id;
+  const { user } = useAuth();
+  const { currentProject } = useProjects();
+  const { attachments, loading, uploading, uploadFiles, removeAttachment } = useAttachments(bugId);
+  const [isDragging, setIsDragging] = useState(false);
+  const inputRef = useRef(null);
+
+  const isFull = attachments.length >= ATTACHMENTS.MAX_PER_BUG;
+
+  const handleFiles = async (fileList) => {
+    const files = Array.from(fileList || []);
+    if (files.length === 0) return;
+
+    try {
+      await uploadFiles(files);
+    } catch (error) {
+      console.error('Upload attachments error:', error);
+    }
+  };
+
+  const handleDragOver = (e) => {
+    e.preventDefault();
+    if (!isFull) setIsDragging(true);
+  };
+
+  const handleDragLeave = (e) => {
+    // Ignore leaving one child of the zone for another
+    if (!e.currentTarget.contains(e.relatedTarget)) setIsDragging(false);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    if (!isFull) handleFiles(e.dataTransfer.files);
+  };
+
+  const handleInputChange = (e) => {
+    handleFiles(e.target.files);
+    // Allow picking the same file again
+    e.target.value = '';
+  };
+
+  const handleDownload = async (attachment) => {
+    try {
+      const response = await bugService.downloadAttachment(bugId, getId(attachment));
+      downloadBlob(response.data, attachment.filename);
+    } catch (error) {
+      console.error('Download attachment error:', error);
+    }
+  };
+
+  const handleDelete = async (attachmentId) => {
+    try {
+      await removeAttachment(attachmentId);
+    } catch (error) {
+      console.error('Delete attachment error:', error);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center gap-2">
+        <Paperclip size={18} className="text-text-secondary" />
+        <h4 className="text-sm font-semibold text-text-primary">
+          Attachments {attachments.length > 0 && `(${attachments.length})`}
+        </h4>
+      </div>
+
+      {/* Drop zone */}
+      <div
+        role="button"
+        tabIndex={isFull ? -1 : 0}
+        aria-label="Upload attachments"
+        aria-disabled={isFull || uploading}
+        onClick={() => !isFull && !uploading && inputRef.current?.click()}
+        onKeyDown={(e) => {
+          if ((e.key === 'Enter' || e.key === ' ') && !isFull && !uploading) {
+            e.preventDefault();
+            inputRef.current?.click();
+          }
+        }}
+        onDragOver={handleDragOver}
+        onDragLeave={handleDragLeave}
+        onDrop={handleDrop}
+        className={cn(
+          'flex flex-col items-center justify-center gap-2 p-6 rounded-lg border-2 border-dashed text-center transition-colors',
+          isDragging
+            ? 'border-accent-primary bg-accent-primary/10'
+            : 'border-border hover:border-text-tertiary',
+          isFull ? 'opacity-50 cursor-not-allowed' : 'cursor-pointer'
+        )}
+      >
+        {uploading ? (
+          <Loading size="sm" />
+        ) : (
+          <Upload size={20} className="text-text-tertiary" aria-hidden="true" />
+        )}
+        <p className="text-sm text-text-secondary">
+          {isFull
+            ? `This bug has the maximum of ${ATTACHMENTS.MAX_PER_BUG} attachments`
+            : uploading
+              ? 'Uploading...'
+              : 'Drop screenshots or logs here, or click to choose files'}
+        </p>
+        <p className="text-xs text-text-tertiary">
+          Images, text, CSV, JSON, PDF or ZIP. Up to {ATTACHMENTS.MAX_FILE_MB} MB each.
+        </p>
+        <input
+          ref={inputRef}
+          type="file"
+          multiple
+          accept={ATTACHMENTS.ALLOWED_MIME_TYPES.join(',')}
+          onChange={handleInputChange}
+          className="hidden"
+          data-testid="attachment-input"
+        />
+      </div>
+
+      {/* Thumbnails */}
+      {loading && attachments.length === 0 ? (
+        <Loading size="sm" />
+      ) : attachments.length === 0 ? (
+        <p className="text-sm text-text-tertiary">No files attached yet.</p>
+      ) : (
+        <ul className="grid grid-cols-2 sm:grid-cols-3 gap-3">
+          {attachments.map((attachment) => {
+            const attachmentId = getId(attachment);
+
+            return (
+              <li
+                key={attachmentId}
+                className="bg-tertiary border border-border rounded-lg overflow-hidden group"
+              >
+                <div className="h-24 flex items-center justify-center bg-primary">
+                  <AttachmentPreview bugId={bugId} attachment={attachment} />
+                </div>
+                <div className="p-2">
+                  <p
+                    className="text-xs font-medium text-text-primary truncate"
+                    title={attachment.filename}
+                  >
+                    {attachment.filename}
+                  </p>
+                  <div className="flex items-center justify-between">
+                    <span className="text-xs text-text-tertiary">
+                      {formatFileSize(attachment.size)} · {formatRelativeTime(attachment.createdAt)}
+                    </span>
+                    <div className="flex gap-1">
+                      <button
+                        type="button"
+                        onClick={() => handleDownload(attachment)}
+                        className="p-1 hover:bg-border rounded transition-colors"
+                        aria-label={`Download ${attachment.filename}`}
+                      >
+                        <Download size={14} className="text-text-secondary" />
+                      </button>
+                      {canDeleteAttachment(user, bug, attachment, currentProject?.role) && (
+                        <button
+                          type="button"
+                          onClick={() => handleDelete(attachmentId)}
+                          className="p-1 hover:bg-border rounded transition-colors"
+                          aria-label={`Delete ${attachment.filename}`}
+                        >
+                          <Trash2 size={14} className="text-accent-danger" />
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+BugAttachments.propTypes = {
+  bug: PropTypes.object.isRequired,
+};
+
+export default BugAttachments;
@@ -16,30 +16,54 @@ import {
 } from '@dnd-kit/core';
 import { sortableKeyboardCoordinates } from '@dnd-kit/sortable';
 import { useBugs } from '../../hooks/useBugs';
+import { useBugSelection } from '../../hooks/useBugSelection';
+import { useAuth } from '../../context/AuthContext';
+import { useProjects } from '../../context/ProjectContext';
 import BugColumn from './BugColumn';
 import BugCard from './BugCard';
 import BugModal from './BugModal';
 import BugFilters from './BugFilters';
 import DeleteConfirm from './DeleteConfirm';
+import BugConflictDialog from './BugConflictDialog';
+import BulkActionBar from './BulkActionBar';
+import BugImportWizard from './BugImportWizard';
 import Header from '../layout/Header';
 import MobileStatusSelector from './MobileStatusSelector';
-import { BUG_STATUS } from '../../utils/constants';
-import { groupBugsByStatus, filterBugs } from '../../utils/helpers';
+import { BUG_STATUS, STATUS_LABELS, STATUS_TRANSITIONS } from '../../utils/constants';
+import {
+  groupBugsByStatus,
+  filterBugs,
+  canTransition,
+  canEditBug,
+  buildBugQuery,
+} from '../../utils/helpers';
 import toast from 'react-hot-toast';
 
 const BugBoard = ({ toggleMobileMenu }) => {
   const {
     bugs,
+    cursors,
     loading,
     filters,
-    fetchBugs,
+    fetchBoard,
+    loadMoreBugs,
     createBug,
     updateBug,
     patchBug,
     deleteBug,
+    isPending,
+    conflict,
+    resolveConflict,
+    dismissConflict,
+    bulkAction,
+    exportBugs,
+    importBugs,
     setFilters,
     clearFilters,
   } = useBugs();
+  const { user } = useAuth();
+  const { currentProject } = useProjects();
+  const projectRole = currentProject?.role;
 
   // Modal states
   const [isBugModalOpen, setIsBugModalOpen] = useState(false);
@@ -48,7 +72,9 @@ const BugBoard = ({ toggleMobileMenu }) => {
   const [selectedBug, setSelectedBug] = useState(null);
   const [bugToDelete, setBugToDelete] = useState(null);
   const [bugForStatusChange, setBugForStatusChange] = useState(null);
-  const [modalLoading, setModalLoading] = useState(false);
+  const [bulkLoading, setBulkLoading] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [isImportOpen, setIsImportOpen] = useState(false);
 
   // Drag-and-drop states
   const [activeId, setActiveId] = useState(null);
@@ -77,20 +103,55 @@ const BugBoard = ({ toggleMobileMenu }) => {
     return window.innerWidth < 768;
   }, []);
 
-  // Fetch bugs on mount
+  // Fetch the first page of each column on mount and whenever the filters change
+  // (the search term is already debounced by SearchInput).
+  // Serialized so re-setting identical filters doesn't trigger a refetch.
+  const { status: statusFilter, ...boardQuery } = buildBugQuery(filters);
+  const queryKey = JSON.stringify(boardQuery);
+  const statusKey = statusFilter || '';
+
   useEffect(() => {
-    fetchBugs();
-  }, [fetchBugs]);
+    // The status filter picks which columns load; each column queries its own status
+    fetchBoard(JSON.parse(queryKey), statusKey ? statusKey.split(',') : undefined);
+  }, [fetchBoard, queryKey, statusKey]);
 
-  // Filter and group bugs
+  const handleLoadMore = useCallback(
+    (status) => loadMoreBugs(status, JSON.parse(queryKey)),
+    [loadMoreBugs, queryKey]
+  );
+
+  // Filter and group bugs (search already ran on the server; the remaining
+  // filters are reapplied so local edits stay consistent with the view)
   const filteredBugs = useMemo(() => {
-    return filterBugs(bugs, filters);
+    return filterBugs(bugs, { ...filters, search: '' });
   }, [bugs, filters]);
 
   const groupedBugs = useMemo(() => {
     return groupBugsByStatus(filteredBugs);
   }, [filteredBugs]);
 
+  // Visible bugs in board order (column by column) for shift-click ranges
+  const orderedIds = useMemo(
+    () =>
+      Object.values(BUG_STATUS).flatMap((status) =>
+        (groupedBugs[status] || []).map((bug) => bug._id || bug.id)
+      ),
+    [groupedBugs]
+  );
+
+  const {
+    selectedIds,
+    isSelected,
+    toggle: toggleSelected,
+    clear: clearSelection,
+    keepOnly,
+  } = useBugSelection(orderedIds);
+
+  const handleSelectBug = useCallback(
+    (bug, { range }) => toggleSelected(bug._id || bug.id, { range }),
+    [toggleSelected]
+  );
+
   // Get active bug being dragged
   const activeBug = useMemo(() => {
     if (!activeId) return null;
@@ -114,40 +175,63 @@ const BugBoard = ({ toggleMobileMenu }) => {
     setIsDeleteModalOpen(true);
   }, [bugs]);
 
-  const handleConfirmDelete = useCallback(async () => {
+  // Changes show on the board at once (useBugs saves them optimistically and
+  // rolls back on failure), so dialogs close without waiting for the server
+  const handleConfirmDelete = useCallback(() => {
     if (!bugToDelete) return;
 
-    try {
-      setModalLoading(true);
-      await deleteBug(bugToDelete._id || bugToDelete.id);
-      setIsDeleteModalOpen(false);
-      setBugToDelete(null);
-    } catch (error) {
+    deleteBug(bugToDelete._id || bugToDelete.id).catch((error) => {
       console.error('Delete error:', error);
-    } finally {
-      setModalLoading(false);
-    }
+    });
+    setIsDeleteModalOpen(false);
+    setBugToDelete(null);
   }, [bugToDelete, deleteBug]);
 
   const handleBugSubmit = useCallback(
     async (data) => {
+      // Edits are checked against the bug as the form loaded it, to catch
+      // changes someone else saved in the meantime
+      const request = selectedBug
+        ? updateBug(selectedBug._id || selectedBug.id, data, selectedBug)
+        : createBug(data);
+      request.catch((error) => {
+        console.error('Submit error:', error);
+      });
+      setIsBugModalOpen(false);
+      setSelectedBug(null);
+    },
+    [selectedBug, createBug, updateBug]
+  );
+
+  const handleBulkAction = useCallback(
+    async (action, value) => {
       try {
-        setModalLoading(true);
-        if (selectedBug) {
-          await updateBug(selectedBug._id || selectedBug.id, data);
-        } else {
-          await createBug(data);
-        }
-        setIsBugModalOpen(false);
-        setSelectedBug(null);
+        setBulkLoading(true);
+        const results = await bulkAction([...selectedIds], action, value);
+        // Keep the bugs that failed selected so they can be retried or inspected
+        keepOnly(results.filter((result) => !result.success).map((result) => result.id));
       } catch (error) {
-        console.error('Submit error:', error);
-        throw error;
+        console.error('Bulk action error:', error);
       } finally {
-        setModalLoading(false);
+        setBulkLoading(false);
       }
     },
-    [selectedBug, createBug, updateBug]
+    [bulkAction, selectedIds, keepOnly]
+  );
+
+  // Exports everything the filters match, not just the pages loaded on the board
+  const handleExport = useCallback(
+    async (format) => {
+      try {
+        setExporting(true);
+        await exportBugs(buildBugQuery(filters), format);
+      } catch (error) {
+        console.error('Export error:', error);
+      } finally {
+        setExporting(false);
+      }
+    },
+    [exportBugs, filters]
   );
 
   const handleFilterChange = useCallback(
@@ -163,29 +247,26 @@ const BugBoard = ({ toggleMobileMenu }) => {
 
   // Mobile: Click to change status
   const handleBugClick = useCallback((bug) => {
-    if (isMobile) {
+    if (isMobile && canEditBug(user, bug, projectRole)) {
       setBugForStatusChange(bug);
       setIsMobileStatusOpen(true);
     }
-  }, [isMobile]);
+  }, [isMobile, user, projectRole]);
 
   const handleMobileStatusChange = useCallback(
     async (newStatus) => {
       if (!bugForStatusChange) return;
 
       const bugId = bugForStatusChange._id || bugForStatusChange.id;
-      const oldStatus = bugForStatusChange.status;
 
-      // Optimistic update - use patchBug for partial status update
+      // The card moves at once; useBugs moves it back and offers a retry on failure
+      setIsMobileStatusOpen(false);
+      setBugForStatusChange(null);
       try {
         await patchBug(bugId, { status: newStatus });
         toast.success(`Bug moved to ${newStatus.replace('-', ' ')}`);
-        setIsMobileStatusOpen(false);
-        setBugForStatusChange(null);
       } catch (error) {
         console.error('Status update error:', error);
-        toast.error('Failed to update bug status');
-        // The useBugs hook should handle reverting the optimistic update
       }
     },
     [bugForStatusChange, patchBug]
@@ -222,17 +303,26 @@ const BugBoard = ({ toggleMobileMenu }) => {
       // If status hasn't changed, do nothing
       if (oldStatus === newStatus) return;
 
-      // Use patchBug for partial status update (fixes persistence bug)
+      // Never send a move the server would reject
+      if (!canEditBug(user, bug, projectRole)) {
+        toast.error('Only the creator, the assignee or an admin can move this bug');
+        return;
+      }
+
+      if (!canTransition(oldStatus, newStatus)) {
+        toast.error(`Can't move a ${STATUS_LABELS[oldStatus]} bug to ${STATUS_LABELS[newStatus]}`);
+        return;
+      }
+
+      // The card moves at once; useBugs moves it back and offers a retry on failure
       try {
         await patchBug(bugId, { status: newStatus });
         toast.success(`Bug moved to ${newStatus.replace('-', ' ')}`);
       } catch (error) {
         console.error('Status update error:', error);
-        toast.error('Failed to update bug status');
-        // The useBugs hook should handle reverting the optimistic update
       }
     },
-    [bugs, patchBug]
+    [bugs, patchBug, user, projectRole]
   );
 
   const handleDragCancel = useCallback(() => {
@@ -266,6 +356,7 @@ const BugBoard = ({ toggleMobileMenu }) => {
         {/* Header */}
         <Header
           onCreateBug={handleCreateBug}
+          onImportBugs={() => setIsImportOpen(true)}
           onToggleMobileMenu={toggleMobileMenu}
         />
 
@@ -276,6 +367,16 @@ const BugBoard = ({ toggleMobileMenu }) => {
             filters={filters}
             onFilterChange={handleFilterChange}
             onClearFilters={handleClearFilters}
+            onExport={handleExport}
+            exporting={exporting}
+          />
+
+          {/* Bulk Actions */}
+          <BulkActionBar
+            count={selectedIds.size}
+            onAction={handleBulkAction}
+            onClear={clearSelection}
+            loading={bulkLoading}
           />
 
           {/* Kanban Board */}
@@ -290,6 +391,17 @@ const BugBoard = ({ toggleMobileMenu }) => {
                 onClick={handleBugClick}
                 loading={loading}
                 isOver={overId === column.status}
+                hasMore={!!cursors[column.status]}
+                onLoadMore={handleLoadMore}
+                currentUser={user}
+                projectRole={projectRole}
+                isSelected={isSelected}
+                onSelect={handleSelectBug}
+                isPending={isPending}
+                isDropDisabled={
+                  !!activeBug &&
+                  (!canEditBug(user, activeBug, projectRole) || !canTransition(activeBug.status, column.status))
+                }
               />
             ))}
           </div>
@@ -319,7 +431,20 @@ const BugBoard = ({ toggleMobileMenu }) => {
         }}
         onSubmit={handleBugSubmit}
         bug={selectedBug}
-        loading={modalLoading}
+      />
+
+      <BugImportWizard
+        isOpen={isImportOpen}
+        onClose={() => setIsImportOpen(false)}
+        onImport={importBugs}
+      />
+
+      <BugConflictDialog
+        conflict={conflict}
+        onResolve={(choices) => {
+          resolveConflict(choices).catch((error) => console.error('Merge error:', error));
+        }}
+        onDiscard={dismissConflict}
       />
 
       <DeleteConfirm
@@ -330,7 +455,6 @@ const BugBoard = ({ toggleMobileMenu }) => {
         }}
         onConfirm={handleConfirmDelete}
         bugTitle={bugToDelete?.title}
-        loading={modalLoading}
       />
 
       <MobileStatusSelector
@@ -340,6 +464,7 @@ const BugBoard = ({ toggleMobileMenu }) => {
           setBugForStatusChange(null);
         }}
         currentStatus={bugForStatusChange?.status}
+        allowedStatuses={STATUS_TRANSITIONS[bugForStatusChange?.status]}
         onStatusChange={handleMobileStatusChange}
       />
     </DndContext>
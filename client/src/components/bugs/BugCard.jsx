@@ -7,11 +7,27 @@ import { memo } from 'react';
 import PropTypes from 'prop-types';
 import { useSortable } from '@dnd-kit/sortable';
 import { CSS } from '@dnd-kit/utilities';
-import { Edit, Trash2, Calendar, GripVertical } from 'lucide-react';
+import { Edit, Trash2, Calendar, GripVertical, Clock, Loader2 } from 'lucide-react';
 import Badge from '../common/Badge';
+import Avatar from '../common/Avatar';
+import Highlight from '../common/Highlight';
+import LabelChip from '../common/LabelChip';
 import { formatDate } from '../../utils/formatters';
+import { isSlaAlert } from '../../utils/helpers';
+import { SLA_LABELS } from '../../utils/constants';
 
-const BugCard = ({ bug, onEdit, onDelete, onClick, isDragging }) => {
+const BugCard = ({
+  bug,
+  onEdit,
+  onDelete,
+  onClick,
+  isDragging,
+  canEdit = true,
+  canDelete = true,
+  selected = false,
+  onSelect,
+  pending = false,
+}) => {
   const {
     attributes,
     listeners,
@@ -21,6 +37,8 @@ const BugCard = ({ bug, onEdit, onDelete, onClick, isDragging }) => {
     isDragging: isSortableDragging,
   } = useSortable({
     id: bug._id || bug.id,
+    // Nothing to move until the server has the last change
+    disabled: pending,
   });
 
   const style = {
@@ -39,81 +57,145 @@ const BugCard = ({ bug, onEdit, onDelete, onClick, isDragging }) => {
     onDelete(bug._id || bug.id);
   };
 
+  const handleSelect = (e) => {
+    e.stopPropagation();
+    onSelect(bug, { range: e.shiftKey });
+  };
+
   const handleClick = (e) => {
-    // Don't trigger onClick if clicking on action buttons
-    if (e.target.closest('button')) return;
+    if (pending) return;
+    // Don't trigger onClick if clicking on action buttons or the checkbox
+    if (e.target.closest('button, input')) return;
+    // Shift-click extends the selection instead of opening the bug
+    if (e.shiftKey && onSelect) {
+      onSelect(bug, { range: true });
+      return;
+    }
     if (onClick) onClick(bug);
   };
 
+  // While a change is saving the card shows that instead of its actions
+  const showEdit = canEdit && !pending;
+  const showDelete = canDelete && !pending;
+
+  const pendingIndicator = pending && (
+    <span className="flex items-center gap-1 text-xs text-text-tertiary" role="status">
+      <Loader2 size={14} className="animate-spin" />
+      Saving...
+    </span>
+  );
+
+  const selectCheckbox = onSelect && !pending && (
+    <input
+      type="checkbox"
+      checked={selected}
+      readOnly
+      onClick={handleSelect}
+      className="w-4 h-4 accent-accent-primary cursor-pointer"
+      aria-label={`Select bug ${bug.title}`}
+    />
+  );
+
   return (
     <div
       ref={setNodeRef}
       style={style}
       onClick={handleClick}
+      aria-busy={pending}
       className={`
         bg-secondary rounded-lg p-4 transition-colors border border-border group
         ${isDragging ? 'shadow-2xl' : 'shadow-sm hover:shadow-md'}
         ${isSortableDragging ? 'cursor-grabbing' : 'cursor-pointer md:cursor-grab'}
         ${onClick ? 'active:scale-95' : ''}
+        ${selected ? 'ring-2 ring-accent-primary' : ''}
+        ${pending ? 'opacity-60' : ''}
       `}
     >
       {/* Drag Handle - Desktop Only */}
       <div className="hidden md:flex items-center justify-between mb-3">
+        <div className="flex items-center gap-1">
+          <div
+            {...attributes}
+            {...listeners}
+            className="p-1 hover:bg-border rounded cursor-grab active:cursor-grabbing"
+          >
+            <GripVertical size={16} className="text-text-tertiary" />
+          </div>
+          {selectCheckbox}
+        </div>
         <div
-          {...attributes}
-          {...listeners}
-          className="p-1 hover:bg-border rounded cursor-grab active:cursor-grabbing"
+          className={`flex gap-1 transition-opacity ${
+            pending ? '' : 'opacity-0 group-hover:opacity-100'
+          }`}
         >
-          <GripVertical size={16} className="text-text-tertiary" />
-        </div>
-        <div className="flex gap-1 opacity-0 group-hover:opacity-100 transition-opacity">
-          <button
-            onClick={handleEdit}
-            className="p-1.5 hover:bg-border rounded transition-colors"
-            aria-label="Edit bug"
-          >
-            <Edit size={16} className="text-text-secondary" />
-          </button>
-          <button
-            onClick={handleDelete}
-            className="p-1.5 hover:bg-border rounded transition-colors"
-            aria-label="Delete bug"
-          >
-            <Trash2 size={16} className="text-accent-danger" />
-          </button>
+          {pendingIndicator}
+          {showEdit && (
+            <button
+              onClick={handleEdit}
+              className="p-1.5 hover:bg-border rounded transition-colors"
+              aria-label="Edit bug"
+            >
+              <Edit size={16} className="text-text-secondary" />
+            </button>
+          )}
+          {showDelete && (
+            <button
+              onClick={handleDelete}
+              className="p-1.5 hover:bg-border rounded transition-colors"
+              aria-label="Delete bug"
+            >
+              <Trash2 size={16} className="text-accent-danger" />
+            </button>
+          )}
         </div>
       </div>
 
       {/* Mobile - Action Buttons Always Visible */}
-      <div className="md:hidden flex justify-end gap-1 mb-3">
-        <button
-          onClick={handleEdit}
-          className="p-1.5 hover:bg-border rounded transition-colors"
-          aria-label="Edit bug"
-        >
-          <Edit size={16} className="text-text-secondary" />
-        </button>
-        <button
-          onClick={handleDelete}
-          className="p-1.5 hover:bg-border rounded transition-colors"
-          aria-label="Delete bug"
-        >
-          <Trash2 size={16} className="text-accent-danger" />
-        </button>
-      </div>
+      {(showEdit || showDelete || pending) && (
+        <div className="md:hidden flex justify-end gap-1 mb-3">
+          {pendingIndicator}
+          {showEdit && (
+            <button
+              onClick={handleEdit}
+              className="p-1.5 hover:bg-border rounded transition-colors"
+              aria-label="Edit bug"
+            >
+              <Edit size={16} className="text-text-secondary" />
+            </button>
+          )}
+          {showDelete && (
+            <button
+              onClick={handleDelete}
+              className="p-1.5 hover:bg-border rounded transition-colors"
+              aria-label="Delete bug"
+            >
+              <Trash2 size={16} className="text-accent-danger" />
+            </button>
+          )}
+        </div>
+      )}
 
       {/* Card Header */}
       <div className="mb-3">
         <h3 className="text-base font-semibold text-text-primary line-clamp-2">
-          {bug.title}
+          <Highlight segments={bug.highlights?.title} fallback={bug.title} />
         </h3>
       </div>
 
       {/* Card Body */}
       <p className="text-sm text-text-secondary line-clamp-3 mb-3">
-        {bug.description}
+        <Highlight segments={bug.highlights?.description} fallback={bug.description} />
       </p>
 
+      {/* Labels */}
+      {bug.labels?.length > 0 && (
+        <div className="flex flex-wrap gap-1.5 mb-3">
+          {bug.labels.map((label) => (
+            <LabelChip key={label._id} label={label} />
+          ))}
+        </div>
+      )}
+
       {/* Card Footer - Badges */}
       <div className="flex flex-wrap gap-2 items-center mb-3">
         <Badge variant={bug.priority} type="priority" size="sm">
@@ -122,6 +204,17 @@ const BugCard = ({ bug, onEdit, onDelete, onClick, isDragging }) => {
         <Badge variant={bug.severity} type="severity" size="sm">
           {bug.severity}
         </Badge>
+        {isSlaAlert(bug) && (
+          <Badge
+            variant={bug.slaStatus}
+            type="sla"
+            size="sm"
+            title={bug.slaDueAt ? `Due ${formatDate(bug.slaDueAt)}` : undefined}
+          >
+            <Clock size={12} className="mr-1" />
+            {SLA_LABELS[bug.slaStatus]}
+          </Badge>
+        )}
       </div>
 
       {/* Card Meta */}
@@ -132,6 +225,17 @@ const BugCard = ({ bug, onEdit, onDelete, onClick, isDragging }) => {
             {bug.createdBy}
           </span>
         </div>
+        <div className="flex items-center justify-between text-xs">
+          <span className="text-text-tertiary">Assignee:</span>
+          {bug.assignee ? (
+            <span className="flex items-center gap-1.5 text-text-secondary font-medium">
+              <Avatar name={bug.assignee.name} size="sm" />
+              {bug.assignee.name}
+            </span>
+          ) : (
+            <span className="text-text-tertiary italic">Unassigned</span>
+          )}
+        </div>
         <div className="flex items-center justify-between text-xs text-text-tertiary">
           <Calendar size={12} className="inline mr-1" />
           <span>{formatDate(bug.createdAt)}</span>
@@ -152,11 +256,33 @@ BugCard.propTypes = {
     status: PropTypes.string.isRequired,
     createdBy: PropTypes.string.isRequired,
     createdAt: PropTypes.string.isRequired,
+    slaStatus: PropTypes.string,
+    slaDueAt: PropTypes.string,
+    assignee: PropTypes.shape({
+      _id: PropTypes.string,
+      name: PropTypes.string,
+    }),
+    labels: PropTypes.arrayOf(
+      PropTypes.shape({
+        _id: PropTypes.string,
+        name: PropTypes.string,
+        color: PropTypes.string,
+      })
+    ),
+    highlights: PropTypes.shape({
+      title: PropTypes.array,
+      description: PropTypes.array,
+    }),
   }).isRequired,
   onEdit: PropTypes.func.isRequired,
   onDelete: PropTypes.func.isRequired,
   onClick: PropTypes.func,
   isDragging: PropTypes.bool,
+  canEdit: PropTypes.bool,
+  canDelete: PropTypes.bool,
+  selected: PropTypes.bool,
+  onSelect: PropTypes.func,
+  pending: PropTypes.bool,
 };
 
 BugCard.defaultProps = {
@@ -169,6 +295,18 @@ export default memo(
     (prevProps.bug._id || prevProps.bug.id) ===
       (nextProps.bug._id || nextProps.bug.id) &&
     prevProps.bug.title === nextProps.bug.title &&
+    prevProps.bug.description === nextProps.bug.description &&
     prevProps.bug.status === nextProps.bug.status &&
-    prevProps.isDragging === nextProps.isDragging
+    prevProps.bug.priority === nextProps.bug.priority &&
+    prevProps.bug.severity === nextProps.bug.severity &&
+    prevProps.bug.slaStatus === nextProps.bug.slaStatus &&
+    prevProps.bug.assignee?._id === nextProps.bug.assignee?._id &&
+    prevProps.bug.labels === nextProps.bug.labels &&
+    prevProps.bug.highlights === nextProps.bug.highlights &&
+    prevProps.isDragging === nextProps.isDragging &&
+    prevProps.canEdit === nextProps.canEdit &&
+    prevProps.canDelete === nextProps.canDelete &&
+    prevProps.selected === nextProps.selected &&
+    prevProps.onSelect === nextProps.onSelect &&
+    prevProps.pending === nextProps.pending
 );
\ No newline at end of file
@@ -3,11 +3,15 @@
  * Kanban column with droppable zone
  */
 
+import { useState, useEffect, useRef, useCallback } from 'react';
 import PropTypes from 'prop-types';
 import { useDroppable } from '@dnd-kit/core';
 import { SortableContext, verticalListSortingStrategy } from '@dnd-kit/sortable';
+import { Ban } from 'lucide-react';
 import BugCard from './BugCard';
+import Button from '../common/Button';
 import { BUG_STATUS } from '../../utils/constants';
+import { canEditBug, canDeleteBug } from '../../utils/helpers';
 
 const STATUS_CONFIG = {
   [BUG_STATUS.OPEN]: {
@@ -36,13 +40,61 @@ const STATUS_CONFIG = {
   },
 };
 
-const BugColumn = ({ status, bugs, onEdit, onDelete, onClick, loading, isOver }) => {
+const BugColumn = ({
+  status,
+  bugs,
+  onEdit,
+  onDelete,
+  onClick,
+  loading,
+  isOver,
+  isDropDisabled,
+  hasMore,
+  onLoadMore,
+  currentUser,
+  projectRole,
+  isSelected,
+  onSelect,
+  isPending,
+}) => {
   const config = STATUS_CONFIG[status];
   const bugIds = bugs.map((bug) => bug._id || bug.id);
+  const sentinelRef = useRef(null);
+  const [loadingMore, setLoadingMore] = useState(false);
 
-  // Make column droppable
+  const handleLoadMore = useCallback(async () => {
+    if (!onLoadMore || loadingMore) return;
+
+    setLoadingMore(true);
+    try {
+      await onLoadMore(status);
+    } finally {
+      setLoadingMore(false);
+    }
+  }, [onLoadMore, loadingMore, status]);
+
+  // Infinite scroll: load the next page when the end of the column comes into view
+  useEffect(() => {
+    const node = sentinelRef.current;
+    if (!hasMore || loadingMore || !node || typeof IntersectionObserver === 'undefined') {
+      return undefined;
+    }
+
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries[0].isIntersecting) handleLoadMore();
+      },
+      { rootMargin: '200px' }
+    );
+    observer.observe(node);
+
+    return () => observer.disconnect();
+  }, [hasMore, loadingMore, handleLoadMore]);
+
+  // Make column droppable (disabled while dragging a bug the workflow can't move here)
   const { setNodeRef } = useDroppable({
     id: status,
+    disabled: isDropDisabled,
   });
 
   return (
@@ -58,13 +110,19 @@ const BugColumn = ({ status, bugs, onEdit, onDelete, onClick, loading, isOver })
           <h2 className={`text-sm font-semibold uppercase tracking-wide ${config.textColor}`}>
             {config.title}
           </h2>
+          {isDropDisabled && (
+            <span className="flex items-center gap-1 text-xs text-accent-danger">
+              <Ban size={12} />
+              Not allowed
+            </span>
+          )}
           <span
             className={`
               text-xs font-bold px-2 py-1 rounded-full
               ${config.bgColor} ${config.textColor}
             `}
           >
-            {bugs.length}
+            {hasMore ? `${bugs.length}+` : bugs.length}
           </span>
         </div>
       </div>
@@ -76,7 +134,9 @@ const BugColumn = ({ status, bugs, onEdit, onDelete, onClick, loading, isOver })
           flex-1 p-3 space-y-3 bg-tertiary rounded-b-lg min-h-[200px]
           transition-colors
           ${isOver ? 'bg-primary/5 ring-2 ring-primary' : ''}
+          ${isDropDisabled ? 'opacity-50 cursor-not-allowed ring-1 ring-accent-danger/40' : ''}
         `}
+        aria-disabled={isDropDisabled}
       >
         <SortableContext items={bugIds} strategy={verticalListSortingStrategy}>
           {loading && bugs.length === 0 ? (
@@ -95,10 +155,23 @@ const BugColumn = ({ status, bugs, onEdit, onDelete, onClick, loading, isOver })
                 onEdit={onEdit}
                 onDelete={onDelete}
                 onClick={onClick}
+                canEdit={canEditBug(currentUser, bug, projectRole)}
+                canDelete={canDeleteBug(currentUser, bug, projectRole)}
+                selected={isSelected ? isSelected(bug._id || bug.id) : false}
+                onSelect={onSelect}
+                pending={isPending ? isPending(bug._id || bug.id) : false}
               />
             ))
           )}
         </SortableContext>
+
+        {hasMore && (
+          <div ref={sentinelRef} className="flex justify-center">
+            <Button variant="ghost" size="sm" onClick={handleLoadMore} loading={loadingMore}>
+              Load more
+            </Button>
+          </div>
+        )}
       </div>
     </div>
   );
@@ -117,11 +190,25 @@ BugColumn.propTypes = {
   onClick: PropTypes.func,
   loading: PropTypes.bool,
   isOver: PropTypes.bool,
+  isDropDisabled: PropTypes.bool,
+  hasMore: PropTypes.bool,
+  onLoadMore: PropTypes.func,
+  currentUser: PropTypes.shape({
+    id: PropTypes.string,
+    _id: PropTypes.string,
+    role: PropTypes.string,
+  }),
+  projectRole: PropTypes.string,
+  isSelected: PropTypes.func,
+  onSelect: PropTypes.func,
+  isPending: PropTypes.func,
 };
 
 BugColumn.defaultProps = {
   loading: false,
   isOver: false,
+  isDropDisabled: false,
+  hasMore: false,
 };
 
 export default BugColumn;
\ No newline at end of file
@@ -0,0 +1,196 @@
+/**
+ * BugComments Component
+ * Discussion thread shown inside the bug modal
+ */
+
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { MessageSquare, Edit, Trash2 } from 'lucide-react';
+import Button from '../common/Button';
+import Textarea from '../common/Textarea';
+import Loading from '../common/Loading';
+import { useComments } from '../../hooks/useComments';
+import { useAuth } from '../../context/AuthContext';
+import { formatRelativeTime } from '../../utils/formatters';
+import { VALIDATION_RULES } from '../../utils/constants';
+
+const getId = (item) => item._id || item.id;
+
+const BugComments = ({ bugId }) => {
+  const { user } = useAuth();
+  const { comments, loading, addComment, editComment, removeComment } = useComments(bugId);
+
+  const [draft, setDraft] = useState('');
+  const [editingId, setEditingId] = useState(null);
+  const [editDraft, setEditDraft] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const isAuthor = (comment) => !!user && getId(comment.author || {}) === user.id;
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!draft.trim()) return;
+
+    try {
+      setSubmitting(true);
+      await addComment(draft.trim());
+      setDraft('');
+    } catch (error) {
+      console.error('Add comment error:', error);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const startEditing = (comment) => {
+    setEditingId(getId(comment));
+    setEditDraft(comment.content);
+  };
+
+  const cancelEditing = () => {
+    setEditingId(null);
+    setEditDraft('');
+  };
+
+  const handleSaveEdit = async () => {
+    if (!editDraft.trim()) return;
+
+    try {
+      setSubmitting(true);
+      await editComment(editingId, editDraft.trim());
+      cancelEditing();
+    } catch (error) {
+      console.error('Edit comment error:', error);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleDelete = async (commentId) => {
+    try {
+      await removeComment(commentId);
+    } catch (error) {
+      console.error('Delete comment error:', error);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center gap-2">
+        <MessageSquare size={18} className="text-text-secondary" />
+        <h4 className="text-sm font-semibold text-text-primary">
+          Comments {comments.length > 0 && `(${comments.length})`}
+        </h4>
+      </div>
+
+      {/* Thread */}
+      {loading && comments.length === 0 ? (
+        <Loading size="sm" />
+      ) : comments.length === 0 ? (
+        <p className="text-sm text-text-tertiary">No comments yet. Start the discussion.</p>
+      ) : (
+        <ul className="space-y-3 max-h-64 overflow-y-auto scrollbar-thin pr-1">
+          {comments.map((comment) => {
+            const commentId = getId(comment);
+
+            return (
+              <li
+                key={commentId}
+                className="bg-tertiary border border-border rounded-lg p-3 group"
+              >
+                <div className="flex items-center justify-between mb-1">
+                  <div className="text-xs">
+                    <span className="font-medium text-text-primary">
+                      {comment.author?.name || 'Unknown user'}
+                    </span>
+                    <span className="text-text-tertiary ml-2">
+                      {formatRelativeTime(comment.createdAt)}
+                      {comment.editedAt && ' (edited)'}
+                    </span>
+                  </div>
+                  {isAuthor(comment) && editingId !== commentId && (
+                    <div className="flex gap-1 opacity-0 group-hover:opacity-100 transition-opacity">
+                      <button
+                        type="button"
+                        onClick={() => startEditing(comment)}
+                        className="p-1 hover:bg-border rounded transition-colors"
+                        aria-label="Edit comment"
+                      >
+                        <Edit size={14} className="text-text-secondary" />
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => handleDelete(commentId)}
+                        className="p-1 hover:bg-border rounded transition-colors"
+                        aria-label="Delete comment"
+                      >
+                        <Trash2 size={14} className="text-accent-danger" />
+                      </button>
+                    </div>
+                  )}
+                </div>
+
+                {editingId === commentId ? (
+                  <div className="space-y-2">
+                    <Textarea
+                      rows={2}
+                      value={editDraft}
+                      maxLength={VALIDATION_RULES.COMMENT.MAX_LENGTH}
+                      onChange={(e) => setEditDraft(e.target.value)}
+                      aria-label="Edit comment"
+                    />
+                    <div className="flex gap-2 justify-end">
+                      <Button size="sm" variant="ghost" onClick={cancelEditing} disabled={submitting}>
+                        Cancel
+                      </Button>
+                      <Button
+                        size="sm"
+                        onClick={handleSaveEdit}
+                        loading={submitting}
+                        disabled={submitting || !editDraft.trim()}
+                      >
+                        Save
+                      </Button>
+                    </div>
+                  </div>
+                ) : (
+                  <p className="text-sm text-text-secondary whitespace-pre-wrap break-words">
+                    {comment.content}
+                  </p>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {/* New comment */}
+      <form onSubmit={handleAdd} className="space-y-2">
+        <Textarea
+          rows={2}
+          placeholder="Add a comment..."
+          value={draft}
+          maxLength={VALIDATION_RULES.COMMENT.MAX_LENGTH}
+          onChange={(e) => setDraft(e.target.value)}
+          aria-label="New comment"
+        />
+        <div className="flex justify-end">
+          <Button
+            type="submit"
+            size="sm"
+            loading={submitting && !editingId}
+            disabled={submitting || !draft.trim()}
+          >
+            Comment
+          </Button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+BugComments.propTypes = {
+  bugId: PropTypes.string.isRequired,
+};
+
+export default BugComments;
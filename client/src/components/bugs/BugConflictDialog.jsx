@@ -0,0 +1,142 @@
+/**
+ * BugConflictDialog Component
+ * Lets the user merge an edit with changes someone else saved first
+ */
+
+import { useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import { GitMerge } from 'lucide-react';
+import Modal from '../common/Modal';
+import Button from '../common/Button';
+import { useUsers } from '../../hooks/useUsers';
+import { useLabels } from '../../hooks/useLabels';
+import { truncateText } from '../../utils/formatters';
+import { cn } from '../../utils/helpers';
+import {
+  FIELD_LABELS,
+  STATUS_LABELS,
+  PRIORITY_LABELS,
+  SEVERITY_LABELS,
+} from '../../utils/constants';
+
+const VALUE_LABELS = {
+  status: STATUS_LABELS,
+  priority: PRIORITY_LABELS,
+  severity: SEVERITY_LABELS,
+};
+
+const BugConflictDialog = ({ conflict, onResolve, onDiscard }) => {
+  const isOpen = !!conflict;
+  const fields = conflict ? conflict.conflicts.map(({ field }) => field) : [];
+  const { users } = useUsers(fields.includes('assignee'));
+  const { labels } = useLabels(fields.includes('labels'));
+  const [choices, setChoices] = useState({});
+
+  // Start from the user's own values for every new conflict
+  useEffect(() => {
+    if (!conflict) return;
+    setChoices(Object.fromEntries(conflict.conflicts.map(({ field }) => [field, 'mine'])));
+  }, [conflict]);
+
+  const formatValue = (field, value) => {
+    if (value === null || value === undefined || value === '') return 'none';
+    if (field === 'assignee') {
+      return users.find((user) => user._id === value)?.name || 'a user';
+    }
+    if (field === 'labels') {
+      if (value.length === 0) return 'none';
+      return value
+        .map((id) => labels.find((label) => label._id === id)?.name || 'a label')
+        .join(', ');
+    }
+    if (VALUE_LABELS[field]) return VALUE_LABELS[field][value] || value;
+    return truncateText(String(value), 120);
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onDiscard} title="Merge Changes" size="lg">
+      {conflict && (
+        <div className="space-y-4">
+          <div className="flex items-start gap-3">
+            <GitMerge size={20} className="text-accent-primary shrink-0 mt-0.5" />
+            <p className="text-sm text-text-secondary">
+              Someone else saved <span className="font-semibold text-text-primary">{conflict.theirs.title}</span>{' '}
+              while you were editing it. Your other changes can be kept; choose which
+              version to keep for the fields you both changed.
+            </p>
+          </div>
+
+          <ul className="space-y-4">
+            {conflict.conflicts.map(({ field, mine, theirs }) => (
+              <li key={field}>
+                <fieldset>
+                  <legend className="text-sm font-semibold text-text-primary mb-2">
+                    {FIELD_LABELS[field] || field}
+                  </legend>
+                  <div className="grid gap-2 sm:grid-cols-2">
+                    {[
+                      { choice: 'mine', label: 'Your version', value: mine },
+                      { choice: 'theirs', label: 'Their version', value: theirs },
+                    ].map((option) => (
+                      <label
+                        key={option.choice}
+                        className={cn(
+                          'flex gap-2 p-3 rounded-lg border cursor-pointer transition-colors',
+                          choices[field] === option.choice
+                            ? 'border-accent-primary bg-accent-primary/10'
+                            : 'border-border hover:bg-tertiary'
+                        )}
+                      >
+                        <input
+                          type="radio"
+                          name={`conflict-${field}`}
+                          value={option.choice}
+                          checked={choices[field] === option.choice}
+                          onChange={() => setChoices((prev) => ({ ...prev, [field]: option.choice }))}
+                          className="mt-1 accent-accent-primary"
+                        />
+                        <span className="min-w-0">
+                          <span className="block text-xs text-text-tertiary">{option.label}</span>
+                          <span className="block text-sm text-text-primary break-words">
+                            {formatValue(field, option.value)}
+                          </span>
+                        </span>
+                      </label>
+                    ))}
+                  </div>
+                </fieldset>
+              </li>
+            ))}
+          </ul>
+
+          <div className="flex gap-3 justify-end pt-2">
+            <Button onClick={onDiscard} variant="secondary">
+              Discard my changes
+            </Button>
+            <Button onClick={() => onResolve(choices)} variant="primary">
+              Save merged
+            </Button>
+          </div>
+        </div>
+      )}
+    </Modal>
+  );
+};
+
+BugConflictDialog.propTypes = {
+  conflict: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    theirs: PropTypes.object.isRequired,
+    conflicts: PropTypes.arrayOf(
+      PropTypes.shape({
+        field: PropTypes.string.isRequired,
+        mine: PropTypes.any,
+        theirs: PropTypes.any,
+      })
+    ).isRequired,
+  }),
+  onResolve: PropTypes.func.isRequired,
+  onDiscard: PropTypes.func.isRequired,
+};
+
+export default BugConflictDialog;
@@ -3,20 +3,36 @@
  * Search and filter controls
  */
 
+import { useState } from 'react';
 import PropTypes from 'prop-types';
-import { Filter, X } from 'lucide-react';
+import { Filter, X, UserCheck, Download } from 'lucide-react';
 import SearchInput from '../common/SearchInput';
 import Select from '../common/Select';
+import Input from '../common/Input';
 import Button from '../common/Button';
-import { PRIORITY_OPTIONS, SEVERITY_OPTIONS, STATUS_OPTIONS } from '../../utils/constants';
+import {
+  PRIORITY_OPTIONS,
+  SEVERITY_OPTIONS,
+  STATUS_OPTIONS,
+  EXPORT_FORMAT_OPTIONS,
+} from '../../utils/constants';
+
+const BugFilters = ({ filters, onFilterChange, onClearFilters, onExport, exporting = false }) => {
+  const [exportFormat, setExportFormat] = useState(EXPORT_FORMAT_OPTIONS[0].value);
 
-const BugFilters = ({ filters, onFilterChange, onClearFilters }) => {
   const handleSearchChange = (search) => {
     onFilterChange({ search });
   };
 
+  const isAssignedToMe = filters.assignee === 'me';
+
+  const handleAssignedToMeToggle = () => {
+    onFilterChange({ assignee: isAssignedToMe ? '' : 'me' });
+  };
+
   const hasActiveFilters = filters.search || filters.priority.length > 0 ||
-    filters.severity.length > 0 || filters.status.length > 0;
+    filters.severity.length > 0 || filters.status.length > 0 || isAssignedToMe ||
+    filters.createdAfter || filters.createdBefore;
 
   return (
     <div className="bg-secondary border border-border rounded-lg p-4 space-y-4">
@@ -26,17 +42,56 @@ const BugFilters = ({ filters, onFilterChange, onClearFilters }) => {
           <Filter size={20} className="text-text-secondary" />
           <h3 className="text-lg font-semibold text-text-primary">Filters</h3>
         </div>
-        {hasActiveFilters && (
+        <div className="flex items-center gap-2">
+          {onExport && (
+            <div className="flex items-center">
+              <select
+                value={exportFormat}
+                onChange={(e) => setExportFormat(e.target.value)}
+                className="px-2 py-1.5 text-sm bg-secondary text-text-primary border border-r-0 border-border rounded-l-lg focus:outline-none focus:ring-2 focus:ring-accent-primary cursor-pointer"
+                aria-label="Export format"
+              >
+                {EXPORT_FORMAT_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+              <Button
+                onClick={() => onExport(exportFormat)}
+                variant="secondary"
+                size="sm"
+                loading={exporting}
+                className="flex items-center gap-1 rounded-l-none"
+                title="Download the bugs matching these filters"
+              >
+                <Download size={16} />
+                Export
+              </Button>
+            </div>
+          )}
           <Button
-            onClick={onClearFilters}
-            variant="ghost"
+            onClick={handleAssignedToMeToggle}
+            variant={isAssignedToMe ? 'primary' : 'secondary'}
             size="sm"
             className="flex items-center gap-1"
+            aria-pressed={isAssignedToMe}
           >
-            <X size={16} />
-            Clear
+            <UserCheck size={16} />
+            Assigned to me
           </Button>
-        )}
+          {hasActiveFilters && (
+            <Button
+              onClick={onClearFilters}
+              variant="ghost"
+              size="sm"
+              className="flex items-center gap-1"
+            >
+              <X size={16} />
+              Clear
+            </Button>
+          )}
+        </div>
       </div>
 
       {/* Filters */}
@@ -75,6 +130,24 @@ const BugFilters = ({ filters, onFilterChange, onClearFilters }) => {
           options={STATUS_OPTIONS}
           placeholder="All statuses"
         />
+
+        {/* Created Date Range */}
+        <div className="grid grid-cols-2 gap-2">
+          <Input
+            type="date"
+            label="Created from"
+            value={filters.createdAfter || ''}
+            max={filters.createdBefore || undefined}
+            onChange={(e) => onFilterChange({ createdAfter: e.target.value })}
+          />
+          <Input
+            type="date"
+            label="Created to"
+            value={filters.createdBefore || ''}
+            min={filters.createdAfter || undefined}
+            onChange={(e) => onFilterChange({ createdBefore: e.target.value })}
+          />
+        </div>
       </div>
     </div>
   );
@@ -86,9 +159,14 @@ BugFilters.propTypes = {
     priority: PropTypes.array,
     severity: PropTypes.array,
     status: PropTypes.array,
+    assignee: PropTypes.string,
+    createdAfter: PropTypes.string,
+    createdBefore: PropTypes.string,
   }).isRequired,
   onFilterChange: PropTypes.func.isRequired,
   onClearFilters: PropTypes.func.isRequired,
+  onExport: PropTypes.func,
+  exporting: PropTypes.bool,
 };
 
 export default BugFilters;
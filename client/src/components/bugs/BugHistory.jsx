@@ -0,0 +1,117 @@
+/**
+ * BugHistory Component
+ * Timeline of every recorded change to a bug
+ */
+
+import PropTypes from 'prop-types';
+import { PlusCircle, Pencil, Trash2, ArchiveRestore, XCircle } from 'lucide-react';
+import Loading from '../common/Loading';
+import { useBugHistory } from '../../hooks/useBugHistory';
+import { formatRelativeTime, truncateText } from '../../utils/formatters';
+import {
+  FIELD_LABELS,
+  STATUS_LABELS,
+  PRIORITY_LABELS,
+  SEVERITY_LABELS,
+} from '../../utils/constants';
+
+const ACTION_CONFIG = {
+  created: { label: 'created this bug', icon: PlusCircle, color: 'text-accent-success' },
+  updated: { label: 'updated', icon: Pencil, color: 'text-accent-primary' },
+  deleted: { label: 'deleted this bug', icon: Trash2, color: 'text-accent-danger' },
+  restored: { label: 'restored this bug', icon: ArchiveRestore, color: 'text-accent-success' },
+  purged: { label: 'permanently deleted this bug', icon: XCircle, color: 'text-accent-danger' },
+};
+
+const VALUE_LABELS = {
+  status: STATUS_LABELS,
+  priority: PRIORITY_LABELS,
+  severity: SEVERITY_LABELS,
+};
+
+const BugHistory = ({ bugId, users = [], labels = [] }) => {
+  const { history, loading } = useBugHistory(bugId);
+
+  const formatValue = (field, value) => {
+    if (value === null || value === undefined || value === '') return 'none';
+    if (field === 'assignee') {
+      return users.find((user) => user._id === value)?.name || 'a user';
+    }
+    if (field === 'labels') {
+      return [].concat(value)
+        .map((id) => labels.find((label) => label._id === id)?.name || 'a deleted label')
+        .join(', ');
+    }
+    if (VALUE_LABELS[field]) return VALUE_LABELS[field][value] || value;
+    return truncateText(String(value), 60);
+  };
+
+  if (loading && history.length === 0) {
+    return <Loading size="sm" />;
+  }
+
+  if (history.length === 0) {
+    return <p className="text-sm text-text-tertiary">No changes recorded yet.</p>;
+  }
+
+  return (
+    <ol className="relative border-l border-border ml-2 space-y-5 max-h-96 overflow-y-auto scrollbar-thin">
+      {history.map((entry) => {
+        const config = ACTION_CONFIG[entry.action] || ACTION_CONFIG.updated;
+        const Icon = config.icon;
+        // Creation and deletion list every field; only updates need a per-field diff
+        const showChanges = entry.action === 'updated';
+
+        return (
+          <li key={entry._id || entry.id} className="ml-5">
+            <span className="absolute -left-2.5 flex items-center justify-center w-5 h-5 rounded-full bg-secondary border border-border">
+              <Icon size={12} className={config.color} />
+            </span>
+            <p className="text-sm text-text-secondary">
+              <span className="font-medium text-text-primary">
+                {entry.actor?.name || 'Someone'}
+              </span>{' '}
+              {config.label}
+              <span className="text-xs text-text-tertiary ml-2">
+                {formatRelativeTime(entry.createdAt)}
+              </span>
+            </p>
+            {showChanges && (
+              <ul className="mt-1 space-y-0.5">
+                {entry.changes.map((change) => (
+                  <li key={change.field} className="text-xs text-text-tertiary">
+                    <span className="text-text-secondary">
+                      {FIELD_LABELS[change.field] || change.field}
+                    </span>
+                    {': '}
+                    <span className="line-through">{formatValue(change.field, change.from)}</span>
+                    {' → '}
+                    <span className="text-text-primary">{formatValue(change.field, change.to)}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </li>
+        );
+      })}
+    </ol>
+  );
+};
+
+BugHistory.propTypes = {
+  bugId: PropTypes.string.isRequired,
+  users: PropTypes.arrayOf(
+    PropTypes.shape({
+      _id: PropTypes.string,
+      name: PropTypes.string,
+    })
+  ),
+  labels: PropTypes.arrayOf(
+    PropTypes.shape({
+      _id: PropTypes.string,
+      name: PropTypes.string,
+    })
+  ),
+};
+
+export default BugHistory;
@@ -0,0 +1,275 @@
+/**
+ * BugImportWizard Component
+ * Imports bugs from a CSV or JSON file in three steps: pick the file, map its
+ * columns to bug fields, then review a dry run before anything is saved
+ */
+
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { Upload, AlertTriangle, CheckCircle } from 'lucide-react';
+import Modal from '../common/Modal';
+import Button from '../common/Button';
+import Select from '../common/Select';
+import { FIELD_LABELS, IMPORT, IMPORT_FIELD_OPTIONS } from '../../utils/constants';
+import { readFileText, parseImportFile, guessImportColumns } from '../../utils/helpers';
+
+const STEPS = ['Choose file', 'Map columns', 'Review'];
+
+// Every bug needs these; the reporter defaults to the importing user
+const REQUIRED_FIELDS = ['title', 'description', 'priority', 'severity'];
+
+// Rows with errors listed in the review; the rest are only counted
+const MAX_LISTED_ERRORS = 50;
+
+/**
+ * First non-empty value of a column, shown next to it as an example
+ * @param {Array<Object>} records - Records read from the file
+ * @param {string} column - Column name
+ * @returns {string}
+ */
+const sampleValue = (records, column) => {
+  const value = records
+    .map((record) => record?.[column])
+    .find((cell) => cell !== undefined && cell !== null && cell !== '');
+
+  if (value === undefined) return 'Empty';
+  return Array.isArray(value) ? value.join('; ') : String(value);
+};
+
+const BugImportWizard = ({ isOpen, onClose, onImport }) => {
+  const [step, setStep] = useState(0);
+  const [file, setFile] = useState(null);
+  const [contents, setContents] = useState(null);
+  const [columns, setColumns] = useState({});
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const reset = () => {
+    setStep(0);
+    setFile(null);
+    setContents(null);
+    setColumns({});
+    setReport(null);
+    setError('');
+  };
+
+  const handleClose = () => {
+    if (loading) return;
+    reset();
+    onClose();
+  };
+
+  const handleFileChange = async (e) => {
+    const picked = e.target.files[0];
+    // Lets the same file be picked again after fixing it
+    e.target.value = '';
+    if (!picked) return;
+
+    setError('');
+    if (picked.size > IMPORT.MAX_FILE_MB * 1024 * 1024) {
+      setError(`Files must not exceed ${IMPORT.MAX_FILE_MB} MB`);
+      return;
+    }
+
+    try {
+      const parsed = parseImportFile(await readFileText(picked), picked.name);
+
+      if (parsed.records.length === 0) {
+        setError(`${picked.name} has no bugs`);
+      } else if (parsed.records.length > IMPORT.MAX_ROWS) {
+        setError(`Import at most ${IMPORT.MAX_ROWS} bugs at a time`);
+      } else {
+        setFile(picked);
+        setContents(parsed);
+        setColumns(guessImportColumns(parsed.columns));
+        setStep(1);
+      }
+    } catch (readError) {
+      setError(`Could not read ${picked.name}: ${readError.message}`);
+    }
+  };
+
+  const handleColumnChange = (column, field) => {
+    setColumns((prev) => ({ ...prev, [column]: field }));
+  };
+
+  const runImport = async (dryRun) => {
+    try {
+      setLoading(true);
+      // Skipped columns go as null so the server does not match them by name
+      const mapping = Object.fromEntries(
+        Object.entries(columns).map(([column, field]) => [column, field || null])
+      );
+      const result = await onImport(file, mapping, { dryRun });
+
+      if (dryRun) {
+        setReport(result);
+        setStep(2);
+      } else {
+        reset();
+        onClose();
+      }
+    } catch (importError) {
+      // The server's message was already shown as a toast
+      console.error('Import error:', importError);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const mappedFields = Object.values(columns);
+  const unmapped = REQUIRED_FIELDS.filter((field) => !mappedFields.includes(field));
+
+  return (
+    <Modal isOpen={isOpen} onClose={handleClose} title="Import Bugs" size="lg">
+      <div className="space-y-4">
+        {/* Steps */}
+        <ol className="flex items-center gap-4 text-sm">
+          {STEPS.map((label, index) => (
+            <li
+              key={label}
+              aria-current={index === step ? 'step' : undefined}
+              className={index === step ? 'text-text-primary font-semibold' : 'text-text-tertiary'}
+            >
+              {index + 1}. {label}
+            </li>
+          ))}
+        </ol>
+
+        {step === 0 && (
+          <div className="space-y-3">
+            <p className="text-sm text-text-secondary">
+              Pick a CSV file with a header row or a JSON list of bugs. Files from Export can be
+              imported as they are.
+            </p>
+            <label className="flex flex-col items-center gap-2 p-6 border-2 border-dashed border-border rounded-lg cursor-pointer hover:border-text-tertiary transition-colors">
+              <Upload size={20} className="text-text-tertiary" aria-hidden="true" />
+              <span className="text-sm text-text-secondary">Click to choose a .csv or .json file</span>
+              <span className="text-xs text-text-tertiary">
+                Up to {IMPORT.MAX_ROWS} bugs and {IMPORT.MAX_FILE_MB} MB.
+              </span>
+              <input
+                type="file"
+                accept=".csv,.json"
+                onChange={handleFileChange}
+                className="hidden"
+                data-testid="import-input"
+              />
+            </label>
+          </div>
+        )}
+
+        {step === 1 && contents && (
+          <div className="space-y-3">
+            <p className="text-sm text-text-secondary">
+              {contents.records.length} {contents.records.length === 1 ? 'bug' : 'bugs'} in{' '}
+              <span className="text-text-primary font-medium">{file.name}</span>. Choose the bug
+              field each column fills.
+            </p>
+            <ul className="max-h-80 overflow-y-auto divide-y divide-border border border-border rounded-lg">
+              {contents.columns.map((column) => (
+                <li key={column} className="flex items-center gap-3 p-3">
+                  <div className="flex-1 min-w-0">
+                    <p className="text-sm font-medium text-text-primary truncate">{column}</p>
+                    <p className="text-xs text-text-tertiary truncate">
+                      {sampleValue(contents.records, column)}
+                    </p>
+                  </div>
+                  <div className="w-48">
+                    <Select
+                      value={columns[column]}
+                      onChange={(e) => handleColumnChange(column, e.target.value)}
+                      options={IMPORT_FIELD_OPTIONS}
+                      placeholder={null}
+                      aria-label={`Field for ${column}`}
+                    />
+                  </div>
+                </li>
+              ))}
+            </ul>
+            {unmapped.length > 0 && (
+              <p className="flex items-center gap-2 text-sm text-priority-medium">
+                <AlertTriangle size={16} aria-hidden="true" />
+                No column fills {unmapped.map((field) => FIELD_LABELS[field]).join(', ')}, so
+                every row will fail.
+              </p>
+            )}
+          </div>
+        )}
+
+        {step === 2 && report && (
+          <div className="space-y-3">
+            <p className="flex items-center gap-2 text-sm text-text-primary">
+              <CheckCircle size={16} className="text-status-resolved" aria-hidden="true" />
+              {report.valid} of {report.total} bugs are ready to import. Nothing has been saved
+              yet.
+            </p>
+            {report.errors.length > 0 && (
+              <div className="space-y-2">
+                <p className="text-sm text-text-secondary">
+                  These rows will be skipped (row 1 is the first bug):
+                </p>
+                <ul className="max-h-64 overflow-y-auto space-y-2" aria-label="Rows with errors">
+                  {report.errors.slice(0, MAX_LISTED_ERRORS).map(({ row, errors }) => (
+                    <li key={row} className="text-sm bg-tertiary rounded px-3 py-2">
+                      <span className="font-medium text-text-primary">Row {row}:</span>{' '}
+                      <span className="text-text-secondary">
+                        {errors.map((rowError) => rowError.message).join('; ')}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+                {report.errors.length > MAX_LISTED_ERRORS && (
+                  <p className="text-xs text-text-tertiary">
+                    and {report.errors.length - MAX_LISTED_ERRORS} more rows
+                  </p>
+                )}
+              </div>
+            )}
+          </div>
+        )}
+
+        {error && (
+          <p className="text-sm text-accent-danger" role="alert">
+            {error}
+          </p>
+        )}
+
+        {/* Actions */}
+        <div className="flex gap-3 justify-end pt-2">
+          {step > 0 && (
+            <Button onClick={() => setStep(step - 1)} variant="ghost" disabled={loading}>
+              Back
+            </Button>
+          )}
+          <Button onClick={handleClose} variant="secondary" disabled={loading}>
+            Cancel
+          </Button>
+          {step === 1 && (
+            <Button onClick={() => runImport(true)} loading={loading} disabled={loading}>
+              Check rows
+            </Button>
+          )}
+          {step === 2 && report && (
+            <Button
+              onClick={() => runImport(false)}
+              loading={loading}
+              disabled={loading || report.valid === 0}
+            >
+              Import {report.valid} {report.valid === 1 ? 'bug' : 'bugs'}
+            </Button>
+          )}
+        </div>
+      </div>
+    </Modal>
+  );
+};
+
+BugImportWizard.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  onImport: PropTypes.func.isRequired,
+};
+
+export default BugImportWizard;
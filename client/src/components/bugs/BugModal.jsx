@@ -3,23 +3,65 @@
  * Create/Edit bug modal with form
  */
 
-import { useEffect } from 'react';
+import { useEffect, useMemo, useState } from 'react';
 import PropTypes from 'prop-types';
-import { useForm } from 'react-hook-form';
+import { useForm, Controller } from 'react-hook-form';
 import { zodResolver } from '@hookform/resolvers/zod';
 import Modal from '../common/Modal';
 import Button from '../common/Button';
 import Input from '../common/Input';
 import Textarea from '../common/Textarea';
 import Select from '../common/Select';
+import BugAttachments from './BugAttachments';
+import BugComments from './BugComments';
+import BugHistory from './BugHistory';
+import LabelPicker from './LabelPicker';
+import { useUsers } from '../../hooks/useUsers';
+import { useProjects } from '../../context/ProjectContext';
+import { useLabels } from '../../hooks/useLabels';
 import { bugSchema } from '../../utils/validators';
+import { cn, canTransition } from '../../utils/helpers';
 import { PRIORITY_OPTIONS, SEVERITY_OPTIONS, STATUS_OPTIONS } from '../../utils/constants';
 
+const TABS = [
+  { id: 'details', label: 'Details' },
+  { id: 'comments', label: 'Comments' },
+  { id: 'attachments', label: 'Attachments' },
+  { id: 'history', label: 'History' },
+];
+
 const BugModal = ({ isOpen, onClose, onSubmit, bug, loading }) => {
   const isEditing = !!bug;
+  const [activeTab, setActiveTab] = useState('details');
+  const { users } = useUsers(isOpen);
+  const { labels } = useLabels(isOpen);
+  const { currentProject } = useProjects();
+
+  // Keep the current assignee selectable while the user directory loads
+  const assigneeOptions = useMemo(() => {
+    // Everyone can see the default project; other projects only assign to members
+    const memberIds = currentProject && !currentProject.isDefault
+      ? new Set(currentProject.members.map(({ user }) => user._id || user))
+      : null;
+    const options = users
+      .filter((user) => !memberIds || memberIds.has(user._id))
+      .map((user) => ({ value: user._id, label: user.name }));
+    const current = bug?.assignee;
+    if (current && !options.some((option) => option.value === current._id)) {
+      options.unshift({ value: current._id, label: current.name });
+    }
+    return [{ value: '', label: 'Unassigned' }, ...options];
+  }, [users, bug, currentProject]);
+
+  // Only offer statuses the workflow allows from the bug's current status
+  const statusOptions = useMemo(() => {
+    if (!bug?.status) return STATUS_OPTIONS;
+    return STATUS_OPTIONS.filter((option) => canTransition(bug.status, option.value));
+  }, [bug]);
 
   const {
     register,
+    control,
     handleSubmit,
     formState: { errors, isValid },
     reset,
@@ -33,12 +75,15 @@ const BugModal = ({ isOpen, onClose, onSubmit, bug, loading }) => {
       severity: '',
       status: 'open',
       createdBy: '',
+      assignee: '',
+      labels: [],
     },
   });
 
   // Reset form when modal opens/closes or bug changes
   useEffect(() => {
     if (isOpen) {
+      setActiveTab('details');
       if (bug) {
         reset({
           title: bug.title || '',
@@ -47,6 +92,8 @@ const BugModal = ({ isOpen, onClose, onSubmit, bug, loading }) => {
           severity: bug.severity || '',
           status: bug.status || 'open',
           createdBy: bug.createdBy || '',
+          assignee: bug.assignee?._id || '',
+          labels: (bug.labels || []).map((label) => label._id),
         });
       } else {
         reset({
@@ -56,6 +103,8 @@ const BugModal = ({ isOpen, onClose, onSubmit, bug, loading }) => {
           severity: '',
           status: 'open',
           createdBy: '',
+          assignee: '',
+          labels: [],
         });
       }
     }
@@ -78,7 +127,34 @@ const BugModal = ({ isOpen, onClose, onSubmit, bug, loading }) => {
       title={isEditing ? 'Edit Bug' : 'Create New Bug'}
       size="lg"
     >
-      <form onSubmit={handleSubmit(handleFormSubmit)} className="space-y-4">
+      {/* Tabs (only for existing bugs) */}
+      {isEditing && (
+        <div className="flex gap-1 mb-4 border-b border-border" role="tablist">
+          {TABS.map((tab) => (
+            <button
+              key={tab.id}
+              type="button"
+              role="tab"
+              aria-selected={activeTab === tab.id}
+              onClick={() => setActiveTab(tab.id)}
+              className={cn(
+                'px-3 py-2 text-sm font-medium border-b-2 -mb-px transition-colors',
+                activeTab === tab.id
+                  ? 'border-accent-primary text-text-primary'
+                  : 'border-transparent text-text-tertiary hover:text-text-secondary'
+              )}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {/* Form stays mounted so unsaved edits survive tab switches */}
+      <form
+        onSubmit={handleSubmit(handleFormSubmit)}
+        className={cn('space-y-4', activeTab !== 'details' && 'hidden')}
+      >
         {/* Title */}
         <Input
           label="Title"
@@ -123,12 +199,35 @@ const BugModal = ({ isOpen, onClose, onSubmit, bug, loading }) => {
         {isEditing && (
           <Select
             label="Status"
-            options={STATUS_OPTIONS}
+            options={statusOptions}
             error={errors.status?.message}
             {...register('status')}
           />
         )}
 
+        {/* Assignee */}
+        <Select
+          label="Assignee"
+          placeholder={null}
+          options={assigneeOptions}
+          error={errors.assignee?.message}
+          {...register('assignee')}
+        />
+
+        {/* Labels */}
+        <Controller
+          name="labels"
+          control={control}
+          render={({ field }) => (
+            <LabelPicker
+              labels={labels}
+              value={field.value}
+              onChange={field.onChange}
+              error={errors.labels?.message}
+            />
+          )}
+        />
+
         {/* Created By */}
         <Input
           label="Your Name"
@@ -158,6 +257,16 @@ const BugModal = ({ isOpen, onClose, onSubmit, bug, loading }) => {
           </Button>
         </div>
       </form>
+
+      {isEditing && activeTab === 'comments' && (
+        <BugComments bugId={bug._id || bug.id} />
+      )}
+
+      {isEditing && activeTab === 'attachments' && <BugAttachments bug={bug} />}
+
+      {isEditing && activeTab === 'history' && (
+        <BugHistory bugId={bug._id || bug.id} users={users} labels={labels} />
+      )}
     </Modal>
   );
 };
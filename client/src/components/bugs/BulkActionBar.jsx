@@ -0,0 +1,185 @@
+/**
+ * BulkActionBar Component
+ * Applies a status, priority, assignee, label or deletion to every selected bug
+ */
+
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { Trash2, X } from 'lucide-react';
+import Modal from '../common/Modal';
+import Button from '../common/Button';
+import { useUsers } from '../../hooks/useUsers';
+import { useLabels } from '../../hooks/useLabels';
+import { cn } from '../../utils/helpers';
+import { BULK_ACTIONS, STATUS_OPTIONS, PRIORITY_OPTIONS } from '../../utils/constants';
+
+// <select> values are strings, so "Unassigned" needs its own placeholder value
+const UNASSIGNED = '__unassigned__';
+
+const selectClassName = cn(
+  'px-3 py-1.5 text-sm bg-secondary border border-border rounded-lg text-text-primary',
+  'focus:outline-none focus:ring-2 focus:ring-accent-primary cursor-pointer',
+  'disabled:opacity-50 disabled:cursor-not-allowed'
+);
+
+const BulkActionBar = ({ count, onAction, onClear, loading }) => {
+  const [isConfirmOpen, setIsConfirmOpen] = useState(false);
+  const { users } = useUsers(count > 0);
+  const { labels } = useLabels(count > 0);
+
+  if (count === 0) return null;
+
+  // Each select fires once and snaps back to its placeholder
+  const handleSelect = (action) => (e) => {
+    const { value } = e.target;
+    if (!value) return;
+    if (action === BULK_ACTIONS.ADD_LABELS) {
+      onAction(action, [value]);
+      return;
+    }
+    onAction(action, value === UNASSIGNED ? null : value);
+  };
+
+  const handleConfirmDelete = async () => {
+    await onAction(BULK_ACTIONS.DELETE);
+    setIsConfirmOpen(false);
+  };
+
+  return (
+    <>
+      <div
+        role="toolbar"
+        aria-label="Bulk actions"
+        className="sticky top-0 z-20 flex flex-wrap items-center gap-2 bg-secondary border border-accent-primary rounded-lg px-4 py-3 shadow-md"
+      >
+        <span className="text-sm font-semibold text-text-primary mr-2">
+          {count} selected
+        </span>
+
+        <select
+          value=""
+          onChange={handleSelect(BULK_ACTIONS.SET_STATUS)}
+          disabled={loading}
+          className={selectClassName}
+          aria-label="Set status"
+        >
+          <option value="">Set status…</option>
+          {STATUS_OPTIONS.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+
+        <select
+          value=""
+          onChange={handleSelect(BULK_ACTIONS.SET_PRIORITY)}
+          disabled={loading}
+          className={selectClassName}
+          aria-label="Set priority"
+        >
+          <option value="">Set priority…</option>
+          {PRIORITY_OPTIONS.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+
+        <select
+          value=""
+          onChange={handleSelect(BULK_ACTIONS.SET_ASSIGNEE)}
+          disabled={loading}
+          className={selectClassName}
+          aria-label="Set assignee"
+        >
+          <option value="">Assign to…</option>
+          <option value={UNASSIGNED}>Unassigned</option>
+          {users.map((user) => (
+            <option key={user._id} value={user._id}>
+              {user.name}
+            </option>
+          ))}
+        </select>
+
+        {labels.length > 0 && (
+          <select
+            value=""
+            onChange={handleSelect(BULK_ACTIONS.ADD_LABELS)}
+            disabled={loading}
+            className={selectClassName}
+            aria-label="Add label"
+          >
+            <option value="">Add label…</option>
+            {labels.map((label) => (
+              <option key={label._id} value={label._id}>
+                {label.name}
+              </option>
+            ))}
+          </select>
+        )}
+
+        <Button
+          variant="danger"
+          size="sm"
+          onClick={() => setIsConfirmOpen(true)}
+          disabled={loading}
+        >
+          <Trash2 size={14} className="mr-1" />
+          Delete
+        </Button>
+
+        <Button
+          variant="ghost"
+          size="sm"
+          onClick={onClear}
+          disabled={loading}
+          className="ml-auto"
+          aria-label="Clear selection"
+        >
+          <X size={16} />
+        </Button>
+      </div>
+
+      <Modal
+        isOpen={isConfirmOpen}
+        onClose={() => setIsConfirmOpen(false)}
+        title="Delete Bugs"
+        size="sm"
+      >
+        <div className="space-y-4">
+          <p className="text-text-secondary">
+            Delete {count} selected {count === 1 ? 'bug' : 'bugs'}? Bugs you are not allowed
+            to delete are skipped. Deleted bugs go to the trash.
+          </p>
+          <div className="flex gap-3 justify-end pt-2">
+            <Button
+              variant="secondary"
+              onClick={() => setIsConfirmOpen(false)}
+              disabled={loading}
+            >
+              Cancel
+            </Button>
+            <Button
+              variant="danger"
+              onClick={handleConfirmDelete}
+              loading={loading}
+              disabled={loading}
+            >
+              Delete {count}
+            </Button>
+          </div>
+        </div>
+      </Modal>
+    </>
+  );
+};
+
+BulkActionBar.propTypes = {
+  count: PropTypes.number.isRequired,
+  onAction: PropTypes.func.isRequired,
+  onClear: PropTypes.func.isRequired,
+  loading: PropTypes.bool,
+};
+
+export default BulkActionBar;
@@ -30,7 +30,7 @@ const DeleteConfirm = ({ isOpen, onClose, onConfirm, bugTitle, loading }) => {
             </p>
           )}
           <p className="text-sm text-text-tertiary mt-3">
-            This action cannot be undone.
+            It goes to the trash, and you can undo this right after.
           </p>
         </div>
 
@@ -0,0 +1,87 @@
+/**
+ * LabelPicker Component
+ * Toggleable label chips for tagging a bug
+ */
+
+import PropTypes from 'prop-types';
+import { Check } from 'lucide-react';
+import { cn, getLabelTextColor } from '../../utils/helpers';
+import { VALIDATION_RULES } from '../../utils/constants';
+
+const LabelPicker = ({ labels, value = [], onChange, error }) => {
+  const max = VALIDATION_RULES.LABEL.MAX_PER_BUG;
+  const atLimit = value.length >= max;
+
+  const toggle = (id) => {
+    onChange(value.includes(id) ? value.filter((labelId) => labelId !== id) : [...value, id]);
+  };
+
+  return (
+    <div className="w-full">
+      <div className="flex items-center justify-between mb-1.5">
+        <span id="label-picker-heading" className="text-sm font-medium text-text-primary">
+          Labels
+        </span>
+        {value.length > 0 && (
+          <span className="text-xs text-text-tertiary">
+            {value.length}/{max}
+          </span>
+        )}
+      </div>
+
+      {labels.length === 0 ? (
+        <p className="text-sm text-text-tertiary">No labels yet. An admin can create them.</p>
+      ) : (
+        <div role="group" aria-labelledby="label-picker-heading" className="flex flex-wrap gap-2">
+          {labels.map((label) => {
+            const selected = value.includes(label._id);
+
+            return (
+              <button
+                key={label._id}
+                type="button"
+                aria-pressed={selected}
+                disabled={!selected && atLimit}
+                onClick={() => toggle(label._id)}
+                className={cn(
+                  'inline-flex items-center gap-1 px-2.5 py-1 text-xs font-medium rounded-full border transition-opacity',
+                  'disabled:opacity-40 disabled:cursor-not-allowed',
+                  !selected && 'bg-transparent text-text-secondary hover:bg-tertiary'
+                )}
+                style={
+                  selected
+                    ? {
+                      backgroundColor: label.color,
+                      borderColor: label.color,
+                      color: getLabelTextColor(label.color),
+                    }
+                    : { borderColor: label.color }
+                }
+              >
+                {selected && <Check size={12} />}
+                {label.name}
+              </button>
+            );
+          })}
+        </div>
+      )}
+
+      {error && <p className="mt-1.5 text-sm text-accent-danger">{error}</p>}
+    </div>
+  );
+};
+
+LabelPicker.propTypes = {
+  labels: PropTypes.arrayOf(
+    PropTypes.shape({
+      _id: PropTypes.string.isRequired,
+      name: PropTypes.string.isRequired,
+      color: PropTypes.string.isRequired,
+    })
+  ).isRequired,
+  value: PropTypes.arrayOf(PropTypes.string),
+  onChange: PropTypes.func.isRequired,
+  error: PropTypes.string,
+};
+
+export default LabelPicker;
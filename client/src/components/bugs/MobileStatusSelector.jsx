@@ -35,7 +35,13 @@ const STATUS_OPTIONS = [
   },
 ];
 
-const MobileStatusSelector = ({ isOpen, onClose, currentStatus, onStatusChange }) => {
+const MobileStatusSelector = ({
+  isOpen,
+  onClose,
+  currentStatus,
+  allowedStatuses,
+  onStatusChange,
+}) => {
   if (!isOpen) return null;
 
   const handleStatusClick = (status) => {
@@ -72,11 +78,14 @@ const MobileStatusSelector = ({ isOpen, onClose, currentStatus, onStatusChange }
         <div className="space-y-3 mb-6">
           {STATUS_OPTIONS.map((option) => {
             const isSelected = option.value === currentStatus;
+            const isDisabled =
+              !isSelected && !!allowedStatuses && !allowedStatuses.includes(option.value);
 
             return (
               <button
                 key={option.value}
                 onClick={() => handleStatusClick(option.value)}
+                disabled={isDisabled}
                 className={`
                   w-full text-left p-4 rounded-lg border-2 transition-all
                   ${
@@ -84,6 +93,7 @@ const MobileStatusSelector = ({ isOpen, onClose, currentStatus, onStatusChange }
                       ? 'border-primary bg-primary/10'
                       : 'border-border hover:border-primary/50 hover:bg-tertiary'
                   }
+                  ${isDisabled ? 'opacity-50 cursor-not-allowed hover:border-border hover:bg-transparent' : ''}
                 `}
               >
                 <div className="flex items-center justify-between mb-2">
@@ -120,6 +130,7 @@ MobileStatusSelector.propTypes = {
   isOpen: PropTypes.bool.isRequired,
   onClose: PropTypes.func.isRequired,
   currentStatus: PropTypes.string,
+  allowedStatuses: PropTypes.arrayOf(PropTypes.string),
   onStatusChange: PropTypes.func.isRequired,
 };
 
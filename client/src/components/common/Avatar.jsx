@@ -0,0 +1,39 @@
+/**
+ * Avatar Component
+ * Circular initials badge for a user
+ */
+
+import PropTypes from 'prop-types';
+import { cn } from '../../utils/helpers';
+import { getInitials } from '../../utils/formatters';
+
+const Avatar = ({ name, size = 'md', className = '' }) => {
+  const sizeStyles = {
+    sm: 'h-6 w-6 text-[10px]',
+    md: 'h-8 w-8 text-xs',
+    lg: 'h-10 w-10 text-sm',
+  };
+
+  return (
+    <span
+      className={cn(
+        'inline-flex items-center justify-center rounded-full font-semibold',
+        'bg-accent-primary/20 text-accent-primary border border-accent-primary/30',
+        sizeStyles[size],
+        className
+      )}
+      title={name}
+      aria-label={name}
+    >
+      {getInitials(name) || '?'}
+    </span>
+  );
+};
+
+Avatar.propTypes = {
+  name: PropTypes.string,
+  size: PropTypes.oneOf(['sm', 'md', 'lg']),
+  className: PropTypes.string,
+};
+
+export default Avatar;
@@ -1,13 +1,19 @@
 /**
  * Badge Component
- * Displays status, priority, or severity badges
+ * Displays status, priority, severity, or SLA badges
  */
 
 import PropTypes from 'prop-types';
-import { cn, getStatusColor, getPriorityColor, getSeverityColor } from '../../utils/helpers';
+import {
+  cn,
+  getStatusColor,
+  getPriorityColor,
+  getSeverityColor,
+  getSlaColor,
+} from '../../utils/helpers';
 import { capitalize } from '../../utils/formatters';
 
-const Badge = ({ children, variant, type = 'status', size = 'md', className = '' }) => {
+const Badge = ({ children, variant, type = 'status', size = 'md', className = '', title }) => {
   const sizeStyles = {
     sm: 'px-2 py-0.5 text-xs',
     md: 'px-2.5 py-1 text-sm',
@@ -18,6 +24,7 @@ const Badge = ({ children, variant, type = 'status', size = 'md', className = ''
     if (type === 'status') return getStatusColor(variant);
     if (type === 'priority') return getPriorityColor(variant);
     if (type === 'severity') return getSeverityColor(variant);
+    if (type === 'sla') return getSlaColor(variant);
     return 'bg-secondary text-text-primary border-border';
   };
 
@@ -29,6 +36,7 @@ const Badge = ({ children, variant, type = 'status', size = 'md', className = ''
         sizeStyles[size],
         className
       )}
+      title={title}
     >
       {children || capitalize(variant)}
     </span>
@@ -38,9 +46,10 @@ const Badge = ({ children, variant, type = 'status', size = 'md', className = ''
 Badge.propTypes = {
   children: PropTypes.node,
   variant: PropTypes.string,
-  type: PropTypes.oneOf(['status', 'priority', 'severity']),
+  type: PropTypes.oneOf(['status', 'priority', 'severity', 'sla']),
   size: PropTypes.oneOf(['sm', 'md', 'lg']),
   className: PropTypes.string,
+  title: PropTypes.string,
 };
 
 export default Badge;
@@ -0,0 +1,44 @@
+/**
+ * ConnectionStatus Component
+ * Shows whether the app is online, and how many offline changes are waiting to sync
+ */
+
+import { Wifi, WifiOff, RefreshCw } from 'lucide-react';
+import { useOnlineStatus } from '../../hooks/useOnlineStatus';
+import { useBugContext } from '../../context/BugContext';
+import { cn } from '../../utils/helpers';
+
+const ConnectionStatus = () => {
+  const online = useOnlineStatus();
+  const { state } = useBugContext();
+  const { queued, syncing } = state;
+
+  const queuedText = queued > 0 ? `${queued} ${queued === 1 ? 'change' : 'changes'} queued` : '';
+
+  let Icon = Wifi;
+  let label = 'Online';
+  if (!online) {
+    Icon = WifiOff;
+    label = 'Offline';
+  } else if (syncing) {
+    Icon = RefreshCw;
+    label = 'Syncing...';
+  }
+
+  return (
+    <div
+      role="status"
+      title={queuedText || label}
+      className={cn(
+        'flex items-center gap-2 px-3 py-2 rounded-lg text-sm',
+        online ? 'bg-tertiary text-text-secondary' : 'bg-accent-danger/10 text-accent-danger'
+      )}
+    >
+      <Icon size={16} className={cn(syncing && online && 'animate-spin')} aria-hidden="true" />
+      <span className={cn(online && !queued && 'hidden lg:inline')}>{label}</span>
+      {queued > 0 && <span className="hidden sm:inline">· {queuedText}</span>}
+    </div>
+  );
+};
+
+export default ConnectionStatus;
@@ -0,0 +1,32 @@
+/**
+ * Highlight Component
+ * Renders search-result text with matched terms marked
+ */
+
+import PropTypes from 'prop-types';
+
+const Highlight = ({ segments, fallback = '' }) => {
+  if (!segments || segments.length === 0) return fallback;
+
+  return segments.map((segment, index) =>
+    segment.match ? (
+      <mark key={index} className="bg-accent-warning/30 text-inherit rounded-sm px-0.5">
+        {segment.text}
+      </mark>
+    ) : (
+      <span key={index}>{segment.text}</span>
+    )
+  );
+};
+
+Highlight.propTypes = {
+  segments: PropTypes.arrayOf(
+    PropTypes.shape({
+      text: PropTypes.string.isRequired,
+      match: PropTypes.bool,
+    })
+  ),
+  fallback: PropTypes.node,
+};
+
+export default Highlight;
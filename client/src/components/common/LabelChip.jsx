@@ -0,0 +1,34 @@
+/**
+ * LabelChip Component
+ * Colored chip for a bug label
+ */
+
+import PropTypes from 'prop-types';
+import { cn, getLabelTextColor } from '../../utils/helpers';
+
+const LabelChip = ({ label, size = 'sm', className = '' }) => {
+  const sizeStyles = {
+    sm: 'px-2 py-0.5 text-xs',
+    md: 'px-2.5 py-1 text-sm',
+  };
+
+  return (
+    <span
+      className={cn('inline-flex items-center font-medium rounded-full', sizeStyles[size], className)}
+      style={{ backgroundColor: label.color, color: getLabelTextColor(label.color) }}
+    >
+      {label.name}
+    </span>
+  );
+};
+
+LabelChip.propTypes = {
+  label: PropTypes.shape({
+    name: PropTypes.string.isRequired,
+    color: PropTypes.string.isRequired,
+  }).isRequired,
+  size: PropTypes.oneOf(['sm', 'md']),
+  className: PropTypes.string,
+};
+
+export default LabelChip;
@@ -0,0 +1,50 @@
+/**
+ * RetryToast Component
+ * Error toast with a Retry button, for changes that failed to save
+ */
+
+import PropTypes from 'prop-types';
+import { toast } from 'react-hot-toast';
+import { RotateCcw } from 'lucide-react';
+
+const RetryToast = ({ message, onRetry, onDismiss }) => {
+  const handleRetry = () => {
+    onDismiss();
+    onRetry();
+  };
+
+  return (
+    <span className="flex items-center gap-3">
+      <span>{message}</span>
+      <button
+        type="button"
+        onClick={handleRetry}
+        className="flex items-center gap-1 px-2 py-1 text-sm font-medium rounded border border-border hover:bg-tertiary transition-colors"
+      >
+        <RotateCcw size={14} />
+        Retry
+      </button>
+    </span>
+  );
+};
+
+RetryToast.propTypes = {
+  message: PropTypes.string.isRequired,
+  onRetry: PropTypes.func.isRequired,
+  onDismiss: PropTypes.func.isRequired,
+};
+
+/**
+ * Show an error toast that offers to run the failed action again
+ * @param {string} message - Error message
+ * @param {Function} onRetry - Runs the action again
+ * @returns {string} Toast ID
+ */
+export const showRetryToast = (message, onRetry) =>
+  toast.error(
+    (t) => <RetryToast message={message} onRetry={onRetry} onDismiss={() => toast.dismiss(t.id)} />,
+    // Stay up long enough to reach the button
+    { duration: 8000 }
+  );
+
+export default RetryToast;
@@ -0,0 +1,50 @@
+/**
+ * UndoToast Component
+ * Success toast with an Undo button, for changes that can be taken back
+ */
+
+import PropTypes from 'prop-types';
+import { toast } from 'react-hot-toast';
+import { Undo2 } from 'lucide-react';
+
+const UndoToast = ({ message, onUndo, onDismiss }) => {
+  const handleUndo = () => {
+    onDismiss();
+    onUndo();
+  };
+
+  return (
+    <span className="flex items-center gap-3">
+      <span>{message}</span>
+      <button
+        type="button"
+        onClick={handleUndo}
+        className="flex items-center gap-1 px-2 py-1 text-sm font-medium rounded border border-border hover:bg-tertiary transition-colors"
+      >
+        <Undo2 size={14} />
+        Undo
+      </button>
+    </span>
+  );
+};
+
+UndoToast.propTypes = {
+  message: PropTypes.string.isRequired,
+  onUndo: PropTypes.func.isRequired,
+  onDismiss: PropTypes.func.isRequired,
+};
+
+/**
+ * Show a success toast that offers to undo the action
+ * @param {string} message - Success message
+ * @param {Function} onUndo - Reverses the action
+ * @returns {string} Toast ID
+ */
+export const showUndoToast = (message, onUndo) =>
+  toast.success(
+    (t) => <UndoToast message={message} onUndo={onUndo} onDismiss={() => toast.dismiss(t.id)} />,
+    // Stay up long enough to reach the button
+    { duration: 8000 }
+  );
+
+export default UndoToast;
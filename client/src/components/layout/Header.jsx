@@ -1,14 +1,15 @@
 /**
  * Header Component
- * Top navigation header with user info and logout
+ * Top navigation header with connection status, user info and logout
  */
 
 import PropTypes from 'prop-types';
-import { Menu, Plus, LogOut, User } from 'lucide-react';
+import { Menu, Plus, LogOut, User, Upload } from 'lucide-react';
 import { useAuth } from '../../context/AuthContext';
 import Button from '../common/Button';
+import ConnectionStatus from '../common/ConnectionStatus';
 
-const Header = ({ onCreateBug, onToggleMobileMenu }) => {
+const Header = ({ onCreateBug, onImportBugs, onToggleMobileMenu }) => {
   const { user, logout } = useAuth();
 
   return (
@@ -36,6 +37,8 @@ const Header = ({ onCreateBug, onToggleMobileMenu }) => {
 
         {/* Actions */}
         <div className="flex items-center gap-3">
+          <ConnectionStatus />
+
           {/* User Info */}
           {user && (
             <div className="hidden md:flex items-center gap-2 px-3 py-2 bg-tertiary rounded-lg">
@@ -44,6 +47,19 @@ const Header = ({ onCreateBug, onToggleMobileMenu }) => {
             </div>
           )}
 
+          {onImportBugs && (
+            <Button
+              onClick={onImportBugs}
+              variant="secondary"
+              size="md"
+              className="flex items-center gap-2"
+              title="Import bugs from a CSV or JSON file"
+            >
+              <Upload size={18} />
+              <span className="hidden sm:inline">Import</span>
+            </Button>
+          )}
+
           <Button
             onClick={onCreateBug}
             variant="primary"
@@ -72,6 +88,7 @@ const Header = ({ onCreateBug, onToggleMobileMenu }) => {
 
 Header.propTypes = {
   onCreateBug: PropTypes.func.isRequired,
+  onImportBugs: PropTypes.func,
   onToggleMobileMenu: PropTypes.func,
 };
 
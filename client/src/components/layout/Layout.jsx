@@ -7,9 +7,11 @@ import { useState } from 'react';
 import PropTypes from 'prop-types';
 import Sidebar from './Sidebar';
 import MobileMenu from './MobileMenu';
+import { useProjects } from '../../context/ProjectContext';
 
 const Layout = ({ children }) => {
   const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
+  const { currentProjectId } = useProjects();
 
   const toggleMobileMenu = () => setIsMobileMenuOpen(!isMobileMenuOpen);
   const closeMobileMenu = () => setIsMobileMenuOpen(false);
@@ -24,8 +26,8 @@ const Layout = ({ children }) => {
       {/* Mobile Menu */}
       <MobileMenu isOpen={isMobileMenuOpen} onClose={closeMobileMenu} />
 
-      {/* Main Content */}
-      <main className="flex-1 md:ml-64">
+      {/* Main Content (remounted on project switch so pages reload their data) */}
+      <main key={currentProjectId || 'default'} className="flex-1 md:ml-64">
         {children({ toggleMobileMenu })}
       </main>
     </div>
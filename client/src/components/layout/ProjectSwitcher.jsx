@@ -0,0 +1,137 @@
+/**
+ * ProjectSwitcher Component
+ * Picks the project the board and statistics work in, and creates new projects
+ */
+
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { FolderKanban, Plus } from 'lucide-react';
+import { useProjects } from '../../context/ProjectContext';
+import Button from '../common/Button';
+import Input from '../common/Input';
+import Modal from '../common/Modal';
+import Textarea from '../common/Textarea';
+import { cn } from '../../utils/helpers';
+import { PROJECT_ROLE_LABELS, VALIDATION_RULES } from '../../utils/constants';
+
+const EMPTY_FORM = { name: '', description: '' };
+
+const ProjectSwitcher = ({ onSwitch }) => {
+  const { projects, currentProject, selectProject, createProject } = useProjects();
+  const [isCreateOpen, setIsCreateOpen] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+
+  if (!currentProject) return null;
+
+  const name = form.name.trim();
+  const { NAME_MIN_LENGTH, NAME_MAX_LENGTH, DESCRIPTION_MAX_LENGTH } = VALIDATION_RULES.PROJECT;
+
+  const handleChange = (e) => {
+    selectProject(e.target.value);
+    onSwitch?.();
+  };
+
+  const closeCreate = () => {
+    setIsCreateOpen(false);
+    setForm(EMPTY_FORM);
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (name.length < NAME_MIN_LENGTH) return;
+
+    setSaving(true);
+    const created = await createProject({ name, description: form.description.trim() });
+    setSaving(false);
+
+    if (created) {
+      closeCreate();
+      onSwitch?.();
+    }
+  };
+
+  return (
+    <div className="px-4 pt-4">
+      <div className="flex items-center justify-between mb-1.5">
+        <label
+          htmlFor="project-switcher"
+          className="flex items-center gap-2 text-xs font-semibold uppercase tracking-wide text-text-tertiary"
+        >
+          <FolderKanban size={14} />
+          Project
+        </label>
+        <Button
+          size="sm"
+          variant="ghost"
+          onClick={() => setIsCreateOpen(true)}
+          aria-label="New project"
+        >
+          <Plus size={16} />
+        </Button>
+      </div>
+
+      <select
+        id="project-switcher"
+        value={currentProject._id}
+        onChange={handleChange}
+        className={cn(
+          'w-full px-3 py-2 bg-primary border border-border rounded-lg text-sm text-text-primary',
+          'focus:outline-none focus:ring-2 focus:ring-accent-primary cursor-pointer'
+        )}
+      >
+        {projects.map((project) => (
+          <option key={project._id} value={project._id}>
+            {project.name}
+          </option>
+        ))}
+      </select>
+      <p className="mt-1 text-xs text-text-tertiary">
+        Your role: {PROJECT_ROLE_LABELS[currentProject.role] || currentProject.role}
+      </p>
+
+      <Modal isOpen={isCreateOpen} onClose={closeCreate} title="New Project" size="sm">
+        <form onSubmit={handleCreate} className="space-y-4">
+          <Input
+            id="project-name"
+            label="Name"
+            value={form.name}
+            maxLength={NAME_MAX_LENGTH}
+            onChange={(e) => setForm((prev) => ({ ...prev, name: e.target.value }))}
+            placeholder="e.g. Mobile App"
+            required
+          />
+          <Textarea
+            id="project-description"
+            label="Description"
+            rows={3}
+            value={form.description}
+            maxLength={DESCRIPTION_MAX_LENGTH}
+            onChange={(e) => setForm((prev) => ({ ...prev, description: e.target.value }))}
+          />
+          <p className="text-xs text-text-tertiary">
+            You become the project&apos;s admin. Bugs filed while it is selected belong to it.
+          </p>
+          <div className="flex gap-3 justify-end pt-2">
+            <Button variant="secondary" onClick={closeCreate} disabled={saving}>
+              Cancel
+            </Button>
+            <Button
+              type="submit"
+              loading={saving}
+              disabled={saving || name.length < NAME_MIN_LENGTH}
+            >
+              Create project
+            </Button>
+          </div>
+        </form>
+      </Modal>
+    </div>
+  );
+};
+
+ProjectSwitcher.propTypes = {
+  onSwitch: PropTypes.func,
+};
+
+export default ProjectSwitcher;
@@ -4,16 +4,29 @@
  */
 
 import PropTypes from 'prop-types';
-import { Bug, BarChart3 } from 'lucide-react';
+import { Bug, BarChart3, ShieldCheck, Tag } from 'lucide-react';
 import { NavLink } from 'react-router-dom';
+import { useAuth } from '../../context/AuthContext';
+import ProjectSwitcher from './ProjectSwitcher';
 import { cn } from '../../utils/helpers';
+import { USER_ROLES } from '../../utils/constants';
 
 const Sidebar = ({ onClose }) => {
+  const { user } = useAuth();
+
   const navItems = [
     { to: '/', label: 'Bug Board', icon: Bug },
     { to: '/stats', label: 'Statistics', icon: BarChart3 },
   ];
 
+  if (user?.role === USER_ROLES.ADMIN) {
+    navItems.push(
+      // `end` keeps Users from also highlighting on /admin/labels
+      { to: '/admin', label: 'Users', icon: ShieldCheck, end: true },
+      { to: '/admin/labels', label: 'Labels', icon: Tag }
+    );
+  }
+
   return (
     <div className="h-full flex flex-col bg-secondary border-r border-border">
       {/* Logo/Brand */}
@@ -27,12 +40,16 @@ const Sidebar = ({ onClose }) => {
         </div>
       </div>
 
+      {/* Project */}
+      <ProjectSwitcher onSwitch={onClose} />
+
       {/* Navigation */}
       <nav className="flex-1 p-4 space-y-2">
         {navItems.map((item) => (
           <NavLink
             key={item.to}
             to={item.to}
+            end={item.end}
             onClick={onClose}
             className={({ isActive }) =>
               cn(
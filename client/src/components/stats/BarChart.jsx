@@ -0,0 +1,73 @@
+/**
+ * BarChart Component
+ * Horizontal bar chart for a small set of labelled counts
+ * `color` is a Tailwind class, or a hex color for data-driven colors such as labels
+ */
+
+import PropTypes from 'prop-types';
+import { cn } from '../../utils/helpers';
+
+const isHexColor = (color) => color?.startsWith('#');
+
+const BarChart = ({ title, data, emptyMessage = 'No data' }) => {
+  const total = data.reduce((sum, item) => sum + item.value, 0);
+  const max = Math.max(...data.map((item) => item.value), 1);
+
+  return (
+    <div className="bg-secondary border border-border rounded-lg p-4">
+      <h3 className="text-sm font-semibold text-text-primary mb-4">{title}</h3>
+      {data.length === 0 && <p className="text-sm text-text-tertiary">{emptyMessage}</p>}
+      <ul className="space-y-3">
+        {data.map((item) => {
+          const share = total ? Math.round((item.value / total) * 100) : 0;
+
+          return (
+            <li key={item.key}>
+              <div className="flex items-center justify-between text-xs mb-1">
+                <span className="text-text-secondary">{item.label}</span>
+                <span className="text-text-primary font-medium">
+                  {item.value}
+                  <span className="text-text-tertiary font-normal"> ({share}%)</span>
+                </span>
+              </div>
+              <div
+                className="h-2 bg-tertiary rounded-full overflow-hidden"
+                role="meter"
+                aria-label={`${title}: ${item.label}`}
+                aria-valuemin={0}
+                aria-valuemax={max}
+                aria-valuenow={item.value}
+              >
+                <div
+                  className={cn(
+                    'h-full rounded-full transition-all duration-300',
+                    !isHexColor(item.color) && item.color
+                  )}
+                  style={{
+                    width: `${(item.value / max) * 100}%`,
+                    ...(isHexColor(item.color) && { backgroundColor: item.color }),
+                  }}
+                />
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+BarChart.propTypes = {
+  title: PropTypes.string.isRequired,
+  data: PropTypes.arrayOf(
+    PropTypes.shape({
+      key: PropTypes.string.isRequired,
+      label: PropTypes.string.isRequired,
+      value: PropTypes.number.isRequired,
+      color: PropTypes.string,
+    })
+  ).isRequired,
+  emptyMessage: PropTypes.string,
+};
+
+export default BarChart;
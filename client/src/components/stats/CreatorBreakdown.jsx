@@ -0,0 +1,80 @@
+/**
+ * CreatorBreakdown Component
+ * Top reporters with a stacked bar of their bugs by status
+ */
+
+import PropTypes from 'prop-types';
+import Avatar from '../common/Avatar';
+import { cn } from '../../utils/helpers';
+import { BUG_STATUS, STATUS_LABELS } from '../../utils/constants';
+
+const STATUS_ORDER = Object.values(BUG_STATUS);
+
+const CreatorBreakdown = ({ creators, statusColors }) => {
+  return (
+    <div className="bg-secondary border border-border rounded-lg p-4">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+        <h3 className="text-sm font-semibold text-text-primary">Top reporters</h3>
+        <div className="flex flex-wrap gap-3 text-xs text-text-secondary">
+          {STATUS_ORDER.map((status) => (
+            <span key={status} className="inline-flex items-center gap-1.5">
+              <span className={cn('w-2 h-2 rounded-full', statusColors[status])} />
+              {STATUS_LABELS[status]}
+            </span>
+          ))}
+        </div>
+      </div>
+
+      {creators.length === 0 ? (
+        <p className="text-sm text-text-tertiary">No bugs reported in this period</p>
+      ) : (
+        <ul className="space-y-3">
+          {creators.map((creator) => {
+            // createdBy is optional when a creator account is linked
+            const name = creator.createdBy || 'Unknown';
+
+            return (
+              <li key={name} className="flex items-center gap-3">
+                <Avatar name={name} size="sm" />
+                <div className="flex-1 min-w-0">
+                  <div className="flex items-center justify-between text-xs mb-1">
+                    <span className="text-text-primary truncate">{name}</span>
+                    <span className="text-text-secondary">{creator.total}</span>
+                  </div>
+                  <div className="flex h-2 bg-tertiary rounded-full overflow-hidden">
+                    {STATUS_ORDER.map((status) => {
+                      const count = creator.byStatus?.[status] || 0;
+                      if (!count) return null;
+
+                      return (
+                        <div
+                          key={status}
+                          className={statusColors[status]}
+                          style={{ width: `${(count / creator.total) * 100}%` }}
+                          title={`${STATUS_LABELS[status]}: ${count}`}
+                        />
+                      );
+                    })}
+                  </div>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+CreatorBreakdown.propTypes = {
+  creators: PropTypes.arrayOf(
+    PropTypes.shape({
+      createdBy: PropTypes.string,
+      total: PropTypes.number.isRequired,
+      byStatus: PropTypes.object,
+    })
+  ).isRequired,
+  statusColors: PropTypes.object.isRequired,
+};
+
+export default CreatorBreakdown;
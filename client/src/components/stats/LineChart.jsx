@@ -0,0 +1,101 @@
+/**
+ * LineChart Component
+ * Lightweight SVG line chart for one or more series over shared buckets
+ */
+
+import PropTypes from 'prop-types';
+import { cn } from '../../utils/helpers';
+
+const WIDTH = 600;
+const HEIGHT = 160;
+
+const LineChart = ({ title, description, labels, series }) => {
+  const max = Math.max(1, ...series.flatMap((line) => line.values));
+  const step = labels.length > 1 ? WIDTH / (labels.length - 1) : 0;
+
+  const toPoints = (values) =>
+    values
+      .map((value, index) => `${index * step},${HEIGHT - (value / max) * HEIGHT}`)
+      .join(' ');
+
+  return (
+    <div className="bg-secondary border border-border rounded-lg p-4">
+      <div className="flex flex-wrap items-start justify-between gap-2 mb-4">
+        <div>
+          <h3 className="text-sm font-semibold text-text-primary">{title}</h3>
+          {description && <p className="text-xs text-text-tertiary mt-0.5">{description}</p>}
+        </div>
+        <div className="flex flex-wrap gap-3 text-xs text-text-secondary">
+          {series.map((line) => (
+            <span key={line.key} className="inline-flex items-center gap-1.5">
+              <span className={cn('w-3 h-0.5 rounded-full', line.swatch)} />
+              {line.label}
+              <span className="text-text-primary font-medium">
+                {line.values[line.values.length - 1] ?? 0}
+              </span>
+            </span>
+          ))}
+        </div>
+      </div>
+
+      <div className="flex gap-2">
+        <div className="flex flex-col justify-between text-[10px] text-text-tertiary text-right w-6">
+          <span>{max}</span>
+          <span>0</span>
+        </div>
+        <svg
+          viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+          preserveAspectRatio="none"
+          className="flex-1 h-40 overflow-visible"
+          role="img"
+          aria-label={title}
+        >
+          <line
+            x1="0"
+            y1={HEIGHT}
+            x2={WIDTH}
+            y2={HEIGHT}
+            className="stroke-border"
+            vectorEffect="non-scaling-stroke"
+          />
+          {series.map((line) => (
+            <polyline
+              key={line.key}
+              points={toPoints(line.values)}
+              fill="none"
+              strokeWidth="2"
+              strokeLinejoin="round"
+              className={line.stroke}
+              vectorEffect="non-scaling-stroke"
+              data-testid={`series-${line.key}`}
+            />
+          ))}
+        </svg>
+      </div>
+
+      {labels.length > 0 && (
+        <div className="flex justify-between text-[10px] text-text-tertiary mt-1 ml-8">
+          <span>{labels[0]}</span>
+          <span>{labels[labels.length - 1]}</span>
+        </div>
+      )}
+    </div>
+  );
+};
+
+LineChart.propTypes = {
+  title: PropTypes.string.isRequired,
+  description: PropTypes.string,
+  labels: PropTypes.arrayOf(PropTypes.string).isRequired,
+  series: PropTypes.arrayOf(
+    PropTypes.shape({
+      key: PropTypes.string.isRequired,
+      label: PropTypes.string.isRequired,
+      values: PropTypes.arrayOf(PropTypes.number).isRequired,
+      stroke: PropTypes.string.isRequired,
+      swatch: PropTypes.string.isRequired,
+    })
+  ).isRequired,
+};
+
+export default LineChart;
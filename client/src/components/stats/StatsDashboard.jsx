@@ -0,0 +1,236 @@
+/**
+ * StatsDashboard Component
+ * Bug statistics with charts, trends, a reporter breakdown and a date range selector
+ */
+
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { Menu, RefreshCw } from 'lucide-react';
+import { useBugStats, useBugTrends } from '../../hooks/useBugStats';
+import BarChart from './BarChart';
+import CreatorBreakdown from './CreatorBreakdown';
+import TrendsPanel from './TrendsPanel';
+import Button from '../common/Button';
+import Input from '../common/Input';
+import Loading from '../common/Loading';
+import { cn, toDateInputValue } from '../../utils/helpers';
+import {
+  BUG_STATUS,
+  BUG_PRIORITY,
+  BUG_SEVERITY,
+  STATUS_LABELS,
+  PRIORITY_LABELS,
+  SEVERITY_LABELS,
+} from '../../utils/constants';
+
+const STATUS_BAR_COLORS = {
+  [BUG_STATUS.OPEN]: 'bg-status-open',
+  [BUG_STATUS.IN_PROGRESS]: 'bg-status-progress',
+  [BUG_STATUS.RESOLVED]: 'bg-status-resolved',
+  [BUG_STATUS.CLOSED]: 'bg-status-closed',
+};
+
+const PRIORITY_BAR_COLORS = {
+  [BUG_PRIORITY.LOW]: 'bg-priority-low',
+  [BUG_PRIORITY.MEDIUM]: 'bg-priority-medium',
+  [BUG_PRIORITY.HIGH]: 'bg-priority-high',
+  [BUG_PRIORITY.CRITICAL]: 'bg-priority-critical',
+};
+
+const SEVERITY_BAR_COLORS = {
+  [BUG_SEVERITY.MINOR]: 'bg-severity-minor',
+  [BUG_SEVERITY.MAJOR]: 'bg-severity-major',
+  [BUG_SEVERITY.CRITICAL]: 'bg-severity-critical',
+};
+
+// Presets are "last N days", including today
+const RANGE_PRESETS = [
+  { label: '7 days', days: 7 },
+  { label: '30 days', days: 30 },
+  { label: '90 days', days: 90 },
+  { label: 'All time', days: null },
+];
+
+const presetRange = (days) => {
+  if (!days) return { from: '', to: '' };
+  const start = new Date();
+  start.setDate(start.getDate() - (days - 1));
+  return { from: toDateInputValue(start), to: toDateInputValue(new Date()) };
+};
+
+/**
+ * Turn a { value: count } map into chart rows, keeping every known value
+ */
+const toChartData = (counts = {}, labels, colors) =>
+  Object.keys(labels).map((key) => ({
+    key,
+    label: labels[key],
+    value: counts[key] || 0,
+    color: colors[key],
+  }));
+
+const StatCard = ({ label, value, accent }) => (
+  <div className="bg-secondary border border-border rounded-lg p-4">
+    <p className="text-xs text-text-tertiary uppercase tracking-wide">{label}</p>
+    <p className={cn('text-2xl font-bold mt-1', accent || 'text-text-primary')}>{value}</p>
+  </div>
+);
+
+StatCard.propTypes = {
+  label: PropTypes.string.isRequired,
+  value: PropTypes.number.isRequired,
+  accent: PropTypes.string,
+};
+
+const StatsDashboard = ({ toggleMobileMenu }) => {
+  const [range, setRange] = useState(() => presetRange(30));
+  const [trendInterval, setTrendInterval] = useState('day');
+  const { stats, loading, error, refetch } = useBugStats(range);
+  const trends = useBugTrends(range, trendInterval);
+
+  const handleRefresh = () => {
+    refetch();
+    trends.refetch();
+  };
+
+  const activePreset = RANGE_PRESETS.find((preset) => {
+    const candidate = presetRange(preset.days);
+    return candidate.from === range.from && candidate.to === range.to;
+  });
+
+  const byStatus = stats?.byStatus || {};
+  const unresolved = (byStatus[BUG_STATUS.OPEN] || 0) + (byStatus[BUG_STATUS.IN_PROGRESS] || 0);
+  const done = (byStatus[BUG_STATUS.RESOLVED] || 0) + (byStatus[BUG_STATUS.CLOSED] || 0);
+
+  return (
+    <div className="p-4 md:p-6 space-y-6">
+      <div className="flex flex-wrap items-start justify-between gap-4">
+        <div className="flex items-center gap-3">
+          {toggleMobileMenu && (
+            <button
+              onClick={toggleMobileMenu}
+              className="md:hidden p-2 rounded-lg hover:bg-tertiary transition-colors"
+              aria-label="Open menu"
+            >
+              <Menu size={24} className="text-text-primary" />
+            </button>
+          )}
+          <div>
+            <h1 className="text-2xl font-bold text-text-primary">Statistics</h1>
+            <p className="text-text-secondary text-sm mt-1">Bugs created in the selected period</p>
+          </div>
+        </div>
+
+        <div className="flex flex-wrap items-end gap-2">
+          <div className="flex rounded-lg border border-border overflow-hidden">
+            {RANGE_PRESETS.map((preset) => (
+              <button
+                key={preset.label}
+                onClick={() => setRange(presetRange(preset.days))}
+                className={cn(
+                  'px-3 py-2 text-sm transition-colors',
+                  activePreset === preset
+                    ? 'bg-accent-primary text-white'
+                    : 'bg-secondary text-text-secondary hover:bg-tertiary'
+                )}
+              >
+                {preset.label}
+              </button>
+            ))}
+          </div>
+          <div className="w-36">
+            <Input
+              id="stats-from"
+              type="date"
+              label="From"
+              value={range.from}
+              max={range.to || undefined}
+              onChange={(e) => setRange((prev) => ({ ...prev, from: e.target.value }))}
+            />
+          </div>
+          <div className="w-36">
+            <Input
+              id="stats-to"
+              type="date"
+              label="To"
+              value={range.to}
+              min={range.from || undefined}
+              onChange={(e) => setRange((prev) => ({ ...prev, to: e.target.value }))}
+            />
+          </div>
+          <Button variant="ghost" onClick={handleRefresh} disabled={loading} aria-label="Refresh statistics">
+            <RefreshCw size={18} className={cn(loading && 'animate-spin')} />
+          </Button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="bg-accent-danger/10 border border-accent-danger/30 rounded-lg p-4 text-sm text-accent-danger">
+          {error}
+        </div>
+      )}
+
+      {!stats && loading ? (
+        <Loading size="lg" />
+      ) : stats && (
+        <>
+          <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+            <StatCard label="Total" value={stats.total} />
+            <StatCard label="Unresolved" value={unresolved} accent="text-status-open" />
+            <StatCard
+              label="In progress"
+              value={byStatus[BUG_STATUS.IN_PROGRESS] || 0}
+              accent="text-status-progress"
+            />
+            <StatCard label="Resolved or closed" value={done} accent="text-status-resolved" />
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+            <BarChart
+              title="By status"
+              data={toChartData(stats.byStatus, STATUS_LABELS, STATUS_BAR_COLORS)}
+            />
+            <BarChart
+              title="By priority"
+              data={toChartData(stats.byPriority, PRIORITY_LABELS, PRIORITY_BAR_COLORS)}
+            />
+            <BarChart
+              title="By severity"
+              data={toChartData(stats.bySeverity, SEVERITY_LABELS, SEVERITY_BAR_COLORS)}
+            />
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+            <div className="lg:col-span-2">
+              <CreatorBreakdown creators={stats.byCreator || []} statusColors={STATUS_BAR_COLORS} />
+            </div>
+            <BarChart
+              title="By label"
+              emptyMessage="No labelled bugs in this period"
+              data={(stats.byLabel || []).map((label) => ({
+                key: label._id,
+                label: label.name,
+                value: label.count,
+                color: label.color,
+              }))}
+            />
+          </div>
+
+          <TrendsPanel
+            trends={trends.trends}
+            loading={trends.loading}
+            error={trends.error}
+            interval={trendInterval}
+            onIntervalChange={setTrendInterval}
+          />
+        </>
+      )}
+    </div>
+  );
+};
+
+StatsDashboard.propTypes = {
+  toggleMobileMenu: PropTypes.func,
+};
+
+export default StatsDashboard;
@@ -0,0 +1,161 @@
+/**
+ * TrendsPanel Component
+ * Burn-up and burn-down charts with time-to-resolution for a date range
+ */
+
+import PropTypes from 'prop-types';
+import LineChart from './LineChart';
+import Loading from '../common/Loading';
+import { cn } from '../../utils/helpers';
+import { formatBucketLabel, formatDuration } from '../../utils/formatters';
+
+const INTERVALS = [
+  { value: 'day', label: 'Daily' },
+  { value: 'week', label: 'Weekly' },
+];
+
+/**
+ * Running totals of a per-bucket series
+ */
+const cumulative = (values) => {
+  let total = 0;
+  return values.map((value) => {
+    total += value;
+    return total;
+  });
+};
+
+const TrendsPanel = ({ trends, loading, error, interval, onIntervalChange }) => {
+  const buckets = trends?.buckets || [];
+  const labels = buckets.map((bucket) => formatBucketLabel(bucket.start));
+  const totals = trends?.totals;
+  const backlogChange = totals ? totals.endingBacklog - totals.startingBacklog : 0;
+
+  return (
+    <section className="space-y-4" aria-label="Trends">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <h2 className="text-lg font-semibold text-text-primary">Trends</h2>
+        <div className="flex rounded-lg border border-border overflow-hidden">
+          {INTERVALS.map((option) => (
+            <button
+              key={option.value}
+              onClick={() => onIntervalChange(option.value)}
+              aria-pressed={interval === option.value}
+              className={cn(
+                'px-3 py-1.5 text-sm transition-colors',
+                interval === option.value
+                  ? 'bg-accent-primary text-white'
+                  : 'bg-secondary text-text-secondary hover:bg-tertiary'
+              )}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {error && (
+        <div className="bg-accent-danger/10 border border-accent-danger/30 rounded-lg p-4 text-sm text-accent-danger">
+          {error}
+        </div>
+      )}
+
+      {!trends && loading ? (
+        <Loading />
+      ) : trends && (
+        <>
+          <div className="grid grid-cols-2 lg:grid-cols-4 gap-4 text-sm">
+            <div className="bg-secondary border border-border rounded-lg p-4">
+              <p className="text-xs text-text-tertiary uppercase tracking-wide">Opened</p>
+              <p className="text-xl font-bold text-text-primary mt-1">{totals.opened}</p>
+            </div>
+            <div className="bg-secondary border border-border rounded-lg p-4">
+              <p className="text-xs text-text-tertiary uppercase tracking-wide">Resolved</p>
+              <p className="text-xl font-bold text-status-resolved mt-1">{totals.resolved}</p>
+            </div>
+            <div className="bg-secondary border border-border rounded-lg p-4">
+              <p className="text-xs text-text-tertiary uppercase tracking-wide">Backlog</p>
+              <p className="text-xl font-bold text-text-primary mt-1">
+                {totals.endingBacklog}
+                <span
+                  className={cn(
+                    'text-xs font-medium ml-2',
+                    backlogChange > 0 ? 'text-status-open' : 'text-status-resolved'
+                  )}
+                >
+                  {backlogChange > 0 ? `+${backlogChange}` : backlogChange}
+                </span>
+              </p>
+            </div>
+            <div className="bg-secondary border border-border rounded-lg p-4">
+              <p className="text-xs text-text-tertiary uppercase tracking-wide">
+                Mean time to resolve
+              </p>
+              <p className="text-xl font-bold text-text-primary mt-1">
+                {formatDuration(totals.meanTimeToResolutionHours)}
+              </p>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+            <LineChart
+              title="Burn-up"
+              description="Bugs opened vs. resolved since the start of the range"
+              labels={labels}
+              series={[
+                {
+                  key: 'opened',
+                  label: 'Opened',
+                  values: cumulative(buckets.map((bucket) => bucket.opened)),
+                  stroke: 'stroke-status-open',
+                  swatch: 'bg-status-open',
+                },
+                {
+                  key: 'resolved',
+                  label: 'Resolved',
+                  values: cumulative(buckets.map((bucket) => bucket.resolved)),
+                  stroke: 'stroke-status-resolved',
+                  swatch: 'bg-status-resolved',
+                },
+              ]}
+            />
+            <LineChart
+              title="Burn-down"
+              description="Unresolved bugs at the end of each period"
+              labels={labels}
+              series={[
+                {
+                  key: 'backlog',
+                  label: 'Backlog',
+                  values: buckets.map((bucket) => bucket.backlog),
+                  stroke: 'stroke-status-progress',
+                  swatch: 'bg-status-progress',
+                },
+              ]}
+            />
+          </div>
+        </>
+      )}
+    </section>
+  );
+};
+
+TrendsPanel.propTypes = {
+  trends: PropTypes.shape({
+    buckets: PropTypes.arrayOf(
+      PropTypes.shape({
+        start: PropTypes.string.isRequired,
+        opened: PropTypes.number.isRequired,
+        resolved: PropTypes.number.isRequired,
+        backlog: PropTypes.number.isRequired,
+      })
+    ).isRequired,
+    totals: PropTypes.object.isRequired,
+  }),
+  loading: PropTypes.bool,
+  error: PropTypes.string,
+  interval: PropTypes.oneOf(['day', 'week']).isRequired,
+  onIntervalChange: PropTypes.func.isRequired,
+};
+
+export default TrendsPanel;
@@ -6,6 +6,7 @@
 import { createContext, useContext, useState, useEffect } from 'react';
 import { toast } from 'react-hot-toast';
 import * as authService from '../services/authService';
+import { clearOfflineData } from '../services/offlineStore';
 
 const AuthContext = createContext(null);
 
@@ -43,6 +44,12 @@ export const AuthProvider = ({ children }) => {
               setIsAuthenticated(false);
             }
           } catch (error) {
+            if (!error.response) {
+              // Offline: keep the stored session so queued changes can sync later
+              setUser(storedUser);
+              setIsAuthenticated(true);
+              return;
+            }
             // Token is invalid or expired
             await authService.logout();
             setUser(null);
@@ -64,6 +71,17 @@ export const AuthProvider = ({ children }) => {
     initAuth();
   }, []);
 
+  // The API client signals when the session can no longer be refreshed
+  useEffect(() => {
+    const handleSessionEnd = () => {
+      setUser(null);
+      setIsAuthenticated(false);
+    };
+
+    window.addEventListener('auth:logout', handleSessionEnd);
+    return () => window.removeEventListener('auth:logout', handleSessionEnd);
+  }, []);
+
   /**
    * Sign up a new user
    */
@@ -119,6 +137,9 @@ export const AuthProvider = ({ children }) => {
    * Logout user
    */
   const logout = async () => {
+    // Cached bugs and unsent changes belong to this user
+    clearOfflineData().catch((error) => console.error('Clear offline data error:', error));
+
     try {
       await authService.logout();
       setUser(null);
@@ -3,14 +3,30 @@
  * Global state management for bugs
  */
 
-import { createContext, useReducer, useContext } from 'react';
+import { createContext, useReducer, useContext, useEffect } from 'react';
 import PropTypes from 'prop-types';
-import { bugReducer } from './bugReducer';
+import { toast } from 'react-hot-toast';
+import { bugReducer, ACTIONS } from './bugReducer';
+import { useAuth } from './AuthContext';
+import { useProjects } from './ProjectContext';
+import { useOnlineStatus } from '../hooks/useOnlineStatus';
+import { connectBugEvents } from '../services/socket';
+import { countOutbox } from '../services/offlineStore';
+import { replayOutbox, OUTBOX_METHODS } from '../services/outbox';
+import { BUG_EVENTS } from '../utils/constants';
 
 const BugContext = createContext();
 
 const initialState = {
   bugs: [],
+  cursors: {},
+  // Optimistic changes still waiting for the server, by bug ID
+  pending: {},
+  // Offline changes not yet sent, and whether they are being sent now
+  queued: 0,
+  syncing: false,
+  // Edit refused because the bug changed meanwhile, waiting on the merge dialog
+  conflict: null,
   loading: true,
   error: null,
   filters: {
@@ -18,11 +34,102 @@ const initialState = {
     priority: [],
     severity: [],
     status: [],
+    assignee: '',
+    createdAfter: '',
+    createdBefore: '',
   },
 };
 
+/**
+ * Bring the board in line with what an outbox replay did, and report conflicts
+ * @param {Function} dispatch - Bug reducer dispatch
+ * @param {Object} result - Result of replayOutbox()
+ */
+const applyReplay = (dispatch, { created, updated, deleted, conflicts, remaining }) => {
+  // Placeholders become the saved bugs
+  created.forEach(({ tempId, bug }) =>
+    dispatch({ type: ACTIONS.COMMIT_MUTATION, payload: { id: tempId, bug } })
+  );
+  updated.forEach((bug) => dispatch({ type: ACTIONS.UPDATE_BUG, payload: bug }));
+  deleted.forEach((id) => dispatch({ type: ACTIONS.DELETE_BUG, payload: id }));
+
+  // Show the server's copy in place of the change that was dropped
+  conflicts.forEach(({ entry, bug }) => {
+    if (!bug) {
+      dispatch({ type: ACTIONS.DELETE_BUG, payload: entry.id });
+    } else if (entry.method === OUTBOX_METHODS.DELETE) {
+      dispatch({ type: ACTIONS.ADD_BUG, payload: bug });
+    } else {
+      dispatch({ type: ACTIONS.UPDATE_BUG, payload: bug });
+    }
+  });
+
+  const synced = created.length + updated.length + deleted.length;
+  if (synced > 0) {
+    toast.success(`Synced ${synced} offline ${synced === 1 ? 'change' : 'changes'}`);
+  }
+  if (conflicts.length > 0) {
+    const details = conflicts
+      .map(({ entry, reason }) => `"${entry.title || 'Untitled bug'}" ${reason}`)
+      .join('\n');
+    toast.error(`Could not sync ${conflicts.length} offline ${
+      conflicts.length === 1 ? 'change' : 'changes'
+    }:\n${details}`, { duration: 10000 });
+  }
+
+  dispatch({ type: ACTIONS.SET_QUEUED, payload: remaining });
+};
+
 export const BugProvider = ({ children }) => {
   const [state, dispatch] = useReducer(bugReducer, initialState);
+  const { isAuthenticated } = useAuth();
+  const { currentProjectId } = useProjects();
+  const online = useOnlineStatus();
+
+  // Apply changes made by other people (and other tabs) as they happen.
+  // Reconnects when the project changes; bugs the board has not loaded are ignored.
+  useEffect(() => {
+    if (!isAuthenticated) return undefined;
+
+    const socket = connectBugEvents(currentProjectId);
+    socket.on(BUG_EVENTS.CREATED, (bug) => dispatch({ type: ACTIONS.ADD_BUG, payload: bug }));
+    socket.on(BUG_EVENTS.UPDATED, (bug) => dispatch({ type: ACTIONS.UPDATE_BUG, payload: bug }));
+    socket.on(BUG_EVENTS.DELETED, ({ id }) => dispatch({ type: ACTIONS.DELETE_BUG, payload: id }));
+
+    return () => {
+      socket.disconnect();
+    };
+  }, [isAuthenticated, currentProjectId]);
+
+  // Send changes queued while offline whenever the connection comes back
+  // (and on start, for changes left over from an earlier visit)
+  useEffect(() => {
+    if (!isAuthenticated) return undefined;
+
+    let cancelled = false;
+    const sync = async () => {
+      // Without offline storage nothing can have been queued
+      const queued = await countOutbox().catch(() => 0);
+      if (cancelled) return;
+      dispatch({ type: ACTIONS.SET_QUEUED, payload: queued });
+      if (!online || queued === 0) return;
+
+      try {
+        dispatch({ type: ACTIONS.SET_SYNCING, payload: true });
+        const result = await replayOutbox();
+        if (!cancelled) applyReplay(dispatch, result);
+      } catch (error) {
+        console.error('Offline sync error:', error);
+      } finally {
+        dispatch({ type: ACTIONS.SET_SYNCING, payload: false });
+      }
+    };
+
+    sync();
+    return () => {
+      cancelled = true;
+    };
+  }, [isAuthenticated, online]);
 
   return (
     <BugContext.Provider value={{ state, dispatch }}>
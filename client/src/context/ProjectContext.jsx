@@ -0,0 +1,128 @@
+/**
+ * Project Context
+ * The projects the user can open and the one picked in the sidebar
+ */
+
+import { createContext, useContext, useState, useEffect, useCallback, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { toast } from 'react-hot-toast';
+import { useAuth } from './AuthContext';
+import { useLocalStorage } from '../hooks/useLocalStorage';
+import { projectService } from '../services/projectService';
+import { CURRENT_PROJECT_KEY } from '../utils/constants';
+
+const ProjectContext = createContext(null);
+
+// Same order as the API: default project first, then by name
+const byDefaultThenName = (a, b) =>
+  Number(b.isDefault) - Number(a.isDefault) ||
+  a.name.localeCompare(b.name, undefined, { sensitivity: 'base' });
+
+export const useProjects = () => {
+  const context = useContext(ProjectContext);
+  if (!context) {
+    throw new Error('useProjects must be used within a ProjectProvider');
+  }
+  return context;
+};
+
+export const ProjectProvider = ({ children }) => {
+  const { isAuthenticated, loading: authLoading } = useAuth();
+  const [projects, setProjects] = useState([]);
+  const [loading, setLoading] = useState(false);
+  // bugService reads this key on every request; null means the default project
+  const [currentProjectId, setCurrentProjectId] = useLocalStorage(CURRENT_PROJECT_KEY, null);
+
+  /**
+   * Fetch the projects the user can open
+   */
+  const fetchProjects = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await projectService.getProjects();
+      setProjects(response.data.data);
+    } catch (error) {
+      console.error('Failed to load projects:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (isAuthenticated) fetchProjects();
+    else setProjects([]);
+  }, [isAuthenticated, fetchProjects]);
+
+  // Start the next person who signs in on this browser in the default project
+  useEffect(() => {
+    if (!authLoading && !isAuthenticated && currentProjectId) {
+      setCurrentProjectId(null);
+    }
+  }, [authLoading, isAuthenticated, currentProjectId, setCurrentProjectId]);
+
+  // Forget a project the user can no longer open (deleted, or removed from it)
+  useEffect(() => {
+    if (
+      projects.length > 0 &&
+      currentProjectId &&
+      !projects.some((project) => project._id === currentProjectId)
+    ) {
+      setCurrentProjectId(null);
+    }
+  }, [projects, currentProjectId, setCurrentProjectId]);
+
+  const currentProject = useMemo(
+    () =>
+      projects.find((project) => project._id === currentProjectId) ||
+      projects.find((project) => project.isDefault) ||
+      null,
+    [projects, currentProjectId]
+  );
+
+  /**
+   * Switch to another project
+   * @param {string} id - Project ID
+   */
+  const selectProject = (id) => {
+    const project = projects.find((item) => item._id === id);
+    // The unscoped routes already serve the default project
+    setCurrentProjectId(project && !project.isDefault ? id : null);
+  };
+
+  /**
+   * Create a project and switch to it
+   * @param {Object} data - { name, description? }
+   * @returns {Promise<boolean>} Whether the project was created
+   */
+  const createProject = async (data) => {
+    try {
+      const response = await projectService.createProject(data);
+      const project = response.data.data;
+      setProjects((prev) => [...prev, project].sort(byDefaultThenName));
+      setCurrentProjectId(project._id);
+      toast.success('Project created');
+      return true;
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to create project');
+      return false;
+    }
+  };
+
+  const value = {
+    projects,
+    currentProject,
+    currentProjectId,
+    loading,
+    fetchProjects,
+    selectProject,
+    createProject,
+  };
+
+  return <ProjectContext.Provider value={value}>{children}</ProjectContext.Provider>;
+};
+
+ProjectProvider.propTypes = {
+  children: PropTypes.node.isRequired,
+};
+
+export default ProjectContext;
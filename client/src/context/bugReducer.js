@@ -5,6 +5,8 @@
 
 export const ACTIONS = {
   SET_BUGS: 'SET_BUGS',
+  APPEND_BUGS: 'APPEND_BUGS',
+  SET_CURSORS: 'SET_CURSORS',
   ADD_BUG: 'ADD_BUG',
   UPDATE_BUG: 'UPDATE_BUG',
   DELETE_BUG: 'DELETE_BUG',
@@ -12,6 +14,30 @@ export const ACTIONS = {
   SET_ERROR: 'SET_ERROR',
   SET_FILTERS: 'SET_FILTERS',
   CLEAR_FILTERS: 'CLEAR_FILTERS',
+  BEGIN_MUTATION: 'BEGIN_MUTATION',
+  COMMIT_MUTATION: 'COMMIT_MUTATION',
+  ROLLBACK_MUTATION: 'ROLLBACK_MUTATION',
+  SET_QUEUED: 'SET_QUEUED',
+  SET_SYNCING: 'SET_SYNCING',
+  SET_CONFLICT: 'SET_CONFLICT',
+};
+
+// Kinds of optimistic change tracked in state.pending
+export const MUTATIONS = {
+  CREATE: 'create',
+  UPDATE: 'update',
+  DELETE: 'delete',
+};
+
+const getId = (bug) => bug._id || bug.id;
+
+/**
+ * Drop one entry from the pending map
+ */
+const withoutPending = (pending, id) => {
+  const rest = { ...pending };
+  delete rest[id];
+  return rest;
 };
 
 export const bugReducer = (state, action) => {
@@ -24,23 +50,48 @@ export const bugReducer = (state, action) => {
       error: null,
     };
 
-  case ACTIONS.ADD_BUG:
+  case ACTIONS.APPEND_BUGS: {
+    // Skip bugs already on the board (e.g. moved into this column locally)
+    const loaded = new Set(state.bugs.map((bug) => bug._id || bug.id));
     return {
       ...state,
-      bugs: [action.payload, ...state.bugs],
+      bugs: [
+        ...state.bugs,
+        ...action.payload.bugs.filter((bug) => !loaded.has(bug._id || bug.id)),
+      ],
+      cursors: {
+        ...state.cursors,
+        [action.payload.status]: action.payload.nextCursor,
+      },
       error: null,
     };
+  }
 
-  case ACTIONS.UPDATE_BUG:
+  case ACTIONS.SET_CURSORS:
     return {
       ...state,
-      bugs: state.bugs.map((bug) =>
-        bug._id === action.payload._id || bug.id === action.payload.id
-          ? action.payload
-          : bug
-      ),
+      cursors: action.payload,
+    };
+
+  case ACTIONS.ADD_BUG: {
+    // The live event for a new bug can arrive before (or after) the API
+    // response that also adds it, so keep a single copy
+    const id = getId(action.payload);
+    return {
+      ...state,
+      bugs: [action.payload, ...state.bugs.filter((bug) => getId(bug) !== id)],
       error: null,
     };
+  }
+
+  case ACTIONS.UPDATE_BUG: {
+    const id = getId(action.payload);
+    return {
+      ...state,
+      bugs: state.bugs.map((bug) => (getId(bug) === id ? action.payload : bug)),
+      error: null,
+    };
+  }
 
   case ACTIONS.DELETE_BUG:
     return {
@@ -51,6 +102,100 @@ export const bugReducer = (state, action) => {
       error: null,
     };
 
+  // Apply a change before the server confirms it, remembering how to undo it.
+  // payload: { id, type: MUTATIONS.*, bug? } where bug is the new bug (create)
+  // or the changed fields (update)
+  case ACTIONS.BEGIN_MUTATION: {
+    const { id, type, bug } = action.payload;
+    const index = state.bugs.findIndex((item) => getId(item) === id);
+    const current = state.bugs[index];
+    // A second change to a bug still saving keeps the first snapshot
+    const previous = state.pending[id]?.previous ?? current ?? null;
+
+    let bugs = state.bugs;
+    if (type === MUTATIONS.CREATE) bugs = [bug, ...state.bugs];
+    if (type === MUTATIONS.UPDATE && current) {
+      bugs = state.bugs.map((item) => (getId(item) === id ? { ...item, ...bug } : item));
+    }
+    if (type === MUTATIONS.DELETE) bugs = state.bugs.filter((item) => getId(item) !== id);
+
+    return {
+      ...state,
+      bugs,
+      pending: { ...state.pending, [id]: { type, previous, index } },
+    };
+  }
+
+  // The server accepted the change. payload: { id, bug? } with the saved bug
+  case ACTIONS.COMMIT_MUTATION: {
+    const { id, bug } = action.payload;
+    let bugs = state.bugs;
+
+    if (bug) {
+      const savedId = getId(bug);
+      bugs = state.bugs
+        // A created bug may already be here from its live event
+        .filter((item) => getId(item) === id || getId(item) !== savedId)
+        .map((item) => (getId(item) === id ? bug : item));
+    }
+
+    return {
+      ...state,
+      bugs,
+      pending: withoutPending(state.pending, id),
+      error: null,
+    };
+  }
+
+  // The server refused the change: put the bug back the way it was
+  case ACTIONS.ROLLBACK_MUTATION: {
+    const { id } = action.payload;
+    const entry = state.pending[id];
+    if (!entry) return state;
+
+    let bugs = state.bugs;
+    if (entry.type === MUTATIONS.CREATE) {
+      bugs = state.bugs.filter((item) => getId(item) !== id);
+    }
+    if (entry.type === MUTATIONS.UPDATE && entry.previous) {
+      bugs = state.bugs.map((item) => (getId(item) === id ? entry.previous : item));
+    }
+    if (
+      entry.type === MUTATIONS.DELETE &&
+      entry.previous &&
+      !state.bugs.some((item) => getId(item) === id)
+    ) {
+      bugs = [...state.bugs];
+      bugs.splice(Math.max(entry.index, 0), 0, entry.previous);
+    }
+
+    return {
+      ...state,
+      bugs,
+      pending: withoutPending(state.pending, id),
+    };
+  }
+
+  // Changes waiting in the offline outbox
+  case ACTIONS.SET_QUEUED:
+    return {
+      ...state,
+      queued: action.payload,
+    };
+
+  case ACTIONS.SET_SYNCING:
+    return {
+      ...state,
+      syncing: action.payload,
+    };
+
+  // An edit that collided with someone else's and needs the user to merge it
+  case ACTIONS.SET_CONFLICT:
+    return {
+      ...state,
+      conflict: action.payload,
+    };
+
   case ACTIONS.SET_LOADING:
     return {
       ...state,
@@ -81,6 +226,9 @@ export const bugReducer = (state, action) => {
         priority: [],
         severity: [],
         status: [],
+        assignee: '',
+        createdAfter: '',
+        createdBefore: '',
       },
     };
 
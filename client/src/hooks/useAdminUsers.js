@@ -0,0 +1,83 @@
+/**
+ * useAdminUsers Hook
+ * Loads and manages user accounts for the admin page
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { toast } from 'react-hot-toast';
+import { adminService } from '../services/adminService';
+
+export const useAdminUsers = () => {
+  const [users, setUsers] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [pendingId, setPendingId] = useState(null);
+
+  /**
+   * Fetch all users
+   */
+  const fetchUsers = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await adminService.getUsers();
+      setUsers(response.data.data);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to load users');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchUsers();
+  }, [fetchUsers]);
+
+  /**
+   * Run an admin action against one user and merge the returned record
+   */
+  const runAction = useCallback(async (id, request, successMessage, errorMessage) => {
+    try {
+      setPendingId(id);
+      const response = await request();
+      const updated = response.data.data;
+      setUsers((prev) => prev.map((user) => (user._id === id ? { ...user, ...updated } : user)));
+      toast.success(successMessage);
+    } catch (err) {
+      toast.error(err.response?.data?.message || errorMessage);
+    } finally {
+      setPendingId(null);
+    }
+  }, []);
+
+  const changeRole = useCallback(
+    (id, role) =>
+      runAction(id, () => adminService.updateRole(id, role), 'Role updated', 'Failed to update role'),
+    [runAction]
+  );
+
+  const setActive = useCallback(
+    (id, isActive) =>
+      runAction(
+        id,
+        () => adminService.updateStatus(id, isActive),
+        isActive ? 'Account reactivated' : 'Account deactivated',
+        'Failed to update account'
+      ),
+    [runAction]
+  );
+
+  const forceLogout = useCallback(
+    (id) =>
+      runAction(id, () => adminService.forceLogout(id), 'User signed out everywhere', 'Failed to sign out user'),
+    [runAction]
+  );
+
+  return {
+    users,
+    loading,
+    pendingId,
+    fetchUsers,
+    changeRole,
+    setActive,
+    forceLogout,
+  };
+};
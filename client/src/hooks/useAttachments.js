@@ -0,0 +1,118 @@
+/**
+ * useAttachments Hook
+ * Loads, uploads and deletes the files attached to a single bug
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { toast } from 'react-hot-toast';
+import { bugService } from '../services/bugService';
+import { ATTACHMENTS } from '../utils/constants';
+
+const getId = (item) => item._id || item.id;
+
+/**
+ * Split picked files into those the server will accept and reasons for the rest
+ * @param {Array<File>} files - Files picked or dropped
+ * @param {number} existingCount - Attachments the bug already has
+ * @returns {{ accepted: Array<File>, rejected: Array<string> }}
+ */
+export const checkAttachmentFiles = (files, existingCount = 0) => {
+  const accepted = [];
+  const rejected = [];
+  const maxBytes = ATTACHMENTS.MAX_FILE_MB * 1024 * 1024;
+  const room = Math.min(ATTACHMENTS.MAX_FILES_PER_UPLOAD, ATTACHMENTS.MAX_PER_BUG - existingCount);
+
+  files.forEach((file) => {
+    if (!ATTACHMENTS.ALLOWED_MIME_TYPES.includes(file.type)) {
+      rejected.push(`${file.name}: file type not allowed`);
+    } else if (file.size > maxBytes) {
+      rejected.push(`${file.name}: larger than ${ATTACHMENTS.MAX_FILE_MB} MB`);
+    } else if (accepted.length >= room) {
+      rejected.push(`${file.name}: too many files`);
+    } else {
+      accepted.push(file);
+    }
+  });
+
+  return { accepted, rejected };
+};
+
+export const useAttachments = (bugId) => {
+  const [attachments, setAttachments] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [uploading, setUploading] = useState(false);
+  const [error, setError] = useState(null);
+
+  /**
+   * Fetch the attachments of the current bug
+   */
+  const fetchAttachments = useCallback(async () => {
+    if (!bugId) return;
+
+    try {
+      setLoading(true);
+      const response = await bugService.getAttachments(bugId);
+      setAttachments(response.data.data);
+      setError(null);
+    } catch (err) {
+      const errorMessage = err.response?.data?.message || 'Failed to load attachments';
+      setError(errorMessage);
+      toast.error(errorMessage);
+    } finally {
+      setLoading(false);
+    }
+  }, [bugId]);
+
+  useEffect(() => {
+    setAttachments([]);
+    fetchAttachments();
+  }, [fetchAttachments]);
+
+  /**
+   * Upload files, skipping (and reporting) any the server would refuse
+   * @param {Array<File>} files - Files picked or dropped
+   */
+  const uploadFiles = useCallback(async (files) => {
+    const { accepted, rejected } = checkAttachmentFiles(files, attachments.length);
+    rejected.forEach((reason) => toast.error(reason));
+    if (accepted.length === 0) return [];
+
+    try {
+      setUploading(true);
+      const response = await bugService.uploadAttachments(bugId, accepted);
+      setAttachments((prev) => [...prev, ...response.data.data]);
+      toast.success(accepted.length === 1 ? 'File attached' : `${accepted.length} files attached`);
+      return response.data.data;
+    } catch (err) {
+      const errorMessage = err.response?.data?.message || 'Failed to upload files';
+      toast.error(errorMessage);
+      throw err;
+    } finally {
+      setUploading(false);
+    }
+  }, [bugId, attachments.length]);
+
+  /**
+   * Delete an attachment
+   */
+  const removeAttachment = useCallback(async (attachmentId) => {
+    try {
+      await bugService.deleteAttachment(bugId, attachmentId);
+      setAttachments((prev) => prev.filter((attachment) => getId(attachment) !== attachmentId));
+    } catch (err) {
+      const errorMessage = err.response?.data?.message || 'Failed to delete attachment';
+      toast.error(errorMessage);
+      throw err;
+    }
+  }, [bugId]);
+
+  return {
+    attachments,
+    loading,
+    uploading,
+    error,
+    fetchAttachments,
+    uploadFiles,
+    removeAttachment,
+  };
+};
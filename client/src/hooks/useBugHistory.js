@@ -0,0 +1,38 @@
+/**
+ * useBugHistory Hook
+ * Loads the audit trail of a single bug
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { toast } from 'react-hot-toast';
+import { bugService } from '../services/bugService';
+
+export const useBugHistory = (bugId) => {
+  const [history, setHistory] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  /**
+   * Fetch history entries for the current bug
+   */
+  const fetchHistory = useCallback(async () => {
+    if (!bugId) return;
+
+    try {
+      setLoading(true);
+      const response = await bugService.getBugHistory(bugId);
+      setHistory(response.data.data);
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to load history';
+      toast.error(errorMessage);
+    } finally {
+      setLoading(false);
+    }
+  }, [bugId]);
+
+  useEffect(() => {
+    setHistory([]);
+    fetchHistory();
+  }, [fetchHistory]);
+
+  return { history, loading, fetchHistory };
+};
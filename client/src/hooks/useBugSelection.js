@@ -0,0 +1,86 @@
+/**
+ * useBugSelection Hook
+ * Multi-select state for the board, with shift-click range selection
+ */
+
+import { useState, useCallback, useEffect, useRef } from 'react';
+
+/**
+ * @param {Array<string>} orderedIds - IDs of the visible bugs in board order
+ *   (column by column), used to resolve shift-click ranges
+ */
+export const useBugSelection = (orderedIds) => {
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  const anchorRef = useRef(null);
+
+  /**
+   * Toggle one bug, or with `range` select everything between the last
+   * clicked bug and this one
+   */
+  const toggle = useCallback(
+    (id, { range = false } = {}) => {
+      const from = orderedIds.indexOf(anchorRef.current);
+      const to = orderedIds.indexOf(id);
+      anchorRef.current = id;
+
+      setSelectedIds((prev) => {
+        const next = new Set(prev);
+
+        if (range && from !== -1 && to !== -1) {
+          const [start, end] = from < to ? [from, to] : [to, from];
+          orderedIds.slice(start, end + 1).forEach((rangeId) => next.add(rangeId));
+        } else if (next.has(id)) {
+          next.delete(id);
+        } else {
+          next.add(id);
+        }
+
+        return next;
+      });
+    },
+    [orderedIds]
+  );
+
+  const clear = useCallback(() => {
+    setSelectedIds(new Set());
+    anchorRef.current = null;
+  }, []);
+
+  /**
+   * Keep only the given IDs selected (e.g. the bugs a bulk action failed on)
+   */
+  const keepOnly = useCallback((ids) => {
+    setSelectedIds(new Set(ids));
+  }, []);
+
+  // Escape clears the selection
+  useEffect(() => {
+    if (selectedIds.size === 0) return undefined;
+
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') clear();
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [selectedIds.size, clear]);
+
+  // Drop bugs that left the board (deleted, filtered out)
+  useEffect(() => {
+    setSelectedIds((prev) => {
+      const visible = new Set(orderedIds);
+      const next = new Set([...prev].filter((id) => visible.has(id)));
+      return next.size === prev.size ? prev : next;
+    });
+  }, [orderedIds]);
+
+  const isSelected = useCallback((id) => selectedIds.has(id), [selectedIds]);
+
+  return {
+    selectedIds,
+    isSelected,
+    toggle,
+    clear,
+    keepOnly,
+  };
+};
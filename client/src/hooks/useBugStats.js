@@ -0,0 +1,68 @@
+/**
+ * useBugStats Hook
+ * Loads bug statistics and trends for an optional date range
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { bugService } from '../services/bugService';
+import { buildStatsQuery } from '../utils/helpers';
+
+/**
+ * @param {Object} range - { from, to } as YYYY-MM-DD strings (either may be empty)
+ */
+export const useBugStats = ({ from = '', to = '' } = {}) => {
+  const [stats, setStats] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchStats = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await bugService.getBugStats(buildStatsQuery({ from, to }));
+      setStats(response.data.data);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load statistics');
+    } finally {
+      setLoading(false);
+    }
+  }, [from, to]);
+
+  useEffect(() => {
+    fetchStats();
+  }, [fetchStats]);
+
+  return { stats, loading, error, refetch: fetchStats };
+};
+
+/**
+ * @param {Object} range - { from, to } as YYYY-MM-DD strings (either may be empty)
+ * @param {string} interval - 'day' or 'week'
+ */
+export const useBugTrends = ({ from = '', to = '' } = {}, interval = 'day') => {
+  const [trends, setTrends] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchTrends = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await bugService.getBugTrends({
+        ...buildStatsQuery({ from, to }),
+        interval,
+      });
+      setTrends(response.data.data);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load trends');
+    } finally {
+      setLoading(false);
+    }
+  }, [from, to, interval]);
+
+  useEffect(() => {
+    fetchTrends();
+  }, [fetchTrends]);
+
+  return { trends, loading, error, refetch: fetchTrends };
+};
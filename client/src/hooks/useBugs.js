@@ -3,15 +3,107 @@
  * Custom hook for bug CRUD operations
  */
 
-import { useCallback } from 'react';
+import { useCallback, useRef } from 'react';
 import { toast } from 'react-hot-toast';
 import { useBugContext } from '../context/BugContext';
 import { bugService } from '../services/bugService';
-import { ACTIONS } from '../context/bugReducer';
+import { getStoredProjectId } from '../services/projectService';
+import {
+  cacheBugs,
+  getCachedBugs,
+  enqueue,
+  countOutbox,
+} from '../services/offlineStore';
+import { OUTBOX_METHODS } from '../services/outbox';
+import { ACTIONS, MUTATIONS } from '../context/bugReducer';
+import { showRetryToast } from '../components/common/RetryToast';
+import { showUndoToast } from '../components/common/UndoToast';
+import { formatRelativeTime } from '../utils/formatters';
+import {
+  getBugVersion,
+  mergeBugChanges,
+  downloadBlob,
+  toDateInputValue,
+} from '../utils/helpers';
+import { BUG_STATUS, BOARD_PAGE_SIZE, BULK_ACTIONS } from '../utils/constants';
+
+// Placeholder IDs for bugs that are still being created. The timestamp keeps
+// them unique across visits, since offline creates can outlive the page.
+const TEMP_ID_PREFIX = 'pending-';
+let tempIdCounter = 0;
+
+// Fields a card can show before the server fills in references (assignee, labels)
+const DISPLAY_FIELDS = ['title', 'description', 'status', 'priority', 'severity', 'createdBy'];
+
+/**
+ * Keep the fields of a bug form that can be shown optimistically
+ * @param {Object} data - Bug data as sent to the API
+ * @returns {Object}
+ */
+const pickDisplayFields = (data) =>
+  Object.fromEntries(
+    DISPLAY_FIELDS.filter((field) => data[field] !== undefined).map((field) => [field, data[field]])
+  );
+
+/**
+ * Whether trying again could help: no response at all, or a server error
+ * @param {Error} error - Axios error
+ * @returns {boolean}
+ */
+const isRetryable = (error) => !error.response || error.response.status >= 500;
+
+/**
+ * Whether the server refused an edit because the bug changed since it was loaded
+ * @param {Error} error - Axios error
+ * @returns {boolean}
+ */
+const isVersionConflict = (error) => error.response?.status === 412;
+
+/**
+ * Whether the browser reports having no network connection
+ * @returns {boolean}
+ */
+const isOffline = () => navigator.onLine === false;
+
+/**
+ * Offline cache key for the project picked in the sidebar
+ * @returns {string}
+ */
+const offlineCacheKey = () => getStoredProjectId() || 'default';
+
+/**
+ * Remember the bugs just loaded, for when the network goes away
+ * @param {Array} bugs - Bugs as returned by the API
+ */
+const saveForOffline = (bugs) => {
+  cacheBugs(offlineCacheKey(), bugs).catch((error) =>
+    console.error('Cache bugs error:', error)
+  );
+};
 
 export const useBugs = () => {
   const { state, dispatch } = useBugContext();
 
+  // Read by mutations without making every callback depend on the bug list
+  const bugsRef = useRef(state.bugs);
+  bugsRef.current = state.bugs;
+
+  const findBug = (id) => bugsRef.current.find((bug) => (bug._id || bug.id) === id);
+
+  /**
+   * Show the bugs saved on the last visit when the API cannot be reached
+   * @returns {Promise<boolean>} Whether saved bugs were shown
+   */
+  const showCachedBugs = useCallback(async () => {
+    const cached = await getCachedBugs(offlineCacheKey()).catch(() => null);
+    if (!cached) return false;
+
+    dispatch({ type: ACTIONS.SET_BUGS, payload: cached.bugs });
+    dispatch({ type: ACTIONS.SET_CURSORS, payload: {} });
+    toast(`You're offline. Showing bugs saved ${formatRelativeTime(cached.savedAt)}.`);
+    return true;
+  }, [dispatch]);
+
   /**
    * Fetch all bugs
    */
@@ -20,56 +112,312 @@ export const useBugs = () => {
       dispatch({ type: ACTIONS.SET_LOADING, payload: true });
       const response = await bugService.getAllBugs(params);
       dispatch({ type: ACTIONS.SET_BUGS, payload: response.data.data });
+      saveForOffline(response.data.data);
     } catch (error) {
+      if (!error.response && (await showCachedBugs())) return;
       const errorMessage = error.response?.data?.message || 'Failed to load bugs';
       dispatch({ type: ACTIONS.SET_ERROR, payload: errorMessage });
       toast.error(errorMessage);
     }
-  }, [dispatch]);
+  }, [dispatch, showCachedBugs]);
 
   /**
-   * Create a new bug
+   * Fetch the first page of each board column
+   * Every column pages through its own status with a cursor
    */
-  const createBug = useCallback(async (bugData) => {
+  const fetchBoard = useCallback(async (params = {}, statuses = Object.values(BUG_STATUS)) => {
     try {
-      const response = await bugService.createBug(bugData);
-      dispatch({ type: ACTIONS.ADD_BUG, payload: response.data.data });
-      toast.success('Bug created successfully');
-      return response.data.data;
+      dispatch({ type: ACTIONS.SET_LOADING, payload: true });
+      const responses = await Promise.all(
+        statuses.map((status) =>
+          bugService.getAllBugs({ ...params, status, cursor: '', limit: BOARD_PAGE_SIZE })
+        )
+      );
+
+      const cursors = {};
+      statuses.forEach((status, index) => {
+        cursors[status] = responses[index].data.pagination.nextCursor;
+      });
+
+      const bugs = responses.flatMap((res) => res.data.data);
+      dispatch({ type: ACTIONS.SET_BUGS, payload: bugs });
+      dispatch({ type: ACTIONS.SET_CURSORS, payload: cursors });
+      saveForOffline(bugs);
     } catch (error) {
-      const errorMessage = error.response?.data?.message || 'Failed to create bug';
+      if (!error.response && (await showCachedBugs())) return;
+      const errorMessage = error.response?.data?.message || 'Failed to load bugs';
+      dispatch({ type: ACTIONS.SET_ERROR, payload: errorMessage });
       toast.error(errorMessage);
-      throw error;
     }
-  }, [dispatch]);
+  }, [dispatch, showCachedBugs]);
 
   /**
-   * Update an existing bug
+   * Load the next page of one board column
    */
-  const updateBug = useCallback(async (id, bugData) => {
+  const loadMoreBugs = useCallback(async (status, params = {}) => {
+    const cursor = state.cursors[status];
+    if (!cursor) return;
+
     try {
-      const response = await bugService.updateBug(id, bugData);
-      dispatch({ type: ACTIONS.UPDATE_BUG, payload: response.data.data });
-      toast.success('Bug updated successfully');
-      return response.data.data;
+      const response = await bugService.getAllBugs({
+        ...params,
+        status,
+        cursor,
+        limit: BOARD_PAGE_SIZE,
+      });
+      dispatch({
+        type: ACTIONS.APPEND_BUGS,
+        payload: {
+          bugs: response.data.data,
+          status,
+          nextCursor: response.data.pagination.nextCursor,
+        },
+      });
     } catch (error) {
-      const errorMessage = error.response?.data?.message || 'Failed to update bug';
+      const errorMessage = error.response?.data?.message || 'Failed to load more bugs';
       toast.error(errorMessage);
+    }
+  }, [dispatch, state.cursors]);
+
+  /**
+   * Keep an optimistic change and queue it for the outbox to send on reconnect
+   * @param {Object} change - BEGIN_MUTATION payload already applied
+   * @param {Object} entry - Outbox entry ({ method, id, data? })
+   * @param {Object} [current] - The bug as it was before the change
+   * @returns {Promise<Object>} The placeholder for creates, otherwise undefined
+   */
+  const queueOffline = useCallback(async (change, entry, current) => {
+    try {
+      await enqueue({
+        ...entry,
+        tempId: entry.id.startsWith(TEMP_ID_PREFIX),
+        // Replayed in this project even if another one is picked by then
+        projectId: getStoredProjectId(),
+        // Lets the replay notice if someone else changed the bug meanwhile
+        baseUpdatedAt: current?.updatedAt,
+        title: current?.title || entry.data?.title,
+      });
+    } catch (error) {
+      dispatch({ type: ACTIONS.ROLLBACK_MUTATION, payload: { id: change.id } });
+      toast.error('You are offline and this change could not be saved for later');
       throw error;
     }
+
+    // Nothing to swap in: the board already shows the change
+    dispatch({ type: ACTIONS.COMMIT_MUTATION, payload: { id: change.id } });
+    dispatch({ type: ACTIONS.SET_QUEUED, payload: await countOutbox() });
+    toast.success('Saved offline. It will sync when you reconnect');
+    return change.type === MUTATIONS.CREATE ? change.bug : undefined;
+  }, [dispatch]);
+
+  /**
+   * Deal with an edit the server refused because someone else saved the bug first
+   * The board switches to their version. Changes that do not overlap are merged
+   * and sent again; overlapping ones open the merge dialog.
+   * @param {Object} conflict - { id, method, base, mine, theirs, resend, error }
+   * @returns {Promise<Object>} The saved bug, when the merge needed no help
+   */
+  const settleConflict = useCallback(({ id, method, base, mine, theirs, resend, error }) => {
+    dispatch({ type: ACTIONS.UPDATE_BUG, payload: theirs });
+
+    const { merged, conflicts } = mergeBugChanges(base || {}, mine, theirs);
+
+    if (conflicts.length === 0) {
+      if (Object.keys(merged).length === 0) {
+        toast.success('Someone else already made this change');
+        return Promise.resolve(theirs);
+      }
+      toast.success('Merged with changes someone else just saved');
+      return resend(merged, theirs);
+    }
+
+    dispatch({
+      type: ACTIONS.SET_CONFLICT,
+      payload: { id, method, mine, theirs, merged, conflicts },
+    });
+    return Promise.reject(error);
   }, [dispatch]);
 
+  /**
+   * Apply a change right away, then confirm or roll it back when the server answers
+   * Failures the user can do something about (network or server errors) get a
+   * Retry button in the error toast. While offline the change is kept and
+   * queued instead.
+   * @param {Object} options
+   * @param {Object} options.change - BEGIN_MUTATION payload ({ id, type, bug? })
+   * @param {Object} options.offline - Outbox entry sending the same change ({ method, id, data? })
+   * @param {Function} options.request - Sends the change; resolves to the API response
+   * @param {string} options.successMessage - Toast shown once saved
+   * @param {string} options.failureMessage - Fallback error message
+   * @param {Function} options.retry - Runs the whole mutation again
+   * @param {Object} [options.base] - Bug an edit started from, for merging on a version conflict
+   * @param {Function} [options.resend] - Sends merged data against a newer bug (data, bug)
+   * @param {Function} [options.undo] - Reverses the change once saved; offered in the success toast
+   * @returns {Promise<Object>} Saved bug (undefined for deletions)
+   */
+  const mutate = useCallback(async ({
+    change,
+    offline,
+    request,
+    successMessage,
+    failureMessage,
+    retry,
+    base,
+    resend,
+    undo,
+  }) => {
+    const current = findBug(change.id);
+    dispatch({ type: ACTIONS.BEGIN_MUTATION, payload: change });
+
+    if (isOffline()) return queueOffline(change, offline, current);
+
+    try {
+      const response = await request();
+      const saved = change.type === MUTATIONS.DELETE ? undefined : response.data.data;
+      dispatch({ type: ACTIONS.COMMIT_MUTATION, payload: { id: change.id, bug: saved } });
+      if (undo) {
+        showUndoToast(successMessage, undo);
+      } else {
+        toast.success(successMessage);
+      }
+      return saved;
+    } catch (error) {
+      // The connection dropped while sending
+      if (!error.response && isOffline()) return queueOffline(change, offline, current);
+
+      dispatch({ type: ACTIONS.ROLLBACK_MUTATION, payload: { id: change.id } });
+
+      const theirs = error.response?.data?.current;
+      if (isVersionConflict(error) && resend && theirs) {
+        return settleConflict({
+          id: change.id,
+          method: offline.method,
+          base,
+          mine: offline.data,
+          theirs,
+          resend,
+          error,
+        });
+      }
+
+      const errorMessage = error.response?.data?.message || failureMessage;
+      if (isRetryable(error)) {
+        // A failed retry shows its own toast
+        showRetryToast(errorMessage, () => retry().catch(() => {}));
+      } else {
+        toast.error(errorMessage);
+      }
+      throw error;
+    }
+  }, [dispatch, queueOffline, settleConflict]);
+
+  /**
+   * Create a new bug
+   * A placeholder card shows until the server returns the saved bug
+   */
+  const createBug = useCallback(function create(bugData) {
+    const placeholder = {
+      _id: `${TEMP_ID_PREFIX}${Date.now().toString(36)}-${++tempIdCounter}`,
+      status: BUG_STATUS.OPEN,
+      createdAt: new Date().toISOString(),
+      assignee: null,
+      labels: [],
+      ...pickDisplayFields(bugData),
+    };
+
+    return mutate({
+      change: { id: placeholder._id, type: MUTATIONS.CREATE, bug: placeholder },
+      offline: { method: OUTBOX_METHODS.CREATE, id: placeholder._id, data: bugData },
+      request: () => bugService.createBug(bugData),
+      successMessage: 'Bug created successfully',
+      failureMessage: 'Failed to create bug',
+      retry: () => create(bugData),
+    });
+  }, [mutate]);
+
+  /**
+   * Update an existing bug
+   * @param {string} id - Bug ID
+   * @param {Object} bugData - Form data
+   * @param {Object} [base] - Bug the edit started from (e.g. when the form
+   *   opened); defaults to the bug on the board
+   */
+  const updateBug = useCallback(function update(id, bugData, base = findBug(id)) {
+    return mutate({
+      change: { id, type: MUTATIONS.UPDATE, bug: pickDisplayFields(bugData) },
+      offline: { method: OUTBOX_METHODS.UPDATE, id, data: bugData },
+      request: () => bugService.updateBug(id, bugData, getBugVersion(base)),
+      successMessage: 'Bug updated successfully',
+      failureMessage: 'Failed to update bug',
+      retry: () => update(id, bugData, base),
+      base,
+      resend: (data, latest) => update(id, data, latest),
+    });
+  }, [mutate]);
+
   /**
    * Partial update (e.g., status change)
+   * @param {string} id - Bug ID
+   * @param {Object} bugData - Changed fields
+   * @param {Object} [base] - Bug the change started from; defaults to the bug on the board
+   */
+  const patchBug = useCallback(function patch(id, bugData, base = findBug(id)) {
+    return mutate({
+      change: { id, type: MUTATIONS.UPDATE, bug: pickDisplayFields(bugData) },
+      offline: { method: OUTBOX_METHODS.PATCH, id, data: bugData },
+      request: () => bugService.patchBug(id, bugData, getBugVersion(base)),
+      successMessage: 'Bug updated successfully',
+      failureMessage: 'Failed to update bug',
+      retry: () => patch(id, bugData, base),
+      base,
+      resend: (data, latest) => patch(id, data, latest),
+    });
+  }, [mutate]);
+
+  /**
+   * Finish a merge from the conflict dialog
+   * @param {Object} choices - Field -> 'mine' or 'theirs' for each conflicting field
+   * @returns {Promise<Object>} Saved bug
+   */
+  const resolveConflict = useCallback((choices = {}) => {
+    const { id, method, mine, theirs, merged, conflicts } = state.conflict;
+    dispatch({ type: ACTIONS.SET_CONFLICT, payload: null });
+
+    const data = { ...merged };
+    conflicts
+      .filter(({ field }) => choices[field] === 'mine')
+      .forEach(({ field }) => {
+        data[field] = mine[field];
+      });
+
+    // Keeping their version of everything leaves nothing to send
+    if (Object.keys(data).length === 0) return Promise.resolve(theirs);
+
+    const send = method === OUTBOX_METHODS.PATCH ? patchBug : updateBug;
+    return send(id, data, theirs);
+  }, [dispatch, state.conflict, patchBug, updateBug]);
+
+  /**
+   * Close the conflict dialog, keeping the other person's version
    */
-  const patchBug = useCallback(async (id, bugData) => {
+  const dismissConflict = useCallback(() => {
+    dispatch({ type: ACTIONS.SET_CONFLICT, payload: null });
+  }, [dispatch]);
+
+  /**
+   * Take a deleted bug out of the trash and put it back on the board
+   * @param {string} id - Bug ID
+   * @returns {Promise<Object>} Restored bug
+   */
+  const restoreBug = useCallback(async (id) => {
     try {
-      const response = await bugService.patchBug(id, bugData);
-      dispatch({ type: ACTIONS.UPDATE_BUG, payload: response.data.data });
-      toast.success('Bug updated successfully');
-      return response.data.data;
+      const response = await bugService.restoreBug(id);
+      const bug = response.data.data;
+      dispatch({ type: ACTIONS.ADD_BUG, payload: bug });
+      toast.success('Bug restored');
+      return bug;
     } catch (error) {
-      const errorMessage = error.response?.data?.message || 'Failed to update bug';
+      const errorMessage = error.response?.data?.message || 'Failed to restore bug';
       toast.error(errorMessage);
       throw error;
     }
@@ -77,19 +425,107 @@ export const useBugs = () => {
 
   /**
    * Delete a bug
+   * The card disappears at once and comes back if the server refuses. Once
+   * deleted, the bug sits in the trash and the toast offers to restore it.
+   */
+  const deleteBug = useCallback(function remove(id) {
+    return mutate({
+      change: { id, type: MUTATIONS.DELETE },
+      offline: { method: OUTBOX_METHODS.DELETE, id },
+      request: () => bugService.deleteBug(id),
+      successMessage: 'Bug deleted successfully',
+      failureMessage: 'Failed to delete bug',
+      retry: () => remove(id),
+      undo: () => restoreBug(id).catch(() => {}),
+    });
+  }, [mutate, restoreBug]);
+
+  /**
+   * Whether a bug has a change that is still being saved
+   * @param {string} id - Bug ID
+   * @returns {boolean}
+   */
+  const isPending = useCallback((id) => !!state.pending[id], [state.pending]);
+
+  /**
+   * Apply one action to many bugs
+   * Bugs are checked one by one on the server, so some may fail while others succeed
+   * @returns {Promise<Array>} Per-bug results ({ id, success, data?, message? })
    */
-  const deleteBug = useCallback(async (id) => {
+  const bulkAction = useCallback(async (ids, action, value) => {
     try {
-      await bugService.deleteBug(id);
-      dispatch({ type: ACTIONS.DELETE_BUG, payload: id });
-      toast.success('Bug deleted successfully');
+      const response = await bugService.bulkAction(ids, action, value);
+      const { results, succeeded, failed } = response.data.data;
+
+      results
+        .filter((result) => result.success)
+        .forEach((result) => {
+          if (action === BULK_ACTIONS.DELETE) {
+            dispatch({ type: ACTIONS.DELETE_BUG, payload: result.id });
+          } else {
+            dispatch({ type: ACTIONS.UPDATE_BUG, payload: result.data });
+          }
+        });
+
+      const verb = action === BULK_ACTIONS.DELETE ? 'deleted' : 'updated';
+      if (failed === 0) {
+        toast.success(`${succeeded} ${succeeded === 1 ? 'bug' : 'bugs'} ${verb}`);
+      } else {
+        const reason = results.find((result) => !result.success).message;
+        toast.error(`${succeeded} ${verb}, ${failed} failed: ${reason}`);
+      }
+
+      return results;
     } catch (error) {
-      const errorMessage = error.response?.data?.message || 'Failed to delete bug';
+      const errorMessage = error.response?.data?.message || 'Bulk action failed';
       toast.error(errorMessage);
       throw error;
     }
   }, [dispatch]);
 
+  /**
+   * Download every bug matching the filters as a file
+   * @param {Object} params - Query parameters (see buildBugQuery)
+   * @param {string} format - 'csv', 'json' or 'ndjson'
+   */
+  const exportBugs = useCallback(async (params, format) => {
+    try {
+      const response = await bugService.exportBugs(params, format);
+      downloadBlob(response.data, `bugs-${toDateInputValue(new Date())}.${format}`);
+      toast.success('Export downloaded');
+    } catch (error) {
+      // Errors arrive as a Blob too, so the server's message is not at hand
+      toast.error('Failed to export bugs');
+      throw error;
+    }
+  }, []);
+
+  /**
+   * Create bugs from a CSV or JSON file
+   * Imported bugs reach the board through the live bug:created events.
+   * @param {File} file - File to import
+   * @param {Object} columns - File column name to bug field
+   * @param {Object} [options] - { dryRun } to only check the rows
+   * @returns {Promise<Object>} Import report: { total, valid, invalid, imported, errors }
+   */
+  const importBugs = useCallback(async (file, columns, { dryRun = false } = {}) => {
+    try {
+      const response = await bugService.importBugs(file, columns, { dryRun });
+      const report = response.data.data;
+
+      if (!dryRun) {
+        const skipped = report.invalid > 0 ? `, ${report.invalid} skipped` : '';
+        toast.success(`${report.imported} ${report.imported === 1 ? 'bug' : 'bugs'} imported${skipped}`);
+      }
+
+      return report;
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to import bugs';
+      toast.error(errorMessage);
+      throw error;
+    }
+  }, []);
+
   /**
    * Set filters
    */
@@ -106,14 +542,28 @@ export const useBugs = () => {
 
   return {
     bugs: state.bugs,
+    cursors: state.cursors,
+    pending: state.pending,
+    queued: state.queued,
+    syncing: state.syncing,
+    conflict: state.conflict,
     loading: state.loading,
     error: state.error,
     filters: state.filters,
     fetchBugs,
+    fetchBoard,
+    loadMoreBugs,
     createBug,
     updateBug,
     patchBug,
     deleteBug,
+    restoreBug,
+    isPending,
+    resolveConflict,
+    dismissConflict,
+    bulkAction,
+    exportBugs,
+    importBugs,
     setFilters,
     clearFilters,
   };
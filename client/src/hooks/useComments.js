@@ -0,0 +1,97 @@
+/**
+ * useComments Hook
+ * Loads and mutates the comment thread of a single bug
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { toast } from 'react-hot-toast';
+import { bugService } from '../services/bugService';
+
+const getId = (item) => item._id || item.id;
+
+export const useComments = (bugId) => {
+  const [comments, setComments] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  /**
+   * Fetch the thread for the current bug
+   */
+  const fetchComments = useCallback(async () => {
+    if (!bugId) return;
+
+    try {
+      setLoading(true);
+      const response = await bugService.getComments(bugId);
+      setComments(response.data.data);
+      setError(null);
+    } catch (err) {
+      const errorMessage = err.response?.data?.message || 'Failed to load comments';
+      setError(errorMessage);
+      toast.error(errorMessage);
+    } finally {
+      setLoading(false);
+    }
+  }, [bugId]);
+
+  useEffect(() => {
+    setComments([]);
+    fetchComments();
+  }, [fetchComments]);
+
+  /**
+   * Add a comment
+   */
+  const addComment = useCallback(async (content) => {
+    try {
+      const response = await bugService.createComment(bugId, { content });
+      setComments((prev) => [...prev, response.data.data]);
+      return response.data.data;
+    } catch (err) {
+      const errorMessage = err.response?.data?.message || 'Failed to add comment';
+      toast.error(errorMessage);
+      throw err;
+    }
+  }, [bugId]);
+
+  /**
+   * Edit a comment
+   */
+  const editComment = useCallback(async (commentId, content) => {
+    try {
+      const response = await bugService.updateComment(bugId, commentId, { content });
+      setComments((prev) =>
+        prev.map((comment) => (getId(comment) === commentId ? response.data.data : comment))
+      );
+      return response.data.data;
+    } catch (err) {
+      const errorMessage = err.response?.data?.message || 'Failed to update comment';
+      toast.error(errorMessage);
+      throw err;
+    }
+  }, [bugId]);
+
+  /**
+   * Delete a comment
+   */
+  const removeComment = useCallback(async (commentId) => {
+    try {
+      await bugService.deleteComment(bugId, commentId);
+      setComments((prev) => prev.filter((comment) => getId(comment) !== commentId));
+    } catch (err) {
+      const errorMessage = err.response?.data?.message || 'Failed to delete comment';
+      toast.error(errorMessage);
+      throw err;
+    }
+  }, [bugId]);
+
+  return {
+    comments,
+    loading,
+    error,
+    fetchComments,
+    addComment,
+    editComment,
+    removeComment,
+  };
+};
@@ -0,0 +1,91 @@
+/**
+ * useLabels Hook
+ * Loads the label taxonomy for pickers, and manages it for admins
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { toast } from 'react-hot-toast';
+import { labelService } from '../services/labelService';
+
+const byName = (a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' });
+
+export const useLabels = (enabled = true) => {
+  const [labels, setLabels] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  /**
+   * Fetch all labels
+   */
+  const fetchLabels = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await labelService.getLabels();
+      setLabels(response.data.data);
+    } catch (error) {
+      console.error('Failed to load labels:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (enabled) fetchLabels();
+  }, [enabled, fetchLabels]);
+
+  /**
+   * Create a label
+   * @returns {Promise<boolean>} Whether the label was created
+   */
+  const createLabel = useCallback(async (data) => {
+    try {
+      const response = await labelService.createLabel(data);
+      setLabels((prev) => [...prev, response.data.data].sort(byName));
+      toast.success('Label created');
+      return true;
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to create label');
+      return false;
+    }
+  }, []);
+
+  /**
+   * Rename or recolor a label
+   * @returns {Promise<boolean>} Whether the label was updated
+   */
+  const updateLabel = useCallback(async (id, data) => {
+    try {
+      const response = await labelService.updateLabel(id, data);
+      const updated = response.data.data;
+      setLabels((prev) =>
+        prev.map((label) => (label._id === id ? { ...label, ...updated } : label)).sort(byName)
+      );
+      toast.success('Label updated');
+      return true;
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update label');
+      return false;
+    }
+  }, []);
+
+  /**
+   * Delete a label
+   */
+  const deleteLabel = useCallback(async (id) => {
+    try {
+      await labelService.deleteLabel(id);
+      setLabels((prev) => prev.filter((label) => label._id !== id));
+      toast.success('Label deleted');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete label');
+    }
+  }, []);
+
+  return {
+    labels,
+    loading,
+    fetchLabels,
+    createLabel,
+    updateLabel,
+    deleteLabel,
+  };
+};
@@ -0,0 +1,25 @@
+/**
+ * useOnlineStatus Hook
+ * Whether the browser currently has a network connection
+ */
+
+import { useState, useEffect } from 'react';
+
+export const useOnlineStatus = () => {
+  const [online, setOnline] = useState(() => navigator.onLine !== false);
+
+  useEffect(() => {
+    const handleOnline = () => setOnline(true);
+    const handleOffline = () => setOnline(false);
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, []);
+
+  return online;
+};
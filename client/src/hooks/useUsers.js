@@ -0,0 +1,38 @@
+/**
+ * useUsers Hook
+ * Loads the user directory for assignee pickers
+ */
+
+import { useState, useEffect } from 'react';
+import { userService } from '../services/userService';
+
+export const useUsers = (enabled = true) => {
+  const [users, setUsers] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    let cancelled = false;
+
+    const loadUsers = async () => {
+      try {
+        setLoading(true);
+        const response = await userService.getUsers();
+        if (!cancelled) setUsers(response.data.data);
+      } catch (error) {
+        console.error('Failed to load users:', error);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    loadUsers();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [enabled]);
+
+  return { users, loading };
+};
@@ -0,0 +1,45 @@
+/**
+ * Admin API Service
+ * User management API calls (admin only)
+ */
+
+import api from './api';
+
+export const adminService = {
+  /**
+   * Get all users, including deactivated accounts
+   * @returns {Promise} API response
+   */
+  getUsers: () => {
+    return api.get('/admin/users');
+  },
+
+  /**
+   * Change a user's role
+   * @param {string} id - User ID
+   * @param {string} role - New role
+   * @returns {Promise} API response
+   */
+  updateRole: (id, role) => {
+    return api.patch(`/admin/users/${id}/role`, { role });
+  },
+
+  /**
+   * Deactivate or reactivate a user
+   * @param {string} id - User ID
+   * @param {boolean} isActive - New account status
+   * @returns {Promise} API response
+   */
+  updateStatus: (id, isActive) => {
+    return api.patch(`/admin/users/${id}/status`, { isActive });
+  },
+
+  /**
+   * Revoke every session of a user
+   * @param {string} id - User ID
+   * @returns {Promise} API response
+   */
+  forceLogout: (id) => {
+    return api.post(`/admin/users/${id}/logout`);
+  },
+};
@@ -9,11 +9,42 @@ import { API_BASE_URL } from '../utils/constants';
 const api = axios.create({
   baseURL: API_BASE_URL,
   timeout: 10000,
+  // Send the httpOnly refresh token cookie to /auth routes
+  withCredentials: true,
   headers: {
     'Content-Type': 'application/json',
   },
 });
 
+// Requests that must never trigger a refresh-and-retry
+const AUTH_ENDPOINTS = ['/auth/login', '/auth/signup', '/auth/refresh'];
+
+// Shared so concurrent 401s wait for a single refresh instead of racing
+// (a second use of the same refresh token would end the session)
+let refreshPromise = null;
+
+/**
+ * Exchange the refresh cookie for a new access token
+ * @returns {Promise<string>} New access token
+ */
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    refreshPromise = api
+      .post('/auth/refresh')
+      .then((response) => {
+        const { token, user } = response.data.data;
+        localStorage.setItem('token', token);
+        localStorage.setItem('user', JSON.stringify(user));
+        return token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+
+  return refreshPromise;
+};
+
 // Request interceptor
 api.interceptors.request.use(
   (config) => {
@@ -32,7 +63,30 @@ api.interceptors.request.use(
 // Response interceptor
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
+  async (error) => {
+    const originalRequest = error.config;
+
+    // Expired access token: refresh once, then replay the original request
+    if (
+      error.response?.status === 401 &&
+      originalRequest &&
+      !originalRequest._retry &&
+      !AUTH_ENDPOINTS.some((endpoint) => originalRequest.url?.includes(endpoint))
+    ) {
+      originalRequest._retry = true;
+
+      try {
+        const token = await refreshAccessToken();
+        originalRequest.headers.Authorization = `Bearer ${token}`;
+        return api(originalRequest);
+      } catch (refreshError) {
+        // Session is gone: clear credentials and let the app return to login
+        localStorage.removeItem('token');
+        localStorage.removeItem('user');
+        window.dispatchEvent(new Event('auth:logout'));
+      }
+    }
+
     // Handle different error scenarios
     if (error.response) {
       // Server responded with error status
@@ -44,7 +98,6 @@ api.interceptors.response.use(
         break;
       case 401:
         console.error('Unauthorized:', data.message || 'Authentication required');
-        // Optionally redirect to login or clear token
         break;
       case 403:
         console.error('Forbidden:', data.message || 'Access denied');
@@ -71,6 +71,27 @@ export const getMe = async () => {
   return response.data;
 };
 
+/**
+ * Request a password reset email
+ * @param {string} email - Account email
+ * @returns {Promise} Response with a generic confirmation message
+ */
+export const forgotPassword = async (email) => {
+  const response = await api.post(`${API_URL}/forgot-password`, { email });
+  return response.data;
+};
+
+/**
+ * Set a new password using the token from the reset email
+ * @param {string} token - Reset token from the emailed link
+ * @param {string} password - New password
+ * @returns {Promise} Response
+ */
+export const resetPassword = async (token, password) => {
+  const response = await api.post(`${API_URL}/reset-password/${token}`, { password });
+  return response.data;
+};
+
 /**
  * Get stored user from localStorage
  * @returns {Object|null} User object or null
@@ -107,6 +128,8 @@ export default {
   login,
   logout,
   getMe,
+  forgotPassword,
+  resetPassword,
   getStoredUser,
   getStoredToken,
   isAuthenticated,
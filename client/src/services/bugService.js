@@ -4,69 +4,259 @@
  */
 
 import api from './api';
+import { getStoredProjectId } from './projectService';
+
+/**
+ * Build a bug endpoint path in the project picked in the sidebar
+ * Without a stored project the unscoped routes serve the default project
+ * @param {string} path - Path below the bugs collection, e.g. `/stats`
+ * @param {string|null} [projectId] - Project to use instead of the picked one
+ * @returns {string} Request path
+ */
+const bugsPath = (path = '', projectId = getStoredProjectId()) => {
+  return projectId ? `/projects/${projectId}/bugs${path}` : `/bugs${path}`;
+};
+
+/**
+ * Request config that makes an edit conditional on the bug's version
+ * @param {number} [version] - Bug version (its ETag without quotes)
+ * @returns {Object|undefined} Axios config, or undefined to save unconditionally
+ */
+const ifMatch = (version) =>
+  version === undefined ? undefined : { headers: { 'If-Match': `"${version}"` } };
 
 export const bugService = {
   /**
    * Get all bugs with optional filters
-   * @param {Object} params - Query parameters (page, limit, status, priority, severity)
+   * @param {Object} params - Query parameters (page, limit, status, priority, severity, assignee, q)
    * @returns {Promise} API response
    */
   getAllBugs: (params = {}) => {
-    return api.get('/bugs', { params });
+    return api.get(bugsPath(), { params });
+  },
+
+  /**
+   * Download every bug matching the filters as a file
+   * @param {Object} params - Same filters as getAllBugs, without paging
+   * @param {string} format - 'csv', 'json' or 'ndjson'
+   * @returns {Promise} API response with a Blob as data
+   */
+  exportBugs: (params = {}, format = 'csv') => {
+    return api.get(bugsPath('/export'), {
+      params: { ...params, format },
+      responseType: 'blob',
+      // Large exports take longer than the default request timeout
+      timeout: 120000,
+    });
+  },
+
+  /**
+   * Create bugs from a CSV or JSON file
+   * @param {File} file - File to import
+   * @param {Object} columns - File column name to bug field ('' or null skips the column)
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun] - Only check the rows and report their errors
+   * @returns {Promise} API response with the import report
+   */
+  importBugs: (file, columns, { dryRun = false } = {}) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    formData.append('columns', JSON.stringify(columns));
+    return api.post(bugsPath('/import'), formData, {
+      params: { dryRun },
+      headers: { 'Content-Type': 'multipart/form-data' },
+      // Checking and inserting a thousand rows takes longer than the default request timeout
+      timeout: 120000,
+    });
   },
 
   /**
    * Get a single bug by ID
    * @param {string} id - Bug ID
+   * @param {string|null} [projectId] - Project the bug is in, when not the picked one
    * @returns {Promise} API response
    */
-  getBugById: (id) => {
-    return api.get(`/bugs/${id}`);
+  getBugById: (id, projectId) => {
+    return api.get(bugsPath(`/${id}`, projectId));
   },
 
   /**
    * Create a new bug
    * @param {Object} data - Bug data
+   * @param {string|null} [projectId] - Project to file it in, when not the picked one
    * @returns {Promise} API response
    */
-  createBug: (data) => {
-    return api.post('/bugs', data);
+  createBug: (data, projectId) => {
+    return api.post(bugsPath('', projectId), data);
   },
 
   /**
    * Update a bug (full update)
    * @param {string} id - Bug ID
    * @param {Object} data - Updated bug data
+   * @param {number} [version] - Version the edit started from; the server
+   *   answers 412 if the bug has changed since
+   * @param {string|null} [projectId] - Project the bug is in, when not the picked one
    * @returns {Promise} API response
    */
-  updateBug: (id, data) => {
-    return api.put(`/bugs/${id}`, data);
+  updateBug: (id, data, version, projectId) => {
+    return api.put(bugsPath(`/${id}`, projectId), data, ifMatch(version));
   },
 
   /**
    * Partial update (e.g., status change)
    * @param {string} id - Bug ID
    * @param {Object} data - Partial bug data
+   * @param {number} [version] - Version the edit started from
+   * @param {string|null} [projectId] - Project the bug is in, when not the picked one
    * @returns {Promise} API response
    */
-  patchBug: (id, data) => {
-    return api.patch(`/bugs/${id}`, data);
+  patchBug: (id, data, version, projectId) => {
+    return api.patch(bugsPath(`/${id}`, projectId), data, ifMatch(version));
   },
 
   /**
-   * Delete a bug
+   * Delete a bug (it goes to the trash)
    * @param {string} id - Bug ID
+   * @param {string|null} [projectId] - Project the bug is in, when not the picked one
    * @returns {Promise} API response
    */
-  deleteBug: (id) => {
-    return api.delete(`/bugs/${id}`);
+  deleteBug: (id, projectId) => {
+    return api.delete(bugsPath(`/${id}`, projectId));
+  },
+
+  /**
+   * Take a deleted bug out of the trash
+   * @param {string} id - Bug ID
+   * @returns {Promise} API response with the restored bug
+   */
+  restoreBug: (id) => {
+    return api.post(bugsPath(`/${id}/restore`));
+  },
+
+  /**
+   * Apply one action to many bugs
+   * @param {Array<string>} ids - Bug IDs
+   * @param {string} action - One of BULK_ACTIONS
+   * @param {*} value - Status, priority or assignee ID (unused for delete)
+   * @returns {Promise} API response with per-bug results
+   */
+  bulkAction: (ids, action, value) => {
+    return api.post(bugsPath('/bulk'), { ids, action, value });
   },
 
   /**
    * Get bug statistics
+   * @param {Object} params - Optional creation date range (from, to)
+   * @returns {Promise} API response
+   */
+  getBugStats: (params = {}) => {
+    return api.get(bugsPath('/stats'), { params });
+  },
+
+  /**
+   * Get opened vs. resolved trends with backlog and time to resolution
+   * @param {Object} params - interval ('day' | 'week') and optional from, to
+   * @returns {Promise} API response
+   */
+  getBugTrends: (params = {}) => {
+    return api.get(bugsPath('/stats/trends'), { params });
+  },
+
+  /**
+   * Get the audit history of a bug (newest first)
+   * @param {string} id - Bug ID
+   * @returns {Promise} API response
+   */
+  getBugHistory: (id) => {
+    return api.get(bugsPath(`/${id}/history`));
+  },
+
+  /**
+   * Get the comment thread for a bug
+   * @param {string} bugId - Bug ID
+   * @returns {Promise} API response
+   */
+  getComments: (bugId) => {
+    return api.get(bugsPath(`/${bugId}/comments`));
+  },
+
+  /**
+   * Add a comment to a bug
+   * @param {string} bugId - Bug ID
+   * @param {Object} data - Comment data ({ content })
+   * @returns {Promise} API response
+   */
+  createComment: (bugId, data) => {
+    return api.post(bugsPath(`/${bugId}/comments`), data);
+  },
+
+  /**
+   * Edit a comment
+   * @param {string} bugId - Bug ID
+   * @param {string} commentId - Comment ID
+   * @param {Object} data - Comment data ({ content })
+   * @returns {Promise} API response
+   */
+  updateComment: (bugId, commentId, data) => {
+    return api.put(bugsPath(`/${bugId}/comments/${commentId}`), data);
+  },
+
+  /**
+   * Delete a comment
+   * @param {string} bugId - Bug ID
+   * @param {string} commentId - Comment ID
+   * @returns {Promise} API response
+   */
+  deleteComment: (bugId, commentId) => {
+    return api.delete(bugsPath(`/${bugId}/comments/${commentId}`));
+  },
+
+  /**
+   * List the files attached to a bug
+   * @param {string} bugId - Bug ID
+   * @returns {Promise} API response
+   */
+  getAttachments: (bugId) => {
+    return api.get(bugsPath(`/${bugId}/attachments`));
+  },
+
+  /**
+   * Upload files to a bug
+   * @param {string} bugId - Bug ID
+   * @param {Array<File>} files - Files to attach
+   * @returns {Promise} API response with the created attachments
+   */
+  uploadAttachments: (bugId, files) => {
+    const formData = new FormData();
+    files.forEach((file) => formData.append('files', file));
+    return api.post(bugsPath(`/${bugId}/attachments`), formData, {
+      // Overrides the JSON default; the browser adds the boundary
+      headers: { 'Content-Type': 'multipart/form-data' },
+      // Large files take longer than the default request timeout
+      timeout: 60000,
+    });
+  },
+
+  /**
+   * Download an attachment's contents
+   * @param {string} bugId - Bug ID
+   * @param {string} attachmentId - Attachment ID
+   * @returns {Promise} API response with a Blob as data
+   */
+  downloadAttachment: (bugId, attachmentId) => {
+    return api.get(bugsPath(`/${bugId}/attachments/${attachmentId}`), {
+      responseType: 'blob',
+    });
+  },
+
+  /**
+   * Delete an attachment
+   * @param {string} bugId - Bug ID
+   * @param {string} attachmentId - Attachment ID
    * @returns {Promise} API response
    */
-  getBugStats: () => {
-    return api.get('/bugs/stats');
+  deleteAttachment: (bugId, attachmentId) => {
+    return api.delete(bugsPath(`/${bugId}/attachments/${attachmentId}`));
   },
 };
@@ -0,0 +1,44 @@
+/**
+ * Label API Service
+ * Label taxonomy API calls (changes are admin only)
+ */
+
+import api from './api';
+
+export const labelService = {
+  /**
+   * Get all labels
+   * @returns {Promise} API response
+   */
+  getLabels: () => {
+    return api.get('/labels');
+  },
+
+  /**
+   * Create a label
+   * @param {Object} data - { name, color }
+   * @returns {Promise} API response
+   */
+  createLabel: (data) => {
+    return api.post('/labels', data);
+  },
+
+  /**
+   * Rename or recolor a label
+   * @param {string} id - Label ID
+   * @param {Object} data - { name?, color? }
+   * @returns {Promise} API response
+   */
+  updateLabel: (id, data) => {
+    return api.patch(`/labels/${id}`, data);
+  },
+
+  /**
+   * Delete a label (also removes it from every bug)
+   * @param {string} id - Label ID
+   * @returns {Promise} API response
+   */
+  deleteLabel: (id) => {
+    return api.delete(`/labels/${id}`);
+  },
+};
@@ -0,0 +1,124 @@
+/**
+ * Offline Store
+ * IndexedDB copy of the last bug list and the outbox of changes made offline
+ */
+
+import { OFFLINE_DB } from '../utils/constants';
+
+let dbPromise = null;
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request
+ * @returns {Promise}
+ */
+const promisify = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+/**
+ * Open (and on first use create) the offline database
+ * @returns {Promise<IDBDatabase>}
+ */
+const openDb = () => {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.reject(new Error('Offline storage is not available in this browser'));
+  }
+
+  if (!dbPromise) {
+    const request = indexedDB.open(OFFLINE_DB.NAME, OFFLINE_DB.VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(OFFLINE_DB.BUGS_STORE)) {
+        db.createObjectStore(OFFLINE_DB.BUGS_STORE);
+      }
+      if (!db.objectStoreNames.contains(OFFLINE_DB.OUTBOX_STORE)) {
+        db.createObjectStore(OFFLINE_DB.OUTBOX_STORE, { keyPath: 'key', autoIncrement: true });
+      }
+    };
+    dbPromise = promisify(request).catch((error) => {
+      // Let the next call try again
+      dbPromise = null;
+      throw error;
+    });
+  }
+
+  return dbPromise;
+};
+
+/**
+ * Run one request against an object store
+ * @param {string} storeName - Object store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} run - Receives the store, returns an IDBRequest
+ * @returns {Promise}
+ */
+const withStore = async (storeName, mode, run) => {
+  const db = await openDb();
+  return promisify(run(db.transaction(storeName, mode).objectStore(storeName)));
+};
+
+/**
+ * Save the bug list last loaded for a project
+ * @param {string} projectKey - Project ID, or 'default'
+ * @param {Array} bugs - Bugs as returned by the API
+ */
+export const cacheBugs = (projectKey, bugs) =>
+  withStore(OFFLINE_DB.BUGS_STORE, 'readwrite', (store) =>
+    store.put({ bugs, savedAt: new Date().toISOString() }, projectKey)
+  );
+
+/**
+ * Read the bug list saved for a project
+ * @param {string} projectKey - Project ID, or 'default'
+ * @returns {Promise<{ bugs: Array, savedAt: string }|null>}
+ */
+export const getCachedBugs = async (projectKey) =>
+  (await withStore(OFFLINE_DB.BUGS_STORE, 'readonly', (store) => store.get(projectKey))) || null;
+
+/**
+ * Queue a change to send once back online
+ * @param {Object} entry - { method, id, data?, baseUpdatedAt? }
+ * @returns {Promise<number>} Outbox key
+ */
+export const enqueue = (entry) =>
+  withStore(OFFLINE_DB.OUTBOX_STORE, 'readwrite', (store) =>
+    store.add({ ...entry, queuedAt: new Date().toISOString() })
+  );
+
+/**
+ * Every queued change, oldest first
+ * @returns {Promise<Array>}
+ */
+export const getOutbox = () =>
+  withStore(OFFLINE_DB.OUTBOX_STORE, 'readonly', (store) => store.getAll());
+
+/**
+ * Remove a change once it has been sent (or given up on)
+ * @param {number} key - Outbox key
+ */
+export const dequeue = (key) =>
+  withStore(OFFLINE_DB.OUTBOX_STORE, 'readwrite', (store) => store.delete(key));
+
+/**
+ * Number of queued changes
+ * @returns {Promise<number>}
+ */
+export const countOutbox = () =>
+  withStore(OFFLINE_DB.OUTBOX_STORE, 'readonly', (store) => store.count());
+
+/**
+ * Forget the saved bugs and any unsent changes (on logout)
+ */
+export const clearOfflineData = async () => {
+  const db = await openDb();
+  const stores = [OFFLINE_DB.BUGS_STORE, OFFLINE_DB.OUTBOX_STORE];
+  const transaction = db.transaction(stores, 'readwrite');
+  stores.forEach((name) => transaction.objectStore(name).clear());
+  await new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  });
+};
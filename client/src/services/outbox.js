@@ -0,0 +1,129 @@
+/**
+ * Outbox Service
+ * Sends the bug changes queued while offline, in the order they were made
+ *
+ * Each queued entry names the bugService method that would have sent it
+ * (createBug, updateBug, patchBug or deleteBug) and the project it was made
+ * in, so switching projects while offline does not send it to another one.
+ * Before an update or delete is sent, the bug is fetched: if someone else
+ * changed or deleted it since the offline edit was made, the entry is
+ * reported as a conflict and dropped rather than overwriting their work.
+ */
+
+import { bugService } from './bugService';
+import { getOutbox, dequeue } from './offlineStore';
+
+export const OUTBOX_METHODS = {
+  CREATE: 'createBug',
+  UPDATE: 'updateBug',
+  PATCH: 'patchBug',
+  DELETE: 'deleteBug',
+};
+
+// Shared so a reconnect while a replay is running does not send entries twice
+let replayPromise = null;
+
+/**
+ * Whether the server could not be reached, so the entry should stay queued
+ * @param {Error} error - Axios error
+ * @returns {boolean}
+ */
+const isUnreachable = (error) => !error.response || error.response.status >= 500;
+
+/**
+ * Send one queued change
+ * @param {Object} entry - Outbox entry
+ * @param {string} id - Bug ID, with placeholder IDs already swapped for saved ones
+ * @returns {Promise<Object|undefined>} Saved bug (undefined for deletions)
+ */
+const send = async (entry, id) => {
+  if (entry.method === OUTBOX_METHODS.CREATE) {
+    return (await bugService.createBug(entry.data, entry.projectId)).data.data;
+  }
+  if (entry.method === OUTBOX_METHODS.DELETE) {
+    await bugService.deleteBug(id, entry.projectId);
+    return undefined;
+  }
+  return (await bugService[entry.method](id, entry.data, undefined, entry.projectId)).data.data;
+};
+
+const replay = async () => {
+  const result = { created: [], updated: [], deleted: [], conflicts: [], remaining: 0 };
+  const entries = await getOutbox();
+
+  // Placeholder ID -> saved ID, for bugs created earlier in this replay
+  const savedIds = {};
+  // Bug ID -> updatedAt of our own last write, so a chain of offline edits
+  // to one bug is not mistaken for someone else's change
+  const ownVersions = {};
+
+  for (let i = 0; i < entries.length; i += 1) {
+    const entry = entries[i];
+    const id = savedIds[entry.id] || entry.id;
+    let current = null;
+
+    try {
+      if (entry.method !== OUTBOX_METHODS.CREATE && entry.tempId && !savedIds[entry.id]) {
+        result.conflicts.push({ entry, reason: 'was never created' });
+      } else if (entry.method === OUTBOX_METHODS.CREATE) {
+        const bug = await send(entry, id);
+        savedIds[entry.id] = bug._id || bug.id;
+        ownVersions[savedIds[entry.id]] = bug.updatedAt;
+        result.created.push({ tempId: entry.id, bug });
+      } else {
+        const expected = ownVersions[id] ?? entry.baseUpdatedAt;
+        if (expected) current = (await bugService.getBugById(id, entry.projectId)).data.data;
+
+        if (current && current.updatedAt !== expected) {
+          result.conflicts.push({ entry, reason: 'was changed by someone else', bug: current });
+        } else if (entry.method === OUTBOX_METHODS.DELETE) {
+          await send(entry, id);
+          result.deleted.push(id);
+        } else {
+          const bug = await send(entry, id);
+          ownVersions[id] = bug.updatedAt;
+          result.updated.push(bug);
+        }
+      }
+    } catch (error) {
+      if (isUnreachable(error)) {
+        // Still offline (or the server is down): try the rest next time
+        result.remaining = entries.length - i;
+        break;
+      }
+      if (entry.method === OUTBOX_METHODS.DELETE && error.response.status === 404) {
+        // Already gone, which is what was asked for
+        result.deleted.push(id);
+      } else {
+        result.conflicts.push({
+          entry,
+          bug: current,
+          reason: error.response.status === 404
+            ? 'was deleted by someone else'
+            : error.response.data?.message || 'was refused by the server',
+        });
+      }
+    }
+
+    await dequeue(entry.key);
+  }
+
+  return result;
+};
+
+/**
+ * Send every queued change, oldest first
+ * Stops at the first change the server cannot be reached for and leaves it
+ * and everything after it queued.
+ * @returns {Promise<Object>} { created: [{ tempId, bug }], updated: [bug],
+ *   deleted: [id], conflicts: [{ entry, reason, bug? }], remaining }
+ *   where a conflict's bug is the server's copy, when there still is one
+ */
+export const replayOutbox = () => {
+  if (!replayPromise) {
+    replayPromise = replay().finally(() => {
+      replayPromise = null;
+    });
+  }
+  return replayPromise;
+};
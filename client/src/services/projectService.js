@@ -0,0 +1,97 @@
+/**
+ * Project API Service
+ * Project and membership API calls
+ */
+
+import api from './api';
+import { CURRENT_PROJECT_KEY } from '../utils/constants';
+
+/**
+ * Read the project picked in the sidebar
+ * @returns {string|null} Project ID, or null for the default project
+ */
+export const getStoredProjectId = () => {
+  try {
+    return JSON.parse(localStorage.getItem(CURRENT_PROJECT_KEY)) || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+export const projectService = {
+  /**
+   * Get the projects the current user can open, with their role in each
+   * @returns {Promise} API response
+   */
+  getProjects: () => {
+    return api.get('/projects');
+  },
+
+  /**
+   * Create a project (the creator becomes its admin)
+   * @param {Object} data - { name, description? }
+   * @returns {Promise} API response
+   */
+  createProject: (data) => {
+    return api.post('/projects', data);
+  },
+
+  /**
+   * Get a project with its members
+   * @param {string} id - Project ID
+   * @returns {Promise} API response
+   */
+  getProject: (id) => {
+    return api.get(`/projects/${id}`);
+  },
+
+  /**
+   * Rename a project or change its description
+   * @param {string} id - Project ID
+   * @param {Object} data - { name?, description? }
+   * @returns {Promise} API response
+   */
+  updateProject: (id, data) => {
+    return api.patch(`/projects/${id}`, data);
+  },
+
+  /**
+   * Delete a project that has no bugs
+   * @param {string} id - Project ID
+   * @returns {Promise} API response
+   */
+  deleteProject: (id) => {
+    return api.delete(`/projects/${id}`);
+  },
+
+  /**
+   * Add a member to a project
+   * @param {string} id - Project ID
+   * @param {Object} data - { user, role? }
+   * @returns {Promise} API response
+   */
+  addMember: (id, data) => {
+    return api.post(`/projects/${id}/members`, data);
+  },
+
+  /**
+   * Change a member's project role
+   * @param {string} id - Project ID
+   * @param {string} userId - Member's user ID
+   * @param {string} role - One of PROJECT_ROLES
+   * @returns {Promise} API response
+   */
+  updateMember: (id, userId, role) => {
+    return api.patch(`/projects/${id}/members/${userId}`, { role });
+  },
+
+  /**
+   * Remove a member from a project
+   * @param {string} id - Project ID
+   * @param {string} userId - Member's user ID
+   * @returns {Promise} API response
+   */
+  removeMember: (id, userId) => {
+    return api.delete(`/projects/${id}/members/${userId}`);
+  },
+};
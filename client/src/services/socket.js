@@ -0,0 +1,19 @@
+/**
+ * Socket Service
+ * Live bug events pushed by the server
+ */
+
+import { io } from 'socket.io-client';
+import { SOCKET_URL } from '../utils/constants';
+
+/**
+ * Connect to the live bug events of a project
+ * @param {string|null} projectId - Project ID, or null for the default project
+ * @returns {Object} Socket.IO client socket; call disconnect() when done
+ */
+export const connectBugEvents = (projectId) =>
+  io(SOCKET_URL, {
+    // Read on every (re)connect so a refreshed access token is picked up
+    auth: (cb) => cb({ token: localStorage.getItem('token'), projectId }),
+    withCredentials: true,
+  });
@@ -0,0 +1,16 @@
+/**
+ * User API Service
+ * User directory API calls
+ */
+
+import api from './api';
+
+export const userService = {
+  /**
+   * Get all users (name and email only)
+   * @returns {Promise} API response
+   */
+  getUsers: () => {
+    return api.get('/users');
+  },
+};
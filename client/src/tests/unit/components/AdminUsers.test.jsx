@@ -0,0 +1,64 @@
+/**
+ * Unit Tests for AdminUsers Component
+ */
+
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import AdminUsers from '../../../components/admin/AdminUsers';
+import { adminService } from '../../../services/adminService';
+
+jest.mock('react-hot-toast');
+jest.mock('../../../services/adminService');
+jest.mock('../../../context/AuthContext', () => ({
+  useAuth: () => ({ user: { id: 'admin-1', name: 'Ada', role: 'admin' } }),
+}));
+
+describe('AdminUsers Component - Unit Tests', () => {
+  const users = [
+    {
+      _id: 'admin-1',
+      name: 'Ada',
+      email: 'ada@example.com',
+      role: 'admin',
+      isActive: true,
+      createdAt: '2024-01-01T00:00:00.000Z',
+    },
+    {
+      _id: 'user-2',
+      name: 'Grace',
+      email: 'grace@example.com',
+      role: 'user',
+      isActive: true,
+      createdAt: '2024-02-01T00:00:00.000Z',
+    },
+  ];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    adminService.getUsers.mockResolvedValue({ data: { data: users } });
+  });
+
+  it('should list users and lock controls on the current admin', async () => {
+    render(<AdminUsers />);
+
+    expect(await screen.findByText('grace@example.com')).toBeInTheDocument();
+    expect(screen.getByLabelText('Role for Ada')).toBeDisabled();
+    expect(screen.getByLabelText('Role for Grace')).not.toBeDisabled();
+  });
+
+  it('should change a role and show the updated value', async () => {
+    adminService.updateRole.mockResolvedValue({
+      data: { data: { ...users[1], role: 'admin' } },
+    });
+    render(<AdminUsers />);
+
+    fireEvent.change(await screen.findByLabelText('Role for Grace'), {
+      target: { value: 'admin' },
+    });
+
+    await waitFor(() => {
+      expect(screen.getByLabelText('Role for Grace')).toHaveValue('admin');
+    });
+    expect(adminService.updateRole).toHaveBeenCalledWith('user-2', 'admin');
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * Unit Tests for BugAttachments Component
+ */
+
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import { toast } from 'react-hot-toast';
+import BugAttachments from '../../../components/bugs/BugAttachments';
+import { bugService } from '../../../services/bugService';
+
+jest.mock('react-hot-toast');
+jest.mock('../../../services/bugService');
+jest.mock('../../../context/AuthContext', () => ({
+  useAuth: () => ({ user: { id: 'u2', name: 'Linus', role: 'user' } }),
+}));
+
+let mockProjectRole = 'member';
+jest.mock('../../../context/ProjectContext', () => ({
+  useProjects: () => ({ currentProject: { _id: 'p1', role: mockProjectRole } }),
+}));
+
+describe('BugAttachments Component - Unit Tests', () => {
+  const bug = { _id: 'bug-1', creator: 'u1' };
+  const attachments = [
+    {
+      _id: 'a1',
+      filename: 'screenshot.png',
+      mimeType: 'image/png',
+      size: 2048,
+      uploader: { _id: 'u2', name: 'Linus' },
+      createdAt: new Date().toISOString(),
+    },
+    {
+      _id: 'a2',
+      filename: 'console.log',
+      mimeType: 'text/plain',
+      size: 512,
+      uploader: { _id: 'u1', name: 'Ada' },
+      createdAt: new Date().toISOString(),
+    },
+  ];
+
+  const makeFile = (name, type, size = 4) => {
+    const file = new File(['data'], name, { type });
+    Object.defineProperty(file, 'size', { value: size });
+    return file;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    toast.error = jest.fn();
+    toast.success = jest.fn();
+    URL.createObjectURL = jest.fn(() => 'blob:preview');
+    URL.revokeObjectURL = jest.fn();
+    bugService.getAttachments.mockResolvedValue({ data: { data: attachments } });
+    bugService.downloadAttachment.mockResolvedValue({ data: new Blob(['png']) });
+    mockProjectRole = 'member';
+  });
+
+  it('should list attachments with an image thumbnail', async () => {
+    render(<BugAttachments bug={bug} />);
+
+    expect(await screen.findByText('console.log')).toBeInTheDocument();
+    expect(screen.getByText('Attachments (2)')).toBeInTheDocument();
+    expect(await screen.findByAltText('screenshot.png')).toHaveAttribute('src', 'blob:preview');
+    // Only images are fetched for previews
+    expect(bugService.downloadAttachment).toHaveBeenCalledTimes(1);
+    expect(bugService.downloadAttachment).toHaveBeenCalledWith('bug-1', 'a1');
+  });
+
+  it('should only offer delete on files the user may remove', async () => {
+    render(<BugAttachments bug={bug} />);
+
+    expect(await screen.findByLabelText('Delete screenshot.png')).toBeInTheDocument();
+    expect(screen.queryByLabelText('Delete console.log')).not.toBeInTheDocument();
+  });
+
+  it('should not offer delete to project viewers', async () => {
+    mockProjectRole = 'viewer';
+    render(<BugAttachments bug={bug} />);
+
+    expect(await screen.findByText('screenshot.png')).toBeInTheDocument();
+    expect(screen.queryByLabelText('Delete screenshot.png')).not.toBeInTheDocument();
+  });
+
+  it('should upload dropped files', async () => {
+    bugService.uploadAttachments.mockResolvedValue({
+      data: {
+        data: [{ ...attachments[1], _id: 'a3', filename: 'trace.txt', uploader: { _id: 'u2' } }],
+      },
+    });
+    render(<BugAttachments bug={bug} />);
+    await screen.findByText('console.log');
+
+    const file = makeFile('trace.txt', 'text/plain');
+    fireEvent.drop(screen.getByRole('button', { name: 'Upload attachments' }), {
+      dataTransfer: { files: [file] },
+    });
+
+    expect(await screen.findByText('trace.txt')).toBeInTheDocument();
+    expect(bugService.uploadAttachments).toHaveBeenCalledWith('bug-1', [file]);
+  });
+
+  it('should reject disallowed and oversized files before uploading', async () => {
+    render(<BugAttachments bug={bug} />);
+    await screen.findByText('console.log');
+
+    fireEvent.change(screen.getByTestId('attachment-input'), {
+      target: {
+        files: [
+          makeFile('page.html', 'text/html'),
+          makeFile('huge.png', 'image/png', 11 * 1024 * 1024),
+        ],
+      },
+    });
+
+    await waitFor(() => {
+      expect(toast.error).toHaveBeenCalledWith('page.html: file type not allowed');
+    });
+    expect(toast.error).toHaveBeenCalledWith('huge.png: larger than 10 MB');
+    expect(bugService.uploadAttachments).not.toHaveBeenCalled();
+  });
+
+  it('should delete an attachment', async () => {
+    bugService.deleteAttachment.mockResolvedValue({});
+    render(<BugAttachments bug={bug} />);
+
+    fireEvent.click(await screen.findByLabelText('Delete screenshot.png'));
+
+    await waitFor(() => {
+      expect(screen.queryByText('screenshot.png')).not.toBeInTheDocument();
+    });
+    expect(bugService.deleteAttachment).toHaveBeenCalledWith('bug-1', 'a1');
+  });
+});
@@ -51,6 +51,60 @@ describe('BugCard Component - Unit Tests', () => {
       expect(severityBadge).toBeInTheDocument();
     });
 
+    it('should show a badge when the SLA is breached', () => {
+      const lateBug = { ...mockBug, slaStatus: 'breached', slaDueAt: '2024-01-04T12:00:00.000Z' };
+
+      render(<BugCard bug={lateBug} {...mockHandlers} />);
+
+      expect(screen.getByText('SLA breached')).toHaveAttribute('title', 'Due Jan 4, 2024');
+    });
+
+    it('should not show an SLA badge for bugs on track or resolved', () => {
+      const { rerender } = render(
+        <BugCard bug={{ ...mockBug, slaStatus: 'on-track' }} {...mockHandlers} />
+      );
+      expect(screen.queryByText(/SLA/)).not.toBeInTheDocument();
+
+      rerender(<BugCard bug={{ ...mockBug, _id: '124', slaStatus: 'met' }} {...mockHandlers} />);
+      expect(screen.queryByText(/SLA/)).not.toBeInTheDocument();
+    });
+
+    it('should show the assignee with an avatar', () => {
+      const assignedBug = { ...mockBug, assignee: { _id: 'u1', name: 'Ada Lovelace' } };
+
+      render(<BugCard bug={assignedBug} {...mockHandlers} />);
+
+      expect(screen.getByText('Ada Lovelace')).toBeInTheDocument();
+      expect(screen.getByText('AL')).toBeInTheDocument();
+    });
+
+    it('should show unassigned bugs as unassigned', () => {
+      render(<BugCard bug={mockBug} {...mockHandlers} />);
+
+      expect(screen.getByText('Unassigned')).toBeInTheDocument();
+    });
+
+    it('should mark search matches in the title and description', () => {
+      const searchResult = {
+        ...mockBug,
+        highlights: {
+          title: [
+            { text: 'Test', match: true },
+            { text: ' Bug', match: false },
+          ],
+          description: [
+            { text: 'Test', match: true },
+            { text: ' bug description', match: false },
+          ],
+        },
+      };
+      const { container } = render(<BugCard bug={searchResult} {...mockHandlers} />);
+
+      const marks = container.querySelectorAll('mark');
+      expect(marks).toHaveLength(2);
+      expect(marks[0]).toHaveTextContent('Test');
+    });
+
     it('should handle missing optional fields', () => {
       const bugWithoutCreator = { ...mockBug, createdBy: undefined };
 
@@ -101,6 +155,92 @@ describe('BugCard Component - Unit Tests', () => {
     });
   });
 
+  describe('Permissions', () => {
+    it('should hide actions the user is not allowed to use', () => {
+      render(<BugCard bug={mockBug} {...mockHandlers} canEdit canDelete={false} />);
+
+      expect(screen.getAllByLabelText('Edit bug').length).toBeGreaterThan(0);
+      expect(screen.queryByLabelText('Delete bug')).not.toBeInTheDocument();
+    });
+
+    it('should render no action buttons for read-only users', () => {
+      render(<BugCard bug={mockBug} {...mockHandlers} canEdit={false} canDelete={false} />);
+
+      expect(screen.queryByLabelText('Edit bug')).not.toBeInTheDocument();
+      expect(screen.queryByLabelText('Delete bug')).not.toBeInTheDocument();
+    });
+  });
+
+  describe('Labels', () => {
+    it('should render a chip per label', () => {
+      const labelled = {
+        ...mockBug,
+        labels: [
+          { _id: 'l1', name: 'frontend', color: '#0969da' },
+          { _id: 'l2', name: 'regression', color: '#fbca04' },
+        ],
+      };
+
+      render(<BugCard bug={labelled} {...mockHandlers} />);
+
+      expect(screen.getByText('frontend')).toHaveStyle({ color: '#ffffff' });
+      expect(screen.getByText('regression')).toHaveStyle({ color: '#1f2328' });
+    });
+  });
+
+  describe('Selection', () => {
+    it('should not render a checkbox without onSelect', () => {
+      render(<BugCard bug={mockBug} {...mockHandlers} />);
+
+      expect(screen.queryByLabelText('Select bug Test Bug')).not.toBeInTheDocument();
+    });
+
+    it('should select the bug from its checkbox without opening it', () => {
+      const onSelect = jest.fn();
+      render(<BugCard bug={mockBug} {...mockHandlers} onSelect={onSelect} />);
+
+      fireEvent.click(screen.getByLabelText('Select bug Test Bug'));
+
+      expect(onSelect).toHaveBeenCalledWith(mockBug, { range: false });
+      expect(mockHandlers.onClick).not.toHaveBeenCalled();
+    });
+
+    it('should extend the selection on shift-click', () => {
+      const onSelect = jest.fn();
+      render(<BugCard bug={mockBug} {...mockHandlers} onSelect={onSelect} />);
+
+      fireEvent.click(screen.getByText('Test bug description'), { shiftKey: true });
+
+      expect(onSelect).toHaveBeenCalledWith(mockBug, { range: true });
+      expect(mockHandlers.onClick).not.toHaveBeenCalled();
+    });
+
+    it('should reflect the selected state', () => {
+      render(<BugCard bug={mockBug} {...mockHandlers} onSelect={jest.fn()} selected />);
+
+      expect(screen.getByLabelText('Select bug Test Bug')).toBeChecked();
+    });
+  });
+
+  describe('Pending Changes', () => {
+    it('should show that a change is saving instead of the actions', () => {
+      render(<BugCard bug={mockBug} {...mockHandlers} onSelect={jest.fn()} pending />);
+
+      expect(screen.getAllByText('Saving...').length).toBeGreaterThan(0);
+      expect(screen.queryByLabelText('Edit bug')).not.toBeInTheDocument();
+      expect(screen.queryByLabelText('Delete bug')).not.toBeInTheDocument();
+      expect(screen.queryByLabelText('Select bug Test Bug')).not.toBeInTheDocument();
+    });
+
+    it('should not open a bug that is still saving', () => {
+      render(<BugCard bug={mockBug} {...mockHandlers} pending />);
+
+      fireEvent.click(screen.getByText('Test Bug'));
+
+      expect(mockHandlers.onClick).not.toHaveBeenCalled();
+    });
+  });
+
   describe('Different Bug States', () => {
     it('should render bug with open status', () => {
       const openBug = { ...mockBug, status: 'open' };
@@ -0,0 +1,77 @@
+/**
+ * Unit Tests for BugColumn Component
+ */
+
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import BugColumn from '../../../components/bugs/BugColumn';
+
+describe('BugColumn Component - Unit Tests', () => {
+  const bugs = [
+    {
+      _id: '1',
+      title: 'Bug 1',
+      description: 'First bug',
+      status: 'open',
+      priority: 'high',
+      severity: 'major',
+      createdBy: 'Ada',
+      createdAt: '2024-01-01T00:00:00.000Z',
+    },
+  ];
+
+  const handlers = {
+    onEdit: jest.fn(),
+    onDelete: jest.fn(),
+  };
+
+  it('should render the column title and bug count', () => {
+    render(<BugColumn status="open" bugs={bugs} {...handlers} />);
+
+    expect(screen.getByText('Open')).toBeInTheDocument();
+    expect(screen.getByText('1')).toBeInTheDocument();
+    expect(screen.queryByText('Load more')).not.toBeInTheDocument();
+  });
+
+  it('should offer to load more when another page exists', async () => {
+    const onLoadMore = jest.fn().mockResolvedValue();
+    render(
+      <BugColumn status="open" bugs={bugs} hasMore onLoadMore={onLoadMore} {...handlers} />
+    );
+
+    expect(screen.getByText('1+')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByText('Load more'));
+
+    await waitFor(() => {
+      expect(onLoadMore).toHaveBeenCalledWith('open');
+    });
+  });
+
+  it('should let project admins edit and delete bugs they do not own', () => {
+    const user = { id: 'u9', role: 'user' };
+    render(
+      <BugColumn status="open" bugs={bugs} currentUser={user} projectRole="admin" {...handlers} />
+    );
+
+    expect(screen.getAllByLabelText('Edit bug').length).toBeGreaterThan(0);
+    expect(screen.getAllByLabelText('Delete bug').length).toBeGreaterThan(0);
+  });
+
+  it('should keep project viewers read-only on their own bugs', () => {
+    const user = { id: 'u1', role: 'user' };
+    const ownBugs = bugs.map((bug) => ({ ...bug, creator: 'u1', assignee: 'u1' }));
+    render(
+      <BugColumn status="open" bugs={ownBugs} currentUser={user} projectRole="viewer" {...handlers} />
+    );
+
+    expect(screen.queryByLabelText('Edit bug')).not.toBeInTheDocument();
+    expect(screen.queryByLabelText('Delete bug')).not.toBeInTheDocument();
+  });
+
+  it('should flag columns that cannot accept the dragged bug', () => {
+    render(<BugColumn status="closed" bugs={[]} isDropDisabled {...handlers} />);
+
+    expect(screen.getByText('Not allowed')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,63 @@
+/**
+ * BugConflictDialog Component Tests
+ */
+
+import { render, screen, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import BugConflictDialog from '../../../components/bugs/BugConflictDialog';
+
+jest.mock('../../../components/common/Modal', () => (props) => (props.isOpen ? props.children : null));
+jest.mock('../../../hooks/useUsers', () => ({
+  useUsers: () => ({ users: [{ _id: 'u1', name: 'Ann' }, { _id: 'u2', name: 'Bob' }] }),
+}));
+jest.mock('../../../hooks/useLabels', () => ({
+  useLabels: () => ({ labels: [] }),
+}));
+
+const conflict = {
+  id: '1',
+  theirs: { id: '1', title: 'Sign-in broken' },
+  merged: {},
+  conflicts: [
+    { field: 'title', mine: 'Login fails on Safari', theirs: 'Sign-in broken' },
+    { field: 'assignee', mine: 'u1', theirs: 'u2' },
+  ],
+};
+
+describe('BugConflictDialog', () => {
+  it('should render nothing without a conflict', () => {
+    const { container } = render(
+      <BugConflictDialog conflict={null} onResolve={jest.fn()} onDiscard={jest.fn()} />
+    );
+
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  it('should show both versions of each conflicting field', () => {
+    render(<BugConflictDialog conflict={conflict} onResolve={jest.fn()} onDiscard={jest.fn()} />);
+
+    expect(screen.getByText('Login fails on Safari')).toBeInTheDocument();
+    expect(screen.getAllByText('Sign-in broken').length).toBeGreaterThan(0);
+    expect(screen.getByText('Ann')).toBeInTheDocument();
+    expect(screen.getByText('Bob')).toBeInTheDocument();
+  });
+
+  it('should keep my versions unless told otherwise', () => {
+    const onResolve = jest.fn();
+    render(<BugConflictDialog conflict={conflict} onResolve={onResolve} onDiscard={jest.fn()} />);
+
+    fireEvent.click(screen.getByText('Bob'));
+    fireEvent.click(screen.getByRole('button', { name: 'Save merged' }));
+
+    expect(onResolve).toHaveBeenCalledWith({ title: 'mine', assignee: 'theirs' });
+  });
+
+  it('should discard my changes', () => {
+    const onDiscard = jest.fn();
+    render(<BugConflictDialog conflict={conflict} onResolve={jest.fn()} onDiscard={onDiscard} />);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Discard my changes' }));
+
+    expect(onDiscard).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * BugFilters Component Tests
+ */
+
+import { render, screen, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import BugFilters from '../../../components/bugs/BugFilters';
+
+const filters = {
+  search: '',
+  priority: [],
+  severity: [],
+  status: [],
+  assignee: '',
+  createdAfter: '',
+  createdBefore: '',
+};
+
+const renderFilters = (props = {}) =>
+  render(
+    <BugFilters
+      filters={filters}
+      onFilterChange={jest.fn()}
+      onClearFilters={jest.fn()}
+      {...props}
+    />
+  );
+
+describe('BugFilters', () => {
+  it('should export as CSV by default', () => {
+    const onExport = jest.fn();
+    renderFilters({ onExport });
+
+    fireEvent.click(screen.getByRole('button', { name: /export/i }));
+
+    expect(onExport).toHaveBeenCalledWith('csv');
+  });
+
+  it('should export in the chosen format', () => {
+    const onExport = jest.fn();
+    renderFilters({ onExport });
+
+    fireEvent.change(screen.getByLabelText('Export format'), { target: { value: 'ndjson' } });
+    fireEvent.click(screen.getByRole('button', { name: /export/i }));
+
+    expect(onExport).toHaveBeenCalledWith('ndjson');
+  });
+
+  it('should disable the button while an export runs', () => {
+    renderFilters({ onExport: jest.fn(), exporting: true });
+
+    expect(screen.getByRole('button', { name: /loading/i })).toBeDisabled();
+  });
+
+  it('should hide export without a handler', () => {
+    renderFilters();
+
+    expect(screen.queryByRole('button', { name: /export/i })).not.toBeInTheDocument();
+  });
+});
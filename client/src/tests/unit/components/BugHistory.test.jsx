@@ -0,0 +1,71 @@
+/**
+ * Unit Tests for BugHistory Component
+ */
+
+import { render, screen, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import BugHistory from '../../../components/bugs/BugHistory';
+import { bugService } from '../../../services/bugService';
+
+jest.mock('react-hot-toast');
+jest.mock('../../../services/bugService');
+
+describe('BugHistory Component - Unit Tests', () => {
+  const history = [
+    {
+      _id: 'h2',
+      action: 'updated',
+      actor: { _id: 'u1', name: 'Ada' },
+      createdAt: new Date().toISOString(),
+      changes: [
+        { field: 'status', from: 'open', to: 'in-progress' },
+        { field: 'assignee', from: null, to: 'u2' },
+      ],
+    },
+    {
+      _id: 'h1',
+      action: 'created',
+      actor: { _id: 'u1', name: 'Ada' },
+      createdAt: new Date().toISOString(),
+      changes: [{ field: 'title', from: null, to: 'Login fails' }],
+    },
+  ];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should render each entry with its actor and action', async () => {
+    bugService.getBugHistory.mockResolvedValue({ data: { data: history } });
+
+    render(<BugHistory bugId="bug-1" />);
+
+    expect(await screen.findByText('updated')).toBeInTheDocument();
+    expect(screen.getByText('created this bug')).toBeInTheDocument();
+    expect(screen.getAllByText('Ada')).toHaveLength(2);
+    expect(bugService.getBugHistory).toHaveBeenCalledWith('bug-1');
+  });
+
+  it('should show human-readable before and after values for updates', async () => {
+    bugService.getBugHistory.mockResolvedValue({ data: { data: history } });
+
+    render(<BugHistory bugId="bug-1" users={[{ _id: 'u2', name: 'Linus' }]} />);
+
+    expect(await screen.findByText('Open')).toBeInTheDocument();
+    expect(screen.getByText('In Progress')).toBeInTheDocument();
+    expect(screen.getByText('none')).toBeInTheDocument();
+    expect(screen.getByText('Linus')).toBeInTheDocument();
+    // Creation entries are summarized rather than diffed
+    expect(screen.queryByText('Login fails')).not.toBeInTheDocument();
+  });
+
+  it('should show an empty state without history', async () => {
+    bugService.getBugHistory.mockResolvedValue({ data: { data: [] } });
+
+    render(<BugHistory bugId="bug-1" />);
+
+    await waitFor(() => {
+      expect(screen.getByText('No changes recorded yet.')).toBeInTheDocument();
+    });
+  });
+});
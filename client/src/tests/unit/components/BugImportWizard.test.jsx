@@ -0,0 +1,132 @@
+/**
+ * BugImportWizard Component Tests
+ */
+
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import BugImportWizard from '../../../components/bugs/BugImportWizard';
+
+jest.mock('../../../components/common/Modal', () => (props) => (props.isOpen ? props.children : null));
+
+const csv = [
+  'Summary,Details,Priority,Severity,Notes',
+  'Login crash,Crashes on submit every time,High,major,seen twice',
+  'Typo,Short,low,minor,',
+].join('\n');
+
+const report = {
+  dryRun: true,
+  total: 2,
+  valid: 1,
+  invalid: 1,
+  imported: 0,
+  errors: [
+    {
+      row: 2,
+      errors: [{ field: 'description', message: 'Description must be at least 10 characters' }],
+    },
+  ],
+};
+
+const pickFile = (content, name = 'bugs.csv') => {
+  const file = new File([content], name, { type: 'text/csv' });
+  fireEvent.change(screen.getByTestId('import-input'), { target: { files: [file] } });
+  return file;
+};
+
+describe('BugImportWizard', () => {
+  it('should guess the column mapping from the file header', async () => {
+    render(<BugImportWizard isOpen onClose={jest.fn()} onImport={jest.fn()} />);
+
+    pickFile('Title,Description,Priority,Severity,id\nCrash,Steps to reproduce,high,major,1\n');
+
+    expect(await screen.findByText(/1 bug in/)).toBeInTheDocument();
+    expect(screen.getByLabelText('Field for Title')).toHaveValue('title');
+    expect(screen.getByLabelText('Field for Severity')).toHaveValue('severity');
+    expect(screen.getByLabelText('Field for id')).toHaveValue('');
+    expect(screen.queryByText(/every row will fail/)).not.toBeInTheDocument();
+  });
+
+  it('should warn when a required field has no column', async () => {
+    render(<BugImportWizard isOpen onClose={jest.fn()} onImport={jest.fn()} />);
+
+    pickFile(csv);
+
+    expect(await screen.findByText(/No column fills Title, Description/)).toBeInTheDocument();
+  });
+
+  it('should send the mapping for a dry run and list the row errors', async () => {
+    const onImport = jest.fn().mockResolvedValue(report);
+    render(<BugImportWizard isOpen onClose={jest.fn()} onImport={onImport} />);
+
+    const file = pickFile(csv);
+    fireEvent.change(await screen.findByLabelText('Field for Summary'), {
+      target: { value: 'title' },
+    });
+    fireEvent.change(screen.getByLabelText('Field for Details'), {
+      target: { value: 'description' },
+    });
+    fireEvent.click(screen.getByText('Check rows'));
+
+    expect(await screen.findByText(/1 of 2 bugs are ready to import/)).toBeInTheDocument();
+    expect(onImport).toHaveBeenCalledWith(
+      file,
+      {
+        Summary: 'title',
+        Details: 'description',
+        Priority: 'priority',
+        Severity: 'severity',
+        Notes: null,
+      },
+      { dryRun: true }
+    );
+    expect(screen.getByText('Row 2:')).toBeInTheDocument();
+    expect(screen.getByText('Description must be at least 10 characters')).toBeInTheDocument();
+  });
+
+  it('should import the valid rows and close', async () => {
+    const onImport = jest
+      .fn()
+      .mockResolvedValueOnce(report)
+      .mockResolvedValueOnce({ ...report, dryRun: false, imported: 1 });
+    const onClose = jest.fn();
+    render(<BugImportWizard isOpen onClose={onClose} onImport={onImport} />);
+
+    pickFile(csv);
+    fireEvent.click(await screen.findByText('Check rows'));
+    fireEvent.click(await screen.findByText('Import 1 bug'));
+
+    await waitFor(() => expect(onClose).toHaveBeenCalled());
+    expect(onImport).toHaveBeenLastCalledWith(expect.any(File), expect.any(Object), {
+      dryRun: false,
+    });
+  });
+
+  it('should not offer to import when no row is valid', async () => {
+    const onImport = jest.fn().mockResolvedValue({ ...report, valid: 0, invalid: 2 });
+    render(<BugImportWizard isOpen onClose={jest.fn()} onImport={onImport} />);
+
+    pickFile(csv);
+    fireEvent.click(await screen.findByText('Check rows'));
+
+    expect(await screen.findByText('Import 0 bugs')).toBeDisabled();
+  });
+
+  it('should explain files it cannot read', async () => {
+    render(<BugImportWizard isOpen onClose={jest.fn()} onImport={jest.fn()} />);
+
+    pickFile('{"title": "A"}', 'bugs.json');
+
+    expect(await screen.findByRole('alert')).toHaveTextContent(/Could not read bugs.json/);
+  });
+
+  it('should go back to the mapping from the review', async () => {
+    render(<BugImportWizard isOpen onClose={jest.fn()} onImport={jest.fn().mockResolvedValue(report)} />);
+
+    pickFile(csv);
+    fireEvent.click(await screen.findByText('Check rows'));
+    fireEvent.click(await screen.findByText('Back'));
+
+    expect(screen.getByLabelText('Field for Summary')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * ConnectionStatus Component Tests
+ */
+
+import { render, screen, act } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import ConnectionStatus from '../../../components/common/ConnectionStatus';
+
+const mockState = { queued: 0, syncing: false };
+
+jest.mock('../../../context/BugContext', () => ({
+  useBugContext: () => ({ state: mockState }),
+}));
+
+describe('ConnectionStatus', () => {
+  let onLine;
+
+  beforeEach(() => {
+    mockState.queued = 0;
+    mockState.syncing = false;
+    onLine = jest.spyOn(navigator, 'onLine', 'get').mockReturnValue(true);
+  });
+
+  afterEach(() => {
+    onLine.mockRestore();
+  });
+
+  it('should show that the app is online', () => {
+    render(<ConnectionStatus />);
+
+    expect(screen.getByRole('status')).toHaveTextContent('Online');
+  });
+
+  it('should show offline changes waiting to sync', () => {
+    onLine.mockReturnValue(false);
+    mockState.queued = 2;
+    render(<ConnectionStatus />);
+
+    expect(screen.getByRole('status')).toHaveTextContent('Offline');
+    expect(screen.getByRole('status')).toHaveTextContent('2 changes queued');
+  });
+
+  it('should follow the browser going offline and back', () => {
+    render(<ConnectionStatus />);
+
+    act(() => {
+      window.dispatchEvent(new Event('offline'));
+    });
+    expect(screen.getByRole('status')).toHaveTextContent('Offline');
+
+    act(() => {
+      window.dispatchEvent(new Event('online'));
+    });
+    expect(screen.getByRole('status')).toHaveTextContent('Online');
+  });
+
+  it('should show when queued changes are being sent', () => {
+    mockState.queued = 1;
+    mockState.syncing = true;
+    render(<ConnectionStatus />);
+
+    expect(screen.getByRole('status')).toHaveTextContent('Syncing...');
+    expect(screen.getByRole('status')).toHaveTextContent('1 change queued');
+  });
+});
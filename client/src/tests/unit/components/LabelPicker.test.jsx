@@ -0,0 +1,38 @@
+/**
+ * Unit Tests for LabelPicker Component
+ */
+
+import { render, screen, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import LabelPicker from '../../../components/bugs/LabelPicker';
+
+describe('LabelPicker Component - Unit Tests', () => {
+  const labels = [
+    { _id: 'l1', name: 'frontend', color: '#0969da' },
+    { _id: 'l2', name: 'regression', color: '#fbca04' },
+  ];
+
+  it('should mark selected labels as pressed', () => {
+    render(<LabelPicker labels={labels} value={['l2']} onChange={jest.fn()} />);
+
+    expect(screen.getByRole('button', { name: 'frontend' })).toHaveAttribute('aria-pressed', 'false');
+    expect(screen.getByRole('button', { name: 'regression' })).toHaveAttribute('aria-pressed', 'true');
+  });
+
+  it('should add and remove labels', () => {
+    const onChange = jest.fn();
+    render(<LabelPicker labels={labels} value={['l2']} onChange={onChange} />);
+
+    fireEvent.click(screen.getByRole('button', { name: 'frontend' }));
+    expect(onChange).toHaveBeenLastCalledWith(['l2', 'l1']);
+
+    fireEvent.click(screen.getByRole('button', { name: 'regression' }));
+    expect(onChange).toHaveBeenLastCalledWith([]);
+  });
+
+  it('should explain when no labels exist', () => {
+    render(<LabelPicker labels={[]} value={[]} onChange={jest.fn()} />);
+
+    expect(screen.getByText(/No labels yet/)).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * Unit Tests for ProjectSwitcher Component
+ */
+
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import ProjectSwitcher from '../../../components/layout/ProjectSwitcher';
+import { useProjects } from '../../../context/ProjectContext';
+
+jest.mock('../../../context/ProjectContext');
+// Headless UI's dialog needs browser APIs jsdom lacks
+jest.mock('../../../components/common/Modal', () => (props) => (props.isOpen ? props.children : null));
+
+describe('ProjectSwitcher Component - Unit Tests', () => {
+  const projects = [
+    { _id: 'p-default', name: 'Default', isDefault: true, role: 'member', members: [] },
+    { _id: 'p-store', name: 'Storefront', isDefault: false, role: 'viewer', members: [] },
+  ];
+  const selectProject = jest.fn();
+  const createProject = jest.fn();
+
+  const mockProjects = (overrides = {}) => {
+    useProjects.mockReturnValue({
+      projects,
+      currentProject: projects[0],
+      selectProject,
+      createProject,
+      ...overrides,
+    });
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockProjects();
+  });
+
+  it('should render nothing until projects load', () => {
+    mockProjects({ projects: [], currentProject: null });
+    const { container } = render(<ProjectSwitcher />);
+
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  it('should show the current project and the role in it', () => {
+    mockProjects({ currentProject: projects[1] });
+    render(<ProjectSwitcher />);
+
+    expect(screen.getByLabelText('Project')).toHaveValue('p-store');
+    expect(screen.getByText('Your role: Viewer')).toBeInTheDocument();
+  });
+
+  it('should switch projects', () => {
+    const onSwitch = jest.fn();
+    render(<ProjectSwitcher onSwitch={onSwitch} />);
+
+    fireEvent.change(screen.getByLabelText('Project'), { target: { value: 'p-store' } });
+
+    expect(selectProject).toHaveBeenCalledWith('p-store');
+    expect(onSwitch).toHaveBeenCalled();
+  });
+
+  it('should create a project from the dialog', async () => {
+    createProject.mockResolvedValue(true);
+    render(<ProjectSwitcher />);
+
+    fireEvent.click(screen.getByRole('button', { name: 'New project' }));
+    fireEvent.change(await screen.findByLabelText(/Name/), { target: { value: '  Mobile App ' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Create project' }));
+
+    await waitFor(() => {
+      expect(createProject).toHaveBeenCalledWith({ name: 'Mobile App', description: '' });
+    });
+  });
+});
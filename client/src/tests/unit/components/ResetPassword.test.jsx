@@ -0,0 +1,59 @@
+/**
+ * Unit Tests for ResetPassword Component
+ */
+
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import { MemoryRouter, Routes, Route } from 'react-router-dom';
+import ResetPassword from '../../../components/auth/ResetPassword';
+import * as authService from '../../../services/authService';
+
+jest.mock('react-hot-toast');
+jest.mock('../../../services/authService');
+
+describe('ResetPassword Component - Unit Tests', () => {
+  const renderAt = (path) =>
+    render(
+      <MemoryRouter initialEntries={[path]}>
+        <Routes>
+          <Route path="/reset-password/:token" element={<ResetPassword />} />
+          <Route path="/login" element={<p>Login page</p>} />
+        </Routes>
+      </MemoryRouter>
+    );
+
+  const fillForm = (password, confirmPassword) => {
+    fireEvent.change(screen.getByPlaceholderText('At least 6 characters'), {
+      target: { name: 'password', value: password },
+    });
+    fireEvent.change(screen.getByPlaceholderText('Re-enter your password'), {
+      target: { name: 'confirmPassword', value: confirmPassword },
+    });
+    fireEvent.click(screen.getByRole('button', { name: /reset password/i }));
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should not submit when the passwords do not match', () => {
+    renderAt('/reset-password/abc123');
+
+    fillForm('newpassword', 'different');
+
+    expect(screen.getByText('Passwords do not match')).toBeInTheDocument();
+    expect(authService.resetPassword).not.toHaveBeenCalled();
+  });
+
+  it('should submit the token from the URL and return to login', async () => {
+    authService.resetPassword.mockResolvedValue({ success: true, message: 'Done' });
+    renderAt('/reset-password/abc123');
+
+    fillForm('newpassword', 'newpassword');
+
+    await waitFor(() => {
+      expect(screen.getByText('Login page')).toBeInTheDocument();
+    });
+    expect(authService.resetPassword).toHaveBeenCalledWith('abc123', 'newpassword');
+  });
+});
@@ -0,0 +1,48 @@
+/**
+ * RetryToast Component Tests
+ */
+
+import { render, screen, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import { toast } from 'react-hot-toast';
+import RetryToast, { showRetryToast } from '../../../components/common/RetryToast';
+
+jest.mock('react-hot-toast');
+
+describe('RetryToast', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should show the message with a Retry button', () => {
+    render(<RetryToast message="Failed to update bug" onRetry={jest.fn()} onDismiss={jest.fn()} />);
+
+    expect(screen.getByText('Failed to update bug')).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: /retry/i })).toBeInTheDocument();
+  });
+
+  it('should dismiss itself and run the action again on Retry', () => {
+    const onRetry = jest.fn();
+    const onDismiss = jest.fn();
+    render(<RetryToast message="Failed" onRetry={onRetry} onDismiss={onDismiss} />);
+
+    fireEvent.click(screen.getByRole('button', { name: /retry/i }));
+
+    expect(onDismiss).toHaveBeenCalled();
+    expect(onRetry).toHaveBeenCalled();
+  });
+
+  it('should open an error toast that dismisses by its own ID', () => {
+    const onRetry = jest.fn();
+    showRetryToast('Failed', onRetry);
+
+    expect(toast.error).toHaveBeenCalledWith(expect.any(Function), { duration: 8000 });
+
+    const renderToast = toast.error.mock.calls[0][0];
+    render(renderToast({ id: 'toast-1' }));
+    fireEvent.click(screen.getByRole('button', { name: /retry/i }));
+
+    expect(toast.dismiss).toHaveBeenCalledWith('toast-1');
+    expect(onRetry).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Unit Tests for StatsDashboard Component
+ */
+
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import StatsDashboard from '../../../components/stats/StatsDashboard';
+import { bugService } from '../../../services/bugService';
+
+jest.mock('../../../services/bugService');
+
+describe('StatsDashboard Component - Unit Tests', () => {
+  const stats = {
+    total: 5,
+    byStatus: { open: 2, 'in-progress': 1, resolved: 2 },
+    byPriority: { high: 3, low: 2 },
+    bySeverity: { major: 5 },
+    byCreator: [
+      { createdBy: 'Grace', total: 3, byStatus: { open: 2, resolved: 1 } },
+      { createdBy: null, total: 2, byStatus: { 'in-progress': 1, resolved: 1 } },
+    ],
+    byLabel: [{ _id: 'l1', name: 'frontend', color: '#0969da', count: 4 }],
+    range: { from: null, to: null },
+  };
+
+  const trends = {
+    interval: 'day',
+    buckets: [
+      { start: '2024-03-01T00:00:00.000Z', opened: 2, resolved: 0, backlog: 3, meanTimeToResolutionHours: null },
+      { start: '2024-03-02T00:00:00.000Z', opened: 1, resolved: 2, backlog: 2, meanTimeToResolutionHours: 36 },
+    ],
+    totals: {
+      opened: 3,
+      resolved: 2,
+      startingBacklog: 1,
+      endingBacklog: 2,
+      meanTimeToResolutionHours: 36,
+    },
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    bugService.getBugStats.mockResolvedValue({ data: { data: stats } });
+    bugService.getBugTrends.mockResolvedValue({ data: { data: trends } });
+  });
+
+  it('should render totals, charts and the reporter breakdown', async () => {
+    render(<StatsDashboard />);
+
+    expect(await screen.findByText('Top reporters')).toBeInTheDocument();
+    expect(screen.getByText('Unresolved').nextSibling).toHaveTextContent('3');
+    expect(screen.getByRole('meter', { name: 'By priority: High' })).toHaveAttribute(
+      'aria-valuenow',
+      '3'
+    );
+    expect(screen.getByText('Grace')).toBeInTheDocument();
+    expect(screen.getByText('Unknown')).toBeInTheDocument();
+  });
+
+  it('should chart bugs per label in the label color', async () => {
+    render(<StatsDashboard />);
+
+    const meter = await screen.findByRole('meter', { name: 'By label: frontend' });
+    expect(meter).toHaveAttribute('aria-valuenow', '4');
+    expect(meter.firstChild).toHaveStyle({ backgroundColor: '#0969da' });
+  });
+
+  it('should request the last 30 days by default', async () => {
+    render(<StatsDashboard />);
+
+    await screen.findByText('Top reporters');
+    const params = bugService.getBugStats.mock.calls[0][0];
+    expect(params.from).toBeDefined();
+    expect(params.to).toBeDefined();
+  });
+
+  it('should drop the range for "All time" and refetch on date changes', async () => {
+    render(<StatsDashboard />);
+    await screen.findByText('Top reporters');
+
+    fireEvent.click(screen.getByText('All time'));
+    await waitFor(() => {
+      expect(bugService.getBugStats).toHaveBeenLastCalledWith({});
+    });
+
+    fireEvent.change(screen.getByLabelText('From'), { target: { value: '2024-02-01' } });
+    await waitFor(() => {
+      expect(bugService.getBugStats).toHaveBeenLastCalledWith({
+        from: new Date('2024-02-01T00:00:00').toISOString(),
+      });
+    });
+  });
+
+  it('should render burn charts and switch the trend interval', async () => {
+    render(<StatsDashboard />);
+
+    expect(await screen.findByRole('img', { name: 'Burn-up' })).toBeInTheDocument();
+    expect(screen.getByRole('img', { name: 'Burn-down' })).toBeInTheDocument();
+    expect(screen.getByText('36h')).toBeInTheDocument();
+    expect(screen.getByTestId('series-opened').getAttribute('points').split(' ')).toHaveLength(2);
+
+    fireEvent.click(screen.getByText('Weekly'));
+    await waitFor(() => {
+      expect(bugService.getBugTrends).toHaveBeenLastCalledWith(
+        expect.objectContaining({ interval: 'week' })
+      );
+    });
+  });
+});
@@ -0,0 +1,37 @@
+/**
+ * UndoToast Component Tests
+ */
+
+import { render, screen, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import { toast } from 'react-hot-toast';
+import UndoToast, { showUndoToast } from '../../../components/common/UndoToast';
+
+jest.mock('react-hot-toast');
+
+describe('UndoToast', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should show the message with an Undo button', () => {
+    render(<UndoToast message="Bug deleted successfully" onUndo={jest.fn()} onDismiss={jest.fn()} />);
+
+    expect(screen.getByText('Bug deleted successfully')).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: /undo/i })).toBeInTheDocument();
+  });
+
+  it('should open a success toast that dismisses by its own ID on Undo', () => {
+    const onUndo = jest.fn();
+    showUndoToast('Bug deleted successfully', onUndo);
+
+    expect(toast.success).toHaveBeenCalledWith(expect.any(Function), { duration: 8000 });
+
+    const renderToast = toast.success.mock.calls[0][0];
+    render(renderToast({ id: 'toast-1' }));
+    fireEvent.click(screen.getByRole('button', { name: /undo/i }));
+
+    expect(toast.dismiss).toHaveBeenCalledWith('toast-1');
+    expect(onUndo).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,185 @@
+/**
+ * Unit Tests for BugContext live updates and offline sync
+ */
+
+import { renderHook, act, waitFor } from '@testing-library/react';
+import { toast } from 'react-hot-toast';
+import { useBugContext, BugProvider } from '../../../context/BugContext';
+import { ACTIONS } from '../../../context/bugReducer';
+import { connectBugEvents } from '../../../services/socket';
+import { countOutbox } from '../../../services/offlineStore';
+import { replayOutbox } from '../../../services/outbox';
+
+const mockAuth = { isAuthenticated: true };
+const mockProjects = { currentProjectId: null };
+
+jest.mock('react-hot-toast');
+jest.mock('../../../services/socket');
+jest.mock('../../../services/offlineStore');
+jest.mock('../../../services/outbox', () => ({
+  ...jest.requireActual('../../../services/outbox'),
+  replayOutbox: jest.fn(),
+}));
+jest.mock('../../../context/AuthContext', () => ({
+  useAuth: () => mockAuth,
+}));
+jest.mock('../../../context/ProjectContext', () => ({
+  useProjects: () => mockProjects,
+}));
+
+const wrapper = ({ children }) => <BugProvider>{children}</BugProvider>;
+
+describe('BugContext - live updates', () => {
+  let handlers;
+  let socket;
+
+  const emit = (event, payload) => act(() => handlers[event](payload));
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockAuth.isAuthenticated = true;
+    mockProjects.currentProjectId = null;
+    handlers = {};
+    socket = {
+      on: jest.fn((event, handler) => {
+        handlers[event] = handler;
+      }),
+      disconnect: jest.fn(),
+    };
+    connectBugEvents.mockReturnValue(socket);
+    countOutbox.mockResolvedValue(0);
+  });
+
+  const renderWithBugs = (bugs) => {
+    const hook = renderHook(() => useBugContext(), { wrapper });
+    act(() => hook.result.current.dispatch({ type: ACTIONS.SET_BUGS, payload: bugs }));
+    return hook;
+  };
+
+  it('should subscribe to the current project', () => {
+    mockProjects.currentProjectId = 'p1';
+    renderHook(() => useBugContext(), { wrapper });
+
+    expect(connectBugEvents).toHaveBeenCalledWith('p1');
+  });
+
+  it('should not subscribe when signed out', () => {
+    mockAuth.isAuthenticated = false;
+    renderHook(() => useBugContext(), { wrapper });
+
+    expect(connectBugEvents).not.toHaveBeenCalled();
+  });
+
+  it('should apply bugs created elsewhere once', () => {
+    const { result } = renderWithBugs([{ _id: '1', title: 'Existing' }]);
+
+    emit('bug:created', { _id: '2', title: 'Remote' });
+    emit('bug:created', { _id: '2', title: 'Remote' });
+
+    expect(result.current.state.bugs.map((bug) => bug._id)).toEqual(['2', '1']);
+  });
+
+  it('should apply remote updates and deletions', () => {
+    const { result } = renderWithBugs([
+      { _id: '1', title: 'First', status: 'open' },
+      { _id: '2', title: 'Second', status: 'open' },
+    ]);
+
+    emit('bug:updated', { _id: '1', title: 'First', status: 'resolved' });
+    emit('bug:deleted', { id: '2' });
+
+    expect(result.current.state.bugs).toEqual([{ _id: '1', title: 'First', status: 'resolved' }]);
+  });
+
+  it('should disconnect on unmount', () => {
+    const { unmount } = renderHook(() => useBugContext(), { wrapper });
+    unmount();
+
+    expect(socket.disconnect).toHaveBeenCalled();
+  });
+});
+
+describe('BugContext - offline sync', () => {
+  let onLine;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockAuth.isAuthenticated = true;
+    connectBugEvents.mockReturnValue({ on: jest.fn(), disconnect: jest.fn() });
+    onLine = jest.spyOn(navigator, 'onLine', 'get').mockReturnValue(true);
+  });
+
+  afterEach(() => {
+    onLine.mockRestore();
+  });
+
+  it('should not replay when nothing is queued', async () => {
+    countOutbox.mockResolvedValue(0);
+    renderHook(() => useBugContext(), { wrapper });
+
+    await waitFor(() => expect(countOutbox).toHaveBeenCalled());
+    expect(replayOutbox).not.toHaveBeenCalled();
+  });
+
+  it('should only count queued changes while offline', async () => {
+    onLine.mockReturnValue(false);
+    countOutbox.mockResolvedValue(2);
+    const { result } = renderHook(() => useBugContext(), { wrapper });
+
+    await waitFor(() => expect(result.current.state.queued).toBe(2));
+    expect(replayOutbox).not.toHaveBeenCalled();
+  });
+
+  it('should replay queued changes and report conflicts', async () => {
+    countOutbox.mockResolvedValue(3);
+    let finishReplay;
+    replayOutbox.mockReturnValue(new Promise((resolve) => {
+      finishReplay = resolve;
+    }));
+
+    const { result } = renderHook(() => useBugContext(), { wrapper });
+    act(() => result.current.dispatch({
+      type: ACTIONS.SET_BUGS,
+      payload: [
+        { _id: 'pending-a', title: 'Offline bug' },
+        { _id: '1', title: 'Edited offline', status: 'resolved' },
+        { _id: '2', title: 'Deleted elsewhere' },
+      ],
+    }));
+
+    await waitFor(() => expect(result.current.state.syncing).toBe(true));
+
+    await act(async () => {
+      finishReplay({
+        created: [{ tempId: 'pending-a', bug: { _id: '10', title: 'Offline bug' } }],
+        updated: [],
+        deleted: [],
+        conflicts: [
+          {
+            entry: { method: 'patchBug', id: '1', title: 'Edited offline' },
+            reason: 'was changed by someone else',
+            bug: { _id: '1', title: 'Edited offline', status: 'open' },
+          },
+          {
+            entry: { method: 'patchBug', id: '2', title: 'Deleted elsewhere' },
+            reason: 'was deleted by someone else',
+            bug: null,
+          },
+        ],
+        remaining: 0,
+      });
+    });
+
+    expect(result.current.state.bugs).toEqual([
+      { _id: '10', title: 'Offline bug' },
+      { _id: '1', title: 'Edited offline', status: 'open' },
+    ]);
+    expect(result.current.state.syncing).toBe(false);
+    expect(result.current.state.queued).toBe(0);
+    expect(toast.success).toHaveBeenCalledWith('Synced 1 offline change');
+    expect(toast.error).toHaveBeenCalledWith(
+      expect.stringContaining('"Edited offline" was changed by someone else'),
+      expect.any(Object)
+    );
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * Tests for useBugSelection hook
+ */
+
+import { renderHook, act, fireEvent } from '@testing-library/react';
+import { useBugSelection } from '../../../hooks/useBugSelection';
+
+describe('useBugSelection', () => {
+  const ids = ['a', 'b', 'c', 'd', 'e'];
+
+  test('toggles individual bugs', () => {
+    const { result } = renderHook(() => useBugSelection(ids));
+
+    act(() => result.current.toggle('b'));
+    act(() => result.current.toggle('d'));
+    expect([...result.current.selectedIds]).toEqual(['b', 'd']);
+    expect(result.current.isSelected('b')).toBe(true);
+
+    act(() => result.current.toggle('b'));
+    expect([...result.current.selectedIds]).toEqual(['d']);
+  });
+
+  test('selects a range from the last clicked bug', () => {
+    const { result } = renderHook(() => useBugSelection(ids));
+
+    act(() => result.current.toggle('d'));
+    act(() => result.current.toggle('b', { range: true }));
+
+    expect([...result.current.selectedIds].sort()).toEqual(['b', 'c', 'd']);
+  });
+
+  test('treats a range without an anchor as a single toggle', () => {
+    const { result } = renderHook(() => useBugSelection(ids));
+
+    act(() => result.current.toggle('c', { range: true }));
+
+    expect([...result.current.selectedIds]).toEqual(['c']);
+  });
+
+  test('clears on Escape', () => {
+    const { result } = renderHook(() => useBugSelection(ids));
+
+    act(() => result.current.toggle('a'));
+    act(() => {
+      fireEvent.keyDown(document, { key: 'Escape' });
+    });
+
+    expect(result.current.selectedIds.size).toBe(0);
+  });
+
+  test('keeps only the given bugs', () => {
+    const { result } = renderHook(() => useBugSelection(ids));
+
+    act(() => result.current.toggle('a'));
+    act(() => result.current.toggle('b', { range: true }));
+    act(() => result.current.keepOnly(['b']));
+
+    expect([...result.current.selectedIds]).toEqual(['b']);
+  });
+
+  test('drops bugs that leave the board', () => {
+    const { result, rerender } = renderHook(({ visible }) => useBugSelection(visible), {
+      initialProps: { visible: ids },
+    });
+
+    act(() => result.current.toggle('a'));
+    act(() => result.current.toggle('c'));
+    rerender({ visible: ['b', 'c'] });
+
+    expect([...result.current.selectedIds]).toEqual(['c']);
+  });
+});
@@ -7,10 +7,29 @@ import { toast } from 'react-hot-toast';
 import { useBugs } from '../../../hooks/useBugs';
 import { BugProvider } from '../../../context/BugContext';
 import { bugService } from '../../../services/bugService';
+import { showRetryToast } from '../../../components/common/RetryToast';
+import { showUndoToast } from '../../../components/common/UndoToast';
+import {
+  cacheBugs,
+  getCachedBugs,
+  enqueue,
+  countOutbox,
+} from '../../../services/offlineStore';
+import { CURRENT_PROJECT_KEY } from '../../../utils/constants';
 
 // Mock dependencies
 jest.mock('react-hot-toast');
 jest.mock('../../../services/bugService');
+jest.mock('../../../services/socket');
+jest.mock('../../../components/common/RetryToast');
+jest.mock('../../../components/common/UndoToast');
+jest.mock('../../../services/offlineStore');
+jest.mock('../../../context/AuthContext', () => ({
+  useAuth: () => ({ isAuthenticated: false }),
+}));
+jest.mock('../../../context/ProjectContext', () => ({
+  useProjects: () => ({ currentProjectId: null }),
+}));
 
 const wrapper = ({ children }) => <BugProvider>{children}</BugProvider>;
 
@@ -19,6 +38,9 @@ describe('useBugs Hook - Unit Tests', () => {
     jest.clearAllMocks();
     toast.success = jest.fn();
     toast.error = jest.fn();
+    cacheBugs.mockResolvedValue();
+    getCachedBugs.mockResolvedValue(null);
+    countOutbox.mockResolvedValue(0);
   });
 
   describe('fetchBugs', () => {
@@ -258,10 +280,51 @@ describe('useBugs Hook - Unit Tests', () => {
 
       await waitFor(() => {
         expect(result.current.bugs.find(b => b._id === '1')).toBeUndefined();
-        expect(toast.success).toHaveBeenCalledWith('Bug deleted successfully');
+        expect(showUndoToast).toHaveBeenCalledWith('Bug deleted successfully', expect.any(Function));
       });
     });
 
+    it('should restore a deleted bug from the Undo button', async () => {
+      const bug = { _id: '1', title: 'Bug 1', status: 'open' };
+      bugService.getAllBugs.mockResolvedValue({ data: { data: [bug] } });
+      bugService.deleteBug.mockResolvedValue({});
+      bugService.restoreBug.mockResolvedValue({ data: { data: bug } });
+
+      const { result } = renderHook(() => useBugs(), { wrapper });
+
+      await act(async () => {
+        await result.current.fetchBugs();
+      });
+      await act(async () => {
+        await result.current.deleteBug('1');
+      });
+
+      const undo = showUndoToast.mock.calls[0][1];
+      await act(async () => {
+        await undo();
+      });
+
+      expect(bugService.restoreBug).toHaveBeenCalledWith('1');
+      expect(result.current.bugs).toEqual([bug]);
+      expect(toast.success).toHaveBeenCalledWith('Bug restored');
+    });
+
+    it('should report a restore that fails', async () => {
+      bugService.restoreBug.mockRejectedValue({
+        response: { data: { message: 'No deleted bug with ID 1' } },
+      });
+
+      const { result } = renderHook(() => useBugs(), { wrapper });
+
+      await expect(
+        act(async () => {
+          await result.current.restoreBug('1');
+        })
+      ).rejects.toBeDefined();
+
+      expect(toast.error).toHaveBeenCalledWith('No deleted bug with ID 1');
+    });
+
     it('should handle delete errors', async () => {
       const errorMessage = 'Failed to delete bug';
       bugService.deleteBug.mockRejectedValue({
@@ -282,6 +345,534 @@ describe('useBugs Hook - Unit Tests', () => {
     });
   });
 
+  describe('Optimistic updates', () => {
+    const initialBugs = [
+      { _id: '1', title: 'Bug 1', status: 'open', priority: 'low' },
+      { _id: '2', title: 'Bug 2', status: 'open', priority: 'low' },
+    ];
+
+    // A request the test settles by hand
+    const deferred = () => {
+      let resolve;
+      let reject;
+      const promise = new Promise((res, rej) => {
+        resolve = res;
+        reject = rej;
+      });
+      return { promise, resolve, reject };
+    };
+
+    const renderWithBugs = async () => {
+      bugService.getAllBugs.mockResolvedValue({ data: { data: initialBugs } });
+      const hook = renderHook(() => useBugs(), { wrapper });
+      await act(async () => {
+        await hook.result.current.fetchBugs();
+      });
+      return hook;
+    };
+
+    it('should show a change and mark the bug pending until the server confirms it', async () => {
+      const request = deferred();
+      bugService.patchBug.mockReturnValue(request.promise);
+      const { result } = await renderWithBugs();
+
+      let saving;
+      act(() => {
+        saving = result.current.patchBug('1', { status: 'in-progress' });
+      });
+
+      expect(result.current.bugs[0].status).toBe('in-progress');
+      expect(result.current.isPending('1')).toBe(true);
+
+      await act(async () => {
+        request.resolve({ data: { data: { ...initialBugs[0], status: 'in-progress' } } });
+        await saving;
+      });
+
+      expect(result.current.isPending('1')).toBe(false);
+      expect(result.current.bugs[0].status).toBe('in-progress');
+    });
+
+    it('should roll a failed update back and offer a retry', async () => {
+      bugService.patchBug.mockRejectedValueOnce(new Error('Network Error'));
+      const { result } = await renderWithBugs();
+
+      await act(async () => {
+        await result.current.patchBug('1', { status: 'in-progress' }).catch(() => {});
+      });
+
+      expect(result.current.bugs[0]).toEqual(initialBugs[0]);
+      expect(result.current.isPending('1')).toBe(false);
+      expect(showRetryToast).toHaveBeenCalledWith('Failed to update bug', expect.any(Function));
+
+      bugService.patchBug.mockResolvedValueOnce({
+        data: { data: { ...initialBugs[0], status: 'in-progress' } },
+      });
+      const retry = showRetryToast.mock.calls[0][1];
+      await act(async () => {
+        await retry();
+      });
+
+      expect(bugService.patchBug).toHaveBeenCalledTimes(2);
+      expect(result.current.bugs[0].status).toBe('in-progress');
+    });
+
+    it('should not offer a retry when the server refused the change', async () => {
+      bugService.patchBug.mockRejectedValue({
+        response: { status: 403, data: { message: 'Not allowed' } },
+      });
+      const { result } = await renderWithBugs();
+
+      await act(async () => {
+        await result.current.patchBug('1', { status: 'in-progress' }).catch(() => {});
+      });
+
+      expect(toast.error).toHaveBeenCalledWith('Not allowed');
+      expect(showRetryToast).not.toHaveBeenCalled();
+    });
+
+    it('should show a placeholder while a bug is created', async () => {
+      const request = deferred();
+      bugService.createBug.mockReturnValue(request.promise);
+      const { result } = await renderWithBugs();
+      const data = { title: 'New', description: 'Something broke', priority: 'high', severity: 'major' };
+
+      let saving;
+      act(() => {
+        saving = result.current.createBug({ ...data, assignee: 'u1', labels: ['l1'] });
+      });
+
+      const placeholder = result.current.bugs[0];
+      expect(placeholder).toMatchObject({ ...data, status: 'open', assignee: null, labels: [] });
+      expect(result.current.isPending(placeholder._id)).toBe(true);
+
+      await act(async () => {
+        request.resolve({ data: { data: { _id: '3', ...data, status: 'open' } } });
+        await saving;
+      });
+
+      expect(result.current.bugs.map((bug) => bug._id)).toEqual(['3', '1', '2']);
+      expect(result.current.pending).toEqual({});
+    });
+
+    it('should remove the placeholder when creating fails', async () => {
+      bugService.createBug.mockRejectedValue(new Error('Network Error'));
+      const { result } = await renderWithBugs();
+
+      await act(async () => {
+        await result.current.createBug({ title: 'New' }).catch(() => {});
+      });
+
+      expect(result.current.bugs).toEqual(initialBugs);
+    });
+
+    it('should put a bug back in place when deleting fails', async () => {
+      const request = deferred();
+      bugService.deleteBug.mockReturnValue(request.promise);
+      const { result } = await renderWithBugs();
+
+      let deleting;
+      act(() => {
+        deleting = result.current.deleteBug('1').catch(() => {});
+      });
+
+      expect(result.current.bugs.map((bug) => bug._id)).toEqual(['2']);
+
+      await act(async () => {
+        request.reject({ response: { status: 500, data: { message: 'Server error' } } });
+        await deleting;
+      });
+
+      expect(result.current.bugs).toEqual(initialBugs);
+      expect(showRetryToast).toHaveBeenCalledWith('Server error', expect.any(Function));
+    });
+  });
+
+  describe('Export', () => {
+    it('should download the matching bugs as a file', async () => {
+      const blob = new Blob(['id,title\r\n']);
+      bugService.exportBugs.mockResolvedValue({ data: blob });
+      const createObjectURL = jest.fn(() => 'blob:export');
+      URL.createObjectURL = createObjectURL;
+      URL.revokeObjectURL = jest.fn();
+      const click = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+
+      const { result } = renderHook(() => useBugs(), { wrapper });
+
+      await act(async () => {
+        await result.current.exportBugs({ status: 'open' }, 'csv');
+      });
+
+      expect(bugService.exportBugs).toHaveBeenCalledWith({ status: 'open' }, 'csv');
+      expect(createObjectURL).toHaveBeenCalledWith(blob);
+      expect(click).toHaveBeenCalled();
+      expect(toast.success).toHaveBeenCalledWith('Export downloaded');
+      click.mockRestore();
+    });
+
+    it('should report a failed export', async () => {
+      bugService.exportBugs.mockRejectedValue({ response: { status: 500, data: new Blob() } });
+
+      const { result } = renderHook(() => useBugs(), { wrapper });
+
+      await expect(
+        act(async () => {
+          await result.current.exportBugs({}, 'json');
+        })
+      ).rejects.toBeDefined();
+
+      expect(toast.error).toHaveBeenCalledWith('Failed to export bugs');
+    });
+  });
+
+  describe('Import', () => {
+    const file = new File(['title\nCrash\n'], 'bugs.csv');
+    const columns = { title: 'title' };
+    const report = { total: 3, valid: 2, invalid: 1, imported: 2, errors: [] };
+
+    it('should return the report of a dry run without a toast', async () => {
+      bugService.importBugs.mockResolvedValue({ data: { data: { ...report, imported: 0 } } });
+
+      const { result } = renderHook(() => useBugs(), { wrapper });
+
+      let checked;
+      await act(async () => {
+        checked = await result.current.importBugs(file, columns, { dryRun: true });
+      });
+
+      expect(bugService.importBugs).toHaveBeenCalledWith(file, columns, { dryRun: true });
+      expect(checked.valid).toBe(2);
+      expect(toast.success).not.toHaveBeenCalled();
+    });
+
+    it('should report how many bugs were imported and skipped', async () => {
+      bugService.importBugs.mockResolvedValue({ data: { data: report } });
+
+      const { result } = renderHook(() => useBugs(), { wrapper });
+
+      await act(async () => {
+        await result.current.importBugs(file, columns);
+      });
+
+      expect(bugService.importBugs).toHaveBeenCalledWith(file, columns, { dryRun: false });
+      expect(toast.success).toHaveBeenCalledWith('2 bugs imported, 1 skipped');
+    });
+
+    it('should show the server error', async () => {
+      bugService.importBugs.mockRejectedValue({
+        response: { status: 415, data: { message: 'Import files must be .csv or .json' } },
+      });
+
+      const { result } = renderHook(() => useBugs(), { wrapper });
+
+      await expect(
+        act(async () => {
+          await result.current.importBugs(file, columns, { dryRun: true });
+        })
+      ).rejects.toBeDefined();
+
+      expect(toast.error).toHaveBeenCalledWith('Import files must be .csv or .json');
+    });
+  });
+
+  describe('Version conflicts', () => {
+    const initialBugs = [
+      { _id: '1', title: 'Login fails', priority: 'low', status: 'open', __v: 2 },
+    ];
+    const conflictError = (current) => ({
+      response: { status: 412, data: { message: 'Changed by someone else', current } },
+    });
+
+    const renderWithBugs = async () => {
+      bugService.getAllBugs.mockResolvedValue({ data: { data: initialBugs } });
+      const hook = renderHook(() => useBugs(), { wrapper });
+      await act(async () => {
+        await hook.result.current.fetchBugs();
+      });
+      return hook;
+    };
+
+    it('should send the version the edit started from', async () => {
+      bugService.patchBug.mockResolvedValue({ data: { data: { ...initialBugs[0], version: 3 } } });
+      const { result } = await renderWithBugs();
+
+      await act(async () => {
+        await result.current.patchBug('1', { status: 'in-progress' });
+      });
+
+      expect(bugService.patchBug).toHaveBeenCalledWith('1', { status: 'in-progress' }, 2);
+    });
+
+    it('should merge and resend an edit that does not overlap the other one', async () => {
+      const theirs = { id: '1', title: 'Login fails', priority: 'high', status: 'open', version: 3 };
+      bugService.updateBug
+        .mockRejectedValueOnce(conflictError(theirs))
+        .mockResolvedValueOnce({ data: { data: { ...theirs, title: 'Login fails on Safari', version: 4 } } });
+      const { result } = await renderWithBugs();
+
+      await act(async () => {
+        await result.current.updateBug('1', { title: 'Login fails on Safari', priority: 'low' });
+      });
+
+      expect(bugService.updateBug).toHaveBeenLastCalledWith('1', { title: 'Login fails on Safari' }, 3);
+      expect(result.current.bugs[0]).toMatchObject({ title: 'Login fails on Safari', priority: 'high' });
+      expect(result.current.conflict).toBeNull();
+    });
+
+    it('should ask the user to merge overlapping edits', async () => {
+      const theirs = { id: '1', title: 'Sign-in broken', priority: 'low', status: 'open', version: 3 };
+      bugService.updateBug.mockRejectedValueOnce(conflictError(theirs));
+      const { result } = await renderWithBugs();
+
+      await act(async () => {
+        await result.current.updateBug('1', { title: 'Login fails on Safari' }).catch(() => {});
+      });
+
+      expect(result.current.bugs[0]).toEqual(theirs);
+      expect(result.current.conflict).toMatchObject({
+        id: '1',
+        conflicts: [{ field: 'title', mine: 'Login fails on Safari', theirs: 'Sign-in broken' }],
+      });
+      expect(toast.error).not.toHaveBeenCalled();
+
+      bugService.updateBug.mockResolvedValueOnce({
+        data: { data: { ...theirs, title: 'Login fails on Safari', version: 4 } },
+      });
+      await act(async () => {
+        await result.current.resolveConflict({ title: 'mine' });
+      });
+
+      expect(bugService.updateBug).toHaveBeenLastCalledWith('1', { title: 'Login fails on Safari' }, 3);
+      expect(result.current.conflict).toBeNull();
+    });
+
+    it('should keep the other version when the user discards their edit', async () => {
+      const theirs = { id: '1', title: 'Sign-in broken', priority: 'low', status: 'open', version: 3 };
+      bugService.updateBug.mockRejectedValueOnce(conflictError(theirs));
+      const { result } = await renderWithBugs();
+
+      await act(async () => {
+        await result.current.updateBug('1', { title: 'Login fails on Safari' }).catch(() => {});
+      });
+      act(() => {
+        result.current.dismissConflict();
+      });
+
+      expect(result.current.conflict).toBeNull();
+      expect(result.current.bugs[0]).toEqual(theirs);
+      expect(bugService.updateBug).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('Offline mode', () => {
+    const initialBugs = [
+      { _id: '1', title: 'Bug 1', status: 'open', updatedAt: '2024-01-01T00:00:00.000Z' },
+    ];
+    let onLine;
+
+    beforeEach(() => {
+      onLine = jest.spyOn(navigator, 'onLine', 'get').mockReturnValue(true);
+      enqueue.mockResolvedValue(1);
+      countOutbox.mockResolvedValue(1);
+    });
+
+    afterEach(() => {
+      onLine.mockRestore();
+    });
+
+    const renderWithBugs = async () => {
+      bugService.getAllBugs.mockResolvedValue({ data: { data: initialBugs } });
+      const hook = renderHook(() => useBugs(), { wrapper });
+      await act(async () => {
+        await hook.result.current.fetchBugs();
+      });
+      return hook;
+    };
+
+    it('should save the loaded bugs for offline use', async () => {
+      await renderWithBugs();
+
+      expect(cacheBugs).toHaveBeenCalledWith('default', initialBugs);
+    });
+
+    it('should show the saved bugs when the API cannot be reached', async () => {
+      getCachedBugs.mockResolvedValue({ bugs: initialBugs, savedAt: new Date().toISOString() });
+      bugService.getAllBugs.mockRejectedValue(new Error('Network Error'));
+      const { result } = renderHook(() => useBugs(), { wrapper });
+
+      await act(async () => {
+        await result.current.fetchBugs();
+      });
+
+      expect(result.current.bugs).toEqual(initialBugs);
+      expect(result.current.error).toBeNull();
+      expect(toast.error).not.toHaveBeenCalled();
+    });
+
+    it('should queue a change made offline and keep it on the board', async () => {
+      const { result } = await renderWithBugs();
+      onLine.mockReturnValue(false);
+
+      await act(async () => {
+        await result.current.patchBug('1', { status: 'resolved' });
+      });
+
+      expect(bugService.patchBug).not.toHaveBeenCalled();
+      expect(enqueue).toHaveBeenCalledWith({
+        method: 'patchBug',
+        id: '1',
+        data: { status: 'resolved' },
+        tempId: false,
+        projectId: null,
+        baseUpdatedAt: '2024-01-01T00:00:00.000Z',
+        title: 'Bug 1',
+      });
+      expect(result.current.bugs[0].status).toBe('resolved');
+      expect(result.current.isPending('1')).toBe(false);
+      expect(result.current.queued).toBe(1);
+    });
+
+    it('should queue a change when the connection drops while sending', async () => {
+      const { result } = await renderWithBugs();
+      bugService.deleteBug.mockImplementation(() => {
+        onLine.mockReturnValue(false);
+        return Promise.reject(new Error('Network Error'));
+      });
+
+      await act(async () => {
+        await result.current.deleteBug('1');
+      });
+
+      expect(enqueue).toHaveBeenCalledWith(expect.objectContaining({ method: 'deleteBug', id: '1' }));
+      expect(result.current.bugs).toEqual([]);
+      expect(showRetryToast).not.toHaveBeenCalled();
+    });
+
+    it('should keep a placeholder for a bug created offline', async () => {
+      const { result } = await renderWithBugs();
+      onLine.mockReturnValue(false);
+
+      let placeholder;
+      await act(async () => {
+        placeholder = await result.current.createBug({ title: 'Offline bug' });
+      });
+
+      expect(placeholder._id).toMatch(/^pending-/);
+      expect(enqueue).toHaveBeenCalledWith(
+        expect.objectContaining({ method: 'createBug', tempId: true, title: 'Offline bug' })
+      );
+      expect(result.current.bugs[0]).toBe(placeholder);
+    });
+
+    it('should remember the project a change was queued in', async () => {
+      localStorage.setItem(CURRENT_PROJECT_KEY, JSON.stringify('p1'));
+      const { result } = await renderWithBugs();
+      onLine.mockReturnValue(false);
+
+      await act(async () => {
+        await result.current.patchBug('1', { status: 'resolved' });
+      });
+      localStorage.removeItem(CURRENT_PROJECT_KEY);
+
+      expect(enqueue).toHaveBeenCalledWith(expect.objectContaining({ projectId: 'p1' }));
+    });
+
+    it('should roll back when the change cannot be stored for later', async () => {
+      enqueue.mockRejectedValue(new Error('Offline storage is not available in this browser'));
+      const { result } = await renderWithBugs();
+      onLine.mockReturnValue(false);
+
+      await act(async () => {
+        await result.current.patchBug('1', { status: 'resolved' }).catch(() => {});
+      });
+
+      expect(result.current.bugs).toEqual(initialBugs);
+      expect(toast.error).toHaveBeenCalled();
+    });
+  });
+
+  describe('Board pagination', () => {
+    const page = (bugs, nextCursor = null) => ({
+      data: { data: bugs, pagination: { nextCursor, hasNextPage: !!nextCursor } },
+    });
+
+    it('should load the first page of each column with a cursor', async () => {
+      bugService.getAllBugs.mockImplementation((params) =>
+        Promise.resolve(
+          page(
+            [{ _id: params.status, title: params.status, status: params.status }],
+            params.status === 'open' ? 'next-open' : null
+          )
+        )
+      );
+
+      const { result } = renderHook(() => useBugs(), { wrapper });
+
+      await act(async () => {
+        await result.current.fetchBoard({ q: 'login' });
+      });
+
+      expect(bugService.getAllBugs).toHaveBeenCalledTimes(4);
+      expect(bugService.getAllBugs).toHaveBeenCalledWith(
+        expect.objectContaining({ q: 'login', status: 'open', cursor: '' })
+      );
+      expect(result.current.bugs).toHaveLength(4);
+      expect(result.current.cursors.open).toBe('next-open');
+      expect(result.current.cursors.closed).toBeNull();
+    });
+
+    it('should only load the requested columns', async () => {
+      bugService.getAllBugs.mockResolvedValue(page([]));
+
+      const { result } = renderHook(() => useBugs(), { wrapper });
+
+      await act(async () => {
+        await result.current.fetchBoard({}, ['open']);
+      });
+
+      expect(bugService.getAllBugs).toHaveBeenCalledTimes(1);
+    });
+
+    it('should append the next page of a column without duplicates', async () => {
+      bugService.getAllBugs.mockResolvedValueOnce(
+        page([{ _id: '1', title: 'Bug 1', status: 'open' }], 'cursor-1')
+      );
+
+      const { result } = renderHook(() => useBugs(), { wrapper });
+
+      await act(async () => {
+        await result.current.fetchBoard({}, ['open']);
+      });
+
+      bugService.getAllBugs.mockResolvedValueOnce(
+        page([
+          { _id: '1', title: 'Bug 1', status: 'open' },
+          { _id: '2', title: 'Bug 2', status: 'open' },
+        ])
+      );
+
+      await act(async () => {
+        await result.current.loadMoreBugs('open', { assignee: 'me' });
+      });
+
+      expect(bugService.getAllBugs).toHaveBeenLastCalledWith(
+        expect.objectContaining({ status: 'open', cursor: 'cursor-1', assignee: 'me' })
+      );
+      expect(result.current.bugs.map((bug) => bug._id)).toEqual(['1', '2']);
+      expect(result.current.cursors.open).toBeNull();
+    });
+
+    it('should not request a column that has no more pages', async () => {
+      const { result } = renderHook(() => useBugs(), { wrapper });
+
+      await act(async () => {
+        await result.current.loadMoreBugs('closed');
+      });
+
+      expect(bugService.getAllBugs).not.toHaveBeenCalled();
+    });
+  });
+
   describe('Filters', () => {
     it('should set filters', () => {
       const { result } = renderHook(() => useBugs(), { wrapper });
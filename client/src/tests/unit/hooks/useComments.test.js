@@ -0,0 +1,98 @@
+/**
+ * Unit Tests for useComments Hook
+ */
+
+import { renderHook, act, waitFor } from '@testing-library/react';
+import { toast } from 'react-hot-toast';
+import { useComments } from '../../../hooks/useComments';
+import { bugService } from '../../../services/bugService';
+
+jest.mock('react-hot-toast');
+jest.mock('../../../services/bugService');
+
+describe('useComments Hook - Unit Tests', () => {
+  const thread = [
+    { _id: 'c1', content: 'First', author: { _id: 'u1', name: 'Ada' } },
+    { _id: 'c2', content: 'Second', author: { _id: 'u2', name: 'Linus' } },
+  ];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    toast.error = jest.fn();
+    bugService.getComments.mockResolvedValue({ data: { data: thread } });
+  });
+
+  it('should load the thread for the bug on mount', async () => {
+    const { result } = renderHook(() => useComments('bug-1'));
+
+    await waitFor(() => {
+      expect(result.current.comments).toEqual(thread);
+    });
+    expect(bugService.getComments).toHaveBeenCalledWith('bug-1');
+  });
+
+  it('should not fetch without a bug id', () => {
+    renderHook(() => useComments(undefined));
+    expect(bugService.getComments).not.toHaveBeenCalled();
+  });
+
+  it('should append a new comment', async () => {
+    const created = { _id: 'c3', content: 'Third', author: { _id: 'u1', name: 'Ada' } };
+    bugService.createComment.mockResolvedValue({ data: { data: created } });
+
+    const { result } = renderHook(() => useComments('bug-1'));
+    await waitFor(() => expect(result.current.comments).toHaveLength(2));
+
+    await act(async () => {
+      await result.current.addComment('Third');
+    });
+
+    expect(bugService.createComment).toHaveBeenCalledWith('bug-1', { content: 'Third' });
+    expect(result.current.comments[2]).toEqual(created);
+  });
+
+  it('should replace an edited comment', async () => {
+    const edited = { ...thread[0], content: 'First (edited)', editedAt: '2024-01-01' };
+    bugService.updateComment.mockResolvedValue({ data: { data: edited } });
+
+    const { result } = renderHook(() => useComments('bug-1'));
+    await waitFor(() => expect(result.current.comments).toHaveLength(2));
+
+    await act(async () => {
+      await result.current.editComment('c1', 'First (edited)');
+    });
+
+    expect(result.current.comments[0]).toEqual(edited);
+  });
+
+  it('should remove a deleted comment', async () => {
+    bugService.deleteComment.mockResolvedValue({ data: { data: { id: 'c2' } } });
+
+    const { result } = renderHook(() => useComments('bug-1'));
+    await waitFor(() => expect(result.current.comments).toHaveLength(2));
+
+    await act(async () => {
+      await result.current.removeComment('c2');
+    });
+
+    expect(result.current.comments.map((c) => c._id)).toEqual(['c1']);
+  });
+
+  it('should surface server errors in a toast', async () => {
+    bugService.deleteComment.mockRejectedValue({
+      response: { data: { message: 'Only the author can modify this comment' } },
+    });
+
+    const { result } = renderHook(() => useComments('bug-1'));
+    await waitFor(() => expect(result.current.comments).toHaveLength(2));
+
+    await expect(
+      act(async () => {
+        await result.current.removeComment('c1');
+      })
+    ).rejects.toBeDefined();
+
+    expect(toast.error).toHaveBeenCalledWith('Only the author can modify this comment');
+    expect(result.current.comments).toHaveLength(2);
+  });
+});
@@ -0,0 +1,165 @@
+/**
+ * Unit Tests for the offline outbox replay
+ */
+
+import { replayOutbox, OUTBOX_METHODS } from '../../../services/outbox';
+import { bugService } from '../../../services/bugService';
+import { getOutbox, dequeue } from '../../../services/offlineStore';
+import { CURRENT_PROJECT_KEY } from '../../../utils/constants';
+
+jest.mock('../../../services/bugService');
+jest.mock('../../../services/offlineStore');
+
+const respond = (data) => ({ data: { data } });
+
+describe('replayOutbox', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    dequeue.mockResolvedValue();
+  });
+
+  it('should send queued changes in order, swapping placeholder IDs for saved ones', async () => {
+    getOutbox.mockResolvedValue([
+      { key: 1, method: OUTBOX_METHODS.CREATE, id: 'pending-a', data: { title: 'New' } },
+      { key: 2, method: OUTBOX_METHODS.PATCH, id: 'pending-a', tempId: true, data: { status: 'resolved' } },
+    ]);
+    bugService.createBug.mockResolvedValue(respond({ _id: '10', title: 'New', updatedAt: 'v1' }));
+    bugService.getBugById.mockResolvedValue(respond({ _id: '10', updatedAt: 'v1' }));
+    bugService.patchBug.mockResolvedValue(respond({ _id: '10', status: 'resolved', updatedAt: 'v2' }));
+
+    const result = await replayOutbox();
+
+    expect(bugService.createBug).toHaveBeenCalledWith({ title: 'New' }, undefined);
+    expect(bugService.patchBug).toHaveBeenCalledWith('10', { status: 'resolved' }, undefined, undefined);
+    expect(result.created).toEqual([{ tempId: 'pending-a', bug: expect.objectContaining({ _id: '10' }) }]);
+    expect(result.updated).toEqual([expect.objectContaining({ status: 'resolved' })]);
+    expect(result.conflicts).toEqual([]);
+    expect(dequeue.mock.calls).toEqual([[1], [2]]);
+  });
+
+  it('should send changes to the project they were made in after a project switch', async () => {
+    getOutbox.mockResolvedValue([
+      { key: 1, method: OUTBOX_METHODS.CREATE, id: 'pending-a', projectId: 'p1', data: { title: 'New' } },
+      { key: 2, method: OUTBOX_METHODS.PATCH, id: '1', projectId: 'p1', baseUpdatedAt: 'v1', data: {} },
+    ]);
+    // The user picked another project after queuing
+    localStorage.setItem(CURRENT_PROJECT_KEY, JSON.stringify('p2'));
+    bugService.createBug.mockResolvedValue(respond({ _id: '10', updatedAt: 'v1' }));
+    bugService.getBugById.mockResolvedValue(respond({ _id: '1', updatedAt: 'v1' }));
+    bugService.patchBug.mockResolvedValue(respond({ _id: '1', updatedAt: 'v2' }));
+
+    const result = await replayOutbox();
+
+    expect(bugService.createBug).toHaveBeenCalledWith({ title: 'New' }, 'p1');
+    expect(bugService.getBugById).toHaveBeenCalledWith('1', 'p1');
+    expect(bugService.patchBug).toHaveBeenCalledWith('1', {}, undefined, 'p1');
+    expect(result.conflicts).toEqual([]);
+    localStorage.removeItem(CURRENT_PROJECT_KEY);
+  });
+
+  it('should not mistake a chain of its own edits for a conflict', async () => {
+    getOutbox.mockResolvedValue([
+      { key: 1, method: OUTBOX_METHODS.PATCH, id: '1', baseUpdatedAt: 'v1', data: { status: 'in-progress' } },
+      { key: 2, method: OUTBOX_METHODS.PATCH, id: '1', baseUpdatedAt: 'v1', data: { status: 'resolved' } },
+    ]);
+    bugService.getBugById
+      .mockResolvedValueOnce(respond({ _id: '1', updatedAt: 'v1' }))
+      .mockResolvedValueOnce(respond({ _id: '1', updatedAt: 'v2' }));
+    bugService.patchBug
+      .mockResolvedValueOnce(respond({ _id: '1', updatedAt: 'v2' }))
+      .mockResolvedValueOnce(respond({ _id: '1', updatedAt: 'v3' }));
+
+    const result = await replayOutbox();
+
+    expect(bugService.patchBug).toHaveBeenCalledTimes(2);
+    expect(result.conflicts).toEqual([]);
+  });
+
+  it('should report a bug someone else changed instead of overwriting it', async () => {
+    const entry = {
+      key: 1,
+      method: OUTBOX_METHODS.UPDATE,
+      id: '1',
+      baseUpdatedAt: 'v1',
+      title: 'Login fails',
+      data: { title: 'Login fails' },
+    };
+    getOutbox.mockResolvedValue([entry]);
+    bugService.getBugById.mockResolvedValue(respond({ _id: '1', updatedAt: 'v2' }));
+
+    const result = await replayOutbox();
+
+    expect(bugService.updateBug).not.toHaveBeenCalled();
+    expect(result.conflicts).toEqual([
+      { entry, reason: 'was changed by someone else', bug: { _id: '1', updatedAt: 'v2' } },
+    ]);
+    expect(dequeue).toHaveBeenCalledWith(1);
+  });
+
+  it('should report a bug someone else deleted', async () => {
+    getOutbox.mockResolvedValue([
+      { key: 1, method: OUTBOX_METHODS.PATCH, id: '1', baseUpdatedAt: 'v1', data: {} },
+    ]);
+    bugService.getBugById.mockRejectedValue({ response: { status: 404, data: {} } });
+
+    const result = await replayOutbox();
+
+    expect(result.conflicts[0]).toMatchObject({ reason: 'was deleted by someone else', bug: null });
+  });
+
+  it('should treat deleting a bug that is already gone as done', async () => {
+    getOutbox.mockResolvedValue([{ key: 1, method: OUTBOX_METHODS.DELETE, id: '1' }]);
+    bugService.deleteBug.mockRejectedValue({ response: { status: 404, data: {} } });
+
+    const result = await replayOutbox();
+
+    expect(result.deleted).toEqual(['1']);
+    expect(result.conflicts).toEqual([]);
+  });
+
+  it('should drop edits to a bug whose creation was refused', async () => {
+    getOutbox.mockResolvedValue([
+      { key: 1, method: OUTBOX_METHODS.CREATE, id: 'pending-a', data: {} },
+      { key: 2, method: OUTBOX_METHODS.DELETE, id: 'pending-a', tempId: true },
+    ]);
+    bugService.createBug.mockRejectedValue({
+      response: { status: 400, data: { message: 'Title is required' } },
+    });
+
+    const result = await replayOutbox();
+
+    expect(result.conflicts.map((conflict) => conflict.reason)).toEqual([
+      'Title is required',
+      'was never created',
+    ]);
+    expect(bugService.deleteBug).not.toHaveBeenCalled();
+  });
+
+  it('should stop and keep the rest queued when the server cannot be reached', async () => {
+    getOutbox.mockResolvedValue([
+      { key: 1, method: OUTBOX_METHODS.DELETE, id: '1' },
+      { key: 2, method: OUTBOX_METHODS.DELETE, id: '2' },
+      { key: 3, method: OUTBOX_METHODS.DELETE, id: '3' },
+    ]);
+    bugService.deleteBug
+      .mockResolvedValueOnce({})
+      .mockRejectedValueOnce(new Error('Network Error'));
+
+    const result = await replayOutbox();
+
+    expect(result.deleted).toEqual(['1']);
+    expect(result.remaining).toBe(2);
+    expect(bugService.deleteBug).toHaveBeenCalledTimes(2);
+    expect(dequeue.mock.calls).toEqual([[1]]);
+  });
+
+  it('should share one replay between overlapping calls', async () => {
+    getOutbox.mockResolvedValue([{ key: 1, method: OUTBOX_METHODS.DELETE, id: '1' }]);
+    bugService.deleteBug.mockResolvedValue({});
+
+    const [first, second] = await Promise.all([replayOutbox(), replayOutbox()]);
+
+    expect(first).toBe(second);
+    expect(bugService.deleteBug).toHaveBeenCalledTimes(1);
+  });
+});
@@ -2,7 +2,16 @@
  * Tests for formatter utilities
  */
 
-import { formatDate, formatRelativeTime, capitalize, truncateText } from '../../../utils/formatters';
+import {
+  formatDate,
+  formatRelativeTime,
+  capitalize,
+  truncateText,
+  getInitials,
+  formatBucketLabel,
+  formatDuration,
+  formatFileSize,
+} from '../../../utils/formatters';
 
 describe('formatters', () => {
   describe('formatDate', () => {
@@ -74,4 +83,55 @@ describe('formatters', () => {
       expect(truncateText('', 100)).toBe('');
     });
   });
+
+  describe('getInitials', () => {
+    test('returns up to two initials', () => {
+      expect(getInitials('Ada Lovelace')).toBe('AL');
+      expect(getInitials('Grace Brewster Murray Hopper')).toBe('GB');
+    });
+
+    test('handles single names and extra whitespace', () => {
+      expect(getInitials('  linus  ')).toBe('L');
+    });
+
+    test('handles empty input', () => {
+      expect(getInitials('')).toBe('');
+      expect(getInitials(undefined)).toBe('');
+    });
+  });
+
+  describe('formatBucketLabel', () => {
+    test('reads the bucket start in UTC', () => {
+      expect(formatBucketLabel('2024-03-04T00:00:00.000Z')).toBe('Mar 4');
+    });
+
+    test('handles invalid input', () => {
+      expect(formatBucketLabel('not-a-date')).toBe('');
+    });
+  });
+
+  describe('formatDuration', () => {
+    test('picks minutes, hours or days', () => {
+      expect(formatDuration(0.5)).toBe('30m');
+      expect(formatDuration(36)).toBe('36h');
+      expect(formatDuration(60)).toBe('2.5d');
+    });
+
+    test('shows a dash when unknown', () => {
+      expect(formatDuration(null)).toBe('—');
+    });
+  });
+
+  describe('formatFileSize', () => {
+    test('picks bytes, kilobytes or megabytes', () => {
+      expect(formatFileSize(512)).toBe('512 B');
+      expect(formatFileSize(1536)).toBe('1.5 KB');
+      expect(formatFileSize(2.25 * 1024 * 1024)).toBe('2.3 MB');
+    });
+
+    test('returns an empty string for invalid sizes', () => {
+      expect(formatFileSize(undefined)).toBe('');
+      expect(formatFileSize(-1)).toBe('');
+    });
+  });
 });
@@ -9,6 +9,21 @@ import {
   getSeverityColor,
   groupBugsByStatus,
   filterBugs,
+  canTransition,
+  canEditBug,
+  canDeleteBug,
+  canDeleteAttachment,
+  buildBugQuery,
+  buildStatsQuery,
+  toDateInputValue,
+  getSlaColor,
+  isSlaAlert,
+  getLabelTextColor,
+  getBugVersion,
+  mergeBugChanges,
+  parseCsv,
+  parseImportFile,
+  guessImportColumns,
 } from '../../../utils/helpers';
 import { BUG_STATUS, BUG_PRIORITY, BUG_SEVERITY } from '../../../utils/constants';
 
@@ -76,6 +91,156 @@ describe('helpers', () => {
     });
   });
 
+  describe('canTransition', () => {
+    test('allows moves along the workflow', () => {
+      expect(canTransition(BUG_STATUS.OPEN, BUG_STATUS.IN_PROGRESS)).toBe(true);
+      expect(canTransition(BUG_STATUS.RESOLVED, BUG_STATUS.CLOSED)).toBe(true);
+      expect(canTransition(BUG_STATUS.CLOSED, BUG_STATUS.OPEN)).toBe(true);
+    });
+
+    test('rejects moves the workflow does not allow', () => {
+      expect(canTransition(BUG_STATUS.CLOSED, BUG_STATUS.IN_PROGRESS)).toBe(false);
+      expect(canTransition(BUG_STATUS.OPEN, BUG_STATUS.RESOLVED)).toBe(false);
+    });
+
+    test('allows keeping the same status', () => {
+      expect(canTransition(BUG_STATUS.CLOSED, BUG_STATUS.CLOSED)).toBe(true);
+    });
+  });
+
+  describe('bug permissions', () => {
+    const creator = { id: 'u1', role: 'user' };
+    const assignee = { id: 'u2', role: 'user' };
+    const stranger = { id: 'u3', role: 'user' };
+    const admin = { id: 'u4', role: 'admin' };
+    const bug = { creator: 'u1', assignee: { _id: 'u2', name: 'Grace' } };
+
+    test('lets the creator, assignee and admins edit', () => {
+      expect(canEditBug(creator, bug)).toBe(true);
+      expect(canEditBug(assignee, bug)).toBe(true);
+      expect(canEditBug(admin, bug)).toBe(true);
+      expect(canEditBug(stranger, bug)).toBe(false);
+    });
+
+    test('lets only the creator and admins delete', () => {
+      expect(canDeleteBug(creator, bug)).toBe(true);
+      expect(canDeleteBug(admin, bug)).toBe(true);
+      expect(canDeleteBug(assignee, bug)).toBe(false);
+    });
+
+    test('lets the uploader and whoever may delete the bug delete attachments', () => {
+      const attachment = { uploader: { _id: 'u3', name: 'Linus' } };
+
+      expect(canDeleteAttachment(stranger, bug, attachment)).toBe(true);
+      expect(canDeleteAttachment(creator, bug, attachment)).toBe(true);
+      expect(canDeleteAttachment(admin, bug, attachment)).toBe(true);
+      expect(canDeleteAttachment(assignee, bug, attachment)).toBe(false);
+    });
+
+    test('follows the project role', () => {
+      expect(canEditBug(stranger, bug, 'admin')).toBe(true);
+      expect(canDeleteBug(stranger, bug, 'admin')).toBe(true);
+      expect(canEditBug(creator, bug, 'viewer')).toBe(false);
+      expect(canDeleteBug(creator, bug, 'viewer')).toBe(false);
+      expect(canDeleteAttachment(stranger, bug, { uploader: 'u3' }, 'viewer')).toBe(false);
+    });
+
+    test('denies everything without a signed-in user', () => {
+      expect(canEditBug(null, bug)).toBe(false);
+      expect(canDeleteBug(null, bug)).toBe(false);
+      expect(canDeleteAttachment(null, bug, { uploader: 'u1' })).toBe(false);
+    });
+  });
+
+  describe('buildBugQuery', () => {
+    const emptyFilters = {
+      search: '',
+      priority: [],
+      severity: [],
+      status: [],
+      assignee: '',
+      createdAfter: '',
+      createdBefore: '',
+    };
+
+    test('returns no parameters for empty filters', () => {
+      expect(buildBugQuery(emptyFilters)).toEqual({});
+    });
+
+    test('joins list filters with commas', () => {
+      const params = buildBugQuery({
+        ...emptyFilters,
+        status: [BUG_STATUS.OPEN, BUG_STATUS.IN_PROGRESS],
+        priority: [BUG_PRIORITY.HIGH],
+      });
+
+      expect(params).toEqual({ status: 'open,in-progress', priority: 'high' });
+    });
+
+    test('maps search and assignee', () => {
+      expect(buildBugQuery({ ...emptyFilters, search: 'login', assignee: 'me' })).toEqual({
+        q: 'login',
+        assignee: 'me',
+      });
+    });
+
+    test('expands date filters to whole days', () => {
+      const params = buildBugQuery({
+        ...emptyFilters,
+        createdAfter: '2024-01-01',
+        createdBefore: '2024-01-31',
+      });
+
+      expect(new Date(params.createdAfter)).toEqual(new Date('2024-01-01T00:00:00'));
+      expect(new Date(params.createdBefore)).toEqual(new Date('2024-01-31T23:59:59.999'));
+    });
+  });
+
+  describe('SLA helpers', () => {
+    test('returns a color for each alerting status', () => {
+      expect(getSlaColor('breached')).toContain('accent-danger');
+      expect(getSlaColor('at-risk')).toContain('priority-medium');
+    });
+
+    test('only alerts for at-risk and breached bugs', () => {
+      expect(isSlaAlert({ slaStatus: 'breached' })).toBe(true);
+      expect(isSlaAlert({ slaStatus: 'at-risk' })).toBe(true);
+      expect(isSlaAlert({ slaStatus: 'missed' })).toBe(false);
+      expect(isSlaAlert({})).toBe(false);
+    });
+  });
+
+  describe('getLabelTextColor', () => {
+    test('uses dark text on light labels and white text on dark ones', () => {
+      expect(getLabelTextColor('#fbca04')).toBe('#1f2328');
+      expect(getLabelTextColor('#0969DA')).toBe('#ffffff');
+    });
+
+    test('falls back to white for invalid colors', () => {
+      expect(getLabelTextColor('green')).toBe('#ffffff');
+      expect(getLabelTextColor(undefined)).toBe('#ffffff');
+    });
+  });
+
+  describe('buildStatsQuery', () => {
+    test('omits an open-ended range', () => {
+      expect(buildStatsQuery({ from: '', to: '' })).toEqual({});
+    });
+
+    test('expands the range to whole days', () => {
+      const params = buildStatsQuery({ from: '2024-03-01', to: '2024-03-15' });
+
+      expect(new Date(params.from)).toEqual(new Date('2024-03-01T00:00:00'));
+      expect(new Date(params.to)).toEqual(new Date('2024-03-15T23:59:59.999'));
+    });
+  });
+
+  describe('toDateInputValue', () => {
+    test('formats a local date with zero padding', () => {
+      expect(toDateInputValue(new Date(2024, 0, 5))).toBe('2024-01-05');
+    });
+  });
+
   describe('filterBugs', () => {
     const mockBugs = [
       {
@@ -138,4 +303,104 @@ describe('helpers', () => {
       expect(result).toHaveLength(2);
     });
   });
+
+  describe('getBugVersion', () => {
+    test('reads the version of a single-bug response', () => {
+      expect(getBugVersion({ version: 3 })).toBe(3);
+    });
+
+    test('reads the version key of a list response', () => {
+      expect(getBugVersion({ __v: 2 })).toBe(2);
+    });
+
+    test('returns undefined without a bug', () => {
+      expect(getBugVersion(null)).toBeUndefined();
+    });
+  });
+
+  describe('mergeBugChanges', () => {
+    const base = {
+      title: 'Login fails',
+      description: 'Steps to reproduce',
+      priority: 'low',
+      assignee: { _id: 'u1', name: 'Ann' },
+      labels: [{ _id: 'l1', name: 'ui' }],
+    };
+
+    test('keeps my changes when the other edit touched other fields', () => {
+      const mine = { ...base, title: 'Login fails on Safari', assignee: 'u1', labels: ['l1'] };
+      const theirs = { ...base, priority: 'high' };
+
+      expect(mergeBugChanges(base, mine, theirs)).toEqual({
+        merged: { title: 'Login fails on Safari' },
+        conflicts: [],
+      });
+    });
+
+    test('reports fields both edits changed differently', () => {
+      const mine = { title: 'Mine', priority: 'critical' };
+      const theirs = { ...base, title: 'Theirs', priority: 'critical' };
+
+      expect(mergeBugChanges(base, mine, theirs)).toEqual({
+        merged: { priority: 'critical' },
+        conflicts: [{ field: 'title', mine: 'Mine', theirs: 'Theirs' }],
+      });
+    });
+
+    test('compares assignees and labels by ID', () => {
+      const mine = { assignee: 'u2', labels: ['l2'] };
+      const theirs = { ...base, assignee: { _id: 'u3' }, labels: [] };
+
+      expect(mergeBugChanges(base, mine, theirs).conflicts).toEqual([
+        { field: 'assignee', mine: 'u2', theirs: 'u3' },
+        { field: 'labels', mine: ['l2'], theirs: [] },
+      ]);
+    });
+  });
+
+  describe('parseCsv', () => {
+    it('should handle quoted commas, quotes and line breaks', () => {
+      expect(parseCsv('\uFEFFa,b\r\n"x, y","say ""hi""\nagain"\r\n\r\n')).toEqual([
+        ['a', 'b'],
+        ['x, y', 'say "hi"\nagain'],
+      ]);
+    });
+  });
+
+  describe('parseImportFile', () => {
+    it('should key CSV rows by the header row', () => {
+      expect(parseImportFile('Summary,Priority\nCrash,High\n', 'bugs.csv')).toEqual({
+        columns: ['Summary', 'Priority'],
+        records: [{ Summary: 'Crash', Priority: 'High' }],
+      });
+    });
+
+    it('should collect the columns of every JSON bug', () => {
+      const text = JSON.stringify({ bugs: [{ title: 'A' }, { title: 'B', labels: ['ui'] }] });
+      expect(parseImportFile(text, 'bugs.JSON').columns).toEqual(['title', 'labels']);
+    });
+
+    it('should reject JSON without a list of bugs', () => {
+      expect(() => parseImportFile('{"title":"A"}', 'bugs.json')).toThrow(/list of bugs/);
+      expect(() => parseImportFile('[{', 'bugs.json')).toThrow();
+    });
+  });
+
+  describe('guessImportColumns', () => {
+    it('should match columns to bug fields by name', () => {
+      expect(guessImportColumns(['Title', 'Created By', 'id'])).toEqual({
+        Title: 'title',
+        'Created By': 'createdBy',
+        id: '',
+      });
+    });
+
+    it('should take the assignee email over the name in exports', () => {
+      expect(guessImportColumns(['assignee', 'assigneeEmail'])).toEqual({
+        assignee: '',
+        assigneeEmail: 'assignee',
+      });
+      expect(guessImportColumns(['Assignee'])).toEqual({ Assignee: 'assignee' });
+    });
+  });
 });
@@ -9,6 +9,14 @@ export const BUG_STATUS = {
   CLOSED: 'closed',
 };
 
+// Keep in sync with STATUS_TRANSITIONS on the server
+export const STATUS_TRANSITIONS = {
+  [BUG_STATUS.OPEN]: [BUG_STATUS.IN_PROGRESS],
+  [BUG_STATUS.IN_PROGRESS]: [BUG_STATUS.OPEN, BUG_STATUS.RESOLVED],
+  [BUG_STATUS.RESOLVED]: [BUG_STATUS.CLOSED, BUG_STATUS.OPEN],
+  [BUG_STATUS.CLOSED]: [BUG_STATUS.OPEN],
+};
+
 export const BUG_PRIORITY = {
   LOW: 'low',
   MEDIUM: 'medium',
@@ -22,6 +30,20 @@ export const BUG_SEVERITY = {
   CRITICAL: 'critical',
 };
 
+export const USER_ROLES = {
+  USER: 'user',
+  ADMIN: 'admin',
+};
+
+// Keep in sync with SLA_STATUS on the server
+export const SLA_STATUS = {
+  ON_TRACK: 'on-track',
+  AT_RISK: 'at-risk',
+  BREACHED: 'breached',
+  MET: 'met',
+  MISSED: 'missed',
+};
+
 export const VALIDATION_RULES = {
   TITLE: {
     MIN_LENGTH: 3,
@@ -35,6 +57,44 @@ export const VALIDATION_RULES = {
     MIN_LENGTH: 2,
     MAX_LENGTH: 50,
   },
+  COMMENT: {
+    MIN_LENGTH: 1,
+    MAX_LENGTH: 2000,
+  },
+  LABEL: {
+    NAME_MAX_LENGTH: 30,
+    MAX_PER_BUG: 10,
+  },
+  PROJECT: {
+    NAME_MIN_LENGTH: 2,
+    NAME_MAX_LENGTH: 50,
+    DESCRIPTION_MAX_LENGTH: 500,
+  },
+};
+
+// Mirrors the server's upload limits so oversized or unsupported files fail before upload
+export const ATTACHMENTS = {
+  MAX_FILE_MB: 10,
+  MAX_FILES_PER_UPLOAD: 5,
+  MAX_PER_BUG: 20,
+  ALLOWED_MIME_TYPES: [
+    'image/png',
+    'image/jpeg',
+    'image/gif',
+    'image/webp',
+    'text/plain',
+    'text/csv',
+    'application/json',
+    'application/pdf',
+    'application/zip',
+  ],
+};
+
+// Live events from the server (see services/socket.js)
+export const BUG_EVENTS = {
+  CREATED: 'bug:created',
+  UPDATED: 'bug:updated',
+  DELETED: 'bug:deleted',
 };
 
 export const STATUS_LABELS = {
@@ -57,6 +117,52 @@ export const SEVERITY_LABELS = {
   [BUG_SEVERITY.CRITICAL]: 'Critical',
 };
 
+// Keep in sync with PROJECT_ROLES on the server
+export const PROJECT_ROLES = {
+  VIEWER: 'viewer',
+  MEMBER: 'member',
+  ADMIN: 'admin',
+};
+
+export const PROJECT_ROLE_LABELS = {
+  [PROJECT_ROLES.VIEWER]: 'Viewer',
+  [PROJECT_ROLES.MEMBER]: 'Member',
+  [PROJECT_ROLES.ADMIN]: 'Admin',
+};
+
+export const ROLE_LABELS = {
+  [USER_ROLES.USER]: 'User',
+  [USER_ROLES.ADMIN]: 'Admin',
+};
+
+// Keep in sync with BULK.ACTIONS on the server
+export const BULK_ACTIONS = {
+  SET_STATUS: 'set-status',
+  SET_PRIORITY: 'set-priority',
+  SET_ASSIGNEE: 'set-assignee',
+  ADD_LABELS: 'add-labels',
+  DELETE: 'delete',
+};
+
+export const SLA_LABELS = {
+  [SLA_STATUS.ON_TRACK]: 'On track',
+  [SLA_STATUS.AT_RISK]: 'SLA at risk',
+  [SLA_STATUS.BREACHED]: 'SLA breached',
+  [SLA_STATUS.MET]: 'SLA met',
+  [SLA_STATUS.MISSED]: 'SLA missed',
+};
+
+export const FIELD_LABELS = {
+  title: 'Title',
+  description: 'Description',
+  status: 'Status',
+  priority: 'Priority',
+  severity: 'Severity',
+  createdBy: 'Reporter',
+  assignee: 'Assignee',
+  labels: 'Labels',
+};
+
 export const STATUS_OPTIONS = Object.entries(STATUS_LABELS).map(([value, label]) => ({
   value,
   label,
@@ -72,7 +178,48 @@ export const SEVERITY_OPTIONS = Object.entries(SEVERITY_LABELS).map(([value, lab
   label,
 }));
 
+// File formats offered by the Export button (GET /bugs/export)
+export const EXPORT_FORMAT_OPTIONS = [
+  { value: 'csv', label: 'CSV' },
+  { value: 'json', label: 'JSON' },
+  { value: 'ndjson', label: 'NDJSON' },
+];
+
+// Mirrors the server's import limits (POST /bugs/import)
+export const IMPORT = {
+  MAX_FILE_MB: 5,
+  MAX_ROWS: 1000,
+  // Bug fields an imported column can be mapped to
+  FIELDS: Object.keys(FIELD_LABELS),
+};
+
+// Choices in the import wizard's column mapping
+export const IMPORT_FIELD_OPTIONS = [
+  { value: '', label: 'Do not import' },
+  ...IMPORT.FIELDS.map((field) => ({ value: field, label: FIELD_LABELS[field] })),
+];
+
+export const ROLE_OPTIONS = Object.entries(ROLE_LABELS).map(([value, label]) => ({
+  value,
+  label,
+}));
+
 // Use default for Jest tests, Vite will replace this at build time
 export const API_BASE_URL = 'http://localhost:5000/api';
 
+// Socket.IO runs on the API server, outside the /api prefix
+export const SOCKET_URL = new URL(API_BASE_URL).origin;
+
 export const DEBOUNCE_DELAY = 300; // milliseconds
+
+export const BOARD_PAGE_SIZE = 20; // bugs loaded per column page
+
+export const CURRENT_PROJECT_KEY = 'currentProject'; // localStorage key for the sidebar's project
+
+// IndexedDB database holding the last bug list and changes made offline
+export const OFFLINE_DB = {
+  NAME: 'bug-tracker-offline',
+  VERSION: 1,
+  BUGS_STORE: 'bugs',
+  OUTBOX_STORE: 'outbox',
+};
@@ -89,3 +89,54 @@ export const truncateText = (text, maxLength = 100) => {
   if (text.length <= maxLength) return text;
   return text.slice(0, maxLength).trim() + '...';
 };
+
+/**
+ * Builds initials from a person's name
+ * @param {string} name - Full name
+ * @returns {string} Up to two uppercase initials (e.g., "JD")
+ */
+export const getInitials = (name) => {
+  if (!name) return '';
+  return name
+    .trim()
+    .split(/\s+/)
+    .slice(0, 2)
+    .map((part) => part.charAt(0).toUpperCase())
+    .join('');
+};
+
+/**
+ * Formats the start of a UTC-aligned stats bucket (e.g., "Mar 4")
+ * @param {string} dateString - ISO date string
+ * @returns {string} Short month and day, read in UTC
+ */
+export const formatBucketLabel = (dateString) => {
+  const date = new Date(dateString);
+  if (isNaN(date.getTime())) return '';
+
+  return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
+};
+
+/**
+ * Formats a duration in hours (e.g., "5h", "1.5d")
+ * @param {number|null} hours - Duration in hours
+ * @returns {string} Readable duration, or an em dash when unknown
+ */
+export const formatDuration = (hours) => {
+  if (hours === null || hours === undefined) return '—';
+  if (hours < 1) return `${Math.round(hours * 60)}m`;
+  if (hours < 48) return `${Math.round(hours * 10) / 10}h`;
+  return `${Math.round((hours / 24) * 10) / 10}d`;
+};
+
+/**
+ * Formats a byte count (e.g., "512 B", "1.5 KB", "2.3 MB")
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Readable size
+ */
+export const formatFileSize = (bytes) => {
+  if (!Number.isFinite(bytes) || bytes < 0) return '';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round((bytes / 1024) * 10) / 10} KB`;
+  return `${Math.round((bytes / (1024 * 1024)) * 10) / 10} MB`;
+};
@@ -3,7 +3,16 @@
  */
 
 import clsx from 'clsx';
-import { BUG_STATUS, BUG_PRIORITY, BUG_SEVERITY } from './constants';
+import {
+  BUG_STATUS,
+  BUG_PRIORITY,
+  BUG_SEVERITY,
+  STATUS_TRANSITIONS,
+  USER_ROLES,
+  PROJECT_ROLES,
+  SLA_STATUS,
+  IMPORT,
+} from './constants';
 
 /**
  * Combines class names using clsx
@@ -58,6 +67,45 @@ export const getSeverityColor = (severity) => {
   return colors[severity] || colors[BUG_SEVERITY.MINOR];
 };
 
+/**
+ * Gets the color class for an SLA badge
+ * @param {string} slaStatus - SLA status
+ * @returns {string} Tailwind color classes
+ */
+export const getSlaColor = (slaStatus) => {
+  const colors = {
+    [SLA_STATUS.AT_RISK]: 'bg-priority-medium/10 text-priority-medium border-priority-medium/20',
+    [SLA_STATUS.BREACHED]: 'bg-accent-danger/10 text-accent-danger border-accent-danger/20',
+    [SLA_STATUS.MISSED]: 'bg-accent-danger/10 text-accent-danger border-accent-danger/20',
+    [SLA_STATUS.MET]: 'bg-status-resolved/10 text-status-resolved border-status-resolved/20',
+  };
+  return colors[slaStatus] || 'bg-secondary text-text-secondary border-border';
+};
+
+/**
+ * Whether a bug's SLA needs attention (unresolved and close to or past its deadline)
+ * @param {Object} bug - Bug object
+ * @returns {boolean}
+ */
+export const isSlaAlert = (bug) =>
+  bug?.slaStatus === SLA_STATUS.BREACHED || bug?.slaStatus === SLA_STATUS.AT_RISK;
+
+/**
+ * Picks a readable text color for a label chip
+ * @param {string} color - Label background as #rrggbb
+ * @returns {string} Dark or white text color
+ */
+export const getLabelTextColor = (color) => {
+  const match = /^#?([0-9a-f]{6})$/i.exec(color || '');
+  if (!match) return '#ffffff';
+
+  const value = parseInt(match[1], 16);
+  const [r, g, b] = [value >> 16, (value >> 8) & 0xff, value & 0xff];
+  // Perceived brightness (ITU-R BT.601)
+  const brightness = (r * 299 + g * 587 + b * 114) / 1000;
+  return brightness > 150 ? '#1f2328' : '#ffffff';
+};
+
 /**
  * Groups bugs by status
  * @param {Array} bugs - Array of bug objects
@@ -74,6 +122,214 @@ export const groupBugsByStatus = (bugs) => {
   }, {});
 };
 
+/**
+ * Checks whether a bug may move between two statuses
+ * @param {string} from - Current status
+ * @param {string} to - Target status
+ * @returns {boolean} True if the workflow allows the move
+ */
+export const canTransition = (from, to) => {
+  if (from === to) return true;
+  return (STATUS_TRANSITIONS[from] || []).includes(to);
+};
+
+/**
+ * Compare user references (populated object, ObjectId string or auth user)
+ * @param {Object|string} a - User reference
+ * @param {Object|string} b - User reference
+ * @returns {boolean} True if both refer to the same user
+ */
+const isSameUser = (a, b) => {
+  if (!a || !b) return false;
+  const idOf = (ref) => (typeof ref === 'string' ? ref : ref._id || ref.id);
+  return idOf(a) === idOf(b);
+};
+
+/**
+ * @param {Object} user - Signed-in user
+ * @param {string} [projectRole] - User's role in the current project
+ * @returns {boolean} True for admins and admins of the project
+ */
+const isAdmin = (user, projectRole) =>
+  user.role === USER_ROLES.ADMIN || projectRole === PROJECT_ROLES.ADMIN;
+
+/**
+ * Check whether a user may edit a bug
+ * Mirrors the server's bug policy: creator, assignee or admin (including
+ * project admins). Project viewers are read-only.
+ * @param {Object} user - Signed-in user
+ * @param {Object} bug - Bug object
+ * @param {string} [projectRole] - User's role in the current project
+ * @returns {boolean} True if edits are allowed
+ */
+export const canEditBug = (user, bug, projectRole) => {
+  if (!user || !bug || projectRole === PROJECT_ROLES.VIEWER) return false;
+  return (
+    isAdmin(user, projectRole) ||
+    isSameUser(bug.creator, user) ||
+    isSameUser(bug.assignee, user)
+  );
+};
+
+/**
+ * Check whether a user may delete a bug
+ * Mirrors the server's bug policy: creator or admin (including project
+ * admins). Project viewers are read-only.
+ * @param {Object} user - Signed-in user
+ * @param {Object} bug - Bug object
+ * @param {string} [projectRole] - User's role in the current project
+ * @returns {boolean} True if deletion is allowed
+ */
+export const canDeleteBug = (user, bug, projectRole) => {
+  if (!user || !bug || projectRole === PROJECT_ROLES.VIEWER) return false;
+  return isAdmin(user, projectRole) || isSameUser(bug.creator, user);
+};
+
+/**
+ * Check whether a user may delete an attachment
+ * Mirrors the server: the uploader, or anyone who may delete the bug
+ * @param {Object} user - Signed-in user
+ * @param {Object} bug - Bug the file is attached to
+ * @param {Object} attachment - Attachment object
+ * @param {string} [projectRole] - User's role in the current project
+ * @returns {boolean} True if deletion is allowed
+ */
+export const canDeleteAttachment = (user, bug, attachment, projectRole) => {
+  if (!user || !attachment || projectRole === PROJECT_ROLES.VIEWER) return false;
+  return isSameUser(attachment.uploader, user) || canDeleteBug(user, bug, projectRole);
+};
+
+/**
+ * Version of a bug, sent back in If-Match to detect conflicting edits
+ * Single-bug responses call it `version`; list responses keep Mongo's `__v`
+ * @param {Object} bug - Bug object
+ * @returns {number|undefined}
+ */
+export const getBugVersion = (bug) => bug?.version ?? bug?.__v;
+
+// Fields of the bug form that take part in merging concurrent edits
+const MERGE_FIELDS = [
+  'title',
+  'description',
+  'status',
+  'priority',
+  'severity',
+  'createdBy',
+  'assignee',
+  'labels',
+];
+
+const refId = (value) => (value && typeof value === 'object' ? value._id || value.id : value) || null;
+
+/**
+ * Put a bug field in a form that compares the same however the bug was loaded
+ * Populated assignees and labels become IDs
+ * @param {string} field - Bug field
+ * @param {*} value - Field value
+ * @returns {*}
+ */
+export const normalizeBugField = (field, value) => {
+  if (field === 'assignee') return refId(value);
+  if (field === 'labels') return (value || []).map(refId).sort();
+  return value ?? '';
+};
+
+const sameField = (field, a, b) =>
+  JSON.stringify(normalizeBugField(field, a)) === JSON.stringify(normalizeBugField(field, b));
+
+/**
+ * Three-way merge of an edit with changes someone else saved first
+ * Fields only one side changed merge cleanly; fields both changed differently
+ * are conflicts for the user to settle.
+ * @param {Object} base - Bug the edit started from
+ * @param {Object} mine - Fields sent by the edit
+ * @param {Object} theirs - Bug as it is now on the server
+ * @returns {{ merged: Object, conflicts: Array<{ field, mine, theirs }> }}
+ *   merged holds the edit's own changes that can still be sent; conflict
+ *   values are normalized (IDs for assignee and labels)
+ */
+export const mergeBugChanges = (base, mine, theirs) => {
+  const merged = {};
+  const conflicts = [];
+
+  MERGE_FIELDS.filter((field) => mine[field] !== undefined).forEach((field) => {
+    // Untouched fields take whatever the server has now
+    if (sameField(field, mine[field], base[field])) return;
+
+    if (sameField(field, theirs[field], base[field]) || sameField(field, theirs[field], mine[field])) {
+      merged[field] = mine[field];
+    } else {
+      conflicts.push({
+        field,
+        mine: normalizeBugField(field, mine[field]),
+        theirs: normalizeBugField(field, theirs[field]),
+      });
+    }
+  });
+
+  return { merged, conflicts };
+};
+
+/**
+ * Start of a local calendar day as an ISO timestamp
+ * @param {string} date - YYYY-MM-DD
+ * @returns {string}
+ */
+export const startOfDayISO = (date) => new Date(`${date}T00:00:00`).toISOString();
+
+/**
+ * End of a local calendar day as an ISO timestamp
+ * @param {string} date - YYYY-MM-DD
+ * @returns {string}
+ */
+export const endOfDayISO = (date) => new Date(`${date}T23:59:59.999`).toISOString();
+
+/**
+ * Formats a Date as a local YYYY-MM-DD string (the value of a date input)
+ * @param {Date} date
+ * @returns {string}
+ */
+export const toDateInputValue = (date) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/**
+ * Builds GET /bugs query parameters from the board filters
+ * List filters become comma-separated values; date filters cover whole local days
+ * @param {Object} filters - Filter object
+ * @returns {Object} Query parameters
+ */
+export const buildBugQuery = (filters) => {
+  const params = {};
+
+  if (filters.search) params.q = filters.search;
+  if (filters.assignee) params.assignee = filters.assignee;
+
+  ['status', 'priority', 'severity'].forEach((field) => {
+    if (filters[field] && filters[field].length > 0) {
+      params[field] = filters[field].join(',');
+    }
+  });
+
+  if (filters.createdAfter) params.createdAfter = startOfDayISO(filters.createdAfter);
+  if (filters.createdBefore) params.createdBefore = endOfDayISO(filters.createdBefore);
+
+  return params;
+};
+
+/**
+ * Builds the query params for the statistics endpoint
+ * @param {Object} range - { from, to } as YYYY-MM-DD strings
+ * @returns {Object} Query parameters covering whole local days
+ */
+export const buildStatsQuery = ({ from, to } = {}) => {
+  const params = {};
+  if (from) params.from = startOfDayISO(from);
+  if (to) params.to = endOfDayISO(to);
+  return params;
+};
+
 /**
  * Filters bugs based on search term and filters
  * @param {Array} bugs - Array of bug objects
@@ -111,3 +367,134 @@ export const filterBugs = (bugs, filters) => {
 
   return filtered;
 };
+
+/**
+ * Save a downloaded file through the browser
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Name to save it under
+ */
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Read a file picked in the browser as text
+ * @param {File} file - Picked file
+ * @returns {Promise<string>} File contents
+ */
+export const readFileText = (file) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(file);
+  });
+
+/**
+ * Split CSV text into rows of cells, following the same rules as the server's import:
+ * quoted cells may hold commas, doubled quotes and line breaks, and blank lines are skipped
+ * @param {string} text - CSV file contents
+ * @returns {Array<Array<string>>} Rows of cells
+ */
+export const parseCsv = (text) => {
+  const input = text.replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char !== '"') {
+        cell += char;
+      } else if (input[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else {
+        quoted = false;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter((cells) => cells.some((value) => value.trim() !== ''));
+};
+
+/**
+ * Read the columns and records of an import file for the column mapping step
+ * @param {string} text - File contents
+ * @param {string} filename - .json files are read as JSON, anything else as CSV
+ * @returns {{ columns: Array<string>, records: Array<Object> }}
+ * @throws {Error} When a JSON file is invalid or holds no list of bugs
+ */
+export const parseImportFile = (text, filename) => {
+  if (/\.json$/i.test(filename)) {
+    const data = JSON.parse(text.replace(/^\uFEFF/, ''));
+    const records = Array.isArray(data) ? data : data?.bugs;
+    if (!Array.isArray(records)) {
+      throw new Error('The file must hold a list of bugs or an object with a "bugs" list');
+    }
+
+    const objects = records.filter((record) => record && typeof record === 'object');
+    return { columns: [...new Set(objects.flatMap(Object.keys))], records };
+  }
+
+  const [header = [], ...rows] = parseCsv(text);
+  const columns = header.map((column) => column.trim());
+
+  return {
+    columns: columns.filter(Boolean),
+    records: rows.map((cells) =>
+      columns.reduce((record, column, index) => {
+        if (column) record[column] = cells[index] || '';
+        return record;
+      }, {})
+    ),
+  };
+};
+
+/**
+ * Pick the bug field each import column probably holds, matching names like the server does
+ * Case, spaces and punctuation are ignored, so "Created By" finds createdBy.
+ * @param {Array<string>} columns - Column names from the file
+ * @returns {Object} Column name to bug field, '' for columns left out
+ */
+export const guessImportColumns = (columns) => {
+  const keys = columns.map((column) => column.toLowerCase().replace(/[^a-z0-9]/g, ''));
+  // Exports carry the assignee's name and email; only the email identifies the user
+  const hasEmail = keys.includes('assigneeemail');
+
+  return columns.reduce((mapping, column, index) => {
+    const key = keys[index];
+    let field = IMPORT.FIELDS.find((name) => name.toLowerCase() === key) || '';
+    if (key === 'assigneeemail') field = 'assignee';
+    if (key === 'assignee' && hasEmail) field = '';
+
+    mapping[column] = field;
+    return mapping;
+  }, {});
+};
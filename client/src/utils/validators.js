@@ -40,6 +40,13 @@ export const bugSchema = z.object({
       message: `Name must not exceed ${VALIDATION_RULES.CREATED_BY.MAX_LENGTH} characters`,
     })
     .trim(),
+  assignee: z.string().optional(),
+  labels: z
+    .array(z.string())
+    .max(VALIDATION_RULES.LABEL.MAX_PER_BUG, {
+      message: `A bug can have at most ${VALIDATION_RULES.LABEL.MAX_PER_BUG} labels`,
+    })
+    .optional(),
 });
 
 export const bugUpdateSchema = bugSchema.partial();
@@ -10,6 +10,11 @@ const rateLimit = require('express-rate-limit');
 const cookieParser = require('cookie-parser');
 const bugRoutes = require('./routes/bugRoutes');
 const authRoutes = require('./routes/authRoutes');
+const userRoutes = require('./routes/userRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const labelRoutes = require('./routes/labelRoutes');
+const projectRoutes = require('./routes/projectRoutes');
+const { loadProject } = require('./middleware/projectMiddleware');
 const requestLogger = require('./middleware/requestLogger');
 const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
 
@@ -23,7 +28,8 @@ app.use(helmet());
 const corsOptions = {
   origin: process.env.CORS_ORIGIN || 'http://localhost:3000',
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'If-Match'],
+  exposedHeaders: ['ETag'],
   credentials: true,
 };
 app.use(cors(corsOptions));
@@ -66,7 +72,12 @@ app.get('/health', (req, res) => {
 // API Routes
 const apiPrefix = process.env.API_PREFIX || '/api';
 app.use(`${apiPrefix}/auth`, authRoutes);
-app.use(`${apiPrefix}/bugs`, bugRoutes);
+// The unscoped bug routes work in the default project
+app.use(`${apiPrefix}/bugs`, loadProject, bugRoutes);
+app.use(`${apiPrefix}/projects`, projectRoutes);
+app.use(`${apiPrefix}/users`, userRoutes);
+app.use(`${apiPrefix}/admin`, adminRoutes);
+app.use(`${apiPrefix}/labels`, labelRoutes);
 
 // 404 Handler
 app.use(notFoundHandler);
@@ -10,6 +10,19 @@ const BUG_STATUS = {
   CLOSED: 'closed',
 };
 
+/**
+ * Status workflow
+ * Maps each status to the statuses a bug may move to next.
+ * The board keeps its own copy in client/src/utils/constants.js, so a change
+ * to the workflow must be made in both places.
+ */
+const STATUS_TRANSITIONS = {
+  [BUG_STATUS.OPEN]: [BUG_STATUS.IN_PROGRESS],
+  [BUG_STATUS.IN_PROGRESS]: [BUG_STATUS.OPEN, BUG_STATUS.RESOLVED],
+  [BUG_STATUS.RESOLVED]: [BUG_STATUS.CLOSED, BUG_STATUS.OPEN],
+  [BUG_STATUS.CLOSED]: [BUG_STATUS.OPEN],
+};
+
 const BUG_PRIORITY = {
   LOW: 'low',
   MEDIUM: 'medium',
@@ -23,6 +36,14 @@ const BUG_SEVERITY = {
   CRITICAL: 'critical',
 };
 
+const HISTORY_ACTIONS = {
+  CREATED: 'created',
+  UPDATED: 'updated',
+  DELETED: 'deleted',
+  RESTORED: 'restored',
+  PURGED: 'purged',
+};
+
 const VALIDATION_RULES = {
   TITLE: {
     MIN_LENGTH: 3,
@@ -36,6 +57,26 @@ const VALIDATION_RULES = {
     MIN_LENGTH: 2,
     MAX_LENGTH: 50,
   },
+  COMMENT: {
+    MIN_LENGTH: 1,
+    MAX_LENGTH: 2000,
+  },
+  SEARCH: {
+    MAX_LENGTH: 200,
+    SNIPPET_LENGTH: 120,
+  },
+  LABEL: {
+    NAME_MIN_LENGTH: 1,
+    NAME_MAX_LENGTH: 30,
+    // Hex colors only, so clients can derive text contrast
+    COLOR_PATTERN: /^#[0-9a-f]{6}$/i,
+    MAX_PER_BUG: 10,
+  },
+  PROJECT: {
+    NAME_MIN_LENGTH: 2,
+    NAME_MAX_LENGTH: 50,
+    DESCRIPTION_MAX_LENGTH: 500,
+  },
 };
 
 const HTTP_STATUS = {
@@ -47,6 +88,9 @@ const HTTP_STATUS = {
   FORBIDDEN: 403,
   NOT_FOUND: 404,
   CONFLICT: 409,
+  PRECONDITION_FAILED: 412,
+  PAYLOAD_TOO_LARGE: 413,
+  UNSUPPORTED_MEDIA_TYPE: 415,
   UNPROCESSABLE_ENTITY: 422,
   INTERNAL_SERVER_ERROR: 500,
   SERVICE_UNAVAILABLE: 503,
@@ -58,14 +102,161 @@ const ERROR_MESSAGES = {
   DATABASE_ERROR: 'Database operation failed',
   INTERNAL_ERROR: 'Internal server error',
   INVALID_ID: 'Invalid ID format',
+  FORBIDDEN: 'You are not allowed to perform this action',
+  INVALID_TRANSITION: 'Status transition not allowed',
+  BUG_EDIT_FORBIDDEN: 'Only the creator, the assignee or an admin can edit this bug',
+  BUG_DELETE_FORBIDDEN: 'Only the creator or an admin can delete this bug',
+  SELF_ADMIN_CHANGE: 'Admins cannot change their own role or deactivate themselves',
+  LABEL_EXISTS: 'A label with this name already exists',
+  PROJECT_EXISTS: 'A project with this name already exists',
+  PROJECT_MEMBERS_ONLY: 'You are not a member of this project',
+  PROJECT_READ_ONLY: 'Viewers cannot make changes in this project',
+  PROJECT_ADMIN_ONLY: 'Only project admins can manage this project',
+  DEFAULT_PROJECT_LOCKED: 'The default project is open to everyone and cannot be changed this way',
+  LAST_PROJECT_ADMIN: 'A project needs at least one admin',
+  PROJECT_NOT_EMPTY: 'Delete the bugs in this project, and have an admin purge them from the trash, before deleting it',
+  ATTACHMENT_REQUIRED: 'Choose at least one file to upload',
+  ATTACHMENT_TYPE: 'This file type is not allowed',
+  ATTACHMENT_DELETE_FORBIDDEN: 'Only the uploader, the bug creator or an admin can delete this attachment',
+  BUG_VERSION_CONFLICT: 'This bug was changed by someone else since you loaded it',
+  IMPORT_REQUIRED: 'Upload a CSV or JSON file, or send the bugs as a JSON list',
+  IMPORT_FILE_TYPE: 'Import files must be .csv or .json',
 };
 
 const SUCCESS_MESSAGES = {
   BUG_CREATED: 'Bug created successfully',
   BUG_UPDATED: 'Bug updated successfully',
   BUG_DELETED: 'Bug deleted successfully',
+  BUG_RESTORED: 'Bug restored successfully',
+  BUG_PURGED: 'Bug permanently deleted',
+  TRASH_FOUND: 'Deleted bugs retrieved successfully',
   BUG_FOUND: 'Bug retrieved successfully',
   BUGS_FOUND: 'Bugs retrieved successfully',
+  COMMENT_CREATED: 'Comment added successfully',
+  COMMENT_UPDATED: 'Comment updated successfully',
+  COMMENT_DELETED: 'Comment deleted successfully',
+  COMMENTS_FOUND: 'Comments retrieved successfully',
+  HISTORY_FOUND: 'Bug history retrieved successfully',
+  USERS_FOUND: 'Users retrieved successfully',
+  USER_UPDATED: 'User updated successfully',
+  USER_LOGGED_OUT: 'User sessions revoked successfully',
+  BULK_COMPLETED: 'Bulk action completed',
+  LABEL_CREATED: 'Label created successfully',
+  LABEL_UPDATED: 'Label updated successfully',
+  LABEL_DELETED: 'Label deleted successfully',
+  LABELS_FOUND: 'Labels retrieved successfully',
+  PROJECT_CREATED: 'Project created successfully',
+  PROJECT_UPDATED: 'Project updated successfully',
+  PROJECT_DELETED: 'Project deleted successfully',
+  PROJECT_FOUND: 'Project retrieved successfully',
+  PROJECTS_FOUND: 'Projects retrieved successfully',
+  MEMBER_ADDED: 'Member added successfully',
+  MEMBER_UPDATED: 'Member role updated successfully',
+  MEMBER_REMOVED: 'Member removed successfully',
+  ATTACHMENTS_UPLOADED: 'Attachments uploaded successfully',
+  ATTACHMENT_DELETED: 'Attachment deleted successfully',
+  ATTACHMENTS_FOUND: 'Attachments retrieved successfully',
+  BUGS_IMPORTED: 'Bugs imported successfully',
+  IMPORT_CHECKED: 'Import checked, nothing was saved',
+};
+
+const USER_ROLES = {
+  USER: 'user',
+  ADMIN: 'admin',
+};
+
+/**
+ * Roles within a project, from least to most access
+ * - viewer: read bugs and comments
+ * - member: also create bugs, comment, and edit bugs they created or are assigned
+ * - admin: also edit and delete any bug, and manage the project and its members
+ * Global admins act as project admins everywhere.
+ */
+const PROJECT_ROLES = {
+  VIEWER: 'viewer',
+  MEMBER: 'member',
+  ADMIN: 'admin',
+};
+
+// Bugs created before projects existed, and the legacy /api/bugs routes, use this project
+const DEFAULT_PROJECT = {
+  NAME: 'Default',
+  DESCRIPTION: 'Bugs that are not filed under another project',
+};
+
+const AUTH = {
+  ACCESS_TOKEN_EXPIRE: '15m',
+  REFRESH_COOKIE_NAME: 'refreshToken',
+  REFRESH_TOKEN_TTL_DAYS: 7,
+  PASSWORD_RESET_TTL_MINUTES: 30,
+};
+
+const STATS = {
+  TOP_CREATORS: 10,
+  TREND_INTERVALS: ['day', 'week'],
+  // Window used when a trends request omits `from`, in buckets
+  TREND_DEFAULT_BUCKETS: {
+    day: 30,
+    week: 12,
+  },
+  TREND_MAX_BUCKETS: 366,
+};
+
+// Resolution targets in hours, per priority. Override with SLA_HOURS_<PRIORITY>
+const SLA = {
+  TARGET_HOURS: {
+    [BUG_PRIORITY.LOW]: 720,
+    [BUG_PRIORITY.MEDIUM]: 168,
+    [BUG_PRIORITY.HIGH]: 72,
+    [BUG_PRIORITY.CRITICAL]: 24,
+  },
+  // Share of the target after which an unresolved bug is "at risk"
+  AT_RISK_RATIO: 0.75,
+};
+
+const SLA_STATUS = {
+  ON_TRACK: 'on-track',
+  AT_RISK: 'at-risk',
+  BREACHED: 'breached',
+  MET: 'met',
+  MISSED: 'missed',
+};
+
+const BULK = {
+  MAX_IDS: 100,
+  ACTIONS: {
+    SET_STATUS: 'set-status',
+    SET_PRIORITY: 'set-priority',
+    SET_ASSIGNEE: 'set-assignee',
+    ADD_LABELS: 'add-labels',
+    DELETE: 'delete',
+  },
+};
+
+// Upload limits. Override the size with ATTACHMENT_MAX_MB
+const ATTACHMENTS = {
+  MAX_FILE_MB: 10,
+  MAX_FILES_PER_UPLOAD: 5,
+  MAX_PER_BUG: 20,
+  // Screenshots, logs and documents. No HTML or SVG, which browsers could run as a page
+  ALLOWED_MIME_TYPES: [
+    'image/png',
+    'image/jpeg',
+    'image/gif',
+    'image/webp',
+    'text/plain',
+    'text/csv',
+    'application/json',
+    'application/pdf',
+    'application/zip',
+  ],
+};
+
+// Socket.IO events broadcast to everyone viewing a project's board
+const BUG_EVENTS = {
+  CREATED: 'bug:created',
+  UPDATED: 'bug:updated',
+  DELETED: 'bug:deleted',
 };
 
 const PAGINATION = {
@@ -74,13 +265,46 @@ const PAGINATION = {
   MAX_LIMIT: 100,
 };
 
+// Bug list downloads (GET /api/bugs/export), streamed without a size limit
+const EXPORT = {
+  FORMATS: ['csv', 'json', 'ndjson'],
+  DEFAULT_FORMAT: 'csv',
+  // Documents fetched from MongoDB per round trip
+  BATCH_SIZE: 500,
+};
+
+// Bulk bug imports (POST /api/bugs/import)
+const IMPORT = {
+  FORMATS: ['csv', 'json'],
+  MAX_FILE_MB: 5,
+  MAX_ROWS: 1000,
+  // Bugs written per insertMany call
+  BATCH_SIZE: 100,
+  // Bug fields an imported column can be mapped to
+  FIELDS: ['title', 'description', 'status', 'priority', 'severity', 'createdBy', 'assignee', 'labels'],
+};
+
 module.exports = {
   BUG_STATUS,
+  STATUS_TRANSITIONS,
   BUG_PRIORITY,
   BUG_SEVERITY,
+  HISTORY_ACTIONS,
   VALIDATION_RULES,
   HTTP_STATUS,
   ERROR_MESSAGES,
   SUCCESS_MESSAGES,
   PAGINATION,
+  EXPORT,
+  IMPORT,
+  STATS,
+  SLA,
+  SLA_STATUS,
+  BULK,
+  ATTACHMENTS,
+  BUG_EVENTS,
+  USER_ROLES,
+  PROJECT_ROLES,
+  DEFAULT_PROJECT,
+  AUTH,
 };
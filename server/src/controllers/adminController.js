@@ -0,0 +1,155 @@
+/**
+ * Admin Controller
+ * User management for administrators
+ */
+
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const logger = require('../config/logger');
+const { successResponse } = require('../utils/apiResponse');
+const { NotFoundError, ForbiddenError } = require('../middleware/errorHandler');
+const { ERROR_MESSAGES, SUCCESS_MESSAGES } = require('../config/constants');
+
+const ADMIN_USER_FIELDS = 'name email role isActive deactivatedAt createdAt';
+
+/**
+ * Load a user that the current admin is allowed to manage
+ * @param {object} req - Express request object
+ * @returns {Promise<object>} - User document
+ * @throws {NotFoundError} When the user does not exist
+ * @throws {ForbiddenError} When admins target their own account
+ */
+const findManagedUser = async (req) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    throw new NotFoundError(`User with ID ${req.params.id} not found`);
+  }
+
+  // Prevents admins from locking themselves (and possibly everyone) out
+  if (user._id.equals(req.user._id)) {
+    throw new ForbiddenError(ERROR_MESSAGES.SELF_ADMIN_CHANGE);
+  }
+
+  return user;
+};
+
+/**
+ * End every session of a user: refresh tokens and already-issued access tokens
+ * @param {object} user - User document (saved by this function)
+ */
+const revokeSessions = async (user) => {
+  user.tokenVersion = (user.tokenVersion || 0) + 1;
+  await user.save({ validateBeforeSave: false });
+  await RefreshToken.revokeAllForUser(user._id);
+};
+
+/**
+ * Shape a user for admin responses
+ * @param {object} user - User document
+ * @returns {object} - Admin view of the user
+ */
+const toAdminView = (user) => ({
+  _id: user._id,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  isActive: user.isActive,
+  deactivatedAt: user.deactivatedAt,
+  createdAt: user.createdAt,
+});
+
+/**
+ * List all users, including deactivated accounts
+ * @route GET /api/admin/users
+ */
+const listUsers = async (req, res, next) => {
+  try {
+    const users = await User.find({}, ADMIN_USER_FIELDS).sort({ name: 1 }).lean();
+
+    logger.info(`Admin ${req.user.email} retrieved ${users.length} users`);
+    return successResponse(res, users, SUCCESS_MESSAGES.USERS_FOUND);
+  } catch (error) {
+    logger.error(`Error fetching users for admin: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Change a user's role
+ * @route PATCH /api/admin/users/:id/role
+ */
+const updateUserRole = async (req, res, next) => {
+  try {
+    const user = await findManagedUser(req);
+    const { role } = req.body;
+
+    if (user.role !== role) {
+      user.role = role;
+      // The role is embedded in access tokens, so outstanding ones must go
+      await revokeSessions(user);
+      logger.info(`Admin ${req.user.email} set role of ${user.email} to ${role}`);
+    }
+
+    return successResponse(res, toAdminView(user), SUCCESS_MESSAGES.USER_UPDATED);
+  } catch (error) {
+    logger.error(`Error updating user role: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Deactivate or reactivate a user
+ * @route PATCH /api/admin/users/:id/status
+ */
+const updateUserStatus = async (req, res, next) => {
+  try {
+    const user = await findManagedUser(req);
+    const { isActive } = req.body;
+
+    if (user.isActive !== isActive) {
+      user.isActive = isActive;
+      user.deactivatedAt = isActive ? null : new Date();
+
+      if (isActive) {
+        await user.save({ validateBeforeSave: false });
+      } else {
+        await revokeSessions(user);
+      }
+
+      logger.info(
+        `Admin ${req.user.email} ${isActive ? 'reactivated' : 'deactivated'} ${user.email}`
+      );
+    }
+
+    return successResponse(res, toAdminView(user), SUCCESS_MESSAGES.USER_UPDATED);
+  } catch (error) {
+    logger.error(`Error updating user status: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Sign a user out of every device
+ * @route POST /api/admin/users/:id/logout
+ */
+const forceLogout = async (req, res, next) => {
+  try {
+    const user = await findManagedUser(req);
+
+    await revokeSessions(user);
+    logger.info(`Admin ${req.user.email} force-logged out ${user.email}`);
+
+    return successResponse(res, toAdminView(user), SUCCESS_MESSAGES.USER_LOGGED_OUT);
+  } catch (error) {
+    logger.error(`Error forcing logout: ${error.message}`);
+    next(error);
+  }
+};
+
+module.exports = {
+  listUsers,
+  updateUserRole,
+  updateUserStatus,
+  forceLogout,
+};
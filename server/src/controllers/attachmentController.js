@@ -0,0 +1,202 @@
+/**
+ * Attachment Controller
+ * Screenshots, logs and other files attached to a bug
+ */
+
+const path = require('path');
+const Bug = require('../models/Bug');
+const Attachment = require('../models/Attachment');
+const logger = require('../config/logger');
+const { successResponse, createdResponse } = require('../utils/apiResponse');
+const { AppError, NotFoundError, ForbiddenError } = require('../middleware/errorHandler');
+const { buildProjectFilter } = require('../utils/bugFilters');
+const { canDeleteBug } = require('../utils/bugPolicy');
+const { getStorage, buildStorageKey } = require('../utils/attachmentStorage');
+const {
+  ATTACHMENTS,
+  ERROR_MESSAGES,
+  SUCCESS_MESSAGES,
+  HTTP_STATUS,
+} = require('../config/constants');
+
+const UPLOADER_FIELDS = 'name email';
+
+/**
+ * Load the parent bug from the request's project, unless it is in the trash
+ * @param {object} req - Request with `project` set by loadProject
+ * @param {string} bugId - Bug ID
+ * @returns {Promise<object>} Lean bug
+ * @throws {NotFoundError} When the bug does not exist
+ */
+const findBug = async (req, bugId) => {
+  const bug = await Bug.findOne({
+    _id: bugId,
+    ...buildProjectFilter(req.project),
+    deletedAt: null,
+  }).lean();
+
+  if (!bug) {
+    throw new NotFoundError(`Bug with ID ${bugId} not found`);
+  }
+
+  return bug;
+};
+
+/**
+ * Load an attachment belonging to a bug
+ * @param {string} bugId - Bug ID
+ * @param {string} attachmentId - Attachment ID
+ * @returns {Promise<object>} Attachment document, including its storage key
+ */
+const findAttachment = async (bugId, attachmentId) => {
+  const attachment = await Attachment.findOne({ _id: attachmentId, bug: bugId }).select(
+    '+storageKey'
+  );
+
+  if (!attachment) {
+    throw new NotFoundError(`Attachment with ID ${attachmentId} not found`);
+  }
+
+  return attachment;
+};
+
+/**
+ * List a bug's attachments (oldest first)
+ * @route GET /api/bugs/:id/attachments
+ */
+const getAttachments = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    await findBug(req, id);
+
+    const attachments = await Attachment.find({ bug: id })
+      .sort({ createdAt: 1 })
+      .populate('uploader', UPLOADER_FIELDS)
+      .lean();
+
+    logger.info(`Retrieved ${attachments.length} attachments for bug ${id}`);
+    return successResponse(res, attachments, SUCCESS_MESSAGES.ATTACHMENTS_FOUND);
+  } catch (error) {
+    logger.error(`Error fetching attachments: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Upload one or more files to a bug (multipart field `files`)
+ * @route POST /api/bugs/:id/attachments
+ */
+const uploadAttachments = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const files = req.files || [];
+
+    if (files.length === 0) {
+      throw new AppError(ERROR_MESSAGES.ATTACHMENT_REQUIRED, HTTP_STATUS.BAD_REQUEST);
+    }
+
+    const bug = await findBug(req, id);
+
+    const existing = await Attachment.countDocuments({ bug: id });
+    if (existing + files.length > ATTACHMENTS.MAX_PER_BUG) {
+      throw new AppError(
+        `A bug can have at most ${ATTACHMENTS.MAX_PER_BUG} attachments`,
+        HTTP_STATUS.UNPROCESSABLE_ENTITY
+      );
+    }
+
+    const storage = getStorage();
+    const attachments = [];
+
+    for (const file of files) {
+      const storageKey = buildStorageKey(bug._id, file.originalname);
+      await storage.save(storageKey, file.buffer);
+
+      try {
+        const attachment = await Attachment.create({
+          bug: bug._id,
+          uploader: req.user._id,
+          // Some clients send a full path; only the name is meaningful
+          filename: path.basename(file.originalname),
+          mimeType: file.mimetype,
+          size: file.size,
+          storageKey,
+        });
+        await attachment.populate('uploader', UPLOADER_FIELDS);
+        attachments.push(attachment);
+      } catch (error) {
+        // Do not leave an orphaned file behind
+        await storage.remove(storageKey);
+        throw error;
+      }
+    }
+
+    logger.info(`${attachments.length} attachments added to bug ${id} by ${req.user.email}`);
+    return createdResponse(res, attachments, SUCCESS_MESSAGES.ATTACHMENTS_UPLOADED);
+  } catch (error) {
+    logger.error(`Error uploading attachments: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Download an attachment
+ * Always served as a download so a browser never renders it as a page
+ * @route GET /api/bugs/:id/attachments/:attachmentId
+ */
+const downloadAttachment = async (req, res, next) => {
+  try {
+    const { id, attachmentId } = req.params;
+
+    await findBug(req, id);
+    const attachment = await findAttachment(id, attachmentId);
+    const stream = await getStorage().createReadStream(attachment.storageKey);
+
+    res.attachment(attachment.filename);
+    res.type(attachment.mimeType);
+    res.set('Content-Length', String(attachment.size));
+
+    stream.on('error', next);
+    stream.pipe(res);
+  } catch (error) {
+    logger.error(`Error downloading attachment: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Delete an attachment (uploader, or whoever may delete the bug)
+ * @route DELETE /api/bugs/:id/attachments/:attachmentId
+ */
+const deleteAttachment = async (req, res, next) => {
+  try {
+    const { id, attachmentId } = req.params;
+
+    const bug = await findBug(req, id);
+    const attachment = await findAttachment(id, attachmentId);
+
+    if (
+      !attachment.uploader.equals(req.user._id) &&
+      !canDeleteBug(req.user, bug, req.projectRole)
+    ) {
+      throw new ForbiddenError(ERROR_MESSAGES.ATTACHMENT_DELETE_FORBIDDEN);
+    }
+
+    await getStorage().remove(attachment.storageKey);
+    await attachment.deleteOne();
+
+    logger.info(`Attachment deleted: ${attachmentId} by ${req.user.email}`);
+    return successResponse(res, { id: attachmentId }, SUCCESS_MESSAGES.ATTACHMENT_DELETED);
+  } catch (error) {
+    logger.error(`Error deleting attachment: ${error.message}`);
+    next(error);
+  }
+};
+
+module.exports = {
+  getAttachments,
+  uploadAttachments,
+  downloadAttachment,
+  deleteAttachment,
+};
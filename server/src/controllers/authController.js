@@ -4,7 +4,59 @@
  */
 
 const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
 const logger = require('../config/logger');
+const { sendMail, buildPasswordResetEmail } = require('../utils/mailer');
+const { AUTH, USER_ROLES } = require('../config/constants');
+
+/**
+ * Refresh cookie options
+ * Scoped to the auth routes so the token is never sent with other requests
+ */
+const refreshCookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'strict',
+  path: `${process.env.API_PREFIX || '/api'}/auth`,
+});
+
+/**
+ * Set the refresh token cookie
+ * @param {object} res - Express response object
+ * @param {object} issued - Result of RefreshToken.issue
+ */
+const setRefreshCookie = (res, { token, record }) => {
+  res.cookie(AUTH.REFRESH_COOKIE_NAME, token, {
+    ...refreshCookieOptions(),
+    expires: record.expiresAt,
+  });
+};
+
+/**
+ * Check whether an email is listed in ADMIN_EMAILS
+ * Lets a deployment bootstrap its first admin; every other role change goes through the admin API
+ * @param {string} email - Email used to sign up
+ * @returns {boolean}
+ */
+const isBootstrapAdmin = (email) =>
+  (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map((entry) => entry.trim().toLowerCase())
+    .filter(Boolean)
+    .includes(String(email).trim().toLowerCase());
+
+/**
+ * Clear the refresh cookie and reject the request
+ * @param {object} res - Express response object
+ * @param {string} message - Reason sent to the client
+ */
+const rejectRefresh = (res, message) => {
+  res.clearCookie(AUTH.REFRESH_COOKIE_NAME, refreshCookieOptions());
+  return res.status(401).json({
+    success: false,
+    message,
+  });
+};
 
 /**
  * @desc    Register a new user
@@ -13,7 +65,8 @@ const logger = require('../config/logger');
  */
 const signup = async (req, res) => {
   try {
-    const { name, email, password, role } = req.body;
+    // `role` is deliberately not read from the body: nobody can sign themselves up as admin
+    const { name, email, password } = req.body;
 
     // Validation
     if (!name || !email || !password) {
@@ -37,11 +90,12 @@ const signup = async (req, res) => {
       name,
       email,
       password,
-      role: role || 'user', // Default to 'user' role
+      role: isBootstrapAdmin(email) ? USER_ROLES.ADMIN : USER_ROLES.USER,
     });
 
-    // Generate token
+    // Generate access token and start a refresh session
     const token = user.generateAuthToken();
+    setRefreshCookie(res, await RefreshToken.issue(user._id));
 
     logger.info(`New user registered: ${user.email}`);
 
@@ -113,8 +167,16 @@ const login = async (req, res) => {
       });
     }
 
-    // Generate token
+    if (!user.isActive) {
+      return res.status(403).json({
+        success: false,
+        message: 'Account has been deactivated',
+      });
+    }
+
+    // Generate access token and start a refresh session
     const token = user.generateAuthToken();
+    setRefreshCookie(res, await RefreshToken.issue(user._id));
 
     logger.info(`User logged in: ${user.email}`);
 
@@ -178,12 +240,96 @@ const getMe = async (req, res) => {
 };
 
 /**
- * @desc    Logout user (client-side token removal)
+ * @desc    Exchange a refresh token cookie for a new access token
+ * @route   POST /api/auth/refresh
+ * @access  Public (refresh cookie)
+ */
+const refresh = async (req, res) => {
+  try {
+    const presented = req.cookies?.[AUTH.REFRESH_COOKIE_NAME];
+
+    if (!presented) {
+      return rejectRefresh(res, 'No refresh token provided. Please log in.');
+    }
+
+    const tokenHash = RefreshToken.hashToken(presented);
+
+    // Claim the token atomically so it can only be rotated once
+    const current = await RefreshToken.findOneAndUpdate(
+      { tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+      { revokedAt: new Date() },
+      { new: true }
+    );
+
+    if (!current) {
+      const stored = await RefreshToken.findOne({ tokenHash });
+
+      // A rotated token was replayed: assume it leaked and end the whole session
+      if (stored && stored.revokedAt) {
+        await RefreshToken.revokeFamily(stored.family);
+        logger.warn(`Refresh token reuse detected for user ${stored.user}`);
+        return rejectRefresh(res, 'Session is no longer valid. Please log in again.');
+      }
+
+      return rejectRefresh(res, 'Invalid or expired refresh token. Please log in again.');
+    }
+
+    const user = await User.findById(current.user);
+
+    if (!user || !user.isActive) {
+      await RefreshToken.revokeFamily(current.family);
+      return rejectRefresh(res, user ? 'Account has been deactivated' : 'User not found');
+    }
+
+    // Rotate: the next token continues the same session family
+    const issued = await RefreshToken.issue(user._id, current.family);
+    current.replacedBy = issued.record._id;
+    await current.save();
+    setRefreshCookie(res, issued);
+
+    res.status(200).json({
+      success: true,
+      message: 'Token refreshed',
+      data: {
+        user: {
+          id: user._id,
+          name: user.name,
+          email: user.email,
+          role: user.role,
+        },
+        token: user.generateAuthToken(),
+      },
+    });
+  } catch (error) {
+    logger.error(`Refresh error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error refreshing token',
+    });
+  }
+};
+
+/**
+ * @desc    Logout user and revoke the current refresh session
  * @route   POST /api/auth/logout
  * @access  Private
  */
 const logout = async (req, res) => {
   try {
+    const presented = req.cookies?.[AUTH.REFRESH_COOKIE_NAME];
+
+    if (presented) {
+      const stored = await RefreshToken.findOne({
+        tokenHash: RefreshToken.hashToken(presented),
+        user: req.user._id,
+      });
+
+      if (stored) {
+        await RefreshToken.revokeFamily(stored.family);
+      }
+    }
+
+    res.clearCookie(AUTH.REFRESH_COOKIE_NAME, refreshCookieOptions());
     logger.info(`User logged out: ${req.user.email}`);
 
     res.status(200).json({
@@ -199,9 +345,131 @@ const logout = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Email a password reset link
+ * @route   POST /api/auth/forgot-password
+ * @access  Public
+ */
+const forgotPassword = async (req, res) => {
+  // Same response whether or not the account exists, so emails cannot be probed
+  const genericResponse = {
+    success: true,
+    message: 'If an account exists for that email, a reset link has been sent',
+  };
+
+  try {
+    const { email } = req.body;
+
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide an email',
+      });
+    }
+
+    const user = await User.findOne({ email: email.toLowerCase().trim() });
+
+    if (!user) {
+      return res.status(200).json(genericResponse);
+    }
+
+    const token = user.createPasswordResetToken();
+    await user.save({ validateBeforeSave: false });
+
+    const clientUrl = process.env.CLIENT_URL || process.env.CORS_ORIGIN || 'http://localhost:3000';
+    const ttlMinutes =
+      parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || AUTH.PASSWORD_RESET_TTL_MINUTES;
+
+    try {
+      await sendMail({
+        to: user.email,
+        ...buildPasswordResetEmail({
+          name: user.name,
+          resetUrl: `${clientUrl}/reset-password/${token}`,
+          ttlMinutes,
+        }),
+      });
+    } catch (mailError) {
+      // Don't leave a usable token behind for a link that was never delivered
+      user.clearPasswordResetToken();
+      await user.save({ validateBeforeSave: false });
+      throw mailError;
+    }
+
+    logger.info(`Password reset requested: ${user.email}`);
+
+    res.status(200).json(genericResponse);
+  } catch (error) {
+    logger.error(`Forgot password error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error sending password reset email',
+    });
+  }
+};
+
+/**
+ * @desc    Set a new password using a reset token
+ * @route   POST /api/auth/reset-password/:token
+ * @access  Public (reset token)
+ */
+const resetPassword = async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    if (!password || typeof password !== 'string' || password.length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password must be at least 6 characters',
+      });
+    }
+
+    // Consume the token atomically so it can only be used once
+    const user = await User.findOneAndUpdate(
+      {
+        passwordResetTokenHash: User.hashResetToken(req.params.token),
+        passwordResetExpires: { $gt: new Date() },
+      },
+      { $unset: { passwordResetTokenHash: 1, passwordResetExpires: 1 } },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password reset link is invalid or has expired',
+      });
+    }
+
+    user.password = password;
+    user.tokenVersion = (user.tokenVersion || 0) + 1;
+    await user.save();
+
+    // Sessions started with the old password are no longer trusted
+    await RefreshToken.revokeAllForUser(user._id);
+    res.clearCookie(AUTH.REFRESH_COOKIE_NAME, refreshCookieOptions());
+
+    logger.info(`Password reset completed: ${user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Password has been reset. Please log in with your new password.',
+    });
+  } catch (error) {
+    logger.error(`Reset password error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error resetting password',
+    });
+  }
+};
+
 module.exports = {
   signup,
   login,
   getMe,
+  refresh,
   logout,
+  forgotPassword,
+  resetPassword,
 };
@@ -3,7 +3,14 @@
  * Business logic for bug operations
  */
 
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
 const Bug = require('../models/Bug');
+const Comment = require('../models/Comment');
+const BugHistory = require('../models/BugHistory');
+const User = require('../models/User');
+const Label = require('../models/Label');
+const Attachment = require('../models/Attachment');
 const logger = require('../config/logger');
 const {
   successResponse,
@@ -11,9 +18,409 @@ const {
   notFoundResponse,
   serverErrorResponse,
   paginatedResponse,
+  cursorPaginatedResponse,
 } = require('../utils/apiResponse');
-const { NotFoundError, DatabaseError } = require('../middleware/errorHandler');
-const { SUCCESS_MESSAGES, PAGINATION } = require('../config/constants');
+const {
+  AppError,
+  NotFoundError,
+  ForbiddenError,
+  InvalidTransitionError,
+  PreconditionFailedError,
+  DatabaseError,
+} = require('../middleware/errorHandler');
+const { diffBug } = require('../utils/bugHistory');
+const {
+  canTransition,
+  getAllowedTransitions,
+  getStatusTimestamps,
+} = require('../utils/statusWorkflow');
+const { canEditBug, canDeleteBug } = require('../utils/bugPolicy');
+const { highlightBug } = require('../utils/searchHighlight');
+const { withSla } = require('../utils/sla');
+const { buildBugFilter, buildProjectFilter } = require('../utils/bugFilters');
+const { getProjectRole } = require('../utils/projectAccess');
+const { encodeCursor, decodeCursor, buildCursorCondition } = require('../utils/cursor');
+const { resolveTrendRange, countBuckets, buildTrendSeries } = require('../utils/trends');
+const { broadcastBugEvent } = require('../utils/realtime');
+const { getBugVersion, bugEtag, ifMatchSatisfied } = require('../utils/etag');
+const { EXPORT_CONTENT_TYPES, serializeBugs, exportFilename } = require('../utils/bugExport');
+const { parseImportFile, mapColumns, toImportRow } = require('../utils/bugImport');
+const { validateBugData } = require('../utils/validateBug');
+const {
+  BUG_STATUS,
+  SUCCESS_MESSAGES,
+  ERROR_MESSAGES,
+  PAGINATION,
+  EXPORT,
+  IMPORT,
+  STATS,
+  BULK,
+  HTTP_STATUS,
+  HISTORY_ACTIONS,
+  VALIDATION_RULES,
+  BUG_EVENTS,
+} = require('../config/constants');
+
+const ASSIGNEE_FIELDS = 'name email';
+const LABEL_FIELDS = 'name color';
+
+// References expanded in every bug response
+const BUG_POPULATE = [
+  { path: 'assignee', select: ASSIGNEE_FIELDS },
+  { path: 'labels', select: LABEL_FIELDS },
+];
+
+// Statuses that count as "resolved" for trends
+const DONE_STATUSES = [BUG_STATUS.RESOLVED, BUG_STATUS.CLOSED];
+
+/**
+ * Reject status changes that the workflow does not allow
+ * @param {string} from - Current status
+ * @param {string|undefined} to - Requested status
+ */
+const assertTransition = (from, to) => {
+  if (!canTransition(from, to)) {
+    throw new InvalidTransitionError(from, to, getAllowedTransitions(from));
+  }
+};
+
+/**
+ * Restrict a bug query to the request's project, leaving out bugs in the trash
+ * @param {object} req - Request with `project` set by loadProject
+ * @param {object} [filter] - Other conditions
+ * @returns {object} - MongoDB filter
+ */
+const inProject = (req, filter = {}) => ({
+  ...filter,
+  ...buildProjectFilter(req.project),
+  deletedAt: null,
+});
+
+/**
+ * Restrict a bug query to the trash of the request's project
+ * @param {object} req - Request with `project` set by loadProject
+ * @param {object} [filter] - Other conditions
+ * @returns {object} - MongoDB filter
+ */
+const inTrash = (req, filter = {}) => ({
+  ...filter,
+  ...buildProjectFilter(req.project),
+  deletedAt: { $ne: null },
+});
+
+/**
+ * Normalize the list query the way queryValidation reads it
+ * Validator sanitizers do not write back to req.query on Express 5, so the
+ * search text is trimmed and the order lowercased here.
+ * @param {object} query - Request query
+ * @returns {object} - Copy of the query with q and order normalized
+ */
+const normalizeBugQuery = (query) => ({
+  ...query,
+  ...(query.q !== undefined && { q: String(query.q).trim() }),
+  ...(query.order !== undefined && { order: String(query.order).toLowerCase() }),
+});
+
+/**
+ * Sort for page-numbered lists and exports
+ * Searches rank by relevance unless a sort field is given
+ * @param {object} query - Request query ({ q, sortBy, order })
+ * @returns {object} - Mongoose sort
+ */
+const buildBugSort = ({ q, sortBy, order = 'desc' }) => {
+  const sortOrder = order === 'asc' ? 1 : -1;
+  return q && !sortBy
+    ? { score: { $meta: 'textScore' }, createdAt: -1 }
+    : { [sortBy || 'createdAt']: sortOrder };
+};
+
+/**
+ * Reject edits from users who are neither creator, assignee nor admin
+ * @param {object} user - Authenticated user
+ * @param {object} bug - Bug being edited
+ * @param {string} projectRole - User's role in the bug's project
+ */
+const assertCanEdit = (user, bug, projectRole) => {
+  if (!canEditBug(user, bug, projectRole)) {
+    throw new ForbiddenError(ERROR_MESSAGES.BUG_EDIT_FORBIDDEN);
+  }
+};
+
+/**
+ * Build the 412 error for an edit that lost a race, carrying the bug as it is now
+ * @param {string} id - Bug ID
+ * @returns {Promise<PreconditionFailedError>}
+ */
+const versionConflict = async (id) =>
+  new PreconditionFailedError(
+    ERROR_MESSAGES.BUG_VERSION_CONFLICT,
+    await Bug.findById(id).populate(BUG_POPULATE)
+  );
+
+/**
+ * Reject an edit made against an out-of-date copy of the bug
+ * Only applies when the client sent If-Match
+ * @param {object} req - Request
+ * @param {object} bug - Bug as currently stored
+ */
+const assertFresh = async (req, bug) => {
+  const ifMatch = req.get('If-Match');
+  if (ifMatch && !ifMatchSatisfied(ifMatch, bug)) {
+    throw await versionConflict(bug._id);
+  }
+};
+
+/**
+ * Normalize an assignee from the request body
+ * Empty values unassign the bug; IDs must belong to an existing, active user
+ * who can see the project
+ * @param {string|null|undefined} assignee - Assignee user ID from the request
+ * @param {object} project - Project the bug belongs to
+ * @returns {Promise<string|null|undefined>} Assignee ID, null to unassign, undefined if absent
+ */
+const resolveAssignee = async (assignee, project) => {
+  if (assignee === undefined) return undefined;
+  if (!assignee) return null;
+
+  const user = await User.findById(assignee, 'role isActive').lean();
+  if (!user) {
+    throw new AppError(`Assignee with ID ${assignee} not found`, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  // Deactivated users are hidden from the assignee picker and cannot sign in
+  if (user.isActive === false) {
+    throw new AppError(`Assignee with ID ${assignee} is deactivated`, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  if (!getProjectRole(project, user)) {
+    throw new AppError(
+      `Assignee with ID ${assignee} is not a member of this project`,
+      HTTP_STATUS.BAD_REQUEST
+    );
+  }
+
+  return assignee;
+};
+
+/**
+ * Normalize label IDs from the request body
+ * @param {array|undefined} labels - Label IDs from the request
+ * @returns {Promise<array|undefined>} Unique label IDs, undefined if absent
+ */
+const resolveLabels = async (labels) => {
+  if (labels === undefined) return undefined;
+
+  const ids = [...new Set(labels.map(String))];
+  const found = await Label.countDocuments({ _id: { $in: ids } });
+  if (found !== ids.length) {
+    throw new AppError('One or more labels do not exist', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  return ids;
+};
+
+/**
+ * Merge labels into a bug's existing ones
+ * @param {object} bug - Lean bug
+ * @param {array} labelIds - Label IDs to add
+ * @returns {object} - Update setting the merged labels
+ * @throws {AppError} When the bug would exceed the label limit
+ */
+const addLabels = (bug, labelIds) => {
+  const labels = [...new Set([...(bug.labels || []).map(String), ...labelIds])];
+
+  if (labels.length > VALIDATION_RULES.LABEL.MAX_PER_BUG) {
+    throw new AppError(
+      `A bug can have at most ${VALIDATION_RULES.LABEL.MAX_PER_BUG} labels`,
+      HTTP_STATUS.UNPROCESSABLE_ENTITY
+    );
+  }
+
+  return { labels };
+};
+
+/**
+ * Save changes to a bug that passed the policy and workflow checks
+ * Records status timestamps and the history entry, and bumps the version.
+ * The write only applies to the version that was read, so a concurrent edit
+ * fails with 412 instead of being overwritten.
+ * @param {object} before - Lean bug before the change
+ * @param {object} updates - Fields to change
+ * @param {string} actor - ID of the user making the change
+ * @returns {Promise<object>} Updated bug document with the assignee and labels populated
+ */
+const applyBugUpdate = async (before, updates, actor) => {
+  const bug = await Bug.findOneAndUpdate(
+    { _id: before._id, __v: getBugVersion(before) },
+    {
+      ...updates,
+      ...getStatusTimestamps(before.status, updates.status),
+      $inc: { __v: 1 },
+    },
+    {
+      new: true,
+      runValidators: true,
+    }
+  ).populate(BUG_POPULATE);
+
+  if (!bug) {
+    throw await versionConflict(before._id);
+  }
+
+  await BugHistory.record({
+    bug: before._id,
+    project: before.project,
+    actor,
+    action: HISTORY_ACTIONS.UPDATED,
+    changes: diffBug(before, bug),
+  });
+
+  return bug;
+};
+
+/**
+ * Move a bug to the trash
+ * Its comments and files stay with it so a restore brings everything back;
+ * they are only removed when the bug is purged.
+ * @param {object} bug - Bug document or lean bug
+ * @param {string} actor - ID of the user deleting it
+ */
+const trashBug = async (bug, actor) => {
+  await Bug.updateOne(
+    { _id: bug._id },
+    { deletedAt: new Date(), deletedBy: actor || null, $inc: { __v: 1 } }
+  );
+
+  await BugHistory.record({
+    bug: bug._id,
+    project: bug.project,
+    actor,
+    action: HISTORY_ACTIONS.DELETED,
+    changes: diffBug(bug, {}),
+  });
+};
+
+/**
+ * Look up the users and labels an import refers to, all rows at once
+ * @param {array} rows - Rows from toImportRow
+ * @returns {Promise<object>} - { users, labels }: users by ID and email, label IDs by ID and lowercased name
+ */
+const loadImportReferences = async (rows) => {
+  const assignees = [...new Set(rows.map((row) => row.assignee).filter(Boolean))];
+  const users = new Map();
+  const labels = new Map();
+
+  if (assignees.length > 0) {
+    const ids = assignees.filter((value) => /^[a-f\d]{24}$/i.test(value));
+    const emails = assignees.filter((value) => value.includes('@')).map((value) => value.toLowerCase());
+    const found = await User.find(
+      { $or: [{ _id: { $in: ids } }, { email: { $in: emails } }] },
+      'email role isActive'
+    ).lean();
+
+    found.forEach((user) => {
+      users.set(String(user._id), user);
+      users.set(user.email, user);
+    });
+  }
+
+  if (rows.some((row) => row.labels.length > 0)) {
+    const found = await Label.find({}, 'name').lean();
+
+    found.forEach((label) => {
+      labels.set(String(label._id), label._id);
+      labels.set(label.name.toLowerCase(), label._id);
+    });
+  }
+
+  return { users, labels };
+};
+
+/**
+ * Validate one import row and resolve its assignee and labels
+ * @param {object} row - Row from toImportRow
+ * @param {object} references - Result of loadImportReferences
+ * @param {object} req - Express request (importing user and project)
+ * @returns {object} - { bug, errors }: the fields to insert and any [{ field, message }]
+ */
+const checkImportRow = (row, references, req) => {
+  const bug = { ...row, createdBy: row.createdBy || req.user.name, assignee: null, labels: [] };
+  const { errors } = validateBugData(bug);
+
+  if (row.assignee) {
+    const key = row.assignee.includes('@') ? row.assignee.toLowerCase() : row.assignee;
+    const user = references.users.get(key);
+
+    if (!user) {
+      errors.push({ field: 'assignee', message: `Assignee ${row.assignee} not found` });
+    } else if (user.isActive === false) {
+      errors.push({ field: 'assignee', message: `Assignee ${row.assignee} is deactivated` });
+    } else if (!getProjectRole(req.project, user)) {
+      errors.push({
+        field: 'assignee',
+        message: `Assignee ${row.assignee} is not a member of this project`,
+      });
+    } else {
+      bug.assignee = user._id;
+    }
+  }
+
+  const unknown = row.labels.filter((label) => !references.labels.has(label.toLowerCase()));
+  if (unknown.length > 0) {
+    errors.push({ field: 'labels', message: `Unknown labels: ${unknown.join(', ')}` });
+  }
+
+  bug.labels = [
+    ...new Set(
+      row.labels
+        .map((label) => references.labels.get(label.toLowerCase()))
+        .filter(Boolean)
+        .map(String)
+    ),
+  ];
+  if (bug.labels.length > VALIDATION_RULES.LABEL.MAX_PER_BUG) {
+    errors.push({
+      field: 'labels',
+      message: `A bug can have at most ${VALIDATION_RULES.LABEL.MAX_PER_BUG} labels`,
+    });
+  }
+
+  return { bug, errors };
+};
+
+/**
+ * Insert one batch of checked import rows
+ * Records a creation history entry per bug and broadcasts each one, as
+ * createBug does.
+ * @param {array} bugs - Bug fields from checkImportRow
+ * @param {object} req - Express request (importing user and project)
+ * @returns {Promise<number>} - Number of bugs inserted
+ */
+const insertImportBatch = async (bugs, req) => {
+  const created = await Bug.insertMany(
+    bugs.map((bug) => ({
+      ...bug,
+      ...getStatusTimestamps(undefined, bug.status),
+      project: req.project._id,
+      creator: req.user._id,
+    }))
+  );
+
+  await BugHistory.insertMany(
+    created.map((bug) => ({
+      bug: bug._id,
+      project: bug.project,
+      actor: req.user._id,
+      action: HISTORY_ACTIONS.CREATED,
+      changes: diffBug({}, bug),
+    }))
+  );
+
+  await Bug.populate(created, BUG_POPULATE);
+  created.forEach((bug) => broadcastBugEvent(req.project._id, BUG_EVENTS.CREATED, bug));
+
+  return created.length;
+};
 
 /**
  * Create a new bug
@@ -28,8 +435,13 @@ const createBug = async (req, res, next) => {
       priority: req.body.priority,
       severity: req.body.severity,
       createdBy: req.body.createdBy,
+      assignee: await resolveAssignee(req.body.assignee, req.project),
+      labels: await resolveLabels(req.body.labels),
+      project: req.project._id,
     };
 
+    Object.assign(bugData, getStatusTimestamps(undefined, bugData.status));
+
     // If user is authenticated, set creator field
     if (req.user) {
       bugData.creator = req.user._id;
@@ -40,8 +452,20 @@ const createBug = async (req, res, next) => {
     }
 
     const bug = await Bug.create(bugData);
+    await bug.populate(BUG_POPULATE);
+
+    await BugHistory.record({
+      bug: bug._id,
+      project: bug.project,
+      actor: req.user?._id,
+      action: HISTORY_ACTIONS.CREATED,
+      changes: diffBug({}, bug),
+    });
+
+    broadcastBugEvent(req.project._id, BUG_EVENTS.CREATED, bug);
 
     logger.info(`Bug created: ${bug._id} by ${req.user ? req.user.email : 'anonymous'}`);
+    res.set('ETag', bugEtag(bug));
     return createdResponse(res, bug, SUCCESS_MESSAGES.BUG_CREATED);
   } catch (error) {
     logger.error(`Error creating bug: ${error.message}`);
@@ -55,51 +479,182 @@ const createBug = async (req, res, next) => {
  */
 const getAllBugs = async (req, res, next) => {
   try {
+    const listQuery = normalizeBugQuery(req.query);
     const {
-      status,
-      priority,
-      severity,
-      createdBy,
+      q,
+      cursor,
       page = PAGINATION.DEFAULT_PAGE,
       limit = PAGINATION.DEFAULT_LIMIT,
-      sortBy = 'createdAt',
       order = 'desc',
-    } = req.query;
+    } = listQuery;
 
-    // Build filter object
-    const filter = {};
-    if (status) filter.status = status;
-    if (priority) filter.priority = priority;
-    if (severity) filter.severity = severity;
-    if (createdBy) filter.createdBy = new RegExp(createdBy, 'i');
+    const filter = inProject(req, buildBugFilter(listQuery, req.user));
+    const projection = q ? { score: { $meta: 'textScore' } } : {};
+    const limitNum = Math.min(parseInt(limit, 10), PAGINATION.MAX_LIMIT);
+    // Lean results skip schema virtuals, so SLA fields are added here
+    const present = (bugs) =>
+      bugs.map((bug) => withSla(q ? { ...bug, highlights: highlightBug(bug, q) } : bug));
 
-    // Build sort object
-    const sortOrder = order === 'asc' ? 1 : -1;
-    const sort = { [sortBy]: sortOrder };
+    // Cursor mode: stable createdAt + _id order, no skip and no total count
+    if (cursor !== undefined) {
+      const direction = order === 'asc' ? 1 : -1;
+      const position = cursor ? decodeCursor(cursor) : null;
+      // buildBugFilter never uses $or, so the cursor condition can be merged in directly
+      const cursorFilter = position
+        ? { ...filter, ...buildCursorCondition(position, direction) }
+        : filter;
+
+      // Fetch one extra bug to learn whether another page exists
+      const bugs = await Bug.find(cursorFilter, projection)
+        .sort({ createdAt: direction, _id: direction })
+        .limit(limitNum + 1)
+        .populate(BUG_POPULATE)
+        .lean();
+
+      const hasNextPage = bugs.length > limitNum;
+      const pageBugs = hasNextPage ? bugs.slice(0, limitNum) : bugs;
+      const nextCursor = hasNextPage ? encodeCursor(pageBugs[pageBugs.length - 1]) : null;
+
+      logger.info(`Retrieved ${pageBugs.length} bugs (cursor)`);
+      return cursorPaginatedResponse(
+        res,
+        present(pageBugs),
+        limitNum,
+        nextCursor,
+        SUCCESS_MESSAGES.BUGS_FOUND
+      );
+    }
+
+    const sort = buildBugSort(listQuery);
 
     // Pagination
     const pageNum = parseInt(page, 10);
-    const limitNum = Math.min(parseInt(limit, 10), PAGINATION.MAX_LIMIT);
     const skip = (pageNum - 1) * limitNum;
 
     // Execute queries
     const [bugs, total] = await Promise.all([
-      Bug.find(filter)
+      Bug.find(filter, projection)
         .sort(sort)
         .skip(skip)
         .limit(limitNum)
+        .populate(BUG_POPULATE)
         .lean(),
       Bug.countDocuments(filter),
     ]);
 
     logger.info(`Retrieved ${bugs.length} bugs`);
-    return paginatedResponse(res, bugs, pageNum, limitNum, total, SUCCESS_MESSAGES.BUGS_FOUND);
+    return paginatedResponse(
+      res,
+      present(bugs),
+      pageNum,
+      limitNum,
+      total,
+      SUCCESS_MESSAGES.BUGS_FOUND
+    );
   } catch (error) {
     logger.error(`Error fetching bugs: ${error.message}`);
     next(error);
   }
 };
 
+/**
+ * Download every bug matching the list filters as CSV, JSON or NDJSON
+ * Streams from a database cursor, so unlike the list there is no page size cap
+ * @route GET /api/bugs/export
+ */
+const exportBugs = async (req, res, next) => {
+  try {
+    const listQuery = normalizeBugQuery(req.query);
+    const format = String(req.query.format || EXPORT.DEFAULT_FORMAT).toLowerCase();
+    const filter = inProject(req, buildBugFilter(listQuery, req.user));
+    const projection = listQuery.q ? { score: { $meta: 'textScore' } } : {};
+
+    const cursor = Bug.find(filter, projection)
+      .sort(buildBugSort(listQuery))
+      .populate(BUG_POPULATE)
+      .lean()
+      .batchSize(EXPORT.BATCH_SIZE)
+      .cursor();
+
+    res.attachment(exportFilename(format));
+    res.type(EXPORT_CONTENT_TYPES[format]);
+
+    // Also stops reading from the cursor if the client goes away
+    await pipeline(Readable.from(serializeBugs(cursor, format)), res);
+
+    logger.info(`Bugs exported as ${format}`);
+  } catch (error) {
+    logger.error(`Error exporting bugs: ${error.message}`);
+    // Once the download has started the failure can only cut it short
+    if (!res.headersSent) next(error);
+  }
+};
+
+/**
+ * Import bugs from an uploaded CSV or JSON file, or a JSON list in the body
+ * Every row is checked before anything is written. A dry run only returns the
+ * report; otherwise the valid rows are inserted in batches and the invalid
+ * ones are skipped and reported by row number (1 is the first bug).
+ * @route POST /api/bugs/import
+ */
+const importBugs = async (req, res, next) => {
+  try {
+    // toBoolean does not write back to req.query on Express 5
+    const dryRun = req.query.dryRun === 'true';
+    const records = req.file ? parseImportFile(req.file) : req.body.bugs;
+
+    if (!records || records.length === 0) {
+      throw new AppError(ERROR_MESSAGES.IMPORT_REQUIRED, HTTP_STATUS.BAD_REQUEST);
+    }
+    if (records.length > IMPORT.MAX_ROWS) {
+      throw new AppError(
+        `Import at most ${IMPORT.MAX_ROWS} bugs at a time`,
+        HTTP_STATUS.PAYLOAD_TOO_LARGE
+      );
+    }
+
+    const rows = records.map((record) => toImportRow(mapColumns(record, req.body.columns)));
+    const references = await loadImportReferences(rows);
+
+    const valid = [];
+    const errors = [];
+    rows.forEach((row, index) => {
+      const result = checkImportRow(row, references, req);
+      if (result.errors.length > 0) {
+        errors.push({ row: index + 1, errors: result.errors });
+      } else {
+        valid.push(result.bug);
+      }
+    });
+
+    let imported = 0;
+    if (!dryRun) {
+      for (let start = 0; start < valid.length; start += IMPORT.BATCH_SIZE) {
+        imported += await insertImportBatch(valid.slice(start, start + IMPORT.BATCH_SIZE), req);
+      }
+    }
+
+    const report = {
+      dryRun,
+      total: rows.length,
+      valid: valid.length,
+      invalid: errors.length,
+      imported,
+      errors,
+    };
+
+    logger.info(
+      `Bug import${dryRun ? ' (dry run)' : ''}: ${imported}/${rows.length} bugs by ${req.user.email}`
+    );
+    return imported > 0
+      ? createdResponse(res, report, SUCCESS_MESSAGES.BUGS_IMPORTED)
+      : successResponse(res, report, SUCCESS_MESSAGES.IMPORT_CHECKED);
+  } catch (error) {
+    logger.error(`Error importing bugs: ${error.message}`);
+    next(error);
+  }
+};
+
 /**
  * Get a single bug by ID
  * @route GET /api/bugs/:id
@@ -108,14 +663,15 @@ const getBugById = async (req, res, next) => {
   try {
     const { id } = req.params;
 
-    const bug = await Bug.findById(id).lean();
+    const bug = await Bug.findOne(inProject(req, { _id: id })).populate(BUG_POPULATE).lean();
 
     if (!bug) {
       throw new NotFoundError(`Bug with ID ${id} not found`);
     }
 
     logger.info(`Retrieved bug: ${id}`);
-    return successResponse(res, bug, SUCCESS_MESSAGES.BUG_FOUND);
+    res.set('ETag', bugEtag(bug));
+    return successResponse(res, withSla(bug), SUCCESS_MESSAGES.BUG_FOUND);
   } catch (error) {
     logger.error(`Error fetching bug: ${error.message}`);
     next(error);
@@ -124,11 +680,23 @@ const getBugById = async (req, res, next) => {
 
 /**
  * Update a bug
+ * With If-Match, refuses (412) to overwrite a newer version of the bug
  * @route PUT /api/bugs/:id
  */
 const updateBug = async (req, res, next) => {
   try {
     const { id } = req.params;
+    const before = await Bug.findOne(inProject(req, { _id: id })).lean();
+
+    if (!before) {
+      throw new NotFoundError(`Bug with ID ${id} not found`);
+    }
+
+    // Checked before resolving references, whose errors tell which users
+    // and labels exist
+    assertCanEdit(req.user, before, req.projectRole);
+    await assertFresh(req, before);
+
     const updates = {
       title: req.body.title,
       description: req.body.description,
@@ -136,6 +704,8 @@ const updateBug = async (req, res, next) => {
       priority: req.body.priority,
       severity: req.body.severity,
       createdBy: req.body.createdBy,
+      assignee: await resolveAssignee(req.body.assignee, req.project),
+      labels: await resolveLabels(req.body.labels),
     };
 
     // Remove undefined fields
@@ -145,16 +715,13 @@ const updateBug = async (req, res, next) => {
       }
     });
 
-    const bug = await Bug.findByIdAndUpdate(id, updates, {
-      new: true,
-      runValidators: true,
-    });
+    assertTransition(before.status, updates.status);
 
-    if (!bug) {
-      throw new NotFoundError(`Bug with ID ${id} not found`);
-    }
+    const bug = await applyBugUpdate(before, updates, req.user?._id);
+    broadcastBugEvent(req.project._id, BUG_EVENTS.UPDATED, bug);
 
     logger.info(`Bug updated: ${id}`);
+    res.set('ETag', bugEtag(bug));
     return successResponse(res, bug, SUCCESS_MESSAGES.BUG_UPDATED);
   } catch (error) {
     logger.error(`Error updating bug: ${error.message}`);
@@ -164,6 +731,7 @@ const updateBug = async (req, res, next) => {
 
 /**
  * Partial update (status change)
+ * With If-Match, refuses (412) to overwrite a newer version of the bug
  * @route PATCH /api/bugs/:id
  */
 const patchBug = async (req, res, next) => {
@@ -171,20 +739,21 @@ const patchBug = async (req, res, next) => {
     const { id } = req.params;
     const { status } = req.body;
 
-    const bug = await Bug.findByIdAndUpdate(
-      id,
-      { status },
-      {
-        new: true,
-        runValidators: true,
-      }
-    );
+    const before = await Bug.findOne(inProject(req, { _id: id })).lean();
 
-    if (!bug) {
+    if (!before) {
       throw new NotFoundError(`Bug with ID ${id} not found`);
     }
 
+    assertCanEdit(req.user, before, req.projectRole);
+    await assertFresh(req, before);
+    assertTransition(before.status, status);
+
+    const bug = await applyBugUpdate(before, { status }, req.user?._id);
+    broadcastBugEvent(req.project._id, BUG_EVENTS.UPDATED, bug);
+
     logger.info(`Bug status updated: ${id} -> ${status}`);
+    res.set('ETag', bugEtag(bug));
     return successResponse(res, bug, SUCCESS_MESSAGES.BUG_UPDATED);
   } catch (error) {
     logger.error(`Error patching bug: ${error.message}`);
@@ -193,19 +762,26 @@ const patchBug = async (req, res, next) => {
 };
 
 /**
- * Delete a bug
+ * Delete a bug by moving it to the trash
  * @route DELETE /api/bugs/:id
  */
 const deleteBug = async (req, res, next) => {
   try {
     const { id } = req.params;
 
-    const bug = await Bug.findByIdAndDelete(id);
+    const bug = await Bug.findOne(inProject(req, { _id: id }));
 
     if (!bug) {
       throw new NotFoundError(`Bug with ID ${id} not found`);
     }
 
+    if (!canDeleteBug(req.user, bug, req.projectRole)) {
+      throw new ForbiddenError(ERROR_MESSAGES.BUG_DELETE_FORBIDDEN);
+    }
+
+    await trashBug(bug, req.user?._id);
+    broadcastBugEvent(req.project._id, BUG_EVENTS.DELETED, { id });
+
     logger.info(`Bug deleted: ${id}`);
     return successResponse(res, { id }, SUCCESS_MESSAGES.BUG_DELETED);
   } catch (error) {
@@ -214,13 +790,240 @@ const deleteBug = async (req, res, next) => {
   }
 };
 
+/**
+ * List the bugs in the trash, most recently deleted first
+ * @route GET /api/bugs/trash
+ */
+const getTrash = async (req, res, next) => {
+  try {
+    const { page = PAGINATION.DEFAULT_PAGE, limit = PAGINATION.DEFAULT_LIMIT } = req.query;
+    const pageNum = parseInt(page, 10);
+    const limitNum = Math.min(parseInt(limit, 10), PAGINATION.MAX_LIMIT);
+    const filter = inTrash(req);
+
+    const [bugs, total] = await Promise.all([
+      Bug.find(filter)
+        .sort({ deletedAt: -1, _id: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .populate([...BUG_POPULATE, { path: 'deletedBy', select: 'name email' }])
+        .lean(),
+      Bug.countDocuments(filter),
+    ]);
+
+    logger.info(`Retrieved ${bugs.length} deleted bugs`);
+    return paginatedResponse(res, bugs, pageNum, limitNum, total, SUCCESS_MESSAGES.TRASH_FOUND);
+  } catch (error) {
+    logger.error(`Error fetching deleted bugs: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Take a bug out of the trash
+ * Allowed for whoever could have deleted it
+ * @route POST /api/bugs/:id/restore
+ */
+const restoreBug = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const trashed = await Bug.findOne(inTrash(req, { _id: id })).lean();
+
+    if (!trashed) {
+      throw new NotFoundError(`No deleted bug with ID ${id}`);
+    }
+
+    if (!canDeleteBug(req.user, trashed, req.projectRole)) {
+      throw new ForbiddenError(ERROR_MESSAGES.BUG_DELETE_FORBIDDEN);
+    }
+
+    const bug = await Bug.findOneAndUpdate(
+      { _id: id, __v: getBugVersion(trashed) },
+      { deletedAt: null, deletedBy: null, $inc: { __v: 1 } },
+      { new: true }
+    ).populate(BUG_POPULATE);
+
+    // Someone else restored or purged it first
+    if (!bug) {
+      throw new NotFoundError(`No deleted bug with ID ${id}`);
+    }
+
+    await BugHistory.record({
+      bug: bug._id,
+      project: bug.project,
+      actor: req.user?._id,
+      action: HISTORY_ACTIONS.RESTORED,
+    });
+
+    // Open boards treat it like a new bug
+    broadcastBugEvent(req.project._id, BUG_EVENTS.CREATED, bug);
+
+    logger.info(`Bug restored: ${id}`);
+    res.set('ETag', bugEtag(bug));
+    return successResponse(res, bug, SUCCESS_MESSAGES.BUG_RESTORED);
+  } catch (error) {
+    logger.error(`Error restoring bug: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Permanently delete a bug from the trash, with its comments and files
+ * Its history is kept so the audit trail stays complete
+ * @route DELETE /api/bugs/trash/:id
+ */
+const purgeBug = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const bug = await Bug.findOneAndDelete(inTrash(req, { _id: id })).lean();
+
+    if (!bug) {
+      throw new NotFoundError(`No deleted bug with ID ${id}`);
+    }
+
+    await Comment.deleteMany({ bug: bug._id });
+    await Attachment.removeForBug(bug._id);
+
+    await BugHistory.record({
+      bug: bug._id,
+      project: bug.project,
+      actor: req.user._id,
+      action: HISTORY_ACTIONS.PURGED,
+    });
+
+    logger.info(`Bug purged: ${id} by ${req.user.email}`);
+    return successResponse(res, { id }, SUCCESS_MESSAGES.BUG_PURGED);
+  } catch (error) {
+    logger.error(`Error purging bug: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Apply one action to many bugs
+ * Each bug is checked and saved on its own, so one failure does not stop the rest
+ * @route POST /api/bugs/bulk
+ */
+const bulkUpdateBugs = async (req, res, next) => {
+  try {
+    const { action, value } = req.body;
+    const ids = [...new Set(req.body.ids.map(String))];
+    const actor = req.user._id;
+
+    const bugs = await Bug.find(inProject(req, { _id: { $in: ids } })).lean();
+    const bugsById = new Map(bugs.map((bug) => [String(bug._id), bug]));
+    // References are only resolved for callers who may edit one of the bugs,
+    // since their errors tell which users and labels exist. Otherwise every
+    // item fails its own edit check below.
+    const mayEdit = bugs.some((bug) => canEditBug(req.user, bug, req.projectRole));
+
+    let updates = null;
+    let labelIds = null;
+    if (action === BULK.ACTIONS.SET_STATUS) updates = { status: value };
+    if (action === BULK.ACTIONS.SET_PRIORITY) updates = { priority: value };
+    // An unknown assignee or label fails the whole request rather than every item
+    if (action === BULK.ACTIONS.SET_ASSIGNEE && mayEdit) {
+      updates = { assignee: await resolveAssignee(value, req.project) };
+    }
+    if (action === BULK.ACTIONS.ADD_LABELS && mayEdit) labelIds = await resolveLabels(value);
+
+    const processItem = async (id) => {
+      try {
+        const bug = bugsById.get(id);
+        if (!bug) {
+          throw new NotFoundError(`Bug with ID ${id} not found`);
+        }
+
+        if (action === BULK.ACTIONS.DELETE) {
+          if (!canDeleteBug(req.user, bug, req.projectRole)) {
+            throw new ForbiddenError(ERROR_MESSAGES.BUG_DELETE_FORBIDDEN);
+          }
+          await trashBug(bug, actor);
+          broadcastBugEvent(req.project._id, BUG_EVENTS.DELETED, { id });
+          return { id, success: true };
+        }
+
+        assertCanEdit(req.user, bug, req.projectRole);
+        assertTransition(bug.status, updates?.status);
+        const updated = await applyBugUpdate(bug, updates || addLabels(bug, labelIds), actor);
+        broadcastBugEvent(req.project._id, BUG_EVENTS.UPDATED, updated);
+        return { id, success: true, data: updated };
+      } catch (error) {
+        if (!error.isOperational) {
+          logger.error(`Bulk ${action} failed for bug ${id}: ${error.message}`);
+        }
+
+        return {
+          id,
+          success: false,
+          statusCode: error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR,
+          message: error.isOperational ? error.message : ERROR_MESSAGES.INTERNAL_ERROR,
+          ...(error.allowedStatuses && { allowedStatuses: error.allowedStatuses }),
+        };
+      }
+    };
+
+    // One at a time keeps each bug's history entries in order and the load predictable
+    const results = [];
+    for (const id of ids) {
+      results.push(await processItem(id));
+    }
+
+    const succeeded = results.filter((result) => result.success).length;
+
+    logger.info(`Bulk ${action}: ${succeeded}/${results.length} bugs by ${req.user.email}`);
+    return successResponse(
+      res,
+      { action, succeeded, failed: results.length - succeeded, results },
+      SUCCESS_MESSAGES.BULK_COMPLETED
+    );
+  } catch (error) {
+    logger.error(`Error running bulk action: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Get the audit history of a bug (newest first)
+ * @route GET /api/bugs/:id/history
+ */
+const getBugHistory = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const projectFilter = buildProjectFilter(req.project);
+    const history = await BugHistory.find({ bug: id, ...projectFilter })
+      .sort({ createdAt: -1 })
+      .populate('actor', 'name email')
+      .lean();
+
+    // Deleted bugs keep their history, so only 404 when nothing was ever recorded
+    if (history.length === 0 && !(await Bug.exists({ _id: id, ...projectFilter }))) {
+      throw new NotFoundError(`Bug with ID ${id} not found`);
+    }
+
+    logger.info(`Retrieved ${history.length} history entries for bug ${id}`);
+    return successResponse(res, history, SUCCESS_MESSAGES.HISTORY_FOUND);
+  } catch (error) {
+    logger.error(`Error fetching bug history: ${error.message}`);
+    next(error);
+  }
+};
+
 /**
  * Get bug statistics
+ * Optional `from`/`to` limit the snapshot to bugs created in that range
  * @route GET /api/bugs/stats
  */
 const getBugStats = async (req, res, next) => {
   try {
+    const { from, to } = req.query;
+    const match = inProject(req, buildBugFilter({ createdAfter: from, createdBefore: to }));
+
     const stats = await Bug.aggregate([
+      { $match: match },
       {
         $facet: {
           byStatus: [
@@ -247,6 +1050,54 @@ const getBugStats = async (req, res, next) => {
               },
             },
           ],
+          byCreator: [
+            {
+              $group: {
+                _id: { createdBy: '$createdBy', status: '$status' },
+                count: { $sum: 1 },
+              },
+            },
+            {
+              $group: {
+                _id: '$_id.createdBy',
+                total: { $sum: '$count' },
+                statuses: { $push: { k: '$_id.status', v: '$count' } },
+              },
+            },
+            { $sort: { total: -1, _id: 1 } },
+            { $limit: STATS.TOP_CREATORS },
+            {
+              $project: {
+                _id: 0,
+                createdBy: '$_id',
+                total: 1,
+                byStatus: { $arrayToObject: '$statuses' },
+              },
+            },
+          ],
+          byLabel: [
+            { $unwind: '$labels' },
+            { $group: { _id: '$labels', count: { $sum: 1 } } },
+            {
+              $lookup: {
+                from: Label.collection.name,
+                localField: '_id',
+                foreignField: '_id',
+                as: 'label',
+              },
+            },
+            // Skip references to labels deleted since
+            { $unwind: '$label' },
+            { $sort: { count: -1, 'label.name': 1 } },
+            {
+              $project: {
+                _id: '$label._id',
+                name: '$label.name',
+                color: '$label.color',
+                count: 1,
+              },
+            },
+          ],
           total: [
             {
               $count: 'count',
@@ -270,6 +1121,12 @@ const getBugStats = async (req, res, next) => {
         acc[item._id] = item.count;
         return acc;
       }, {}),
+      byCreator: stats[0].byCreator,
+      byLabel: stats[0].byLabel,
+      range: {
+        from: from || null,
+        to: to || null,
+      },
     };
 
     logger.info('Bug statistics retrieved');
@@ -280,12 +1137,138 @@ const getBugStats = async (req, res, next) => {
   }
 };
 
+/**
+ * Get opened vs. resolved counts per time bucket, the running backlog and
+ * mean time to resolution
+ *
+ * A bug counts as resolved at its `resolvedAt`. Bugs resolved before that
+ * field existed use their most recent move into resolved/closed from the
+ * audit trail, then `updatedAt`. Reopened bugs are therefore counted once,
+ * when they were last resolved.
+ * @route GET /api/bugs/stats/trends
+ */
+const getBugTrends = async (req, res, next) => {
+  try {
+    const interval = req.query.interval || 'day';
+    const { from, to } = resolveTrendRange({ from: req.query.from, to: req.query.to, interval });
+
+    if (countBuckets(from, to, interval) > STATS.TREND_MAX_BUCKETS) {
+      throw new AppError(
+        `Trends cover at most ${STATS.TREND_MAX_BUCKETS} ${interval}s; narrow the range`,
+        HTTP_STATUS.BAD_REQUEST
+      );
+    }
+
+    const bucketOf = (field) => ({
+      $dateTrunc: {
+        date: field,
+        unit: interval,
+        ...(interval === 'week' && { startOfWeek: 'monday' }),
+      },
+    });
+
+    const [trends] = await Bug.aggregate([
+      { $match: inProject(req, { createdAt: { $lte: to } }) },
+      {
+        $lookup: {
+          from: BugHistory.collection.name,
+          let: { bugId: '$_id' },
+          pipeline: [
+            { $match: { $expr: { $eq: ['$bug', '$$bugId'] } } },
+            { $unwind: '$changes' },
+            {
+              $match: {
+                'changes.field': 'status',
+                'changes.to': { $in: DONE_STATUSES },
+                'changes.from': { $nin: DONE_STATUSES },
+              },
+            },
+            { $sort: { createdAt: -1 } },
+            { $limit: 1 },
+            { $project: { _id: 0, at: '$createdAt' } },
+          ],
+          as: 'resolution',
+        },
+      },
+      {
+        $addFields: {
+          resolvedAt: {
+            $cond: [
+              { $in: ['$status', DONE_STATUSES] },
+              { $ifNull: ['$resolvedAt', { $first: '$resolution.at' }, '$updatedAt'] },
+              null,
+            ],
+          },
+        },
+      },
+      {
+        $facet: {
+          opened: [
+            { $match: { createdAt: { $gte: from } } },
+            { $group: { _id: bucketOf('$createdAt'), count: { $sum: 1 } } },
+          ],
+          resolved: [
+            { $match: { resolvedAt: { $gte: from, $lte: to } } },
+            {
+              $group: {
+                _id: bucketOf('$resolvedAt'),
+                count: { $sum: 1 },
+                resolutionMs: { $sum: { $subtract: ['$resolvedAt', '$createdAt'] } },
+              },
+            },
+          ],
+          startingBacklog: [
+            {
+              $match: {
+                createdAt: { $lt: from },
+                $or: [{ resolvedAt: null }, { resolvedAt: { $gte: from } }],
+              },
+            },
+            { $count: 'count' },
+          ],
+        },
+      },
+    ]);
+
+    const series = buildTrendSeries({
+      from,
+      to,
+      interval,
+      opened: trends.opened,
+      resolved: trends.resolved,
+      startingBacklog: trends.startingBacklog[0]?.count || 0,
+    });
+
+    logger.info(`Bug trends retrieved (${interval}, ${series.buckets.length} buckets)`);
+    return successResponse(
+      res,
+      {
+        interval,
+        range: { from: from.toISOString(), to: to.toISOString() },
+        ...series,
+      },
+      'Trends retrieved successfully'
+    );
+  } catch (error) {
+    logger.error(`Error fetching bug trends: ${error.message}`);
+    next(error);
+  }
+};
+
 module.exports = {
   createBug,
   getAllBugs,
+  exportBugs,
+  importBugs,
   getBugById,
   updateBug,
   patchBug,
   deleteBug,
+  getTrash,
+  restoreBug,
+  purgeBug,
+  bulkUpdateBugs,
+  getBugHistory,
   getBugStats,
+  getBugTrends,
 };
@@ -0,0 +1,150 @@
+/**
+ * Comment Controller
+ * Business logic for bug comment threads
+ */
+
+const Bug = require('../models/Bug');
+const Comment = require('../models/Comment');
+const logger = require('../config/logger');
+const { successResponse, createdResponse } = require('../utils/apiResponse');
+const { NotFoundError, ForbiddenError } = require('../middleware/errorHandler');
+const { buildProjectFilter } = require('../utils/bugFilters');
+const { SUCCESS_MESSAGES } = require('../config/constants');
+
+const AUTHOR_FIELDS = 'name email';
+
+/**
+ * Ensure the parent bug exists in the request's project and is not in the trash
+ * @param {object} req - Request with `project` set by loadProject
+ * @param {string} bugId - Bug ID
+ * @throws {NotFoundError} When the bug does not exist
+ */
+const ensureBugExists = async (req, bugId) => {
+  const exists = await Bug.exists({
+    _id: bugId,
+    ...buildProjectFilter(req.project),
+    deletedAt: null,
+  });
+  if (!exists) {
+    throw new NotFoundError(`Bug with ID ${bugId} not found`);
+  }
+};
+
+/**
+ * Load a comment belonging to a bug and check the requester wrote it
+ * @param {string} bugId - Bug ID
+ * @param {string} commentId - Comment ID
+ * @param {object} user - Authenticated user
+ * @returns {Promise<object>} Comment document
+ */
+const findOwnComment = async (bugId, commentId, user) => {
+  const comment = await Comment.findOne({ _id: commentId, bug: bugId });
+
+  if (!comment) {
+    throw new NotFoundError(`Comment with ID ${commentId} not found`);
+  }
+
+  if (!comment.author.equals(user._id)) {
+    throw new ForbiddenError('Only the author can modify this comment');
+  }
+
+  return comment;
+};
+
+/**
+ * Get all comments for a bug
+ * @route GET /api/bugs/:id/comments
+ */
+const getComments = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    await ensureBugExists(req, id);
+
+    const comments = await Comment.find({ bug: id })
+      .sort({ createdAt: 1 })
+      .populate('author', AUTHOR_FIELDS)
+      .lean();
+
+    logger.info(`Retrieved ${comments.length} comments for bug ${id}`);
+    return successResponse(res, comments, SUCCESS_MESSAGES.COMMENTS_FOUND);
+  } catch (error) {
+    logger.error(`Error fetching comments: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Add a comment to a bug
+ * @route POST /api/bugs/:id/comments
+ */
+const createComment = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    await ensureBugExists(req, id);
+
+    const comment = await Comment.create({
+      bug: id,
+      author: req.user._id,
+      content: req.body.content,
+    });
+    await comment.populate('author', AUTHOR_FIELDS);
+
+    logger.info(`Comment ${comment._id} added to bug ${id} by ${req.user.email}`);
+    return createdResponse(res, comment, SUCCESS_MESSAGES.COMMENT_CREATED);
+  } catch (error) {
+    logger.error(`Error creating comment: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Edit a comment (author only)
+ * @route PUT /api/bugs/:id/comments/:commentId
+ */
+const updateComment = async (req, res, next) => {
+  try {
+    const { id, commentId } = req.params;
+
+    await ensureBugExists(req, id);
+    const comment = await findOwnComment(id, commentId, req.user);
+    comment.content = req.body.content;
+    comment.editedAt = new Date();
+    await comment.save();
+    await comment.populate('author', AUTHOR_FIELDS);
+
+    logger.info(`Comment updated: ${commentId}`);
+    return successResponse(res, comment, SUCCESS_MESSAGES.COMMENT_UPDATED);
+  } catch (error) {
+    logger.error(`Error updating comment: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Delete a comment (author only)
+ * @route DELETE /api/bugs/:id/comments/:commentId
+ */
+const deleteComment = async (req, res, next) => {
+  try {
+    const { id, commentId } = req.params;
+
+    await ensureBugExists(req, id);
+    const comment = await findOwnComment(id, commentId, req.user);
+    await comment.deleteOne();
+
+    logger.info(`Comment deleted: ${commentId}`);
+    return successResponse(res, { id: commentId }, SUCCESS_MESSAGES.COMMENT_DELETED);
+  } catch (error) {
+    logger.error(`Error deleting comment: ${error.message}`);
+    next(error);
+  }
+};
+
+module.exports = {
+  getComments,
+  createComment,
+  updateComment,
+  deleteComment,
+};
@@ -0,0 +1,128 @@
+/**
+ * Label Controller
+ * Label taxonomy: everyone can list labels, admins manage them
+ */
+
+const Label = require('../models/Label');
+const Bug = require('../models/Bug');
+const logger = require('../config/logger');
+const { successResponse, createdResponse } = require('../utils/apiResponse');
+const { AppError, NotFoundError } = require('../middleware/errorHandler');
+const { ERROR_MESSAGES, SUCCESS_MESSAGES, HTTP_STATUS } = require('../config/constants');
+
+// Matches the collation of the unique name index
+const NAME_COLLATION = { locale: 'en', strength: 2 };
+
+/**
+ * Reject a name another label already uses (case-insensitive)
+ * @param {string} name - Requested label name
+ * @param {string} [exceptId] - Label being renamed
+ */
+const assertNameAvailable = async (name, exceptId) => {
+  const filter = exceptId ? { name, _id: { $ne: exceptId } } : { name };
+  const taken = await Label.findOne(filter).collation(NAME_COLLATION).lean();
+
+  if (taken) {
+    throw new AppError(ERROR_MESSAGES.LABEL_EXISTS, HTTP_STATUS.CONFLICT);
+  }
+};
+
+/**
+ * List all labels
+ * @route GET /api/labels
+ */
+const listLabels = async (req, res, next) => {
+  try {
+    const labels = await Label.find({}, 'name color')
+      .collation(NAME_COLLATION)
+      .sort({ name: 1 })
+      .lean();
+
+    logger.info(`Retrieved ${labels.length} labels`);
+    return successResponse(res, labels, SUCCESS_MESSAGES.LABELS_FOUND);
+  } catch (error) {
+    logger.error(`Error fetching labels: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Create a label
+ * @route POST /api/labels
+ */
+const createLabel = async (req, res, next) => {
+  try {
+    const { name, color } = req.body;
+
+    await assertNameAvailable(name);
+    const label = await Label.create({ name, color });
+
+    logger.info(`Label created: ${label.name} by ${req.user.email}`);
+    return createdResponse(res, label, SUCCESS_MESSAGES.LABEL_CREATED);
+  } catch (error) {
+    logger.error(`Error creating label: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Rename or recolor a label
+ * @route PATCH /api/labels/:id
+ */
+const updateLabel = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { name, color } = req.body;
+
+    const label = await Label.findById(id);
+
+    if (!label) {
+      throw new NotFoundError(`Label with ID ${id} not found`);
+    }
+
+    if (name !== undefined) {
+      await assertNameAvailable(name, id);
+      label.name = name;
+    }
+    if (color !== undefined) label.color = color;
+
+    await label.save();
+
+    logger.info(`Label updated: ${id} by ${req.user.email}`);
+    return successResponse(res, label, SUCCESS_MESSAGES.LABEL_UPDATED);
+  } catch (error) {
+    logger.error(`Error updating label: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Delete a label and remove it from every bug
+ * @route DELETE /api/labels/:id
+ */
+const deleteLabel = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const label = await Label.findByIdAndDelete(id);
+
+    if (!label) {
+      throw new NotFoundError(`Label with ID ${id} not found`);
+    }
+
+    const { modifiedCount } = await Bug.updateMany({ labels: id }, { $pull: { labels: id } });
+
+    logger.info(`Label deleted: ${id} (removed from ${modifiedCount} bugs) by ${req.user.email}`);
+    return successResponse(res, { id, bugsUpdated: modifiedCount }, SUCCESS_MESSAGES.LABEL_DELETED);
+  } catch (error) {
+    logger.error(`Error deleting label: ${error.message}`);
+    next(error);
+  }
+};
+
+module.exports = {
+  listLabels,
+  createLabel,
+  updateLabel,
+  deleteLabel,
+};
@@ -0,0 +1,332 @@
+/**
+ * Project Controller
+ * Projects partition bugs; each one has members with their own project role
+ */
+
+const Project = require('../models/Project');
+const Bug = require('../models/Bug');
+const User = require('../models/User');
+const logger = require('../config/logger');
+const { successResponse, createdResponse } = require('../utils/apiResponse');
+const { AppError, NotFoundError } = require('../middleware/errorHandler');
+const { findMember, getProjectRole } = require('../utils/projectAccess');
+const {
+  ERROR_MESSAGES,
+  SUCCESS_MESSAGES,
+  HTTP_STATUS,
+  PROJECT_ROLES,
+  USER_ROLES,
+  DEFAULT_PROJECT,
+} = require('../config/constants');
+
+// Matches the collation of the unique name index
+const NAME_COLLATION = { locale: 'en', strength: 2 };
+
+const MEMBER_FIELDS = 'name email';
+
+/**
+ * Reject a name another project already uses (case-insensitive)
+ * The default project's name stays reserved even before that project exists,
+ * since getDefault could not create it once another project held the name.
+ * @param {string} name - Requested project name
+ * @param {object} [project] - Project being renamed
+ */
+const assertNameAvailable = async (name, project) => {
+  const reserved =
+    !project?.isDefault &&
+    name.localeCompare(DEFAULT_PROJECT.NAME, NAME_COLLATION.locale, { sensitivity: 'accent' }) === 0;
+  const filter = project ? { name, _id: { $ne: project._id } } : { name };
+  const taken = reserved || (await Project.findOne(filter).collation(NAME_COLLATION).lean());
+
+  if (taken) {
+    throw new AppError(ERROR_MESSAGES.PROJECT_EXISTS, HTTP_STATUS.CONFLICT);
+  }
+};
+
+/**
+ * Everyone belongs to the default project, so it has no member list to manage
+ * @param {object} project - Project document
+ */
+const assertNotDefault = (project) => {
+  if (project.isDefault) {
+    throw new AppError(ERROR_MESSAGES.DEFAULT_PROJECT_LOCKED, HTTP_STATUS.BAD_REQUEST);
+  }
+};
+
+/**
+ * Load a member entry by user ID
+ * @param {object} project - Project document
+ * @param {string} userId - Member's user ID
+ * @returns {object} Member entry
+ */
+const findMemberOrFail = (project, userId) => {
+  const member = findMember(project, userId);
+
+  if (!member) {
+    throw new NotFoundError(`User with ID ${userId} is not a member of this project`);
+  }
+
+  return member;
+};
+
+/**
+ * Reject changes that would leave a project without an admin
+ * @param {object} project - Project document
+ * @param {object} member - Member entry being demoted or removed
+ */
+const assertKeepsAdmin = (project, member) => {
+  const admins = project.members.filter((entry) => entry.role === PROJECT_ROLES.ADMIN);
+
+  if (member.role === PROJECT_ROLES.ADMIN && admins.length === 1) {
+    throw new AppError(ERROR_MESSAGES.LAST_PROJECT_ADMIN, HTTP_STATUS.CONFLICT);
+  }
+};
+
+/**
+ * Shape a project for responses, with the caller's role in it
+ * @param {object} project - Project document
+ * @param {object} user - Authenticated user
+ * @returns {Promise<object>} Project with members populated
+ */
+const presentProject = async (project, user) => {
+  await project.populate('members.user', MEMBER_FIELDS);
+
+  return { ...project.toObject(), role: getProjectRole(project, user) };
+};
+
+/**
+ * List the projects the user can open, default project first
+ * @route GET /api/projects
+ */
+const listProjects = async (req, res, next) => {
+  try {
+    // Make sure the default project exists before the first bug is filed
+    await Project.getDefault();
+
+    const filter = req.user.role === USER_ROLES.ADMIN
+      ? {}
+      : { $or: [{ isDefault: true }, { 'members.user': req.user._id }] };
+
+    const projects = await Project.find(filter)
+      .collation(NAME_COLLATION)
+      .sort({ isDefault: -1, name: 1 })
+      .lean();
+
+    logger.info(`Retrieved ${projects.length} projects for ${req.user.email}`);
+    return successResponse(
+      res,
+      projects.map((project) => ({ ...project, role: getProjectRole(project, req.user) })),
+      SUCCESS_MESSAGES.PROJECTS_FOUND
+    );
+  } catch (error) {
+    logger.error(`Error fetching projects: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Create a project; the creator becomes its admin
+ * @route POST /api/projects
+ */
+const createProject = async (req, res, next) => {
+  try {
+    const { name, description } = req.body;
+
+    await assertNameAvailable(name);
+
+    const project = await Project.create({
+      name,
+      description,
+      creator: req.user._id,
+      members: [{ user: req.user._id, role: PROJECT_ROLES.ADMIN }],
+    });
+
+    logger.info(`Project created: ${project.name} by ${req.user.email}`);
+    return createdResponse(
+      res,
+      await presentProject(project, req.user),
+      SUCCESS_MESSAGES.PROJECT_CREATED
+    );
+  } catch (error) {
+    logger.error(`Error creating project: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Get a project with its members
+ * @route GET /api/projects/:projectId
+ */
+const getProject = async (req, res, next) => {
+  try {
+    logger.info(`Retrieved project: ${req.project._id}`);
+    return successResponse(
+      res,
+      await presentProject(req.project, req.user),
+      SUCCESS_MESSAGES.PROJECT_FOUND
+    );
+  } catch (error) {
+    logger.error(`Error fetching project: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Rename a project or change its description
+ * @route PATCH /api/projects/:projectId
+ */
+const updateProject = async (req, res, next) => {
+  try {
+    const { project } = req;
+    const { name, description } = req.body;
+
+    if (name !== undefined) {
+      await assertNameAvailable(name, project);
+      project.name = name;
+    }
+    if (description !== undefined) project.description = description;
+
+    await project.save();
+
+    logger.info(`Project updated: ${project._id} by ${req.user.email}`);
+    return successResponse(
+      res,
+      await presentProject(project, req.user),
+      SUCCESS_MESSAGES.PROJECT_UPDATED
+    );
+  } catch (error) {
+    logger.error(`Error updating project: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Delete an empty project
+ * @route DELETE /api/projects/:projectId
+ */
+const deleteProject = async (req, res, next) => {
+  try {
+    const { project } = req;
+
+    assertNotDefault(project);
+
+    if (await Bug.exists({ project: project._id })) {
+      throw new AppError(ERROR_MESSAGES.PROJECT_NOT_EMPTY, HTTP_STATUS.CONFLICT);
+    }
+
+    await project.deleteOne();
+
+    logger.info(`Project deleted: ${project._id} by ${req.user.email}`);
+    return successResponse(res, { id: project._id }, SUCCESS_MESSAGES.PROJECT_DELETED);
+  } catch (error) {
+    logger.error(`Error deleting project: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Add a member to a project
+ * @route POST /api/projects/:projectId/members
+ */
+const addMember = async (req, res, next) => {
+  try {
+    const { project } = req;
+    const { user: userId, role = PROJECT_ROLES.MEMBER } = req.body;
+
+    assertNotDefault(project);
+
+    if (!(await User.exists({ _id: userId }))) {
+      throw new AppError(`User with ID ${userId} not found`, HTTP_STATUS.BAD_REQUEST);
+    }
+
+    if (findMember(project, userId)) {
+      throw new AppError(
+        `User with ID ${userId} is already a member of this project`,
+        HTTP_STATUS.CONFLICT
+      );
+    }
+
+    project.members.push({ user: userId, role });
+    await project.save();
+
+    logger.info(`User ${userId} added to project ${project._id} as ${role} by ${req.user.email}`);
+    return createdResponse(
+      res,
+      await presentProject(project, req.user),
+      SUCCESS_MESSAGES.MEMBER_ADDED
+    );
+  } catch (error) {
+    logger.error(`Error adding project member: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Change a member's project role
+ * @route PATCH /api/projects/:projectId/members/:userId
+ */
+const updateMember = async (req, res, next) => {
+  try {
+    const { project } = req;
+    const { userId } = req.params;
+    const { role } = req.body;
+
+    assertNotDefault(project);
+
+    const member = findMemberOrFail(project, userId);
+    if (role !== PROJECT_ROLES.ADMIN) assertKeepsAdmin(project, member);
+
+    member.role = role;
+    await project.save();
+
+    logger.info(`User ${userId} is now ${role} in project ${project._id} (by ${req.user.email})`);
+    return successResponse(
+      res,
+      await presentProject(project, req.user),
+      SUCCESS_MESSAGES.MEMBER_UPDATED
+    );
+  } catch (error) {
+    logger.error(`Error updating project member: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Remove a member from a project
+ * @route DELETE /api/projects/:projectId/members/:userId
+ */
+const removeMember = async (req, res, next) => {
+  try {
+    const { project } = req;
+    const { userId } = req.params;
+
+    assertNotDefault(project);
+
+    const member = findMemberOrFail(project, userId);
+    assertKeepsAdmin(project, member);
+
+    project.members = project.members.filter((entry) => entry !== member);
+    await project.save();
+
+    logger.info(`User ${userId} removed from project ${project._id} by ${req.user.email}`);
+    return successResponse(
+      res,
+      await presentProject(project, req.user),
+      SUCCESS_MESSAGES.MEMBER_REMOVED
+    );
+  } catch (error) {
+    logger.error(`Error removing project member: ${error.message}`);
+    next(error);
+  }
+};
+
+module.exports = {
+  listProjects,
+  createProject,
+  getProject,
+  updateProject,
+  deleteProject,
+  addMember,
+  updateMember,
+  removeMember,
+};
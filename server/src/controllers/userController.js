@@ -0,0 +1,31 @@
+/**
+ * User Controller
+ * User directory used by assignee pickers
+ */
+
+const User = require('../models/User');
+const logger = require('../config/logger');
+const { successResponse } = require('../utils/apiResponse');
+
+/**
+ * List users (public profile fields only)
+ * @route GET /api/users
+ */
+const listUsers = async (req, res, next) => {
+  try {
+    // Deactivated accounts can no longer be assigned work
+    const users = await User.find({ isActive: { $ne: false } }, 'name email')
+      .sort({ name: 1 })
+      .lean();
+
+    logger.info(`Retrieved ${users.length} users`);
+    return successResponse(res, users, 'Users retrieved successfully');
+  } catch (error) {
+    logger.error(`Error fetching users: ${error.message}`);
+    next(error);
+  }
+};
+
+module.exports = {
+  listUsers,
+};
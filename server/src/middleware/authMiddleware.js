@@ -7,6 +7,22 @@ const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const logger = require('../config/logger');
 
+/**
+ * Resolve the user an access token belongs to
+ * @param {string} token - JWT access token
+ * @returns {Promise<object|null>} User, or null when gone, deactivated or revoked
+ * @throws {Error} When the token is invalid or expired
+ */
+const findUserByToken = async (token) => {
+  const decoded = jwt.verify(
+    token,
+    process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production'
+  );
+
+  const user = await User.findById(decoded.id).select('-password');
+  return user && user.isActive && !user.isTokenRevoked(decoded) ? user : null;
+};
+
 /**
  * Protect routes - Verify JWT token
  */
@@ -48,6 +64,21 @@ const protect = async (req, res, next) => {
       });
     }
 
+    if (!user.isActive) {
+      logger.warn(`Deactivated user attempted access: ${user.email}`);
+      return res.status(401).json({
+        success: false,
+        message: 'Account has been deactivated',
+      });
+    }
+
+    if (user.isTokenRevoked(decoded)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has been revoked. Please log in again.',
+      });
+    }
+
     // Attach user to request object
     req.user = user;
     next();
@@ -75,6 +106,29 @@ const protect = async (req, res, next) => {
   }
 };
 
+/**
+ * Optional authentication - Attach user when a valid token is present
+ * Never rejects the request; anonymous callers continue without req.user
+ */
+const optionalAuth = async (req, res, next) => {
+  const header = req.headers.authorization;
+
+  if (!header || !header.startsWith('Bearer')) {
+    return next();
+  }
+
+  try {
+    const user = await findUserByToken(header.split(' ')[1]);
+    if (user) {
+      req.user = user;
+    }
+  } catch (error) {
+    logger.warn(`Ignoring invalid token on public route: ${error.message}`);
+  }
+
+  next();
+};
+
 /**
  * Authorize roles - Check if user has required role
  * @param  {...string} roles - Allowed roles
@@ -103,4 +157,4 @@ const authorize = (...roles) => {
   };
 };
 
-module.exports = { protect, authorize };
+module.exports = { protect, optionalAuth, authorize, findUserByToken };
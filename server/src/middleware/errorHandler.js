@@ -32,6 +32,31 @@ class NotFoundError extends AppError {
   }
 }
 
+class ForbiddenError extends AppError {
+  constructor(message = ERROR_MESSAGES.FORBIDDEN) {
+    super(message, HTTP_STATUS.FORBIDDEN);
+    this.name = 'ForbiddenError';
+  }
+}
+
+class InvalidTransitionError extends AppError {
+  constructor(from, to, allowed = []) {
+    super(`Cannot move bug from '${from}' to '${to}'`, HTTP_STATUS.UNPROCESSABLE_ENTITY);
+    this.name = 'InvalidTransitionError';
+    this.errors = [{ field: 'status', message: ERROR_MESSAGES.INVALID_TRANSITION }];
+    this.allowedStatuses = allowed;
+  }
+}
+
+class PreconditionFailedError extends AppError {
+  constructor(message = ERROR_MESSAGES.BUG_VERSION_CONFLICT, current = null) {
+    super(message, HTTP_STATUS.PRECONDITION_FAILED);
+    this.name = 'PreconditionFailedError';
+    // The resource as it is now, so the client can merge its changes
+    this.current = current;
+  }
+}
+
 class DatabaseError extends AppError {
   constructor(message = ERROR_MESSAGES.DATABASE_ERROR) {
     super(message, HTTP_STATUS.INTERNAL_SERVER_ERROR);
@@ -143,6 +168,16 @@ const errorHandler = (err, req, res, next) => {
     response.errors = error.errors;
   }
 
+  // Tell the client where the bug may go instead
+  if (error.allowedStatuses) {
+    response.allowedStatuses = error.allowedStatuses;
+  }
+
+  // Send the latest copy with a version conflict
+  if (error.current) {
+    response.current = error.current;
+  }
+
   // Include stack trace in development mode
   if (process.env.NODE_ENV === 'development') {
     response.stack = err.stack;
@@ -168,5 +203,8 @@ module.exports = {
   AppError,
   ValidationError,
   NotFoundError,
+  ForbiddenError,
+  InvalidTransitionError,
+  PreconditionFailedError,
   DatabaseError,
 };
@@ -0,0 +1,61 @@
+/**
+ * Project Middleware
+ * Resolves the project a request works in and checks the caller's role in it
+ */
+
+const Project = require('../models/Project');
+const { AppError, NotFoundError, ForbiddenError } = require('./errorHandler');
+const { getProjectRole, hasProjectRole } = require('../utils/projectAccess');
+const { ERROR_MESSAGES, HTTP_STATUS, PROJECT_ROLES } = require('../config/constants');
+
+// Methods a viewer may use
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Load the project named by :projectId, or the default project on routes without one
+ * Sets req.project and req.projectRole; viewers are limited to reads.
+ * Runs before the route's own auth middleware, so pair it with optionalAuth
+ * wherever membership matters.
+ */
+const loadProject = async (req, res, next) => {
+  try {
+    const { projectId } = req.params;
+    const project = projectId ? await Project.findById(projectId) : await Project.getDefault();
+
+    if (!project) {
+      throw new NotFoundError(`Project with ID ${projectId} not found`);
+    }
+
+    const role = getProjectRole(project, req.user);
+
+    if (!role) {
+      if (!req.user) {
+        throw new AppError('Log in to access this project', HTTP_STATUS.UNAUTHORIZED);
+      }
+      throw new ForbiddenError(ERROR_MESSAGES.PROJECT_MEMBERS_ONLY);
+    }
+
+    if (!READ_METHODS.includes(req.method) && !hasProjectRole(role, PROJECT_ROLES.MEMBER)) {
+      throw new ForbiddenError(ERROR_MESSAGES.PROJECT_READ_ONLY);
+    }
+
+    req.project = project;
+    req.projectRole = role;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Require the project admin role (after loadProject)
+ */
+const requireProjectAdmin = (req, res, next) => {
+  if (!hasProjectRole(req.projectRole, PROJECT_ROLES.ADMIN)) {
+    return next(new ForbiddenError(ERROR_MESSAGES.PROJECT_ADMIN_ONLY));
+  }
+
+  next();
+};
+
+module.exports = { loadProject, requireProjectAdmin };
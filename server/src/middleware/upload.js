@@ -0,0 +1,125 @@
+/**
+ * Upload Middleware
+ * Parses multipart attachment and import uploads and enforces the size and
+ * type limits
+ */
+
+const multer = require('multer');
+const { AppError } = require('./errorHandler');
+const { getImportFormat } = require('../utils/bugImport');
+const { ATTACHMENTS, IMPORT, ERROR_MESSAGES, HTTP_STATUS } = require('../config/constants');
+
+/**
+ * Largest accepted file in bytes (ATTACHMENT_MAX_MB overrides the default)
+ * @param {object} env - Environment variables
+ * @returns {number}
+ */
+const getMaxFileBytes = (env = process.env) => {
+  const megabytes = Number(env.ATTACHMENT_MAX_MB);
+  const limit = Number.isFinite(megabytes) && megabytes > 0 ? megabytes : ATTACHMENTS.MAX_FILE_MB;
+  return Math.round(limit * 1024 * 1024);
+};
+
+/**
+ * Check an uploaded file's declared type against the allow-list
+ * @param {object} file - Multer file info
+ * @returns {boolean}
+ */
+const isAllowedType = (file) => ATTACHMENTS.ALLOWED_MIME_TYPES.includes(file.mimetype);
+
+// Files are held in memory until the storage backend has them
+const parser = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: getMaxFileBytes(),
+    files: ATTACHMENTS.MAX_FILES_PER_UPLOAD,
+  },
+  // Browsers send UTF-8 file names
+  defParamCharset: 'utf8',
+  fileFilter: (req, file, cb) => {
+    if (!isAllowedType(file)) {
+      return cb(
+        new AppError(
+          `${ERROR_MESSAGES.ATTACHMENT_TYPE}: ${file.originalname} (${file.mimetype})`,
+          HTTP_STATUS.UNSUPPORTED_MEDIA_TYPE
+        )
+      );
+    }
+    cb(null, true);
+  },
+}).array('files');
+
+const IMPORT_UPLOAD = { maxBytes: IMPORT.MAX_FILE_MB * 1024 * 1024, maxFiles: 1, field: 'file' };
+
+// One CSV or JSON file of bugs, parsed once the upload is complete
+const importParser = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: IMPORT_UPLOAD.maxBytes,
+    files: IMPORT_UPLOAD.maxFiles,
+  },
+  defParamCharset: 'utf8',
+  fileFilter: (req, file, cb) => {
+    if (!getImportFormat(file)) {
+      return cb(
+        new AppError(
+          `${ERROR_MESSAGES.IMPORT_FILE_TYPE}: ${file.originalname}`,
+          HTTP_STATUS.UNSUPPORTED_MEDIA_TYPE
+        )
+      );
+    }
+    cb(null, true);
+  },
+}).single(IMPORT_UPLOAD.field);
+
+/**
+ * Turn multer's limit errors into API errors
+ * @param {Error} error - Error raised while parsing
+ * @param {object} [expected] - { maxBytes, maxFiles, field } the parser was set up with
+ * @returns {Error}
+ */
+const toUploadError = (
+  error,
+  { maxBytes = getMaxFileBytes(), maxFiles = ATTACHMENTS.MAX_FILES_PER_UPLOAD, field = 'files' } = {}
+) => {
+  if (!(error instanceof multer.MulterError)) return error;
+
+  switch (error.code) {
+  case 'LIMIT_FILE_SIZE':
+    return new AppError(
+      `${error.filename ? `${error.filename}: ` : ''}Files must not exceed ${maxBytes / (1024 * 1024)} MB`,
+      HTTP_STATUS.PAYLOAD_TOO_LARGE
+    );
+  case 'LIMIT_FILE_COUNT':
+    return new AppError(
+      `Upload at most ${maxFiles} ${maxFiles === 1 ? 'file' : 'files'} at a time`,
+      HTTP_STATUS.PAYLOAD_TOO_LARGE
+    );
+  case 'LIMIT_UNEXPECTED_FILE':
+    return new AppError(`Send files in the "${field}" field`, HTTP_STATUS.BAD_REQUEST);
+  default:
+    return new AppError(error.message, HTTP_STATUS.BAD_REQUEST);
+  }
+};
+
+/**
+ * Parse `files` from a multipart request into req.files
+ */
+const uploadAttachments = (req, res, next) => {
+  parser(req, res, (error) => next(error ? toUploadError(error) : undefined));
+};
+
+/**
+ * Parse an optional `file` (CSV or JSON) from a multipart request into req.file
+ * JSON requests pass through untouched.
+ */
+const uploadImport = (req, res, next) => {
+  importParser(req, res, (error) => next(error ? toUploadError(error, IMPORT_UPLOAD) : undefined));
+};
+
+module.exports = {
+  getMaxFileBytes,
+  isAllowedType,
+  uploadAttachments,
+  uploadImport,
+};
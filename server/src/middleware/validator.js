@@ -4,10 +4,39 @@
  */
 
 const { body, param, query, validationResult } = require('express-validator');
-const { BUG_STATUS, BUG_PRIORITY, BUG_SEVERITY, VALIDATION_RULES } = require('../config/constants');
+const {
+  BUG_STATUS,
+  BUG_PRIORITY,
+  BUG_SEVERITY,
+  USER_ROLES,
+  PROJECT_ROLES,
+  VALIDATION_RULES,
+  STATS,
+  EXPORT,
+  IMPORT,
+  BULK,
+} = require('../config/constants');
 const { validationErrorResponse } = require('../utils/apiResponse');
+const { parseList, DATE_RANGE_FILTERS } = require('../utils/bugFilters');
+const { decodeCursor } = require('../utils/cursor');
 const mongoose = require('mongoose');
 
+/**
+ * Validate a list of label IDs in the request body
+ * @param {string} field - Body field name
+ * @returns {array} - Validation chains
+ */
+const labelIdsValidation = (field) => [
+  body(field)
+    .optional()
+    .isArray({ max: VALIDATION_RULES.LABEL.MAX_PER_BUG })
+    .withMessage(`${field} must be a list of at most ${VALIDATION_RULES.LABEL.MAX_PER_BUG} label IDs`),
+
+  body(`${field}.*`)
+    .custom((value) => mongoose.Types.ObjectId.isValid(value))
+    .withMessage('Invalid label ID format'),
+];
+
 /**
  * Validation rules for creating a bug
  */
@@ -61,6 +90,13 @@ const createBugValidation = [
     .withMessage(
       `Created by must be between ${VALIDATION_RULES.CREATED_BY.MIN_LENGTH} and ${VALIDATION_RULES.CREATED_BY.MAX_LENGTH} characters`
     ),
+
+  body('assignee')
+    .optional({ values: 'falsy' })
+    .custom((value) => mongoose.Types.ObjectId.isValid(value))
+    .withMessage('Assignee must be a valid user ID'),
+
+  ...labelIdsValidation('labels'),
 ];
 
 /**
@@ -117,6 +153,13 @@ const updateBugValidation = [
     .withMessage(
       `Created by must be between ${VALIDATION_RULES.CREATED_BY.MIN_LENGTH} and ${VALIDATION_RULES.CREATED_BY.MAX_LENGTH} characters`
     ),
+
+  body('assignee')
+    .optional({ values: 'falsy' })
+    .custom((value) => mongoose.Types.ObjectId.isValid(value))
+    .withMessage('Assignee must be a valid user ID'),
+
+  ...labelIdsValidation('labels'),
 ];
 
 /**
@@ -132,6 +175,60 @@ const patchBugValidation = [
     .withMessage(`Status must be one of: ${Object.values(BUG_STATUS).join(', ')}`),
 ];
 
+/**
+ * Validation rules for bulk actions
+ * `value` is checked against the chosen action; `delete` ignores it
+ */
+const bulkActionValidation = [
+  body('ids')
+    .isArray({ min: 1, max: BULK.MAX_IDS })
+    .withMessage(`ids must be a list of 1 to ${BULK.MAX_IDS} bug IDs`),
+
+  body('ids.*')
+    .custom((value) => mongoose.Types.ObjectId.isValid(value))
+    .withMessage('Invalid bug ID format'),
+
+  body('action')
+    .isIn(Object.values(BULK.ACTIONS))
+    .withMessage(`Action must be one of: ${Object.values(BULK.ACTIONS).join(', ')}`),
+
+  body('value').custom((value, { req }) => {
+    switch (req.body.action) {
+      case BULK.ACTIONS.SET_STATUS:
+        if (!Object.values(BUG_STATUS).includes(value)) {
+          throw new Error(`Status must be one of: ${Object.values(BUG_STATUS).join(', ')}`);
+        }
+        break;
+      case BULK.ACTIONS.SET_PRIORITY:
+        if (!Object.values(BUG_PRIORITY).includes(value)) {
+          throw new Error(`Priority must be one of: ${Object.values(BUG_PRIORITY).join(', ')}`);
+        }
+        break;
+      case BULK.ACTIONS.SET_ASSIGNEE:
+        // Empty values unassign
+        if (value && !mongoose.Types.ObjectId.isValid(value)) {
+          throw new Error('Assignee must be a valid user ID');
+        }
+        break;
+      case BULK.ACTIONS.ADD_LABELS:
+        if (
+          !Array.isArray(value) ||
+          value.length === 0 ||
+          value.length > VALIDATION_RULES.LABEL.MAX_PER_BUG ||
+          !value.every((id) => mongoose.Types.ObjectId.isValid(id))
+        ) {
+          throw new Error(
+            `Labels must be a list of 1 to ${VALIDATION_RULES.LABEL.MAX_PER_BUG} label IDs`
+          );
+        }
+        break;
+      default:
+        break;
+    }
+    return true;
+  }),
+];
+
 /**
  * Validation rules for MongoDB ObjectId parameter
  */
@@ -146,30 +243,242 @@ const validateObjectId = [
 ];
 
 /**
- * Validation rules for query parameters
+ * Validation rules for comment ID parameter
  */
-const queryValidation = [
-  query('status')
-    .optional()
-    .trim()
-    .toLowerCase()
-    .isIn(Object.values(BUG_STATUS))
-    .withMessage(`Status must be one of: ${Object.values(BUG_STATUS).join(', ')}`),
+const validateCommentId = [
+  param('commentId')
+    .custom((value) => {
+      if (!mongoose.Types.ObjectId.isValid(value)) {
+        throw new Error('Invalid comment ID format');
+      }
+      return true;
+    }),
+];
 
-  query('priority')
-    .optional()
+/**
+ * Validation rules for attachment ID parameter
+ */
+const validateAttachmentId = [
+  param('attachmentId')
+    .custom((value) => {
+      if (!mongoose.Types.ObjectId.isValid(value)) {
+        throw new Error('Invalid attachment ID format');
+      }
+      return true;
+    }),
+];
+
+/**
+ * Validation rules for user ID parameter
+ */
+const validateUserId = [
+  param('id')
+    .custom((value) => {
+      if (!mongoose.Types.ObjectId.isValid(value)) {
+        throw new Error('Invalid user ID format');
+      }
+      return true;
+    }),
+];
+
+/**
+ * Validation rules for label ID parameter
+ */
+const validateLabelId = [
+  param('id')
+    .custom((value) => {
+      if (!mongoose.Types.ObjectId.isValid(value)) {
+        throw new Error('Invalid label ID format');
+      }
+      return true;
+    }),
+];
+
+/**
+ * Validation rules for a label's name and color
+ * @param {boolean} optional - Whether the fields may be omitted (updates)
+ * @returns {array} - Validation chains
+ */
+const labelFieldsValidation = (optional) => {
+  const { NAME_MIN_LENGTH, NAME_MAX_LENGTH, COLOR_PATTERN } = VALIDATION_RULES.LABEL;
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('name')
+      .trim()
+      .notEmpty()
+      .withMessage('Label name is required')
+      .isLength({ min: NAME_MIN_LENGTH, max: NAME_MAX_LENGTH })
+      .withMessage(`Label name must be between ${NAME_MIN_LENGTH} and ${NAME_MAX_LENGTH} characters`),
+
+    field('color')
+      .trim()
+      .notEmpty()
+      .withMessage('Label color is required')
+      .matches(COLOR_PATTERN)
+      .withMessage('Label color must be a hex color like #1f883d')
+      .toLowerCase(),
+  ];
+};
+
+const createLabelValidation = labelFieldsValidation(false);
+const updateLabelValidation = labelFieldsValidation(true);
+
+/**
+ * Validation rules for project ID parameter
+ */
+const validateProjectId = [
+  param('projectId')
+    .custom((value) => {
+      if (!mongoose.Types.ObjectId.isValid(value)) {
+        throw new Error('Invalid project ID format');
+      }
+      return true;
+    }),
+];
+
+/**
+ * Validation rules for a project member's user ID parameter
+ */
+const validateMemberId = [
+  param('userId')
+    .custom((value) => {
+      if (!mongoose.Types.ObjectId.isValid(value)) {
+        throw new Error('Invalid user ID format');
+      }
+      return true;
+    }),
+];
+
+/**
+ * Validation rules for a project's name and description
+ * @param {boolean} optional - Whether the name may be omitted (updates)
+ * @returns {array} - Validation chains
+ */
+const projectFieldsValidation = (optional) => {
+  const { NAME_MIN_LENGTH, NAME_MAX_LENGTH, DESCRIPTION_MAX_LENGTH } = VALIDATION_RULES.PROJECT;
+  const name = optional ? body('name').optional() : body('name');
+
+  return [
+    name
+      .trim()
+      .notEmpty()
+      .withMessage('Project name is required')
+      .isLength({ min: NAME_MIN_LENGTH, max: NAME_MAX_LENGTH })
+      .withMessage(`Project name must be between ${NAME_MIN_LENGTH} and ${NAME_MAX_LENGTH} characters`),
+
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: DESCRIPTION_MAX_LENGTH })
+      .withMessage(`Project description must not exceed ${DESCRIPTION_MAX_LENGTH} characters`),
+  ];
+};
+
+const createProjectValidation = projectFieldsValidation(false);
+const updateProjectValidation = projectFieldsValidation(true);
+
+/**
+ * Validate a project role in the request body
+ * @param {boolean} optional - Whether the role may be omitted
+ * @returns {object} - Validation chain
+ */
+const projectRoleValidation = (optional) =>
+  (optional ? body('role').optional() : body('role').notEmpty().withMessage('Role is required'))
+    .isIn(Object.values(PROJECT_ROLES))
+    .withMessage(`Role must be one of: ${Object.values(PROJECT_ROLES).join(', ')}`);
+
+/**
+ * Validation rules for adding a project member
+ */
+const addMemberValidation = [
+  body('user')
+    .notEmpty()
+    .withMessage('User is required')
+    .bail()
+    .custom((value) => {
+      if (!mongoose.Types.ObjectId.isValid(value)) {
+        throw new Error('Invalid user ID format');
+      }
+      return true;
+    }),
+
+  projectRoleValidation(true),
+];
+
+/**
+ * Validation rules for changing a project member's role
+ */
+const memberRoleValidation = [projectRoleValidation(false)];
+
+/**
+ * Validation rules for changing a user's role
+ */
+const userRoleValidation = [
+  body('role')
+    .notEmpty()
+    .withMessage('Role is required')
+    .isIn(Object.values(USER_ROLES))
+    .withMessage(`Role must be one of: ${Object.values(USER_ROLES).join(', ')}`),
+];
+
+/**
+ * Validation rules for activating or deactivating a user
+ */
+const userStatusValidation = [
+  body('isActive')
+    .isBoolean({ strict: true })
+    .withMessage('isActive must be a boolean')
+    .toBoolean(true),
+];
+
+/**
+ * Validation rules for creating or editing a comment
+ */
+const commentValidation = [
+  body('content')
     .trim()
-    .toLowerCase()
-    .isIn(Object.values(BUG_PRIORITY))
-    .withMessage(`Priority must be one of: ${Object.values(BUG_PRIORITY).join(', ')}`),
+    .notEmpty()
+    .withMessage('Comment content is required')
+    .isLength({ min: VALIDATION_RULES.COMMENT.MIN_LENGTH, max: VALIDATION_RULES.COMMENT.MAX_LENGTH })
+    .withMessage(
+      `Comment must be between ${VALIDATION_RULES.COMMENT.MIN_LENGTH} and ${VALIDATION_RULES.COMMENT.MAX_LENGTH} characters`
+    ),
+];
+
+/**
+ * Validate a comma-separated list filter and its negated form (field!=a,b)
+ * @param {string} field - Query parameter name
+ * @param {string} label - Human readable name for messages
+ * @param {object} values - Enumeration of allowed values
+ * @returns {array} - Validation chains
+ */
+const listQueryValidation = (field, label, values) => {
+  const allowed = Object.values(values);
+
+  return [field, `${field}!`].map((name) =>
+    query(name)
+      .optional()
+      .custom((value) => parseList(value).every((item) => allowed.includes(item)))
+      .withMessage(`${label} must be one of: ${allowed.join(', ')}`)
+  );
+};
 
-  query('severity')
+/**
+ * Validate an ISO 8601 date range parameter
+ * @param {string} field - Query parameter name
+ * @returns {object} - Validation chain
+ */
+const dateQueryValidation = (field) =>
+  query(field)
     .optional()
-    .trim()
-    .toLowerCase()
-    .isIn(Object.values(BUG_SEVERITY))
-    .withMessage(`Severity must be one of: ${Object.values(BUG_SEVERITY).join(', ')}`),
+    .isISO8601()
+    .withMessage(`${field} must be a valid ISO 8601 date`);
 
+/**
+ * Validation rules for page-numbered lists
+ */
+const pageValidation = [
   query('page')
     .optional()
     .isInt({ min: 1 })
@@ -179,12 +488,70 @@ const queryValidation = [
     .optional()
     .isInt({ min: 1, max: 100 })
     .withMessage('Limit must be between 1 and 100'),
+];
+
+/**
+ * Validation rules for query parameters
+ */
+const queryValidation = [
+  ...listQueryValidation('status', 'Status', BUG_STATUS),
+  ...listQueryValidation('priority', 'Priority', BUG_PRIORITY),
+  ...listQueryValidation('severity', 'Severity', BUG_SEVERITY),
+
+  ...Object.keys(DATE_RANGE_FILTERS).map(dateQueryValidation),
+
+  query('createdBefore')
+    .optional()
+    .custom((value, { req }) =>
+      !req.query.createdAfter || new Date(req.query.createdAfter) <= new Date(value)
+    )
+    .withMessage('createdBefore must not be earlier than createdAfter'),
+
+  query('updatedBefore')
+    .optional()
+    .custom((value, { req }) =>
+      !req.query.updatedAfter || new Date(req.query.updatedAfter) <= new Date(value)
+    )
+    .withMessage('updatedBefore must not be earlier than updatedAfter'),
+
+  query('assignee')
+    .optional()
+    .trim()
+    .custom((value) => ['me', 'none'].includes(value) || mongoose.Types.ObjectId.isValid(value))
+    .withMessage('Assignee must be "me", "none" or a valid user ID'),
+
+  ...['labels', 'labels!'].map((name) =>
+    query(name)
+      .optional()
+      .custom((value) => parseList(value).every((id) => mongoose.Types.ObjectId.isValid(id)))
+      .withMessage('Labels must be a comma-separated list of label IDs')
+  ),
+
+  query('q')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Search query cannot be empty')
+    .isLength({ max: VALIDATION_RULES.SEARCH.MAX_LENGTH })
+    .withMessage(`Search query must not exceed ${VALIDATION_RULES.SEARCH.MAX_LENGTH} characters`),
+
+  query('cursor')
+    .optional()
+    .custom((value) => value === '' || decodeCursor(value) !== null)
+    .withMessage('Invalid cursor'),
+
+  ...pageValidation,
 
   query('sortBy')
     .optional()
     .isIn(['createdAt', 'updatedAt', 'priority', 'severity', 'status'])
     .withMessage('Invalid sort field'),
 
+  query('sortBy')
+    .optional()
+    .custom((value, { req }) => req.query.cursor === undefined || value === 'createdAt')
+    .withMessage('Cursor pagination only supports sorting by createdAt'),
+
   query('order')
     .optional()
     .toLowerCase()
@@ -192,6 +559,86 @@ const queryValidation = [
     .withMessage('Order must be asc or desc'),
 ];
 
+/**
+ * Validation rules for exports: the list filters plus the file format
+ */
+const exportQueryValidation = [
+  ...queryValidation,
+
+  query('format')
+    .optional()
+    .toLowerCase()
+    .isIn(EXPORT.FORMATS)
+    .withMessage(`Format must be one of: ${EXPORT.FORMATS.join(', ')}`),
+];
+
+/**
+ * Parse a JSON string field, as multipart requests send them
+ * @param {*} value - Field value
+ * @returns {*} - Parsed value, null when the string is not JSON
+ */
+const parseJsonField = (value) => {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Validation rules for bug imports
+ * The bugs come either as an uploaded file (see uploadImport) or as a JSON
+ * list in `bugs`. `columns` maps the file's column names to bug fields.
+ */
+const importValidation = [
+  query('dryRun')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('dryRun must be true or false')
+    .toBoolean(true),
+
+  body('bugs')
+    .optional()
+    .isArray({ min: 1, max: IMPORT.MAX_ROWS })
+    .withMessage(`bugs must be a list of 1 to ${IMPORT.MAX_ROWS} bugs`),
+
+  body('columns')
+    .optional()
+    .customSanitizer(parseJsonField)
+    .custom(
+      (columns) =>
+        Boolean(columns) &&
+        typeof columns === 'object' &&
+        !Array.isArray(columns) &&
+        // Columns mapped to null or '' are skipped
+        Object.values(columns).every((field) => !field || IMPORT.FIELDS.includes(field))
+    )
+    .withMessage(`columns must map column names to one of: ${IMPORT.FIELDS.join(', ')}`),
+];
+
+/**
+ * Validation rules for statistics query parameters
+ */
+const statsQueryValidation = [
+  dateQueryValidation('from'),
+  dateQueryValidation('to'),
+
+  query('to')
+    .optional()
+    .custom((value, { req }) => !req.query.from || new Date(req.query.from) <= new Date(value))
+    .withMessage('to must not be earlier than from'),
+];
+
+const trendsQueryValidation = [
+  query('interval')
+    .optional()
+    .isIn(STATS.TREND_INTERVALS)
+    .withMessage(`Interval must be one of: ${STATS.TREND_INTERVALS.join(', ')}`),
+
+  ...statsQueryValidation,
+];
+
 /**
  * Middleware to handle validation results
  * @param {object} req - Express request object
@@ -217,7 +664,28 @@ module.exports = {
   createBugValidation,
   updateBugValidation,
   patchBugValidation,
+  bulkActionValidation,
   validateObjectId,
+  validateCommentId,
+  commentValidation,
+  validateAttachmentId,
+  validateUserId,
+  validateLabelId,
+  createLabelValidation,
+  updateLabelValidation,
+  validateProjectId,
+  validateMemberId,
+  createProjectValidation,
+  updateProjectValidation,
+  addMemberValidation,
+  memberRoleValidation,
+  userRoleValidation,
+  userStatusValidation,
   queryValidation,
+  pageValidation,
+  exportQueryValidation,
+  importValidation,
+  statsQueryValidation,
+  trendsQueryValidation,
   handleValidationErrors,
 };
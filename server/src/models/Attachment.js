@@ -0,0 +1,84 @@
+/**
+ * Attachment Model
+ * Metadata for files uploaded to a bug; the bytes live in attachment storage
+ */
+
+const mongoose = require('mongoose');
+const logger = require('../config/logger');
+const { getStorage } = require('../utils/attachmentStorage');
+
+const attachmentSchema = new mongoose.Schema(
+  {
+    bug: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Bug',
+      required: [true, 'Bug is required'],
+    },
+    uploader: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Uploader is required'],
+    },
+    filename: {
+      type: String,
+      required: [true, 'File name is required'],
+      trim: true,
+      maxlength: [255, 'File name must not exceed 255 characters'],
+    },
+    mimeType: {
+      type: String,
+      required: [true, 'MIME type is required'],
+    },
+    size: {
+      type: Number,
+      required: [true, 'File size is required'],
+      min: 0,
+    },
+    // Where the storage backend keeps the file; never sent to clients
+    storageKey: {
+      type: String,
+      required: true,
+      select: false,
+    },
+  },
+  {
+    // Attachments are replaced, never edited
+    timestamps: { createdAt: true, updatedAt: false },
+    toJSON: {
+      transform: function (doc, ret) {
+        delete ret.storageKey;
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+attachmentSchema.index({ bug: 1, createdAt: 1 });
+
+/**
+ * Delete every attachment of a bug, with its stored file
+ * A file that cannot be removed is logged and left behind rather than
+ * blocking the bug's deletion.
+ * @param {string} bugId - Bug ID
+ * @returns {Promise<number>} Number of attachments deleted
+ */
+attachmentSchema.statics.removeForBug = async function (bugId) {
+  const attachments = await this.find({ bug: bugId }).select('+storageKey').lean();
+  const storage = getStorage();
+
+  for (const attachment of attachments) {
+    try {
+      await storage.remove(attachment.storageKey);
+    } catch (error) {
+      logger.error(`Failed to remove stored file ${attachment.storageKey}: ${error.message}`);
+    }
+  }
+
+  const { deletedCount } = await this.deleteMany({ bug: bugId });
+  return deletedCount;
+};
+
+const Attachment = mongoose.model('Attachment', attachmentSchema);
+
+module.exports = Attachment;
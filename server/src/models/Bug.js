@@ -10,6 +10,7 @@ const {
   BUG_SEVERITY,
   VALIDATION_RULES,
 } = require('../config/constants');
+const { getSlaDueAt, getSlaStatus } = require('../utils/sla');
 
 const bugSchema = new mongoose.Schema(
   {
@@ -85,6 +86,49 @@ const bugSchema = new mongoose.Schema(
       // Not required for backward compatibility with existing bugs
       required: false
     },
+    assignee: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    // Bugs without a project belong to the default project
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+      default: null,
+    },
+    labels: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Label' }],
+      default: [],
+      validate: {
+        validator: (labels) => labels.length <= VALIDATION_RULES.LABEL.MAX_PER_BUG,
+        message: `A bug can have at most ${VALIDATION_RULES.LABEL.MAX_PER_BUG} labels`,
+      },
+    },
+    // Set by the controllers on status transitions (see getStatusTimestamps)
+    statusChangedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    resolvedAt: {
+      type: Date,
+      default: null,
+    },
+    closedAt: {
+      type: Date,
+      default: null,
+    },
+    // Set when the bug is moved to the trash, cleared when it is restored.
+    // Bug queries leave trashed bugs out unless they ask for them.
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
   },
   {
     timestamps: true,
@@ -93,6 +137,8 @@ const bugSchema = new mongoose.Schema(
       transform: function (doc, ret) {
         ret.id = ret._id;
         delete ret._id;
+        // Clients send the version back in If-Match to detect conflicting edits
+        ret.version = ret.__v;
         delete ret.__v;
         return ret;
       },
@@ -109,16 +155,35 @@ bugSchema.index({ priority: 1 });
 bugSchema.index({ severity: 1 });
 bugSchema.index({ createdBy: 1 });
 bugSchema.index({ creator: 1 });
+bugSchema.index({ assignee: 1 });
+bugSchema.index({ labels: 1 });
+bugSchema.index({ project: 1, createdAt: -1 });
+bugSchema.index({ project: 1, deletedAt: -1 });
 bugSchema.index({ createdAt: -1 });
 
 // Compound index for common queries
 bugSchema.index({ status: 1, priority: 1 });
 
+// Full-text search, ranked with title matches first
+bugSchema.index(
+  { title: 'text', description: 'text', createdBy: 'text' },
+  { name: 'bug_text_search', weights: { title: 10, description: 5, createdBy: 1 } }
+);
+
 // Virtual for bug age in days
 bugSchema.virtual('ageInDays').get(function () {
   return Math.floor((Date.now() - this.createdAt) / (1000 * 60 * 60 * 24));
 });
 
+// Virtuals for the resolution deadline of the bug's priority and how it is tracking
+bugSchema.virtual('slaDueAt').get(function () {
+  return getSlaDueAt(this);
+});
+
+bugSchema.virtual('slaStatus').get(function () {
+  return getSlaStatus(this);
+});
+
 const Bug = mongoose.model('Bug', bugSchema);
 
 module.exports = Bug;
@@ -0,0 +1,96 @@
+/**
+ * BugHistory Model
+ * Append-only audit trail of bug mutations
+ */
+
+const mongoose = require('mongoose');
+const { HISTORY_ACTIONS } = require('../config/constants');
+
+const changeSchema = new mongoose.Schema(
+  {
+    field: {
+      type: String,
+      required: true,
+    },
+    from: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    to: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+const bugHistorySchema = new mongoose.Schema(
+  {
+    bug: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Bug',
+      required: [true, 'Bug is required'],
+    },
+    // Copied from the bug so history stays scoped after the bug is deleted
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+      default: null,
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    action: {
+      type: String,
+      enum: {
+        values: Object.values(HISTORY_ACTIONS),
+        message: '{VALUE} is not a valid history action',
+      },
+      required: [true, 'Action is required'],
+    },
+    changes: {
+      type: [changeSchema],
+      default: [],
+    },
+  },
+  {
+    // History entries are never edited, so only the creation time matters
+    timestamps: { createdAt: true, updatedAt: false },
+    toJSON: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        ret.id = ret._id;
+        delete ret._id;
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+bugHistorySchema.index({ bug: 1, createdAt: -1 });
+
+/**
+ * Record a history entry
+ * @param {object} entry - { bug, project, actor, action, changes }
+ * @returns {Promise<object|null>} Created entry, or null when an update changed nothing
+ */
+bugHistorySchema.statics.record = async function ({ bug, project, actor, action, changes = [] }) {
+  if (action === HISTORY_ACTIONS.UPDATED && changes.length === 0) {
+    return null;
+  }
+
+  return this.create({
+    bug,
+    project: project || null,
+    actor: actor || null,
+    action,
+    changes,
+  });
+};
+
+const BugHistory = mongoose.model('BugHistory', bugHistorySchema);
+
+module.exports = BugHistory;
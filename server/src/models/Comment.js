@@ -0,0 +1,61 @@
+/**
+ * Comment Model
+ * Mongoose schema for discussion threads on bugs
+ */
+
+const mongoose = require('mongoose');
+const { VALIDATION_RULES } = require('../config/constants');
+
+const commentSchema = new mongoose.Schema(
+  {
+    bug: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Bug',
+      required: [true, 'Bug is required'],
+    },
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Author is required'],
+    },
+    content: {
+      type: String,
+      required: [true, 'Comment content is required'],
+      trim: true,
+      minlength: [
+        VALIDATION_RULES.COMMENT.MIN_LENGTH,
+        `Comment must be at least ${VALIDATION_RULES.COMMENT.MIN_LENGTH} character`,
+      ],
+      maxlength: [
+        VALIDATION_RULES.COMMENT.MAX_LENGTH,
+        `Comment must not exceed ${VALIDATION_RULES.COMMENT.MAX_LENGTH} characters`,
+      ],
+    },
+    editedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        ret.id = ret._id;
+        delete ret._id;
+        delete ret.__v;
+        return ret;
+      },
+    },
+    toObject: {
+      virtuals: true,
+    },
+  }
+);
+
+// Comments are always listed per bug in chronological order
+commentSchema.index({ bug: 1, createdAt: 1 });
+
+const Comment = mongoose.model('Comment', commentSchema);
+
+module.exports = Comment;
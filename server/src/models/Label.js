@@ -0,0 +1,47 @@
+/**
+ * Label Model
+ * Mongoose schema for the label taxonomy that bugs can be tagged with
+ */
+
+const mongoose = require('mongoose');
+const { VALIDATION_RULES } = require('../config/constants');
+
+const { LABEL } = VALIDATION_RULES;
+
+const labelSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Label name is required'],
+      trim: true,
+      minlength: [
+        LABEL.NAME_MIN_LENGTH,
+        `Label name must be at least ${LABEL.NAME_MIN_LENGTH} character`,
+      ],
+      maxlength: [
+        LABEL.NAME_MAX_LENGTH,
+        `Label name must not exceed ${LABEL.NAME_MAX_LENGTH} characters`,
+      ],
+    },
+    color: {
+      type: String,
+      required: [true, 'Label color is required'],
+      trim: true,
+      lowercase: true,
+      match: [LABEL.COLOR_PATTERN, 'Label color must be a hex color like #1f883d'],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Names are unique regardless of case ("UI" and "ui" are the same label)
+labelSchema.index(
+  { name: 1 },
+  { unique: true, collation: { locale: 'en', strength: 2 } }
+);
+
+const Label = mongoose.model('Label', labelSchema);
+
+module.exports = Label;
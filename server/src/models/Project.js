@@ -0,0 +1,108 @@
+/**
+ * Project Model
+ * Mongoose schema for projects, which partition bugs and carry their own member roles
+ */
+
+const mongoose = require('mongoose');
+const { VALIDATION_RULES, PROJECT_ROLES, DEFAULT_PROJECT } = require('../config/constants');
+
+const { PROJECT } = VALIDATION_RULES;
+
+const memberSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Member user is required'],
+    },
+    role: {
+      type: String,
+      enum: {
+        values: Object.values(PROJECT_ROLES),
+        message: '{VALUE} is not a valid project role',
+      },
+      default: PROJECT_ROLES.MEMBER,
+    },
+  },
+  { _id: false }
+);
+
+const projectSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Project name is required'],
+      trim: true,
+      minlength: [
+        PROJECT.NAME_MIN_LENGTH,
+        `Project name must be at least ${PROJECT.NAME_MIN_LENGTH} characters`,
+      ],
+      maxlength: [
+        PROJECT.NAME_MAX_LENGTH,
+        `Project name must not exceed ${PROJECT.NAME_MAX_LENGTH} characters`,
+      ],
+    },
+    description: {
+      type: String,
+      trim: true,
+      default: '',
+      maxlength: [
+        PROJECT.DESCRIPTION_MAX_LENGTH,
+        `Project description must not exceed ${PROJECT.DESCRIPTION_MAX_LENGTH} characters`,
+      ],
+    },
+    members: {
+      type: [memberSchema],
+      default: [],
+    },
+    // The default project is open to every user and holds bugs filed without a project
+    isDefault: {
+      type: Boolean,
+      default: false,
+    },
+    creator: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Names are unique regardless of case, like labels
+projectSchema.index(
+  { name: 1 },
+  { unique: true, collation: { locale: 'en', strength: 2 } }
+);
+projectSchema.index({ 'members.user': 1 });
+// At most one default project
+projectSchema.index(
+  { isDefault: 1 },
+  { unique: true, partialFilterExpression: { isDefault: true } }
+);
+
+/**
+ * Get the default project, creating it on first use
+ * @returns {Promise<object>} Default project document
+ */
+projectSchema.statics.getDefault = async function () {
+  try {
+    return await this.findOneAndUpdate(
+      { isDefault: true },
+      { $setOnInsert: { name: DEFAULT_PROJECT.NAME, description: DEFAULT_PROJECT.DESCRIPTION } },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    // Two first requests raced to create it; the other one won
+    if (error.code === 11000) {
+      return this.findOne({ isDefault: true });
+    }
+    throw error;
+  }
+};
+
+const Project = mongoose.model('Project', projectSchema);
+
+module.exports = Project;
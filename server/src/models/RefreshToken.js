@@ -0,0 +1,103 @@
+/**
+ * RefreshToken Model
+ * Server-side record of issued refresh tokens
+ *
+ * Only a SHA-256 hash of each token is stored. Tokens rotate on every use;
+ * all tokens descending from one login share a `family` so that replaying
+ * an already-rotated token can revoke the whole session.
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { AUTH } = require('../config/constants');
+
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    family: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    replacedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'RefreshToken',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Let MongoDB remove expired tokens
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Hash a raw refresh token for lookup
+ * @param {string} token - Raw token from the cookie
+ * @returns {string} - Hex SHA-256 digest
+ */
+refreshTokenSchema.statics.hashToken = function (token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Issue a new refresh token
+ * @param {string} userId - Owner of the token
+ * @param {string} family - Session family; a new one is started when omitted
+ * @returns {Promise<object>} - { token, record } where token is the raw value for the cookie
+ */
+refreshTokenSchema.statics.issue = async function (userId, family = crypto.randomUUID()) {
+  const token = crypto.randomBytes(48).toString('hex');
+  const ttlDays = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || AUTH.REFRESH_TOKEN_TTL_DAYS;
+
+  const record = await this.create({
+    user: userId,
+    tokenHash: this.hashToken(token),
+    family,
+    expiresAt: new Date(Date.now() + ttlDays * 24 * 60 * 60 * 1000),
+  });
+
+  return { token, record };
+};
+
+/**
+ * Revoke every token of a session family
+ * @param {string} family - Session family
+ * @returns {Promise} - Update result
+ */
+refreshTokenSchema.statics.revokeFamily = function (family) {
+  return this.updateMany({ family, revokedAt: null }, { revokedAt: new Date() });
+};
+
+/**
+ * Revoke every active token of a user, ending all of their sessions
+ * @param {string} userId - Token owner
+ * @returns {Promise} - Update result
+ */
+refreshTokenSchema.statics.revokeAllForUser = function (userId) {
+  return this.updateMany({ user: userId, revokedAt: null }, { revokedAt: new Date() });
+};
+
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+
+module.exports = RefreshToken;
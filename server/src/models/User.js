@@ -3,9 +3,11 @@
  * Handles user authentication and authorization
  */
 
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const { AUTH, USER_ROLES } = require('../config/constants');
 
 const userSchema = new mongoose.Schema(
   {
@@ -34,8 +36,31 @@ const userSchema = new mongoose.Schema(
     },
     role: {
       type: String,
-      enum: ['user', 'admin'],
-      default: 'user',
+      enum: Object.values(USER_ROLES),
+      default: USER_ROLES.USER,
+    },
+    // Deactivated accounts keep their data but can no longer sign in
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    deactivatedAt: {
+      type: Date,
+      default: null,
+    },
+    // Embedded in access tokens; bumping it invalidates every token already issued
+    tokenVersion: {
+      type: Number,
+      default: 0,
+    },
+    // Only the hash of an outstanding reset token is stored
+    passwordResetTokenHash: {
+      type: String,
+      select: false,
+    },
+    passwordResetExpires: {
+      type: Date,
+      select: false,
     },
   },
   {
@@ -64,18 +89,59 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
-// Generate JWT token
+// Generate short-lived JWT access token (sessions are extended with refresh tokens)
 userSchema.methods.generateAuthToken = function () {
   const token = jwt.sign(
-    { id: this._id, email: this.email, role: this.role },
+    { id: this._id, email: this.email, role: this.role, v: this.tokenVersion || 0 },
     process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production',
     {
-      expiresIn: process.env.JWT_EXPIRE || '7d',
+      expiresIn: process.env.JWT_EXPIRE || AUTH.ACCESS_TOKEN_EXPIRE,
     }
   );
   return token;
 };
 
+/**
+ * Check whether an access token predates the last session revocation
+ * @param {object} decoded - Verified JWT payload
+ * @returns {boolean} - True when the token must be rejected
+ */
+userSchema.methods.isTokenRevoked = function (decoded) {
+  return (decoded.v || 0) !== (this.tokenVersion || 0);
+};
+
+/**
+ * Hash a raw password reset token for lookup
+ * @param {string} token - Raw token from the reset link
+ * @returns {string} - Hex SHA-256 digest
+ */
+userSchema.statics.hashResetToken = function (token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Start a password reset, replacing any outstanding reset token
+ * @returns {string} - Raw token to send to the user; the caller must save the document
+ */
+userSchema.methods.createPasswordResetToken = function () {
+  const token = crypto.randomBytes(32).toString('hex');
+  const ttlMinutes =
+    parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || AUTH.PASSWORD_RESET_TTL_MINUTES;
+
+  this.passwordResetTokenHash = this.constructor.hashResetToken(token);
+  this.passwordResetExpires = new Date(Date.now() + ttlMinutes * 60 * 1000);
+
+  return token;
+};
+
+/**
+ * Invalidate the outstanding reset token
+ */
+userSchema.methods.clearPasswordResetToken = function () {
+  this.passwordResetTokenHash = undefined;
+  this.passwordResetExpires = undefined;
+};
+
 const User = mongoose.model('User', userSchema);
 
 module.exports = User;
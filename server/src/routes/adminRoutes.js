@@ -0,0 +1,66 @@
+/**
+ * Admin Routes
+ * User management endpoints restricted to administrators
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  listUsers,
+  updateUserRole,
+  updateUserStatus,
+  forceLogout,
+} = require('../controllers/adminController');
+const {
+  validateUserId,
+  userRoleValidation,
+  userStatusValidation,
+  handleValidationErrors,
+} = require('../middleware/validator');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const { USER_ROLES } = require('../config/constants');
+
+// Every admin route requires an authenticated admin
+router.use(protect, authorize(USER_ROLES.ADMIN));
+
+/**
+ * @route   GET /api/admin/users
+ * @desc    List all users, including deactivated accounts
+ * @access  Private (admin)
+ */
+router.get('/users', listUsers);
+
+/**
+ * @route   PATCH /api/admin/users/:id/role
+ * @desc    Change a user's role
+ * @access  Private (admin)
+ */
+router.patch(
+  '/users/:id/role',
+  validateUserId,
+  userRoleValidation,
+  handleValidationErrors,
+  updateUserRole
+);
+
+/**
+ * @route   PATCH /api/admin/users/:id/status
+ * @desc    Deactivate or reactivate a user
+ * @access  Private (admin)
+ */
+router.patch(
+  '/users/:id/status',
+  validateUserId,
+  userStatusValidation,
+  handleValidationErrors,
+  updateUserStatus
+);
+
+/**
+ * @route   POST /api/admin/users/:id/logout
+ * @desc    Revoke every session of a user
+ * @access  Private (admin)
+ */
+router.post('/users/:id/logout', validateUserId, handleValidationErrors, forceLogout);
+
+module.exports = router;
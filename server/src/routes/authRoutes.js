@@ -5,12 +5,23 @@
 
 const express = require('express');
 const router = express.Router();
-const { signup, login, getMe, logout } = require('../controllers/authController');
+const {
+  signup,
+  login,
+  getMe,
+  refresh,
+  logout,
+  forgotPassword,
+  resetPassword,
+} = require('../controllers/authController');
 const { protect } = require('../middleware/authMiddleware');
 
 // Public routes
 router.post('/signup', signup);
 router.post('/login', login);
+router.post('/refresh', refresh);
+router.post('/forgot-password', forgotPassword);
+router.post('/reset-password/:token', resetPassword);
 
 // Protected routes
 router.get('/me', protect, getMe);
@@ -1,6 +1,10 @@
 /**
  * Bug Routes
  * API endpoints for bug operations
+ *
+ * Mounted twice: at /api/bugs for the default project and at
+ * /api/projects/:projectId/bugs. Either way loadProject runs first, so every
+ * handler works inside req.project.
  */
 
 const express = require('express');
@@ -8,28 +12,94 @@ const router = express.Router();
 const {
   createBug,
   getAllBugs,
+  exportBugs,
+  importBugs,
   getBugById,
   updateBug,
   patchBug,
   deleteBug,
+  getTrash,
+  restoreBug,
+  purgeBug,
+  bulkUpdateBugs,
+  getBugHistory,
   getBugStats,
+  getBugTrends,
 } = require('../controllers/bugController');
+const {
+  getComments,
+  createComment,
+  updateComment,
+  deleteComment,
+} = require('../controllers/commentController');
+const {
+  getAttachments,
+  uploadAttachments,
+  downloadAttachment,
+  deleteAttachment,
+} = require('../controllers/attachmentController');
 const {
   createBugValidation,
   updateBugValidation,
   patchBugValidation,
+  bulkActionValidation,
   validateObjectId,
+  validateCommentId,
+  commentValidation,
+  validateAttachmentId,
   queryValidation,
+  pageValidation,
+  exportQueryValidation,
+  importValidation,
+  statsQueryValidation,
+  trendsQueryValidation,
   handleValidationErrors,
 } = require('../middleware/validator');
-const { protect, optionalAuth } = require('../middleware/authMiddleware');
+const { protect, optionalAuth, authorize } = require('../middleware/authMiddleware');
+const { uploadAttachments: parseAttachments, uploadImport } = require('../middleware/upload');
+const { USER_ROLES } = require('../config/constants');
 
 /**
  * @route   GET /api/bugs/stats
- * @desc    Get bug statistics
+ * @desc    Get bug statistics, optionally for bugs created between from and to
  * @access  Public
  */
-router.get('/stats', getBugStats);
+router.get('/stats', statsQueryValidation, handleValidationErrors, getBugStats);
+
+/**
+ * @route   GET /api/bugs/stats/trends
+ * @desc    Opened vs. resolved per day or week, running backlog and mean time to resolution
+ * @access  Public
+ */
+router.get('/stats/trends', trendsQueryValidation, handleValidationErrors, getBugTrends);
+
+/**
+ * @route   POST /api/bugs/bulk
+ * @desc    Set status, priority or assignee on many bugs, or delete them
+ * @access  Private (per-bug ownership rules apply)
+ */
+router.post('/bulk', protect, bulkActionValidation, handleValidationErrors, bulkUpdateBugs);
+
+/**
+ * @route   GET /api/bugs/trash
+ * @desc    List deleted bugs, most recently deleted first
+ * @access  Private (requires authentication)
+ */
+router.get('/trash', protect, pageValidation, handleValidationErrors, getTrash);
+
+/**
+ * @route   DELETE /api/bugs/trash/:id
+ * @desc    Permanently delete a bug from the trash
+ * @access  Private (admin only)
+ */
+router.delete(
+  '/trash/:id',
+  protect,
+  authorize(USER_ROLES.ADMIN),
+  validateObjectId,
+  handleValidationErrors,
+  purgeBug
+);
 
 /**
  * @route   POST /api/bugs
@@ -41,9 +111,24 @@ router.post('/', protect, createBugValidation, handleValidationErrors, createBug
 /**
  * @route   GET /api/bugs
  * @desc    Get all bugs with filtering and pagination
- * @access  Public
+ * @access  Public (assignee=me requires authentication)
  */
-router.get('/', queryValidation, handleValidationErrors, getAllBugs);
+router.get('/', optionalAuth, queryValidation, handleValidationErrors, getAllBugs);
+
+/**
+ * @route   GET /api/bugs/export
+ * @desc    Download the bugs matching the list filters (format=csv|json|ndjson)
+ * @access  Public (assignee=me requires authentication)
+ */
+router.get('/export', optionalAuth, exportQueryValidation, handleValidationErrors, exportBugs);
+
+/**
+ * @route   POST /api/bugs/import
+ * @desc    Create bugs from a CSV or JSON file (multipart field "file") or a JSON
+ *          list in "bugs"; dryRun=true only reports the per-row errors
+ * @access  Private (requires authentication)
+ */
+router.post('/import', protect, uploadImport, importValidation, handleValidationErrors, importBugs);
 
 /**
  * @route   GET /api/bugs/:id
@@ -54,23 +139,129 @@ router.get('/:id', validateObjectId, handleValidationErrors, getBugById);
 
 /**
  * @route   PUT /api/bugs/:id
- * @desc    Update a bug
+ * @desc    Update a bug; send If-Match with the bug's ETag to detect conflicts
  * @access  Private (requires authentication)
  */
 router.put('/:id', protect, validateObjectId, updateBugValidation, handleValidationErrors, updateBug);
 
 /**
  * @route   PATCH /api/bugs/:id
- * @desc    Partial update (status change)
+ * @desc    Partial update (status change); send If-Match with the bug's ETag to detect conflicts
  * @access  Private (requires authentication)
  */
 router.patch('/:id', protect, validateObjectId, patchBugValidation, handleValidationErrors, patchBug);
 
 /**
  * @route   DELETE /api/bugs/:id
- * @desc    Delete a bug
+ * @desc    Move a bug to the trash
  * @access  Private (requires authentication)
  */
 router.delete('/:id', protect, validateObjectId, handleValidationErrors, deleteBug);
 
+/**
+ * @route   POST /api/bugs/:id/restore
+ * @desc    Take a bug out of the trash
+ * @access  Private (creator or admin)
+ */
+router.post('/:id/restore', protect, validateObjectId, handleValidationErrors, restoreBug);
+
+/**
+ * @route   GET /api/bugs/:id/history
+ * @desc    Get the audit trail of a bug
+ * @access  Private (requires authentication)
+ */
+router.get('/:id/history', protect, validateObjectId, handleValidationErrors, getBugHistory);
+
+/**
+ * @route   GET /api/bugs/:id/comments
+ * @desc    Get the comment thread for a bug
+ * @access  Private (requires authentication)
+ */
+router.get('/:id/comments', protect, validateObjectId, handleValidationErrors, getComments);
+
+/**
+ * @route   POST /api/bugs/:id/comments
+ * @desc    Add a comment to a bug
+ * @access  Private (requires authentication)
+ */
+router.post('/:id/comments', protect, validateObjectId, commentValidation, handleValidationErrors, createComment);
+
+/**
+ * @route   PUT /api/bugs/:id/comments/:commentId
+ * @desc    Edit a comment
+ * @access  Private (comment author only)
+ */
+router.put(
+  '/:id/comments/:commentId',
+  protect,
+  validateObjectId,
+  validateCommentId,
+  commentValidation,
+  handleValidationErrors,
+  updateComment
+);
+
+/**
+ * @route   DELETE /api/bugs/:id/comments/:commentId
+ * @desc    Delete a comment
+ * @access  Private (comment author only)
+ */
+router.delete(
+  '/:id/comments/:commentId',
+  protect,
+  validateObjectId,
+  validateCommentId,
+  handleValidationErrors,
+  deleteComment
+);
+
+/**
+ * @route   GET /api/bugs/:id/attachments
+ * @desc    List the files attached to a bug
+ * @access  Private (requires authentication)
+ */
+router.get('/:id/attachments', protect, validateObjectId, handleValidationErrors, getAttachments);
+
+/**
+ * @route   POST /api/bugs/:id/attachments
+ * @desc    Upload files to a bug (multipart/form-data, field "files")
+ * @access  Private (requires authentication)
+ */
+router.post(
+  '/:id/attachments',
+  protect,
+  validateObjectId,
+  handleValidationErrors,
+  parseAttachments,
+  uploadAttachments
+);
+
+/**
+ * @route   GET /api/bugs/:id/attachments/:attachmentId
+ * @desc    Download an attachment
+ * @access  Private (requires authentication)
+ */
+router.get(
+  '/:id/attachments/:attachmentId',
+  protect,
+  validateObjectId,
+  validateAttachmentId,
+  handleValidationErrors,
+  downloadAttachment
+);
+
+/**
+ * @route   DELETE /api/bugs/:id/attachments/:attachmentId
+ * @desc    Delete an attachment
+ * @access  Private (uploader, bug creator or admin)
+ */
+router.delete(
+  '/:id/attachments/:attachmentId',
+  protect,
+  validateObjectId,
+  validateAttachmentId,
+  handleValidationErrors,
+  deleteAttachment
+);
+
 module.exports = router;
@@ -0,0 +1,73 @@
+/**
+ * Label Routes
+ * Label taxonomy endpoints; changes are restricted to administrators
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  listLabels,
+  createLabel,
+  updateLabel,
+  deleteLabel,
+} = require('../controllers/labelController');
+const {
+  createLabelValidation,
+  updateLabelValidation,
+  validateLabelId,
+  handleValidationErrors,
+} = require('../middleware/validator');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const { USER_ROLES } = require('../config/constants');
+
+/**
+ * @route   GET /api/labels
+ * @desc    List labels for pickers and filters
+ * @access  Private (requires authentication)
+ */
+router.get('/', protect, listLabels);
+
+/**
+ * @route   POST /api/labels
+ * @desc    Create a label
+ * @access  Private (admin)
+ */
+router.post(
+  '/',
+  protect,
+  authorize(USER_ROLES.ADMIN),
+  createLabelValidation,
+  handleValidationErrors,
+  createLabel
+);
+
+/**
+ * @route   PATCH /api/labels/:id
+ * @desc    Rename or recolor a label
+ * @access  Private (admin)
+ */
+router.patch(
+  '/:id',
+  protect,
+  authorize(USER_ROLES.ADMIN),
+  validateLabelId,
+  updateLabelValidation,
+  handleValidationErrors,
+  updateLabel
+);
+
+/**
+ * @route   DELETE /api/labels/:id
+ * @desc    Delete a label and remove it from every bug
+ * @access  Private (admin)
+ */
+router.delete(
+  '/:id',
+  protect,
+  authorize(USER_ROLES.ADMIN),
+  validateLabelId,
+  handleValidationErrors,
+  deleteLabel
+);
+
+module.exports = router;
@@ -0,0 +1,146 @@
+/**
+ * Project Routes
+ * Project and membership endpoints, plus the project-scoped bug API
+ */
+
+const express = require('express');
+const router = express.Router();
+const bugRoutes = require('./bugRoutes');
+const {
+  listProjects,
+  createProject,
+  getProject,
+  updateProject,
+  deleteProject,
+  addMember,
+  updateMember,
+  removeMember,
+} = require('../controllers/projectController');
+const {
+  validateProjectId,
+  validateMemberId,
+  createProjectValidation,
+  updateProjectValidation,
+  addMemberValidation,
+  memberRoleValidation,
+  handleValidationErrors,
+} = require('../middleware/validator');
+const { protect, optionalAuth } = require('../middleware/authMiddleware');
+const { loadProject, requireProjectAdmin } = require('../middleware/projectMiddleware');
+
+/**
+ * @route   /api/projects/:projectId/bugs/*
+ * @desc    Every bug endpoint, limited to one project
+ * @access  Project members (anyone for the default project); viewers are read-only
+ */
+router.use(
+  '/:projectId/bugs',
+  validateProjectId,
+  handleValidationErrors,
+  optionalAuth,
+  loadProject,
+  bugRoutes
+);
+
+/**
+ * @route   GET /api/projects
+ * @desc    List the projects the user can open, with their role in each
+ * @access  Private (requires authentication)
+ */
+router.get('/', protect, listProjects);
+
+/**
+ * @route   POST /api/projects
+ * @desc    Create a project; the creator becomes its admin
+ * @access  Private (requires authentication)
+ */
+router.post('/', protect, createProjectValidation, handleValidationErrors, createProject);
+
+/**
+ * @route   GET /api/projects/:projectId
+ * @desc    Get a project with its members
+ * @access  Private (project members)
+ */
+router.get('/:projectId', protect, validateProjectId, handleValidationErrors, loadProject, getProject);
+
+/**
+ * @route   PATCH /api/projects/:projectId
+ * @desc    Rename a project or change its description
+ * @access  Private (project admin)
+ */
+router.patch(
+  '/:projectId',
+  protect,
+  validateProjectId,
+  updateProjectValidation,
+  handleValidationErrors,
+  loadProject,
+  requireProjectAdmin,
+  updateProject
+);
+
+/**
+ * @route   DELETE /api/projects/:projectId
+ * @desc    Delete a project that has no bugs
+ * @access  Private (project admin)
+ */
+router.delete(
+  '/:projectId',
+  protect,
+  validateProjectId,
+  handleValidationErrors,
+  loadProject,
+  requireProjectAdmin,
+  deleteProject
+);
+
+/**
+ * @route   POST /api/projects/:projectId/members
+ * @desc    Add a member with a project role (member by default)
+ * @access  Private (project admin)
+ */
+router.post(
+  '/:projectId/members',
+  protect,
+  validateProjectId,
+  addMemberValidation,
+  handleValidationErrors,
+  loadProject,
+  requireProjectAdmin,
+  addMember
+);
+
+/**
+ * @route   PATCH /api/projects/:projectId/members/:userId
+ * @desc    Change a member's project role
+ * @access  Private (project admin)
+ */
+router.patch(
+  '/:projectId/members/:userId',
+  protect,
+  validateProjectId,
+  validateMemberId,
+  memberRoleValidation,
+  handleValidationErrors,
+  loadProject,
+  requireProjectAdmin,
+  updateMember
+);
+
+/**
+ * @route   DELETE /api/projects/:projectId/members/:userId
+ * @desc    Remove a member from a project
+ * @access  Private (project admin)
+ */
+router.delete(
+  '/:projectId/members/:userId',
+  protect,
+  validateProjectId,
+  validateMemberId,
+  handleValidationErrors,
+  loadProject,
+  requireProjectAdmin,
+  removeMember
+);
+
+module.exports = router;
@@ -0,0 +1,18 @@
+/**
+ * User Routes
+ * User directory endpoints
+ */
+
+const express = require('express');
+const router = express.Router();
+const { listUsers } = require('../controllers/userController');
+const { protect } = require('../middleware/authMiddleware');
+
+/**
+ * @route   GET /api/users
+ * @desc    List users for assignee selection
+ * @access  Private (requires authentication)
+ */
+router.get('/', protect, listUsers);
+
+module.exports = router;
@@ -7,6 +7,7 @@ require('dotenv').config();
 const app = require('./app');
 const { connectDB } = require('./config/database');
 const logger = require('./config/logger');
+const { attachRealtime, closeRealtime } = require('./utils/realtime');
 
 // Server Configuration
 const PORT = process.env.PORT || 5000;
@@ -28,10 +29,16 @@ const startServer = async () => {
       console.log(`Bug API: http://localhost:${PORT}/api/bugs`);
     });
 
+    // Live board updates share the HTTP server (Socket.IO at /socket.io)
+    attachRealtime(server);
+
     // Graceful shutdown
     const gracefulShutdown = async (signal) => {
       logger.info(`${signal} received. Starting graceful shutdown...`);
 
+      // Open sockets would otherwise keep the HTTP server from closing
+      closeRealtime();
+
       server.close(async () => {
         logger.info('HTTP server closed');
 
@@ -119,6 +119,31 @@ const paginatedResponse = (res, data, page, limit, total, message = 'Data retrie
   return res.status(HTTP_STATUS.OK).json(response);
 };
 
+/**
+ * Cursor paginated response
+ * Variant of paginatedResponse for cursor mode; skips the total count
+ * @param {object} res - Express response object
+ * @param {array} data - Array of items
+ * @param {number} limit - Items per page
+ * @param {string|null} nextCursor - Cursor for the next page, null on the last page
+ * @param {string} message - Success message
+ * @returns {object} - Express response
+ */
+const cursorPaginatedResponse = (res, data, limit, nextCursor, message = 'Data retrieved successfully') => {
+  const response = {
+    success: true,
+    message,
+    data,
+    pagination: {
+      itemsPerPage: limit,
+      nextCursor,
+      hasNextPage: nextCursor !== null,
+    },
+  };
+
+  return res.status(HTTP_STATUS.OK).json(response);
+};
+
 module.exports = {
   successResponse,
   errorResponse,
@@ -127,4 +152,5 @@ module.exports = {
   notFoundResponse,
   serverErrorResponse,
   paginatedResponse,
+  cursorPaginatedResponse,
 };
@@ -0,0 +1,134 @@
+/**
+ * Attachment Storage
+ * Keeps uploaded files through a pluggable storage backend
+ *
+ * A backend is any object with async `save(key, buffer)`, `createReadStream(key)`
+ * and `remove(key)` methods. The built-in backends write to the local
+ * filesystem (the default) or keep files in memory for tests; deployments that
+ * store files elsewhere register their own with `setStorage`.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+
+const DEFAULT_UPLOAD_DIR = 'uploads';
+
+/**
+ * Backend that writes files below a directory on the local filesystem
+ * @param {string} root - Upload directory, created on first save
+ * @returns {object} - Storage backend
+ */
+const createLocalStorage = (root = DEFAULT_UPLOAD_DIR) => {
+  const base = path.resolve(root);
+
+  // Keys are generated by buildStorageKey, but never trust them to stay inside root
+  const resolveKey = (key) => {
+    const filePath = path.resolve(base, key);
+    if (!filePath.startsWith(`${base}${path.sep}`)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+    save: async (key, buffer) => {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+    },
+    createReadStream: async (key) => {
+      const filePath = resolveKey(key);
+      await fs.promises.access(filePath);
+      return fs.createReadStream(filePath);
+    },
+    remove: async (key) => {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    },
+  };
+};
+
+/**
+ * Backend that keeps files in memory, for tests
+ * @returns {object} - Storage backend, with its `files` map exposed
+ */
+const createMemoryStorage = () => {
+  const files = new Map();
+
+  return {
+    name: 'memory',
+    files,
+    save: async (key, buffer) => {
+      files.set(key, Buffer.from(buffer));
+    },
+    createReadStream: async (key) => {
+      if (!files.has(key)) {
+        throw new Error(`No stored file for key: ${key}`);
+      }
+      return Readable.from([files.get(key)]);
+    },
+    remove: async (key) => {
+      files.delete(key);
+    },
+  };
+};
+
+/**
+ * Pick the built-in backend named by ATTACHMENT_STORAGE
+ * @returns {object} - Storage backend
+ */
+const createDefaultStorage = () => {
+  if (process.env.ATTACHMENT_STORAGE === 'memory') {
+    return createMemoryStorage();
+  }
+  return createLocalStorage(process.env.ATTACHMENT_DIR || DEFAULT_UPLOAD_DIR);
+};
+
+let activeStorage = null;
+
+/**
+ * Replace the backend used for attachments
+ * @param {object|null} storage - Storage backend, or null to restore the default
+ */
+const setStorage = (storage) => {
+  if (
+    storage &&
+    ['save', 'createReadStream', 'remove'].some((method) => typeof storage[method] !== 'function')
+  ) {
+    throw new TypeError('Attachment storage must implement save, createReadStream and remove');
+  }
+  activeStorage = storage;
+};
+
+/**
+ * Get the backend used for attachments
+ * @returns {object} - Storage backend
+ */
+const getStorage = () => {
+  if (!activeStorage) {
+    activeStorage = createDefaultStorage();
+  }
+  return activeStorage;
+};
+
+/**
+ * Build a unique storage key for an uploaded file
+ * Keeps the (sanitized) extension so files stay recognizable on disk
+ * @param {string} bugId - Bug the file is attached to
+ * @param {string} originalName - File name from the upload
+ * @returns {string} - Key such as `<bugId>/<uuid>.png`
+ */
+const buildStorageKey = (bugId, originalName = '') => {
+  const extension = path.extname(originalName).toLowerCase().replace(/[^.a-z0-9]/g, '');
+  return `${bugId}/${crypto.randomUUID()}${extension}`;
+};
+
+module.exports = {
+  createLocalStorage,
+  createMemoryStorage,
+  setStorage,
+  getStorage,
+  buildStorageKey,
+};
@@ -0,0 +1,149 @@
+/**
+ * Bug Export Utilities
+ * Turn bug lists into CSV, JSON or NDJSON downloads
+ *
+ * serializeBugs accepts any iterable of lean bugs, including a database
+ * cursor, and yields the file a chunk at a time so large exports never sit in
+ * memory whole.
+ */
+
+const { withSla } = require('./sla');
+
+/**
+ * Fields of an exported bug, in CSV column order
+ */
+const EXPORT_COLUMNS = [
+  'id',
+  'title',
+  'description',
+  'status',
+  'priority',
+  'severity',
+  'createdBy',
+  'assignee',
+  'assigneeEmail',
+  'labels',
+  'slaStatus',
+  'slaDueAt',
+  'createdAt',
+  'updatedAt',
+  'resolvedAt',
+  'closedAt',
+];
+
+const EXPORT_CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8',
+};
+
+// Spreadsheets run cells starting with these characters as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * @param {Date|string|null|undefined} date
+ * @returns {string|null} - ISO 8601 timestamp
+ */
+const toIso = (date) => (date ? new Date(date).toISOString() : null);
+
+/**
+ * Flatten a bug into the record written to the export
+ * @param {object} bug - Lean bug with assignee and labels populated
+ * @returns {object} - One value per EXPORT_COLUMNS entry
+ */
+const toExportRecord = (bug) => {
+  const { slaStatus, slaDueAt } = withSla(bug);
+
+  return {
+    id: String(bug._id),
+    title: bug.title,
+    description: bug.description,
+    status: bug.status,
+    priority: bug.priority,
+    severity: bug.severity,
+    createdBy: bug.createdBy || null,
+    assignee: bug.assignee?.name || null,
+    assigneeEmail: bug.assignee?.email || null,
+    labels: (bug.labels || []).map((label) => label.name),
+    slaStatus,
+    slaDueAt: toIso(slaDueAt),
+    createdAt: toIso(bug.createdAt),
+    updatedAt: toIso(bug.updatedAt),
+    resolvedAt: toIso(bug.resolvedAt),
+    closedAt: toIso(bug.closedAt),
+  };
+};
+
+/**
+ * Format one CSV cell
+ * Lists are joined with "; ". Text a spreadsheet would run as a formula gets a
+ * leading apostrophe.
+ * @param {*} value - Record value
+ * @returns {string} - Quoted when it contains commas, quotes or line breaks
+ */
+const toCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = Array.isArray(value) ? value.join('; ') : String(value);
+  if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * @param {array} values - Cells of one row
+ * @returns {string} - CSV line ending in CRLF
+ */
+const toCsvRow = (values) => `${values.map(toCsvValue).join(',')}\r\n`;
+
+/**
+ * Serialize bugs in an export format, one chunk per bug
+ * @param {AsyncIterable|Iterable} bugs - Lean bugs with assignee and labels populated
+ * @param {string} format - 'csv', 'json' or 'ndjson'
+ * @returns {AsyncGenerator<string>}
+ */
+async function* serializeBugs(bugs, format) {
+  if (format === 'csv') {
+    // The byte order mark makes Excel read the file as UTF-8
+    yield `\uFEFF${toCsvRow(EXPORT_COLUMNS)}`;
+    for await (const bug of bugs) {
+      const record = toExportRecord(bug);
+      yield toCsvRow(EXPORT_COLUMNS.map((column) => record[column]));
+    }
+    return;
+  }
+
+  if (format === 'ndjson') {
+    for await (const bug of bugs) {
+      yield `${JSON.stringify(toExportRecord(bug))}\n`;
+    }
+    return;
+  }
+
+  // A JSON array, written as it goes
+  let separator = '\n';
+  yield '[';
+  for await (const bug of bugs) {
+    yield `${separator}${JSON.stringify(toExportRecord(bug))}`;
+    separator = ',\n';
+  }
+  yield '\n]\n';
+}
+
+/**
+ * Name of the downloaded file, e.g. bugs-2024-05-01.csv
+ * @param {string} format - Export format
+ * @param {Date} [date] - Export date
+ * @returns {string}
+ */
+const exportFilename = (format, date = new Date()) =>
+  `bugs-${date.toISOString().slice(0, 10)}.${format}`;
+
+module.exports = {
+  EXPORT_COLUMNS,
+  EXPORT_CONTENT_TYPES,
+  toExportRecord,
+  toCsvValue,
+  serializeBugs,
+  exportFilename,
+};
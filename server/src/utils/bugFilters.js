@@ -0,0 +1,116 @@
+/**
+ * Bug Filter Utilities
+ * Translate list query parameters into a MongoDB filter
+ */
+
+const mongoose = require('mongoose');
+const { AppError } = require('../middleware/errorHandler');
+const { HTTP_STATUS } = require('../config/constants');
+
+/**
+ * Fields that accept comma-separated values and negation (field!=a,b)
+ */
+const ENUM_FILTER_FIELDS = ['status', 'priority', 'severity'];
+
+/**
+ * Date range parameters and the condition each one adds
+ */
+const DATE_RANGE_FILTERS = {
+  createdAfter: { field: 'createdAt', operator: '$gte' },
+  createdBefore: { field: 'createdAt', operator: '$lte' },
+  updatedAfter: { field: 'updatedAt', operator: '$gte' },
+  updatedBefore: { field: 'updatedAt', operator: '$lte' },
+};
+
+/**
+ * Split a comma-separated (or repeated) query value into a list
+ * @param {string|array|undefined} value - Raw query value
+ * @returns {array} - Trimmed, lower-cased, non-empty values
+ */
+const parseList = (value) => {
+  if (value === undefined || value === null) return [];
+
+  return [].concat(value)
+    .flatMap((item) => String(item).split(','))
+    .map((item) => item.trim().toLowerCase())
+    .filter(Boolean);
+};
+
+/**
+ * Cast an ID string so the filter also works in aggregation pipelines,
+ * which skip Mongoose's automatic casting
+ * @param {string} id - Hex ObjectId
+ * @returns {object} - ObjectId
+ */
+const toObjectId = (id) => new mongoose.Types.ObjectId(id);
+
+/**
+ * Build the MongoDB filter for a bug list query
+ * `status!=closed` arrives from the query parser as the key `status!`
+ * @param {object} query - Request query parameters
+ * @param {object} user - Authenticated user, needed for assignee=me
+ * @returns {object} - MongoDB filter
+ */
+const buildBugFilter = (query = {}, user = null) => {
+  const filter = {};
+
+  if (query.q) filter.$text = { $search: query.q };
+
+  ENUM_FILTER_FIELDS.forEach((field) => {
+    const included = parseList(query[field]);
+    const excluded = parseList(query[`${field}!`]);
+    if (included.length === 0 && excluded.length === 0) return;
+
+    filter[field] = {};
+    if (included.length > 0) filter[field].$in = included;
+    if (excluded.length > 0) filter[field].$nin = excluded;
+  });
+
+  // A bug matches when it carries any of the labels and none of the excluded ones
+  const labels = parseList(query.labels);
+  const excludedLabels = parseList(query['labels!']);
+  if (labels.length > 0 || excludedLabels.length > 0) {
+    filter.labels = {};
+    if (labels.length > 0) filter.labels.$in = labels.map(toObjectId);
+    if (excludedLabels.length > 0) filter.labels.$nin = excludedLabels.map(toObjectId);
+  }
+
+  if (query.createdBy) filter.createdBy = new RegExp(query.createdBy, 'i');
+
+  const { assignee } = query;
+  if (assignee === 'me') {
+    if (!user) {
+      throw new AppError('Log in to filter bugs assigned to you', HTTP_STATUS.UNAUTHORIZED);
+    }
+    filter.assignee = user._id;
+  } else if (assignee === 'none') {
+    filter.assignee = null;
+  } else if (assignee) {
+    filter.assignee = assignee;
+  }
+
+  Object.entries(DATE_RANGE_FILTERS).forEach(([param, { field, operator }]) => {
+    if (!query[param]) return;
+    filter[field] = { ...filter[field], [operator]: new Date(query[param]) };
+  });
+
+  return filter;
+};
+
+/**
+ * Build the filter that keeps queries inside one project
+ * Bugs created before projects existed have none and belong to the default project
+ * @param {object} project - Project document
+ * @returns {object} - MongoDB filter on `project`
+ */
+const buildProjectFilter = (project) => ({
+  project: project.isDefault ? { $in: [project._id, null] } : project._id,
+});
+
+module.exports = {
+  ENUM_FILTER_FIELDS,
+  DATE_RANGE_FILTERS,
+  parseList,
+  buildBugFilter,
+  buildProjectFilter,
+};
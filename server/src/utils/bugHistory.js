@@ -0,0 +1,65 @@
+/**
+ * Bug History Utilities
+ * Field-level diffing used by the audit trail
+ */
+
+/**
+ * Bug fields recorded in the audit trail
+ */
+const TRACKED_FIELDS = [
+  'title',
+  'description',
+  'status',
+  'priority',
+  'severity',
+  'createdBy',
+  'assignee',
+  'labels',
+];
+
+/**
+ * Normalize a field value for comparison and storage
+ * Populated references and ObjectIds collapse to their string ID;
+ * lists (labels) become sorted lists of IDs
+ * @param {*} value - Raw field value
+ * @returns {*} - Comparable value (null when empty)
+ */
+const normalizeValue = (value) => {
+  if (value === undefined || value === null) return null;
+  if (Array.isArray(value)) {
+    return value.length > 0 ? value.map(normalizeValue).sort() : null;
+  }
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') {
+    if (value._id) return String(value._id);
+    return String(value);
+  }
+  return value;
+};
+
+/**
+ * Compute field-level differences between two bug states
+ * @param {object} before - Bug state before the mutation (empty object on create)
+ * @param {object} after - Bug state after the mutation (empty object on delete)
+ * @param {array} fields - Fields to compare
+ * @returns {array} - Changes as [{ field, from, to }]
+ */
+const diffBug = (before = {}, after = {}, fields = TRACKED_FIELDS) => {
+  return fields.reduce((changes, field) => {
+    const from = normalizeValue(before[field]);
+    const to = normalizeValue(after[field]);
+
+    // Lists are compared by content
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ field, from, to });
+    }
+
+    return changes;
+  }, []);
+};
+
+module.exports = {
+  TRACKED_FIELDS,
+  normalizeValue,
+  diffBug,
+};
@@ -0,0 +1,218 @@
+/**
+ * Bug Import Utilities
+ * Read CSV or JSON files into bug fields ready for validation
+ *
+ * Files exported from GET /api/bugs/export read back in as they are: the byte
+ * order mark, the "; " label lists and the apostrophes guarding formula-like
+ * text are all undone here.
+ */
+
+const path = require('path');
+const { AppError } = require('../middleware/errorHandler');
+const { sanitizeBugData } = require('./validateBug');
+const { IMPORT, HTTP_STATUS } = require('../config/constants');
+
+// Fields validateBugData checks, as opposed to the references resolved later
+const TEXT_FIELDS = ['title', 'description', 'status', 'priority', 'severity', 'createdBy'];
+
+// Column names that map to a field with a different name. Exports carry both
+// the assignee's name and email; only the email identifies the user.
+const COLUMN_ALIASES = {
+  assigneeemail: 'assignee',
+};
+
+// Matches the apostrophe the export puts in front of formula-like text
+const ESCAPED_FORMULA = /^'(?=[=+\-@\t\r])/;
+
+/**
+ * Work out whether an uploaded file is CSV or JSON
+ * The extension wins, since browsers report CSV under several MIME types.
+ * @param {object} file - Multer file info
+ * @returns {string|null} - 'csv', 'json' or null when neither
+ */
+const getImportFormat = (file) => {
+  const extension = path.extname(file.originalname || '').slice(1).toLowerCase();
+  if (IMPORT.FORMATS.includes(extension)) return extension;
+  if (file.mimetype === 'application/json') return 'json';
+  if (file.mimetype === 'text/csv') return 'csv';
+  return null;
+};
+
+/**
+ * Split CSV text into rows of cells
+ * Handles quoted cells with commas, doubled quotes and line breaks, CRLF or LF
+ * line endings and a leading byte order mark. Blank lines are skipped.
+ * @param {string} text - CSV file contents
+ * @returns {array} - Rows, each a list of cell strings
+ */
+const parseCsv = (text) => {
+  const input = text.replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char !== '"') {
+        cell += char;
+      } else if (input[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else {
+        quoted = false;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter((cells) => cells.some((value) => value.trim() !== ''));
+};
+
+/**
+ * Read CSV text into one record per row, keyed by the header row
+ * @param {string} text - CSV file contents
+ * @returns {array} - Records of cell strings
+ */
+const csvToRecords = (text) => {
+  const [header = [], ...rows] = parseCsv(text);
+  const columns = header.map((column) => column.trim());
+
+  return rows.map((cells) =>
+    columns.reduce((record, column, index) => {
+      if (column) record[column] = (cells[index] || '').replace(ESCAPED_FORMULA, '');
+      return record;
+    }, {})
+  );
+};
+
+/**
+ * Read the records of a JSON import
+ * @param {string} text - JSON file contents
+ * @returns {array} - Records as given in the file
+ * @throws {AppError} When the file is not JSON or holds no list of bugs
+ */
+const jsonToRecords = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text.replace(/^\uFEFF/, ''));
+  } catch (error) {
+    throw new AppError(`The import file is not valid JSON: ${error.message}`, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const records = Array.isArray(data) ? data : data?.bugs;
+  if (!Array.isArray(records)) {
+    throw new AppError(
+      'A JSON import must be a list of bugs or an object with a "bugs" list',
+      HTTP_STATUS.BAD_REQUEST
+    );
+  }
+
+  return records;
+};
+
+/**
+ * Read an uploaded import file into records
+ * @param {object} file - Multer file with its contents in buffer
+ * @returns {array} - One record per bug
+ */
+const parseImportFile = (file) => {
+  const text = file.buffer.toString('utf8');
+  return getImportFormat(file) === 'csv' ? csvToRecords(text) : jsonToRecords(text);
+};
+
+/**
+ * Bug field a column holds, judged by its name
+ * Case, spaces and punctuation are ignored, so "Created By" finds createdBy.
+ * @param {string} column - Column name
+ * @returns {string|null}
+ */
+const guessField = (column) => {
+  const key = column.toLowerCase().replace(/[^a-z0-9]/g, '');
+  return COLUMN_ALIASES[key] || IMPORT.FIELDS.find((field) => field.toLowerCase() === key) || null;
+};
+
+/**
+ * Rename a record's columns to bug fields
+ * Without a mapping each column is matched to a field by name. Columns mapped
+ * to nothing are dropped, and empty cells never replace a value another column
+ * already supplied.
+ * @param {object} record - Record from the import
+ * @param {object} [columns] - Column name to bug field, e.g. { Summary: 'title' }
+ * @returns {object} - Values keyed by bug field
+ */
+const mapColumns = (record, columns) => {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) return {};
+
+  return Object.keys(record).reduce((mapped, column) => {
+    const field = columns ? columns[column] : guessField(column);
+    const value = record[column];
+
+    if (IMPORT.FIELDS.includes(field) && value !== undefined && value !== null && value !== '') {
+      mapped[field] = value;
+    }
+    return mapped;
+  }, {});
+};
+
+/**
+ * @param {*} value - Label list, or names separated by semicolons or commas
+ * @returns {array} - Unique, trimmed, non-empty entries
+ */
+const toList = (value) => {
+  if (value === undefined || value === null) return [];
+
+  const items = Array.isArray(value) ? value : String(value).split(/[;,]/);
+  return [...new Set(items.map((item) => String(item).trim()).filter(Boolean))];
+};
+
+/**
+ * Turn a mapped record into bug fields
+ * Text is trimmed and status, priority and severity are lowercased, so
+ * "High" from a spreadsheet is accepted. The assignee (user ID or email) and
+ * labels (IDs or names) are left for the caller to resolve.
+ * @param {object} mapped - Values keyed by bug field (see mapColumns)
+ * @returns {object} - { title, ..., assignee, labels }
+ */
+const toImportRow = (mapped) => {
+  const text = TEXT_FIELDS.reduce((fields, field) => {
+    if (mapped[field] !== undefined) fields[field] = String(mapped[field]);
+    return fields;
+  }, {});
+
+  return {
+    ...sanitizeBugData(text),
+    assignee: mapped.assignee !== undefined ? String(mapped.assignee).trim() || null : null,
+    labels: toList(mapped.labels),
+  };
+};
+
+module.exports = {
+  getImportFormat,
+  parseCsv,
+  csvToRecords,
+  jsonToRecords,
+  parseImportFile,
+  guessField,
+  mapColumns,
+  toImportRow,
+};
@@ -0,0 +1,57 @@
+/**
+ * Bug Policy
+ * Who may edit or delete a bug
+ *
+ * - Admins, and admins of the bug's project, may do anything
+ * - The creator may edit and delete
+ * - The assignee may edit
+ *
+ * Bugs created before `creator` was recorded have no owner, so only admins
+ * (and the assignee, for edits) can change them.
+ */
+
+const { USER_ROLES, PROJECT_ROLES } = require('../config/constants');
+
+/**
+ * Compare two user references (ObjectId, populated document or string)
+ * @param {*} a - User reference
+ * @param {*} b - User reference
+ * @returns {boolean}
+ */
+const isSameUser = (a, b) => {
+  if (!a || !b) return false;
+  return String(a._id || a) === String(b._id || b);
+};
+
+/**
+ * @param {object} user - Authenticated user
+ * @param {string} [projectRole] - User's role in the bug's project
+ * @returns {boolean}
+ */
+const isAdmin = (user, projectRole) =>
+  user?.role === USER_ROLES.ADMIN || (Boolean(user) && projectRole === PROJECT_ROLES.ADMIN);
+
+/**
+ * Check whether a user may edit a bug (PUT/PATCH)
+ * @param {object} user - Authenticated user
+ * @param {object} bug - Bug document or plain object
+ * @param {string} [projectRole] - User's role in the bug's project
+ * @returns {boolean}
+ */
+const canEditBug = (user, bug, projectRole) =>
+  isAdmin(user, projectRole) || isSameUser(bug.creator, user) || isSameUser(bug.assignee, user);
+
+/**
+ * Check whether a user may delete a bug
+ * @param {object} user - Authenticated user
+ * @param {object} bug - Bug document or plain object
+ * @param {string} [projectRole] - User's role in the bug's project
+ * @returns {boolean}
+ */
+const canDeleteBug = (user, bug, projectRole) =>
+  isAdmin(user, projectRole) || isSameUser(bug.creator, user);
+
+module.exports = {
+  canEditBug,
+  canDeleteBug,
+};
@@ -0,0 +1,60 @@
+/**
+ * Cursor Pagination Utilities
+ * Opaque cursors keyed on createdAt + _id
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Encode the position after a document as an opaque cursor
+ * @param {object} doc - Last document of the current page
+ * @returns {string} - URL-safe cursor
+ */
+const encodeCursor = (doc) => {
+  const payload = JSON.stringify({ c: new Date(doc.createdAt).toISOString(), i: String(doc._id) });
+  return Buffer.from(payload).toString('base64url');
+};
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {string} cursor - Opaque cursor
+ * @returns {object|null} - { createdAt, _id }, or null if the cursor is malformed
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const { c, i } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    const createdAt = new Date(c);
+
+    if (Number.isNaN(createdAt.getTime()) || !mongoose.Types.ObjectId.isValid(i)) {
+      return null;
+    }
+
+    return { createdAt, _id: new mongoose.Types.ObjectId(i) };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Build the condition selecting documents after a cursor
+ * _id breaks ties between documents created in the same millisecond
+ * @param {object} position - Decoded cursor
+ * @param {number} direction - 1 for ascending, -1 for descending
+ * @returns {object} - MongoDB condition
+ */
+const buildCursorCondition = ({ createdAt, _id }, direction = -1) => {
+  const operator = direction === 1 ? '$gt' : '$lt';
+
+  return {
+    $or: [
+      { createdAt: { [operator]: createdAt } },
+      { createdAt, _id: { [operator]: _id } },
+    ],
+  };
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  buildCursorCondition,
+};
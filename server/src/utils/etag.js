@@ -0,0 +1,44 @@
+/**
+ * Bug Version ETags
+ * Optimistic concurrency for bug edits, keyed on the Mongoose version key
+ *
+ * Every saved edit increments `__v` (shown to clients as `version`). Responses
+ * carry it as an ETag, and a PUT or PATCH sent with `If-Match` is refused with
+ * 412 when the bug has moved on since the client loaded it.
+ */
+
+/**
+ * Version of a bug document, lean bug or JSON bug
+ * @param {object} bug
+ * @returns {number}
+ */
+const getBugVersion = (bug) => bug.__v ?? bug.version ?? 0;
+
+/**
+ * ETag header value for a bug
+ * @param {object} bug - Bug document, lean bug or JSON bug
+ * @returns {string} - Quoted entity tag, e.g. "3"
+ */
+const bugEtag = (bug) => `"${getBugVersion(bug)}"`;
+
+/**
+ * Whether an If-Match header allows changing a bug
+ * Accepts a list of tags and `*`. If-Match uses strong comparison
+ * (RFC 7232 section 3.1), so weak tags never match.
+ * @param {string} header - If-Match header value
+ * @param {object} bug - Bug as currently stored
+ * @returns {boolean}
+ */
+const ifMatchSatisfied = (header, bug) => {
+  const current = bugEtag(bug);
+  return header
+    .split(',')
+    .map((tag) => tag.trim())
+    .some((tag) => tag === '*' || tag === current);
+};
+
+module.exports = {
+  getBugVersion,
+  bugEtag,
+  ifMatchSatisfied,
+};
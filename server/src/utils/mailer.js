@@ -0,0 +1,126 @@
+/**
+ * Mailer
+ * Sends outgoing email through a pluggable transport
+ *
+ * A transport is any object with an async `send(message)` method. The
+ * built-in transports log messages to the console or append them to a local
+ * file, which is enough for development and tests; production deployments
+ * register a real provider with `setTransport`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../config/logger');
+
+const DEFAULT_FROM = 'Bug Tracker <no-reply@bugtracker.local>';
+const DEFAULT_MAIL_FILE = path.join('logs', 'mail.log');
+
+/**
+ * Transport that writes each message to the application log
+ * @param {object} log - Logger with an info method
+ * @returns {object} - Mail transport
+ */
+const createConsoleTransport = (log = logger) => ({
+  name: 'console',
+  send: async (message) => {
+    log.info(`Mail to ${message.to}: ${message.subject}\n${message.text}`);
+  },
+});
+
+/**
+ * Transport that appends each message as a JSON line to a local file
+ * @param {string} filePath - Destination file, created if missing
+ * @returns {object} - Mail transport
+ */
+const createFileTransport = (filePath = DEFAULT_MAIL_FILE) => ({
+  name: 'file',
+  send: async (message) => {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    const entry = { ...message, sentAt: new Date().toISOString() };
+    await fs.promises.appendFile(filePath, `${JSON.stringify(entry)}\n`);
+  },
+});
+
+/**
+ * Pick the built-in transport named by MAIL_TRANSPORT
+ * @returns {object} - Mail transport
+ */
+const createDefaultTransport = () => {
+  if (process.env.MAIL_TRANSPORT === 'file') {
+    return createFileTransport(process.env.MAIL_FILE_PATH || DEFAULT_MAIL_FILE);
+  }
+  return createConsoleTransport();
+};
+
+let activeTransport = null;
+
+/**
+ * Replace the transport used by sendMail
+ * @param {object|null} transport - Mail transport, or null to restore the default
+ */
+const setTransport = (transport) => {
+  if (transport && typeof transport.send !== 'function') {
+    throw new TypeError('Mail transport must implement send(message)');
+  }
+  activeTransport = transport;
+};
+
+/**
+ * Get the transport used by sendMail
+ * @returns {object} - Mail transport
+ */
+const getTransport = () => {
+  if (!activeTransport) {
+    activeTransport = createDefaultTransport();
+  }
+  return activeTransport;
+};
+
+/**
+ * Send an email
+ * @param {object} message - { to, subject, text }
+ * @returns {Promise<object>} - The message as handed to the transport
+ */
+const sendMail = async ({ to, subject, text }) => {
+  if (!to || !subject) {
+    throw new Error('Mail requires a recipient and a subject');
+  }
+
+  const message = {
+    from: process.env.MAIL_FROM || DEFAULT_FROM,
+    to,
+    subject,
+    text: text || '',
+  };
+
+  await getTransport().send(message);
+  return message;
+};
+
+/**
+ * Build the password reset email
+ * @param {object} options - { name, resetUrl, ttlMinutes }
+ * @returns {object} - { subject, text }
+ */
+const buildPasswordResetEmail = ({ name, resetUrl, ttlMinutes }) => ({
+  subject: 'Reset your Bug Tracker password',
+  text: [
+    `Hi ${name || 'there'},`,
+    '',
+    'We received a request to reset your password. Open the link below to choose a new one:',
+    '',
+    resetUrl,
+    '',
+    `The link expires in ${ttlMinutes} minutes and can only be used once.`,
+    'If you did not request a reset, you can ignore this email.',
+  ].join('\n'),
+});
+
+module.exports = {
+  createConsoleTransport,
+  createFileTransport,
+  setTransport,
+  getTransport,
+  sendMail,
+  buildPasswordResetEmail,
+};
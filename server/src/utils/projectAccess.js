@@ -0,0 +1,54 @@
+/**
+ * Project Access
+ * Which role a user has in a project
+ *
+ * - Global admins are project admins everywhere
+ * - Everyone, signed in or not, is a member of the default project
+ * - Otherwise the role comes from the project's member list
+ */
+
+const { USER_ROLES, PROJECT_ROLES } = require('../config/constants');
+
+// Higher roles include everything the lower ones may do
+const ROLE_RANK = {
+  [PROJECT_ROLES.VIEWER]: 1,
+  [PROJECT_ROLES.MEMBER]: 2,
+  [PROJECT_ROLES.ADMIN]: 3,
+};
+
+/**
+ * Find a user's entry in a project's member list
+ * @param {object} project - Project document or plain object
+ * @param {*} userId - User reference (ObjectId, populated document or string)
+ * @returns {object|undefined} Member entry
+ */
+const findMember = (project, userId) =>
+  project.members.find((member) => String(member.user._id || member.user) === String(userId));
+
+/**
+ * @param {object} project - Project document or plain object
+ * @param {object|null} user - Authenticated user
+ * @returns {string|null} One of PROJECT_ROLES, or null for non-members
+ */
+const getProjectRole = (project, user) => {
+  if (user?.role === USER_ROLES.ADMIN) return PROJECT_ROLES.ADMIN;
+  if (project.isDefault) return PROJECT_ROLES.MEMBER;
+  if (!user) return null;
+
+  return findMember(project, user._id)?.role || null;
+};
+
+/**
+ * Check whether a role grants at least the access of another
+ * @param {string|null} role - Role the user has
+ * @param {string} required - Role needed
+ * @returns {boolean}
+ */
+const hasProjectRole = (role, required) =>
+  Boolean(ROLE_RANK[role]) && ROLE_RANK[role] >= ROLE_RANK[required];
+
+module.exports = {
+  findMember,
+  getProjectRole,
+  hasProjectRole,
+};
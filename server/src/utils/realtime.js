@@ -0,0 +1,120 @@
+/**
+ * Realtime Updates
+ * Socket.IO server that pushes bug changes to everyone viewing the same project
+ *
+ * Clients connect with `auth: { token, projectId }`. The token is optional,
+ * exactly as on the REST routes: anyone may follow the default project, other
+ * projects need a project role. Each socket joins its project's room, and
+ * controllers call `broadcastBugEvent` after a change is saved.
+ */
+
+const mongoose = require('mongoose');
+const { Server } = require('socket.io');
+const Project = require('../models/Project');
+const logger = require('../config/logger');
+const { findUserByToken } = require('../middleware/authMiddleware');
+const { getProjectRole } = require('./projectAccess');
+const { ERROR_MESSAGES } = require('../config/constants');
+
+let io = null;
+
+/**
+ * Room holding the sockets of one project
+ * @param {string} projectId - Project ID
+ * @returns {string}
+ */
+const projectRoom = (projectId) => `project:${projectId}`;
+
+/**
+ * Socket.IO middleware: resolve the user and project, like optionalAuth and loadProject
+ * Sets socket.data.user and socket.data.projectId, or refuses the connection
+ */
+const authenticateSocket = async (socket, next) => {
+  try {
+    const { token, projectId } = socket.handshake.auth || {};
+
+    let user = null;
+    if (token) {
+      try {
+        user = await findUserByToken(token);
+      } catch (error) {
+        logger.warn(`Ignoring invalid token on socket: ${error.message}`);
+      }
+    }
+
+    if (projectId && !mongoose.Types.ObjectId.isValid(projectId)) {
+      return next(new Error('Invalid project ID format'));
+    }
+
+    const project = projectId ? await Project.findById(projectId) : await Project.getDefault();
+
+    if (!project) {
+      return next(new Error(`Project with ID ${projectId} not found`));
+    }
+
+    if (!getProjectRole(project, user)) {
+      return next(new Error(ERROR_MESSAGES.PROJECT_MEMBERS_ONLY));
+    }
+
+    socket.data.user = user;
+    socket.data.projectId = String(project._id);
+    next();
+  } catch (error) {
+    logger.error(`Socket authentication failed: ${error.message}`);
+    next(new Error('Could not connect to live updates'));
+  }
+};
+
+/**
+ * Start the Socket.IO server on an HTTP server
+ * @param {import('http').Server} httpServer - Server the API listens on
+ * @returns {Server} Socket.IO server
+ */
+const attachRealtime = (httpServer) => {
+  io = new Server(httpServer, {
+    cors: {
+      origin: process.env.CORS_ORIGIN || 'http://localhost:3000',
+      credentials: true,
+    },
+  });
+
+  io.use(authenticateSocket);
+
+  io.on('connection', (socket) => {
+    const { user, projectId } = socket.data;
+    socket.join(projectRoom(projectId));
+    logger.debug(`Socket ${socket.id} (${user ? user.email : 'anonymous'}) joined project ${projectId}`);
+  });
+
+  return io;
+};
+
+/**
+ * Disconnect every client and stop broadcasting (used on shutdown)
+ */
+const closeRealtime = () => {
+  if (!io) return;
+  io.disconnectSockets(true);
+  io = null;
+};
+
+/**
+ * Send a bug event to every client viewing a project
+ * Does nothing when no Socket.IO server is attached (e.g. in tests)
+ * @param {string} projectId - Project the bug belongs to
+ * @param {string} event - One of BUG_EVENTS
+ * @param {object} payload - Bug (document or plain object), or `{ id }` for deletions
+ */
+const broadcastBugEvent = (projectId, event, payload) => {
+  if (!io) return;
+
+  const data = typeof payload.toJSON === 'function' ? payload.toJSON() : payload;
+  io.to(projectRoom(projectId)).emit(event, data);
+};
+
+module.exports = {
+  attachRealtime,
+  closeRealtime,
+  broadcastBugEvent,
+  projectRoom,
+};
@@ -0,0 +1,125 @@
+/**
+ * Search Highlight Utilities
+ * Marks matched terms in full-text search results
+ */
+
+const { VALIDATION_RULES } = require('../config/constants');
+
+/**
+ * Escape a string for use inside a regular expression
+ * @param {string} value - Raw string
+ * @returns {string} - Escaped string
+ */
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Extract the terms to highlight from a $text search string
+ * Quoted phrases stay whole and negated terms (-word) are ignored
+ * @param {string} q - Search string
+ * @returns {array} - Terms to highlight
+ */
+const getSearchTerms = (q = '') => {
+  const terms = [];
+  const pattern = /(-?)"([^"]+)"|(-?)(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(q)) !== null) {
+    const negated = match[1] || match[3];
+    const term = (match[2] || match[4]).trim();
+    if (!negated && /\w/.test(term)) {
+      terms.push(term);
+    }
+  }
+
+  return terms;
+};
+
+/**
+ * Build a pattern matching any term at the start of a word
+ * Trailing word characters are included so stemmed matches (fail -> failing) are marked
+ * @param {array} terms - Search terms
+ * @returns {RegExp|null} - Global case-insensitive pattern, or null without terms
+ */
+const buildTermPattern = (terms) => {
+  if (terms.length === 0) return null;
+
+  // Longest first so phrases win over their own words
+  const alternatives = [...terms].sort((a, b) => b.length - a.length).map(escapeRegExp);
+  return new RegExp(`(?<!\\w)(?:${alternatives.join('|')})\\w*`, 'gi');
+};
+
+/**
+ * Split text into plain and matched segments
+ * @param {string} text - Text to highlight
+ * @param {RegExp} pattern - Pattern from buildTermPattern
+ * @returns {array} - Segments as [{ text, match }]
+ */
+const highlightText = (text, pattern) => {
+  if (!text) return [];
+  if (!pattern) return [{ text, match: false }];
+
+  const segments = [];
+  let lastIndex = 0;
+
+  for (const found of text.matchAll(pattern)) {
+    if (found.index > lastIndex) {
+      segments.push({ text: text.slice(lastIndex, found.index), match: false });
+    }
+    segments.push({ text: found[0], match: true });
+    lastIndex = found.index + found[0].length;
+  }
+
+  if (lastIndex < text.length) {
+    segments.push({ text: text.slice(lastIndex), match: false });
+  }
+
+  return segments;
+};
+
+/**
+ * Cut a window of text around the first match
+ * @param {string} text - Full text
+ * @param {RegExp} pattern - Pattern from buildTermPattern
+ * @param {number} length - Maximum snippet length
+ * @returns {string} - Snippet with ellipses where text was cut
+ */
+const buildSnippet = (text, pattern, length = VALIDATION_RULES.SEARCH.SNIPPET_LENGTH) => {
+  if (!text || text.length <= length) return text || '';
+
+  let center = 0;
+  if (pattern) {
+    pattern.lastIndex = 0;
+    const first = pattern.exec(text);
+    pattern.lastIndex = 0;
+    if (first) center = first.index;
+  }
+
+  // Keep some context before the match
+  const end = Math.min(text.length, Math.max(0, center - Math.floor(length / 3)) + length);
+  const start = Math.max(0, end - length);
+
+  return `${start > 0 ? '…' : ''}${text.slice(start, end).trim()}${end < text.length ? '…' : ''}`;
+};
+
+/**
+ * Build highlighted title and description snippets for a search result
+ * @param {object} bug - Bug document
+ * @param {string} q - Search string
+ * @returns {object} - { title, description } as segment arrays
+ */
+const highlightBug = (bug, q) => {
+  const pattern = buildTermPattern(getSearchTerms(q));
+
+  return {
+    title: highlightText(bug.title, pattern),
+    description: highlightText(buildSnippet(bug.description, pattern), pattern),
+  };
+};
+
+module.exports = {
+  getSearchTerms,
+  buildTermPattern,
+  highlightText,
+  buildSnippet,
+  highlightBug,
+};
@@ -0,0 +1,93 @@
+/**
+ * SLA Utilities
+ * Per-priority resolution targets and breach detection
+ *
+ * Targets default to SLA.TARGET_HOURS and can be overridden per priority with
+ * SLA_HOURS_<PRIORITY> (e.g. SLA_HOURS_CRITICAL=8).
+ */
+
+const { BUG_STATUS, SLA, SLA_STATUS } = require('../config/constants');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Resolve the SLA target for each priority
+ * @param {object} env - Environment variables
+ * @returns {object} - { [priority]: hours }
+ */
+const getSlaTargets = (env = process.env) =>
+  Object.entries(SLA.TARGET_HOURS).reduce((targets, [priority, fallback]) => {
+    const override = Number(env[`SLA_HOURS_${priority.toUpperCase()}`]);
+    targets[priority] = override > 0 ? override : fallback;
+    return targets;
+  }, {});
+
+/**
+ * When a bug stopped the SLA clock, or null while it is still unresolved
+ * Bugs resolved before resolution timestamps were recorded fall back to updatedAt
+ * @param {object} bug - Bug document or plain object
+ * @returns {Date|null}
+ */
+const getResolutionTime = (bug) => {
+  if (bug.status !== BUG_STATUS.RESOLVED && bug.status !== BUG_STATUS.CLOSED) {
+    return null;
+  }
+  return new Date(bug.resolvedAt || bug.closedAt || bug.updatedAt);
+};
+
+/**
+ * Deadline for resolving a bug
+ * @param {object} bug - Bug document or plain object
+ * @param {object} targets - Targets from getSlaTargets
+ * @returns {Date|null} - Null when the bug has no creation date or known priority
+ */
+const getSlaDueAt = (bug, targets = getSlaTargets()) => {
+  const hours = targets[bug.priority];
+  if (!bug.createdAt || !hours) return null;
+  return new Date(new Date(bug.createdAt).getTime() + hours * HOUR_MS);
+};
+
+/**
+ * Classify a bug against its SLA
+ * @param {object} bug - Bug document or plain object
+ * @param {Date} now - Current time (injectable for tests)
+ * @param {object} targets - Targets from getSlaTargets
+ * @returns {string|null} - One of SLA_STATUS, or null when no target applies
+ */
+const getSlaStatus = (bug, now = new Date(), targets = getSlaTargets()) => {
+  const dueAt = getSlaDueAt(bug, targets);
+  if (!dueAt) return null;
+
+  const resolvedAt = getResolutionTime(bug);
+  if (resolvedAt) {
+    return resolvedAt <= dueAt ? SLA_STATUS.MET : SLA_STATUS.MISSED;
+  }
+
+  if (now > dueAt) return SLA_STATUS.BREACHED;
+
+  const createdAt = new Date(bug.createdAt);
+  const elapsed = (now - createdAt) / (dueAt - createdAt);
+  return elapsed >= SLA.AT_RISK_RATIO ? SLA_STATUS.AT_RISK : SLA_STATUS.ON_TRACK;
+};
+
+/**
+ * Add the SLA fields that documents expose as virtuals to a lean bug
+ * @param {object} bug - Plain bug object
+ * @param {Date} now - Current time
+ * @returns {object}
+ */
+const withSla = (bug, now = new Date()) => {
+  const targets = getSlaTargets();
+  return {
+    ...bug,
+    slaDueAt: getSlaDueAt(bug, targets),
+    slaStatus: getSlaStatus(bug, now, targets),
+  };
+};
+
+module.exports = {
+  getSlaTargets,
+  getSlaDueAt,
+  getSlaStatus,
+  withSla,
+};
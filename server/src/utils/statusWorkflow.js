@@ -0,0 +1,60 @@
+/**
+ * Status Workflow Utilities
+ * Checks status changes against the configured transition graph
+ */
+
+const { BUG_STATUS, STATUS_TRANSITIONS } = require('../config/constants');
+
+/**
+ * Get the statuses a bug may move to from its current status
+ * @param {string} from - Current status
+ * @param {object} transitions - Transition graph
+ * @returns {array} - Allowed next statuses
+ */
+const getAllowedTransitions = (from, transitions = STATUS_TRANSITIONS) => {
+  return transitions[from] || [];
+};
+
+/**
+ * Check whether a status change is allowed
+ * Keeping the current status is always allowed
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @param {object} transitions - Transition graph
+ * @returns {boolean} - True if the change is allowed
+ */
+const canTransition = (from, to, transitions = STATUS_TRANSITIONS) => {
+  if (!to || from === to) return true;
+  return getAllowedTransitions(from, transitions).includes(to);
+};
+
+/**
+ * Timestamp fields to store alongside a status change
+ * - Any change records statusChangedAt
+ * - Resolving records resolvedAt; closing records closedAt and keeps resolvedAt
+ * - Reopening clears both
+ * @param {string} from - Current status (undefined for new bugs)
+ * @param {string} to - Requested status
+ * @param {Date} now - Time of the change
+ * @returns {object} - Fields to merge into the update (empty when the status is unchanged)
+ */
+const getStatusTimestamps = (from, to, now = new Date()) => {
+  if (!to || from === to) return {};
+
+  switch (to) {
+    case BUG_STATUS.RESOLVED:
+      return { statusChangedAt: now, resolvedAt: now, closedAt: null };
+    case BUG_STATUS.CLOSED:
+      return from === BUG_STATUS.RESOLVED
+        ? { statusChangedAt: now, closedAt: now }
+        : { statusChangedAt: now, resolvedAt: now, closedAt: now };
+    default:
+      return { statusChangedAt: now, resolvedAt: null, closedAt: null };
+  }
+};
+
+module.exports = {
+  getAllowedTransitions,
+  canTransition,
+  getStatusTimestamps,
+};
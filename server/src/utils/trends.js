@@ -0,0 +1,132 @@
+/**
+ * Trend Utilities
+ * Time buckets and series assembly for the trends endpoint
+ *
+ * Buckets are aligned in UTC; weeks start on Monday to match the
+ * `$dateTrunc` stage used by the aggregation.
+ */
+
+const { STATS } = require('../config/constants');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const INTERVAL_MS = {
+  day: DAY_MS,
+  week: 7 * DAY_MS,
+};
+
+/**
+ * Start of the bucket containing a date
+ * @param {Date|string} date - Any date
+ * @param {string} interval - 'day' or 'week'
+ * @returns {Date}
+ */
+const bucketStart = (date, interval) => {
+  const start = new Date(date);
+  start.setUTCHours(0, 0, 0, 0);
+
+  if (interval === 'week') {
+    // getUTCDay() is 0 for Sunday; shift so Monday is the first day
+    const offset = (start.getUTCDay() + 6) % 7;
+    start.setUTCDate(start.getUTCDate() - offset);
+  }
+
+  return start;
+};
+
+/**
+ * Resolve the requested window, defaulting to the most recent buckets
+ * @param {object} options - { from, to, interval }
+ * @param {Date} now - Current time (injectable for tests)
+ * @returns {object} - { from, to } as Dates; `from` is aligned to a bucket
+ */
+const resolveTrendRange = ({ from, to, interval }, now = new Date()) => {
+  const end = to ? new Date(to) : now;
+
+  if (from) {
+    return { from: bucketStart(from, interval), to: end };
+  }
+
+  const lookback = (STATS.TREND_DEFAULT_BUCKETS[interval] - 1) * INTERVAL_MS[interval];
+  return { from: new Date(bucketStart(end, interval).getTime() - lookback), to: end };
+};
+
+/**
+ * Number of buckets needed to cover a window
+ * @param {Date} from - Bucket-aligned start
+ * @param {Date} to - End of the window
+ * @param {string} interval - 'day' or 'week'
+ * @returns {number}
+ */
+const countBuckets = (from, to, interval) =>
+  Math.floor((bucketStart(to, interval) - from) / INTERVAL_MS[interval]) + 1;
+
+/**
+ * Convert milliseconds to hours, rounded to one decimal
+ * @param {number} ms
+ * @returns {number}
+ */
+const toHours = (ms) => Math.round((ms / (60 * 60 * 1000)) * 10) / 10;
+
+/**
+ * Assemble a gap-free series from aggregated bucket counts
+ * @param {object} options
+ * @param {Date} options.from - Bucket-aligned start
+ * @param {Date} options.to - End of the window
+ * @param {string} options.interval - 'day' or 'week'
+ * @param {array} options.opened - [{ _id: bucketDate, count }]
+ * @param {array} options.resolved - [{ _id: bucketDate, count, resolutionMs }]
+ * @param {number} options.startingBacklog - Bugs still unresolved when the window starts
+ * @returns {object} - { buckets, totals }
+ */
+const buildTrendSeries = ({ from, to, interval, opened = [], resolved = [], startingBacklog = 0 }) => {
+  const byBucket = (rows) =>
+    new Map(rows.map((row) => [new Date(row._id).getTime(), row]));
+  const openedByBucket = byBucket(opened);
+  const resolvedByBucket = byBucket(resolved);
+
+  const buckets = [];
+  const totals = { opened: 0, resolved: 0, resolutionMs: 0 };
+  let backlog = startingBacklog;
+
+  for (let i = 0; i < countBuckets(from, to, interval); i += 1) {
+    const start = new Date(from.getTime() + i * INTERVAL_MS[interval]);
+    const openedCount = openedByBucket.get(start.getTime())?.count || 0;
+    const resolvedRow = resolvedByBucket.get(start.getTime());
+    const resolvedCount = resolvedRow?.count || 0;
+
+    backlog += openedCount - resolvedCount;
+    totals.opened += openedCount;
+    totals.resolved += resolvedCount;
+    totals.resolutionMs += resolvedRow?.resolutionMs || 0;
+
+    buckets.push({
+      start: start.toISOString(),
+      opened: openedCount,
+      resolved: resolvedCount,
+      backlog,
+      meanTimeToResolutionHours: resolvedCount
+        ? toHours(resolvedRow.resolutionMs / resolvedCount)
+        : null,
+    });
+  }
+
+  return {
+    buckets,
+    totals: {
+      opened: totals.opened,
+      resolved: totals.resolved,
+      startingBacklog,
+      endingBacklog: backlog,
+      meanTimeToResolutionHours: totals.resolved
+        ? toHours(totals.resolutionMs / totals.resolved)
+        : null,
+    },
+  };
+};
+
+module.exports = {
+  bucketStart,
+  resolveTrendRange,
+  countBuckets,
+  buildTrendSeries,
+};
@@ -0,0 +1,208 @@
+/**
+ * Admin Routes Integration Tests
+ * Tests for admin user-management endpoints
+ */
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const RefreshToken = require('../../src/models/RefreshToken');
+
+let mongoServer;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create({
+    binary: {
+      version: '7.0.14',
+    },
+  });
+  await mongoose.connect(mongoServer.getUri());
+}, 60000);
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+describe('Admin Routes Integration Tests', () => {
+  let admin;
+  let adminToken;
+  let member;
+  let memberToken;
+
+  beforeEach(async () => {
+    admin = await User.create({
+      name: 'Admin User',
+      email: 'admin@example.com',
+      password: 'password123',
+      role: 'admin',
+    });
+    member = await User.create({
+      name: 'Member User',
+      email: 'member@example.com',
+      password: 'password123',
+    });
+
+    adminToken = admin.generateAuthToken();
+    memberToken = member.generateAuthToken();
+  });
+
+  afterEach(async () => {
+    await User.deleteMany({});
+    await RefreshToken.deleteMany({});
+  });
+
+  describe('Access control', () => {
+    it('should reject unauthenticated requests', async () => {
+      await request(app).get('/api/admin/users').expect(401);
+    });
+
+    it('should reject non-admin users', async () => {
+      const response = await request(app)
+        .get('/api/admin/users')
+        .set('Authorization', `Bearer ${memberToken}`)
+        .expect(403);
+
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe('GET /api/admin/users', () => {
+    it('should list users with their role and status', async () => {
+      const response = await request(app)
+        .get('/api/admin/users')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data).toHaveLength(2);
+      const listed = response.body.data.find((user) => user.email === 'member@example.com');
+      expect(listed).toMatchObject({ role: 'user', isActive: true });
+      expect(listed).not.toHaveProperty('password');
+    });
+  });
+
+  describe('PATCH /api/admin/users/:id/role', () => {
+    it('should promote a user to admin', async () => {
+      const response = await request(app)
+        .patch(`/api/admin/users/${member._id}/role`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ role: 'admin' })
+        .expect(200);
+
+      expect(response.body.data.role).toBe('admin');
+      expect((await User.findById(member._id)).role).toBe('admin');
+    });
+
+    it('should invalidate access tokens carrying the old role', async () => {
+      await request(app)
+        .patch(`/api/admin/users/${member._id}/role`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ role: 'admin' })
+        .expect(200);
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${memberToken}`)
+        .expect(401);
+    });
+
+    it('should reject unknown roles', async () => {
+      await request(app)
+        .patch(`/api/admin/users/${member._id}/role`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ role: 'superuser' })
+        .expect(400);
+    });
+
+    it('should not let admins change their own role', async () => {
+      await request(app)
+        .patch(`/api/admin/users/${admin._id}/role`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ role: 'user' })
+        .expect(403);
+    });
+
+    it('should return 404 for unknown users', async () => {
+      await request(app)
+        .patch(`/api/admin/users/${new mongoose.Types.ObjectId()}/role`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ role: 'admin' })
+        .expect(404);
+    });
+  });
+
+  describe('PATCH /api/admin/users/:id/status', () => {
+    it('should deactivate a user and block their access', async () => {
+      const response = await request(app)
+        .patch(`/api/admin/users/${member._id}/status`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ isActive: false })
+        .expect(200);
+
+      expect(response.body.data.isActive).toBe(false);
+      expect(response.body.data.deactivatedAt).toBeTruthy();
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${memberToken}`)
+        .expect(401);
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'member@example.com', password: 'password123' })
+        .expect(403);
+    });
+
+    it('should reactivate a user', async () => {
+      await User.updateOne({ _id: member._id }, { isActive: false, deactivatedAt: new Date() });
+
+      await request(app)
+        .patch(`/api/admin/users/${member._id}/status`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ isActive: true })
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'member@example.com', password: 'password123' })
+        .expect(200);
+    });
+
+    it('should require a boolean', async () => {
+      await request(app)
+        .patch(`/api/admin/users/${member._id}/status`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ isActive: 'no' })
+        .expect(400);
+    });
+  });
+
+  describe('POST /api/admin/users/:id/logout', () => {
+    it('should revoke refresh and access tokens', async () => {
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'member@example.com', password: 'password123' })
+        .expect(200);
+      const cookie = login.headers['set-cookie']
+        .find((value) => value.startsWith('refreshToken='))
+        .split(';')[0];
+
+      await request(app)
+        .post(`/api/admin/users/${member._id}/logout`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${login.body.data.token}`)
+        .expect(401);
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .set('Cookie', cookie)
+        .expect(401);
+    });
+  });
+});
@@ -0,0 +1,207 @@
+/**
+ * Attachment Routes Integration Tests
+ * Tests for uploading, downloading and deleting bug attachments
+ */
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const Bug = require('../../src/models/Bug');
+const Attachment = require('../../src/models/Attachment');
+const { createMemoryStorage, setStorage } = require('../../src/utils/attachmentStorage');
+
+let mongoServer;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create({
+    binary: {
+      version: '7.0.14',
+    },
+  });
+  await mongoose.connect(mongoServer.getUri());
+}, 60000);
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+describe('Attachment Routes Integration Tests', () => {
+  let storage;
+  let reporter;
+  let other;
+  let reporterToken;
+  let otherToken;
+  let bug;
+
+  const png = Buffer.from('89504e470d0a1a0a', 'hex');
+
+  beforeEach(async () => {
+    storage = createMemoryStorage();
+    setStorage(storage);
+
+    [reporter, other] = await User.create([
+      { name: 'Reporter User', email: 'reporter@example.com', password: 'password123' },
+      { name: 'Other User', email: 'other@example.com', password: 'password123' },
+    ]);
+    reporterToken = reporter.generateAuthToken();
+    otherToken = other.generateAuthToken();
+
+    bug = await Bug.create(testUtils.createValidBugData({ creator: reporter._id }));
+  });
+
+  afterEach(async () => {
+    setStorage(null);
+    await User.deleteMany({});
+    await Bug.deleteMany({});
+    await Attachment.deleteMany({});
+  });
+
+  const attachmentsUrl = (id = bug._id) => `/api/bugs/${id}/attachments`;
+
+  const upload = (token = reporterToken) =>
+    request(app).post(attachmentsUrl()).set('Authorization', `Bearer ${token}`);
+
+  describe('POST /api/bugs/:id/attachments', () => {
+    it('should store uploaded files and return their metadata', async () => {
+      const response = await upload()
+        .attach('files', png, { filename: 'screenshot.png', contentType: 'image/png' })
+        .attach('files', Buffer.from('TypeError: x is undefined'), {
+          filename: 'console.log',
+          contentType: 'text/plain',
+        })
+        .expect(201);
+
+      expect(response.body.data).toEqual([
+        expect.objectContaining({ filename: 'screenshot.png', mimeType: 'image/png', size: png.length }),
+        expect.objectContaining({ filename: 'console.log', mimeType: 'text/plain' }),
+      ]);
+      expect(response.body.data[0].uploader).toMatchObject({ name: 'Reporter User' });
+      expect(response.body.data[0].storageKey).toBeUndefined();
+      expect(storage.files.size).toBe(2);
+    });
+
+    it('should require at least one file', async () => {
+      const response = await upload().field('note', 'nothing attached').expect(400);
+      expect(response.body.message).toBe('Choose at least one file to upload');
+    });
+
+    it('should reject disallowed file types', async () => {
+      await upload()
+        .attach('files', Buffer.from('<script></script>'), {
+          filename: 'page.html',
+          contentType: 'text/html',
+        })
+        .expect(415);
+
+      expect(storage.files.size).toBe(0);
+    });
+
+    it('should reject files over the size limit', async () => {
+      const tooBig = Buffer.alloc(10 * 1024 * 1024 + 1);
+
+      await upload()
+        .attach('files', tooBig, { filename: 'huge.png', contentType: 'image/png' })
+        .expect(413);
+    });
+
+    it('should require authentication', async () => {
+      await request(app)
+        .post(attachmentsUrl())
+        .attach('files', png, { filename: 'screenshot.png', contentType: 'image/png' })
+        .expect(401);
+    });
+
+    it('should return 404 for unknown bugs', async () => {
+      await request(app)
+        .post(attachmentsUrl(new mongoose.Types.ObjectId()))
+        .set('Authorization', `Bearer ${reporterToken}`)
+        .attach('files', png, { filename: 'screenshot.png', contentType: 'image/png' })
+        .expect(404);
+    });
+  });
+
+  describe('GET /api/bugs/:id/attachments', () => {
+    it('should list attachments oldest first and download their contents', async () => {
+      await upload()
+        .attach('files', Buffer.from('first'), { filename: 'first.txt', contentType: 'text/plain' })
+        .expect(201);
+      await upload()
+        .attach('files', Buffer.from('second'), { filename: 'second.txt', contentType: 'text/plain' })
+        .expect(201);
+
+      const list = await request(app)
+        .get(attachmentsUrl())
+        .set('Authorization', `Bearer ${otherToken}`)
+        .expect(200);
+      expect(list.body.data.map(({ filename }) => filename)).toEqual(['first.txt', 'second.txt']);
+
+      const download = await request(app)
+        .get(`${attachmentsUrl()}/${list.body.data[0]._id}`)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .expect(200);
+      expect(download.headers['content-type']).toContain('text/plain');
+      expect(download.headers['content-disposition']).toContain('attachment; filename="first.txt"');
+      expect(download.text).toBe('first');
+    });
+  });
+
+  describe('DELETE /api/bugs/:id/attachments/:attachmentId', () => {
+    let attachmentId;
+
+    beforeEach(async () => {
+      const response = await upload(otherToken)
+        .attach('files', png, { filename: 'screenshot.png', contentType: 'image/png' })
+        .expect(201);
+      attachmentId = response.body.data[0]._id;
+    });
+
+    it('should let the uploader delete the attachment and its file', async () => {
+      await request(app)
+        .delete(`${attachmentsUrl()}/${attachmentId}`)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .expect(200);
+
+      expect(await Attachment.countDocuments()).toBe(0);
+      expect(storage.files.size).toBe(0);
+    });
+
+    it('should let the bug creator delete it', async () => {
+      await request(app)
+        .delete(`${attachmentsUrl()}/${attachmentId}`)
+        .set('Authorization', `Bearer ${reporterToken}`)
+        .expect(200);
+    });
+
+    it('should forbid anyone else', async () => {
+      const stranger = await User.create({
+        name: 'Stranger User',
+        email: 'stranger@example.com',
+        password: 'password123',
+      });
+
+      await request(app)
+        .delete(`${attachmentsUrl()}/${attachmentId}`)
+        .set('Authorization', `Bearer ${stranger.generateAuthToken()}`)
+        .expect(403);
+    });
+  });
+
+  describe('Deleting the bug', () => {
+    it('should keep its attachments while the bug is in the trash', async () => {
+      await upload()
+        .attach('files', png, { filename: 'screenshot.png', contentType: 'image/png' })
+        .expect(201);
+
+      await request(app)
+        .delete(`/api/bugs/${bug._id}`)
+        .set('Authorization', `Bearer ${reporterToken}`)
+        .expect(200);
+
+      expect(await Attachment.countDocuments()).toBe(1);
+      expect(storage.files.size).toBe(1);
+    });
+  });
+});
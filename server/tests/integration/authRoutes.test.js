@@ -8,6 +8,8 @@ const mongoose = require('mongoose');
 const { MongoMemoryServer } = require('mongodb-memory-server');
 const app = require('../../src/app');
 const User = require('../../src/models/User');
+const RefreshToken = require('../../src/models/RefreshToken');
+const mailer = require('../../src/utils/mailer');
 
 // Setup MongoDB Memory Server before all tests
 let mongoServer;
@@ -50,6 +52,7 @@ describe('Auth Routes Integration Tests', () => {
 
   afterEach(async () => {
     await User.deleteMany({});
+    await RefreshToken.deleteMany({});
   });
 
   describe('POST /api/auth/signup', () => {
@@ -142,6 +145,37 @@ describe('Auth Routes Integration Tests', () => {
       expect(response.body.message).toContain('Password');
     });
 
+    it('should ignore a role sent in the signup body', async () => {
+      const response = await request(app)
+        .post('/api/auth/signup')
+        .send({
+          name: 'Sneaky User',
+          email: 'sneaky@example.com',
+          password: 'password123',
+          role: 'admin',
+        })
+        .expect(201);
+
+      expect(response.body.data.user.role).toBe('user');
+      const user = await User.findOne({ email: 'sneaky@example.com' });
+      expect(user.role).toBe('user');
+    });
+
+    it('should grant admin to emails listed in ADMIN_EMAILS', async () => {
+      process.env.ADMIN_EMAILS = 'owner@example.com';
+
+      try {
+        const response = await request(app)
+          .post('/api/auth/signup')
+          .send({ name: 'Owner', email: 'Owner@example.com', password: 'password123' })
+          .expect(201);
+
+        expect(response.body.data.user.role).toBe('admin');
+      } finally {
+        delete process.env.ADMIN_EMAILS;
+      }
+    });
+
     it('should hash password before saving', async () => {
       const newUser = {
         name: 'Hash Test User',
@@ -319,4 +353,232 @@ describe('Auth Routes Integration Tests', () => {
       expect(response.body.message).toContain('Not authorized');
     });
   });
+
+  describe('Refresh tokens', () => {
+    /**
+     * Extract the refresh cookie pair ("refreshToken=...") from a response
+     */
+    const getRefreshCookie = (response) => {
+      const cookies = response.headers['set-cookie'] || [];
+      const cookie = cookies.find((value) => value.startsWith('refreshToken='));
+      return cookie ? cookie.split(';')[0] : null;
+    };
+
+    const loginAndGetCookie = async () => {
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'password123' })
+        .expect(200);
+      return getRefreshCookie(response);
+    };
+
+    it('should set an httpOnly refresh cookie on login', async () => {
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'password123' })
+        .expect(200);
+
+      const cookie = response.headers['set-cookie'].find((value) =>
+        value.startsWith('refreshToken=')
+      );
+      expect(cookie).toContain('HttpOnly');
+      expect(cookie).toContain('Path=/api/auth');
+      expect(await RefreshToken.countDocuments({ user: testUser._id })).toBe(1);
+    });
+
+    it('should issue a new access token and rotate the refresh token', async () => {
+      const cookie = await loginAndGetCookie();
+
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .set('Cookie', cookie)
+        .expect(200);
+
+      expect(response.body.data.token.split('.')).toHaveLength(3);
+      expect(response.body.data.user.email).toBe('test@example.com');
+
+      const rotated = getRefreshCookie(response);
+      expect(rotated).toBeTruthy();
+      expect(rotated).not.toBe(cookie);
+    });
+
+    it('should revoke the whole session when a rotated token is reused', async () => {
+      const cookie = await loginAndGetCookie();
+
+      const first = await request(app)
+        .post('/api/auth/refresh')
+        .set('Cookie', cookie)
+        .expect(200);
+      const rotated = getRefreshCookie(first);
+
+      // Replaying the old token is treated as theft
+      const reuse = await request(app)
+        .post('/api/auth/refresh')
+        .set('Cookie', cookie)
+        .expect(401);
+      expect(reuse.body.success).toBe(false);
+
+      // ...and the legitimate successor no longer works either
+      await request(app)
+        .post('/api/auth/refresh')
+        .set('Cookie', rotated)
+        .expect(401);
+    });
+
+    it('should reject refresh without a cookie', async () => {
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .expect(401);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should reject an unknown refresh token', async () => {
+      await request(app)
+        .post('/api/auth/refresh')
+        .set('Cookie', 'refreshToken=not-a-real-token')
+        .expect(401);
+    });
+
+    it('should revoke the refresh token on logout', async () => {
+      const cookie = await loginAndGetCookie();
+
+      await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${authToken}`)
+        .set('Cookie', cookie)
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .set('Cookie', cookie)
+        .expect(401);
+    });
+  });
+
+  describe('Password reset', () => {
+    let sentMail;
+
+    beforeEach(() => {
+      sentMail = [];
+      mailer.setTransport({ send: async (message) => sentMail.push(message) });
+    });
+
+    afterEach(() => {
+      mailer.setTransport(null);
+    });
+
+    /**
+     * Request a reset and pull the raw token out of the emailed link
+     */
+    const requestResetToken = async () => {
+      await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'test@example.com' })
+        .expect(200);
+      return sentMail[sentMail.length - 1].text.match(/reset-password\/([a-f0-9]+)/)[1];
+    };
+
+    it('should email a reset link and store only a hashed token', async () => {
+      const token = await requestResetToken();
+
+      expect(sentMail).toHaveLength(1);
+      expect(sentMail[0].to).toBe('test@example.com');
+
+      const user = await User.findById(testUser._id).select(
+        '+passwordResetTokenHash +passwordResetExpires'
+      );
+      expect(user.passwordResetTokenHash).toBe(User.hashResetToken(token));
+      expect(user.passwordResetTokenHash).not.toBe(token);
+      expect(user.passwordResetExpires.getTime()).toBeGreaterThan(Date.now());
+    });
+
+    it('should respond the same way for unknown emails without sending mail', async () => {
+      const response = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'nobody@example.com' })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(sentMail).toHaveLength(0);
+    });
+
+    it('should reset the password with a valid token', async () => {
+      const token = await requestResetToken();
+
+      await request(app)
+        .post(`/api/auth/reset-password/${token}`)
+        .send({ password: 'newpassword456' })
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'password123' })
+        .expect(401);
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'newpassword456' })
+        .expect(200);
+    });
+
+    it('should only accept a reset token once', async () => {
+      const token = await requestResetToken();
+
+      await request(app)
+        .post(`/api/auth/reset-password/${token}`)
+        .send({ password: 'newpassword456' })
+        .expect(200);
+
+      const response = await request(app)
+        .post(`/api/auth/reset-password/${token}`)
+        .send({ password: 'anotherpassword789' })
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should reject an expired reset token', async () => {
+      const token = await requestResetToken();
+      await User.updateOne(
+        { _id: testUser._id },
+        { passwordResetExpires: new Date(Date.now() - 1000) }
+      );
+
+      await request(app)
+        .post(`/api/auth/reset-password/${token}`)
+        .send({ password: 'newpassword456' })
+        .expect(400);
+    });
+
+    it('should reject a short password', async () => {
+      const token = await requestResetToken();
+
+      await request(app)
+        .post(`/api/auth/reset-password/${token}`)
+        .send({ password: '123' })
+        .expect(400);
+    });
+
+    it('should revoke existing refresh sessions after a reset', async () => {
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'password123' })
+        .expect(200);
+      const cookie = login.headers['set-cookie']
+        .find((value) => value.startsWith('refreshToken='))
+        .split(';')[0];
+
+      const token = await requestResetToken();
+      await request(app)
+        .post(`/api/auth/reset-password/${token}`)
+        .send({ password: 'newpassword456' })
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .set('Cookie', cookie)
+        .expect(401);
+    });
+  });
 });
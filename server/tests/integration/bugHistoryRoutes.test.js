@@ -0,0 +1,141 @@
+/**
+ * Integration Tests for Bug History (audit trail)
+ */
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Bug = require('../../src/models/Bug');
+const BugHistory = require('../../src/models/BugHistory');
+const User = require('../../src/models/User');
+
+let mongoServer;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create({
+    binary: {
+      version: '7.0.14',
+    },
+  });
+  await mongoose.connect(mongoServer.getUri());
+}, 60000);
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+describe('Bug History - Integration Tests', () => {
+  let user;
+  let token;
+
+  beforeEach(async () => {
+    user = await User.create({
+      name: 'Auditor',
+      email: 'auditor@example.com',
+      password: 'password123',
+    });
+    token = user.generateAuthToken();
+  });
+
+  afterEach(async () => {
+    await BugHistory.deleteMany({});
+    await Bug.deleteMany({});
+    await User.deleteMany({});
+  });
+
+  const createBug = async () => {
+    const res = await request(app)
+      .post('/api/bugs')
+      .set('Authorization', `Bearer ${token}`)
+      .send(testUtils.createValidBugData());
+    return res.body.data.id || res.body.data._id;
+  };
+
+  it('should record creation with the acting user', async () => {
+    const bugId = await createBug();
+
+    const res = await request(app)
+      .get(`/api/bugs/${bugId}/history`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toHaveLength(1);
+    expect(res.body.data[0].action).toBe('created');
+    expect(res.body.data[0].actor.name).toBe('Auditor');
+  });
+
+  it('should record field-level diffs for PUT and PATCH, newest first', async () => {
+    const bugId = await createBug();
+
+    await request(app)
+      .put(`/api/bugs/${bugId}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ priority: 'critical' })
+      .expect(200);
+
+    await request(app)
+      .patch(`/api/bugs/${bugId}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ status: 'in-progress' })
+      .expect(200);
+
+    const res = await request(app)
+      .get(`/api/bugs/${bugId}/history`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.body.data.map((entry) => entry.action)).toEqual(['updated', 'updated', 'created']);
+    expect(res.body.data[0].changes).toEqual([
+      { field: 'status', from: 'open', to: 'in-progress' },
+    ]);
+    expect(res.body.data[1].changes).toEqual([
+      { field: 'priority', from: 'medium', to: 'critical' },
+    ]);
+  });
+
+  it('should not record updates that change nothing', async () => {
+    const bugId = await createBug();
+
+    await request(app)
+      .patch(`/api/bugs/${bugId}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ status: 'open' })
+      .expect(200);
+
+    expect(await BugHistory.countDocuments({ bug: bugId })).toBe(1);
+  });
+
+  it('should keep history after the bug is deleted', async () => {
+    const bugId = await createBug();
+
+    await request(app)
+      .delete(`/api/bugs/${bugId}`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    const res = await request(app)
+      .get(`/api/bugs/${bugId}/history`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data[0].action).toBe('deleted');
+    expect(res.body.data[0].changes.every((change) => change.to === null)).toBe(true);
+  });
+
+  it('should return 404 for a bug that never existed', async () => {
+    const res = await request(app)
+      .get(`/api/bugs/${new mongoose.Types.ObjectId()}/history`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(404);
+  });
+
+  it('should require authentication', async () => {
+    const bugId = await createBug();
+
+    const res = await request(app).get(`/api/bugs/${bugId}/history`);
+
+    expect(res.status).toBe(401);
+  });
+});
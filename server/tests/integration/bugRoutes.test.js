@@ -7,6 +7,10 @@ const mongoose = require('mongoose');
 const { MongoMemoryServer } = require('mongodb-memory-server');
 const app = require('../../src/app');
 const Bug = require('../../src/models/Bug');
+const BugHistory = require('../../src/models/BugHistory');
+const User = require('../../src/models/User');
+const Label = require('../../src/models/Label');
+const Comment = require('../../src/models/Comment');
 
 let mongoServer;
 
@@ -24,8 +28,18 @@ beforeAll(async () => {
 // Clean database between tests
 afterEach(async () => {
   await Bug.deleteMany({});
+  await User.deleteMany({});
 });
 
+// Creator of the bugs edited and deleted below; those routes are limited to owners
+let owner;
+let ownerAuth;
+
+const signInOwner = async () => {
+  owner = await User.create({ name: 'Owner', email: 'owner@example.com', password: 'password123' });
+  ownerAuth = `Bearer ${owner.generateAuthToken()}`;
+};
+
 // Cleanup after all tests
 afterAll(async () => {
   await mongoose.disconnect();
@@ -303,12 +317,324 @@ describe('Bug API Routes - Integration Tests', () => {
       expect(res.body.data[0].title).toBe('Bug 1');
     });
 
+    it('should accept the sort order in any case', async () => {
+      const res = await request(app).get('/api/bugs?sortBy=title&order=ASC');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data[0].title).toBe('Bug 1');
+    });
+
     it('should return empty array when no bugs match filter', async () => {
       const res = await request(app).get('/api/bugs?status=resolved');
 
       expect(res.status).toBe(200);
       expect(res.body.data).toHaveLength(0);
     });
+
+    it('should filter by several comma-separated values', async () => {
+      const res = await request(app).get('/api/bugs?status=open,in-progress');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toHaveLength(2);
+      expect(res.body.data.map((bug) => bug.status).sort()).toEqual(['in-progress', 'open']);
+    });
+
+    it('should exclude negated values', async () => {
+      const res = await request(app).get('/api/bugs?status!=closed&priority!=critical');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toHaveLength(1);
+      expect(res.body.data[0].title).toBe('Bug 1');
+    });
+
+    it('should filter by creation date range', async () => {
+      // createdAt is immutable through Mongoose, so backdate it on the collection
+      await Bug.collection.updateOne(
+        { title: 'Bug 2' },
+        { $set: { createdAt: new Date('2020-06-15') } }
+      );
+
+      const res = await request(app).get(
+        '/api/bugs?createdAfter=2020-06-01&createdBefore=2020-06-30'
+      );
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toHaveLength(1);
+      expect(res.body.data[0].title).toBe('Bug 2');
+    });
+
+    it('should filter by last update date', async () => {
+      const res = await request(app).get(
+        `/api/bugs?updatedAfter=${new Date(Date.now() + 60000).toISOString()}`
+      );
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toHaveLength(0);
+    });
+
+    it('should return 400 when a list contains an invalid value', async () => {
+      const res = await request(app).get('/api/bugs?status=open,done');
+
+      expect(res.status).toBe(400);
+      expect(res.body.errors[0].field).toBe('status');
+    });
+
+    it('should return 400 for an invalid or inverted date range', async () => {
+      const invalid = await request(app).get('/api/bugs?createdAfter=last-week');
+      const inverted = await request(app).get(
+        '/api/bugs?createdAfter=2024-02-01&createdBefore=2024-01-01'
+      );
+
+      expect(invalid.status).toBe(400);
+      expect(inverted.status).toBe(400);
+    });
+  });
+
+  describe('GET /api/bugs/export', () => {
+    beforeEach(async () => {
+      await Bug.create([
+        {
+          title: 'Export one',
+          description: 'First bug, with a comma',
+          priority: 'high',
+          severity: 'major',
+          status: 'open',
+          createdBy: 'User1',
+        },
+        {
+          title: 'Export two',
+          description: 'Second bug in the list',
+          priority: 'low',
+          severity: 'minor',
+          status: 'closed',
+          createdBy: 'User2',
+        },
+      ]);
+    });
+
+    it('should download every matching bug as CSV by default', async () => {
+      const res = await request(app).get('/api/bugs/export');
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toMatch(/^text\/csv/);
+      expect(res.headers['content-disposition']).toMatch(/attachment; filename="bugs-.*\.csv"/);
+
+      const lines = res.text.trim().split('\r\n');
+      expect(lines).toHaveLength(3);
+      expect(lines[1]).toContain('"First bug, with a comma"');
+    });
+
+    it('should apply the list filters', async () => {
+      const res = await request(app).get('/api/bugs/export?format=json&status=closed');
+
+      expect(res.status).toBe(200);
+      expect(JSON.parse(res.text).map((bug) => bug.title)).toEqual(['Export two']);
+    });
+
+    it('should not cap the number of bugs', async () => {
+      await Bug.insertMany(
+        Array.from({ length: 120 }, (_, i) => ({
+          title: `Bulk bug ${i}`,
+          description: 'Created to go past the page limit',
+          priority: 'low',
+          severity: 'minor',
+          createdBy: 'Loader',
+        }))
+      );
+
+      const res = await request(app).get('/api/bugs/export?format=ndjson');
+
+      expect(res.headers['content-type']).toMatch(/^application\/x-ndjson/);
+      expect(res.text.trim().split('\n')).toHaveLength(122);
+    });
+
+    it('should leave out deleted bugs', async () => {
+      await Bug.updateOne({ title: 'Export one' }, { deletedAt: new Date() });
+
+      const res = await request(app).get('/api/bugs/export?format=json');
+
+      expect(JSON.parse(res.text)).toHaveLength(1);
+    });
+
+    it('should accept the format in any case', async () => {
+      const res = await request(app).get('/api/bugs/export?format=CSV');
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toMatch(/^text\/csv/);
+      expect(res.headers['content-disposition']).toMatch(/filename="bugs-.*\.csv"/);
+    });
+
+    it('should reject unknown formats', async () => {
+      const res = await request(app).get('/api/bugs/export?format=xml');
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('POST /api/bugs/import', () => {
+    const csv = [
+      'Summary,Details,Priority,Severity,Owner,Tags',
+      'Login crash,"Crashes on submit, every time",High,major,owner@example.com,imported',
+      'No,short,urgent,major,,',
+      'Typo on home page,The heading says Bgus instead of Bugs,low,minor,,',
+    ].join('\r\n');
+
+    const columns = {
+      Summary: 'title',
+      Details: 'description',
+      Priority: 'priority',
+      Severity: 'severity',
+      Owner: 'assignee',
+      Tags: 'labels',
+    };
+
+    beforeEach(async () => {
+      await signInOwner();
+      await Label.deleteMany({});
+      await Label.create({ name: 'Imported', color: '#3b82f6' });
+    });
+
+    const importCsv = (query = '') =>
+      request(app)
+        .post(`/api/bugs/import${query}`)
+        .set('Authorization', ownerAuth)
+        .field('columns', JSON.stringify(columns))
+        .attach('file', Buffer.from(csv), 'bugs.csv');
+
+    it('should require authentication', async () => {
+      const res = await request(app).post('/api/bugs/import').send({ bugs: [{}] });
+
+      expect(res.status).toBe(401);
+    });
+
+    it('should report per-row errors without writing on a dry run', async () => {
+      const res = await importCsv('?dryRun=true');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toMatchObject({ dryRun: true, total: 3, valid: 2, invalid: 1, imported: 0 });
+      expect(res.body.data.errors).toHaveLength(1);
+      expect(res.body.data.errors[0].row).toBe(2);
+      expect(res.body.data.errors[0].errors.map((error) => error.field)).toEqual([
+        'title',
+        'description',
+        'priority',
+      ]);
+      expect(await Bug.countDocuments()).toBe(0);
+    });
+
+    it('should insert the valid rows with their assignee, labels and history', async () => {
+      const res = await importCsv();
+
+      expect(res.status).toBe(201);
+      expect(res.body.data).toMatchObject({ dryRun: false, valid: 2, invalid: 1, imported: 2 });
+
+      const bug = await Bug.findOne({ title: 'Login crash' }).populate('labels');
+      expect(bug.priority).toBe('high');
+      expect(String(bug.assignee)).toBe(String(owner._id));
+      expect(String(bug.creator)).toBe(String(owner._id));
+      expect(bug.createdBy).toBe('Owner');
+      expect(bug.labels.map((label) => label.name)).toEqual(['Imported']);
+      expect(await BugHistory.countDocuments({ bug: bug._id, action: 'created' })).toBe(1);
+    });
+
+    it('should save the bugs when dryRun is false', async () => {
+      const res = await importCsv('?dryRun=false');
+
+      expect(res.status).toBe(201);
+      expect(res.body.data).toMatchObject({ dryRun: false, imported: 2 });
+      expect(await Bug.countDocuments()).toBe(2);
+    });
+
+    it('should accept a JSON list and match columns by name', async () => {
+      const res = await request(app)
+        .post('/api/bugs/import')
+        .set('Authorization', ownerAuth)
+        .send({ bugs: [testUtils.createValidBugData({ title: 'From JSON' })] });
+
+      expect(res.status).toBe(201);
+      expect(await Bug.countDocuments({ title: 'From JSON' })).toBe(1);
+    });
+
+    it('should read back its own CSV export', async () => {
+      await Bug.create(testUtils.createValidBugData({ title: 'Round trip', description: '=1+1 stays text' }));
+      const exported = await request(app).get('/api/bugs/export');
+      await Bug.deleteMany({});
+
+      const res = await request(app)
+        .post('/api/bugs/import')
+        .set('Authorization', ownerAuth)
+        .attach('file', Buffer.from(exported.text), 'bugs.csv');
+
+      expect(res.body.data.imported).toBe(1);
+      expect((await Bug.findOne({ title: 'Round trip' })).description).toBe('=1+1 stays text');
+    });
+
+    it('should reject unknown labels and assignees', async () => {
+      const res = await request(app)
+        .post('/api/bugs/import?dryRun=true')
+        .set('Authorization', ownerAuth)
+        .send({
+          bugs: [testUtils.createValidBugData({ assignee: 'nobody@example.com', labels: 'missing' })],
+        });
+
+      expect(res.body.data.errors[0].errors.map((error) => error.field)).toEqual([
+        'assignee',
+        'labels',
+      ]);
+    });
+
+    it('should reject deactivated assignees', async () => {
+      await User.create({
+        name: 'Former',
+        email: 'former@example.com',
+        password: 'password123',
+        isActive: false,
+      });
+
+      const res = await request(app)
+        .post('/api/bugs/import?dryRun=true')
+        .set('Authorization', ownerAuth)
+        .send({ bugs: [testUtils.createValidBugData({ assignee: 'former@example.com' })] });
+
+      expect(res.body.data.errors[0].errors).toEqual([
+        { field: 'assignee', message: 'Assignee former@example.com is deactivated' },
+      ]);
+    });
+
+    it('should reject requests without bugs', async () => {
+      const res = await request(app).post('/api/bugs/import').set('Authorization', ownerAuth).send({});
+
+      expect(res.status).toBe(400);
+    });
+
+    it('should reject other file types', async () => {
+      const res = await request(app)
+        .post('/api/bugs/import')
+        .set('Authorization', ownerAuth)
+        .attach('file', Buffer.from('<xml />'), 'bugs.xml');
+
+      expect(res.status).toBe(415);
+    });
+
+    it('should accept only one file', async () => {
+      const res = await request(app)
+        .post('/api/bugs/import')
+        .set('Authorization', ownerAuth)
+        .attach('file', Buffer.from(csv), 'bugs.csv')
+        .attach('file', Buffer.from(csv), 'more-bugs.csv');
+
+      expect(res.status).toBe(413);
+      expect(res.body.message).toBe('Upload at most 1 file at a time');
+    });
+
+    it('should reject mappings to unknown fields', async () => {
+      const res = await request(app)
+        .post('/api/bugs/import')
+        .set('Authorization', ownerAuth)
+        .send({ bugs: [{ Summary: 'Crash' }], columns: { Summary: 'headline' } });
+
+      expect(res.status).toBe(400);
+    });
   });
 
   describe('GET /api/bugs/:id', () => {
@@ -354,7 +680,9 @@ describe('Bug API Routes - Integration Tests', () => {
     let bugId;
 
     beforeEach(async () => {
+      await signInOwner();
       const bug = await Bug.create({
+        creator: owner._id,
         title: 'Original Title',
         description: 'Original description',
         priority: 'low',
@@ -377,6 +705,7 @@ describe('Bug API Routes - Integration Tests', () => {
 
       const res = await request(app)
         .put(`/api/bugs/${bugId}`)
+        .set('Authorization', ownerAuth)
         .send(updates);
 
       expect(res.status).toBe(200);
@@ -395,6 +724,7 @@ describe('Bug API Routes - Integration Tests', () => {
 
       const res = await request(app)
         .put(`/api/bugs/${bugId}`)
+        .set('Authorization', ownerAuth)
         .send(updates);
 
       expect(res.status).toBe(200);
@@ -402,12 +732,23 @@ describe('Bug API Routes - Integration Tests', () => {
       expect(res.body.data.description).toBe('Original description');
     });
 
+    it('should return 422 when the update skips workflow steps', async () => {
+      const res = await request(app)
+        .put(`/api/bugs/${bugId}`)
+        .set('Authorization', ownerAuth)
+        .send({ title: 'Skipping ahead', status: 'resolved' });
+
+      expect(res.status).toBe(422);
+      expect(res.body.allowedStatuses).toEqual(['in-progress']);
+    });
+
     it('should return 404 for non-existent bug', async () => {
       const nonExistentId = new mongoose.Types.ObjectId();
       const updates = { title: 'Updated Title' };
 
       const res = await request(app)
         .put(`/api/bugs/${nonExistentId}`)
+        .set('Authorization', ownerAuth)
         .send(updates);
 
       expect(res.status).toBe(404);
@@ -421,6 +762,7 @@ describe('Bug API Routes - Integration Tests', () => {
 
       const res = await request(app)
         .put(`/api/bugs/${bugId}`)
+        .set('Authorization', ownerAuth)
         .send(invalidUpdates);
 
       expect(res.status).toBe(400);
@@ -430,6 +772,7 @@ describe('Bug API Routes - Integration Tests', () => {
     it('should return 400 for invalid bug ID format', async () => {
       const res = await request(app)
         .put('/api/bugs/invalid-id')
+        .set('Authorization', ownerAuth)
         .send({ title: 'Updated Title' });
 
       expect(res.status).toBe(400);
@@ -441,7 +784,9 @@ describe('Bug API Routes - Integration Tests', () => {
     let bugId;
 
     beforeEach(async () => {
+      await signInOwner();
       const bug = await Bug.create({
+        creator: owner._id,
         title: 'Test Bug',
         description: 'Test description',
         priority: 'medium',
@@ -455,16 +800,73 @@ describe('Bug API Routes - Integration Tests', () => {
     it('should update bug status', async () => {
       const res = await request(app)
         .patch(`/api/bugs/${bugId}`)
-        .send({ status: 'resolved' });
+        .set('Authorization', ownerAuth)
+        .send({ status: 'in-progress' });
 
       expect(res.status).toBe(200);
       expect(res.body.success).toBe(true);
-      expect(res.body.data.status).toBe('resolved');
+      expect(res.body.data.status).toBe('in-progress');
+    });
+
+    it('should return 422 with allowed statuses for an illegal transition', async () => {
+      const res = await request(app)
+        .patch(`/api/bugs/${bugId}`)
+        .set('Authorization', ownerAuth)
+        .send({ status: 'closed' });
+
+      expect(res.status).toBe(422);
+      expect(res.body.success).toBe(false);
+      expect(res.body.allowedStatuses).toEqual(['in-progress']);
+
+      const bug = await Bug.findById(bugId);
+      expect(bug.status).toBe('open');
+    });
+
+    it('should allow reopening a closed bug', async () => {
+      await Bug.findByIdAndUpdate(bugId, { status: 'closed' });
+
+      const res = await request(app)
+        .patch(`/api/bugs/${bugId}`)
+        .set('Authorization', ownerAuth)
+        .send({ status: 'open' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.status).toBe('open');
+    });
+
+    it('should record resolution timestamps and clear them on reopen', async () => {
+      await Bug.findByIdAndUpdate(bugId, { status: 'in-progress' });
+
+      const resolved = await request(app)
+        .patch(`/api/bugs/${bugId}`)
+        .set('Authorization', ownerAuth)
+        .send({ status: 'resolved' });
+
+      expect(resolved.status).toBe(200);
+      expect(resolved.body.data.resolvedAt).toBeTruthy();
+      expect(resolved.body.data.statusChangedAt).toBe(resolved.body.data.resolvedAt);
+
+      const closed = await request(app)
+        .patch(`/api/bugs/${bugId}`)
+        .set('Authorization', ownerAuth)
+        .send({ status: 'closed' });
+
+      expect(closed.body.data.closedAt).toBeTruthy();
+      expect(closed.body.data.resolvedAt).toBe(resolved.body.data.resolvedAt);
+
+      const reopened = await request(app)
+        .patch(`/api/bugs/${bugId}`)
+        .set('Authorization', ownerAuth)
+        .send({ status: 'open' });
+
+      expect(reopened.body.data.resolvedAt).toBeNull();
+      expect(reopened.body.data.closedAt).toBeNull();
     });
 
     it('should return 400 for missing status', async () => {
       const res = await request(app)
         .patch(`/api/bugs/${bugId}`)
+        .set('Authorization', ownerAuth)
         .send({});
 
       expect(res.status).toBe(400);
@@ -474,6 +876,7 @@ describe('Bug API Routes - Integration Tests', () => {
     it('should return 400 for invalid status', async () => {
       const res = await request(app)
         .patch(`/api/bugs/${bugId}`)
+        .set('Authorization', ownerAuth)
         .send({ status: 'invalid-status' });
 
       expect(res.status).toBe(400);
@@ -484,6 +887,7 @@ describe('Bug API Routes - Integration Tests', () => {
       const nonExistentId = new mongoose.Types.ObjectId();
       const res = await request(app)
         .patch(`/api/bugs/${nonExistentId}`)
+        .set('Authorization', ownerAuth)
         .send({ status: 'closed' });
 
       expect(res.status).toBe(404);
@@ -491,11 +895,91 @@ describe('Bug API Routes - Integration Tests', () => {
     });
   });
 
+  describe('Version conflicts', () => {
+    let bugId;
+
+    beforeEach(async () => {
+      await signInOwner();
+      const bug = await Bug.create({
+        creator: owner._id,
+        title: 'Versioned Bug',
+        description: 'Edited by two people at once',
+        priority: 'medium',
+        severity: 'major',
+        createdBy: 'TestUser',
+      });
+      bugId = bug._id.toString();
+    });
+
+    it('should send the version as an ETag', async () => {
+      const res = await request(app).get(`/api/bugs/${bugId}`);
+
+      expect(res.status).toBe(200);
+      expect(res.headers.etag).toBe('"0"');
+    });
+
+    it('should bump the version on every edit', async () => {
+      const res = await request(app)
+        .patch(`/api/bugs/${bugId}`)
+        .set('Authorization', ownerAuth)
+        .set('If-Match', '"0"')
+        .send({ status: 'in-progress' });
+
+      expect(res.status).toBe(200);
+      expect(res.headers.etag).toBe('"1"');
+      expect(res.body.data.version).toBe(1);
+    });
+
+    it('should return 412 with the current bug when If-Match is out of date', async () => {
+      await request(app)
+        .put(`/api/bugs/${bugId}`)
+        .set('Authorization', ownerAuth)
+        .set('If-Match', '"0"')
+        .send({ title: 'First edit wins' });
+
+      const res = await request(app)
+        .put(`/api/bugs/${bugId}`)
+        .set('Authorization', ownerAuth)
+        .set('If-Match', '"0"')
+        .send({ title: 'Second edit loses' });
+
+      expect(res.status).toBe(412);
+      expect(res.body.current.title).toBe('First edit wins');
+      expect(res.body.current.version).toBe(1);
+
+      const bug = await Bug.findById(bugId);
+      expect(bug.title).toBe('First edit wins');
+    });
+
+    it('should return 412 for a weak If-Match tag', async () => {
+      const res = await request(app)
+        .patch(`/api/bugs/${bugId}`)
+        .set('Authorization', ownerAuth)
+        .set('If-Match', 'W/"0"')
+        .send({ status: 'in-progress' });
+
+      expect(res.status).toBe(412);
+      expect((await Bug.findById(bugId)).status).toBe('open');
+    });
+
+    it('should still save edits sent without If-Match', async () => {
+      const res = await request(app)
+        .put(`/api/bugs/${bugId}`)
+        .set('Authorization', ownerAuth)
+        .send({ title: 'No precondition' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.title).toBe('No precondition');
+    });
+  });
+
   describe('DELETE /api/bugs/:id', () => {
     let bugId;
 
     beforeEach(async () => {
+      await signInOwner();
       const bug = await Bug.create({
+        creator: owner._id,
         title: 'Bug to Delete',
         description: 'This bug will be deleted',
         priority: 'low',
@@ -505,58 +989,364 @@ describe('Bug API Routes - Integration Tests', () => {
       bugId = bug._id.toString();
     });
 
-    it('should delete a bug', async () => {
-      const res = await request(app).delete(`/api/bugs/${bugId}`);
+    it('should move the bug to the trash', async () => {
+      const res = await request(app)
+        .delete(`/api/bugs/${bugId}`)
+        .set('Authorization', ownerAuth);
 
       expect(res.status).toBe(200);
       expect(res.body.success).toBe(true);
 
-      // Verify bug is deleted
+      // Verify bug is kept but marked deleted
       const deletedBug = await Bug.findById(bugId);
-      expect(deletedBug).toBeNull();
+      expect(deletedBug.deletedAt).toBeInstanceOf(Date);
+      expect(String(deletedBug.deletedBy)).toBe(String(owner._id));
+    });
+
+    it('should hide deleted bugs from reads, lists and stats', async () => {
+      await request(app).delete(`/api/bugs/${bugId}`).set('Authorization', ownerAuth).expect(200);
+
+      await request(app).get(`/api/bugs/${bugId}`).expect(404);
+      await request(app).delete(`/api/bugs/${bugId}`).set('Authorization', ownerAuth).expect(404);
+
+      const list = await request(app).get('/api/bugs');
+      expect(list.body.data).toHaveLength(0);
+
+      const stats = await request(app).get('/api/bugs/stats');
+      expect(stats.body.data.total).toBe(0);
     });
 
     it('should return 404 for non-existent bug', async () => {
       const nonExistentId = new mongoose.Types.ObjectId();
-      const res = await request(app).delete(`/api/bugs/${nonExistentId}`);
+      const res = await request(app)
+        .delete(`/api/bugs/${nonExistentId}`)
+        .set('Authorization', ownerAuth);
 
       expect(res.status).toBe(404);
       expect(res.body.success).toBe(false);
     });
 
     it('should return 400 for invalid bug ID format', async () => {
-      const res = await request(app).delete('/api/bugs/invalid-id');
+      const res = await request(app)
+        .delete('/api/bugs/invalid-id')
+        .set('Authorization', ownerAuth);
 
       expect(res.status).toBe(400);
       expect(res.body.success).toBe(false);
     });
   });
 
-  describe('GET /api/bugs/stats', () => {
+  describe('Trash', () => {
+    let bugId;
+    let adminAuth;
+
     beforeEach(async () => {
-      await Bug.create([
-        {
-          title: 'Bug 1',
-          description: 'Description 1',
-          priority: 'high',
-          severity: 'major',
-          status: 'open',
-          createdBy: 'User1',
-        },
-        {
-          title: 'Bug 2',
-          description: 'Description 2',
-          priority: 'high',
-          severity: 'critical',
-          status: 'open',
-          createdBy: 'User2',
-        },
-        {
-          title: 'Bug 3',
-          description: 'Description 3',
-          priority: 'low',
-          severity: 'minor',
-          status: 'closed',
+      await signInOwner();
+      const admin = await User.create({
+        name: 'Admin',
+        email: 'admin@example.com',
+        password: 'password123',
+        role: 'admin',
+      });
+      adminAuth = `Bearer ${admin.generateAuthToken()}`;
+
+      const bug = await Bug.create({
+        creator: owner._id,
+        title: 'Bug to Trash',
+        description: 'This bug will be deleted and restored',
+        priority: 'low',
+        severity: 'minor',
+        createdBy: 'TestUser',
+      });
+      bugId = bug._id.toString();
+
+      await request(app).delete(`/api/bugs/${bugId}`).set('Authorization', ownerAuth).expect(200);
+    });
+
+    afterEach(async () => {
+      await BugHistory.deleteMany({});
+      await Comment.deleteMany({});
+    });
+
+    it('should list deleted bugs with who deleted them', async () => {
+      const res = await request(app).get('/api/bugs/trash').set('Authorization', ownerAuth);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toHaveLength(1);
+      expect(res.body.data[0].deletedBy.name).toBe('Owner');
+      expect(res.body.pagination.totalItems).toBe(1);
+    });
+
+    it('should restore a deleted bug and record it', async () => {
+      const res = await request(app)
+        .post(`/api/bugs/${bugId}/restore`)
+        .set('Authorization', ownerAuth);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.deletedAt).toBeNull();
+      expect(res.headers.etag).toBe(`"${res.body.data.version}"`);
+      await request(app).get(`/api/bugs/${bugId}`).expect(200);
+      expect(await BugHistory.exists({ bug: bugId, action: 'restored' })).toBeTruthy();
+    });
+
+    it('should only restore bugs that are in the trash', async () => {
+      await request(app).post(`/api/bugs/${bugId}/restore`).set('Authorization', ownerAuth).expect(200);
+
+      await request(app).post(`/api/bugs/${bugId}/restore`).set('Authorization', ownerAuth).expect(404);
+    });
+
+    it('should not let other users restore the bug', async () => {
+      const stranger = await User.create({
+        name: 'Stranger',
+        email: 'stranger@example.com',
+        password: 'password123',
+      });
+
+      await request(app)
+        .post(`/api/bugs/${bugId}/restore`)
+        .set('Authorization', `Bearer ${stranger.generateAuthToken()}`)
+        .expect(403);
+    });
+
+    it('should let admins purge a deleted bug with its comments', async () => {
+      await Comment.create({ bug: bugId, author: owner._id, content: 'Gone with the bug' });
+
+      const res = await request(app).delete(`/api/bugs/trash/${bugId}`).set('Authorization', adminAuth);
+
+      expect(res.status).toBe(200);
+      expect(await Bug.findById(bugId)).toBeNull();
+      expect(await Comment.countDocuments({ bug: bugId })).toBe(0);
+      expect(await BugHistory.exists({ bug: bugId, action: 'purged' })).toBeTruthy();
+    });
+
+    it('should only let admins purge', async () => {
+      await request(app).delete(`/api/bugs/trash/${bugId}`).set('Authorization', ownerAuth).expect(403);
+
+      expect(await Bug.findById(bugId)).not.toBeNull();
+    });
+
+    it('should not purge bugs that are not in the trash', async () => {
+      await request(app).post(`/api/bugs/${bugId}/restore`).set('Authorization', ownerAuth).expect(200);
+
+      await request(app).delete(`/api/bugs/trash/${bugId}`).set('Authorization', adminAuth).expect(404);
+    });
+  });
+
+  describe('POST /api/bugs/bulk', () => {
+    let mine;
+    let other;
+
+    beforeEach(async () => {
+      await signInOwner();
+      const stranger = await User.create({
+        name: 'Stranger',
+        email: 'stranger@example.com',
+        password: 'password123',
+      });
+
+      mine = await Bug.create([
+        testUtils.createValidBugData({ title: 'Mine 1', creator: owner._id }),
+        testUtils.createValidBugData({ title: 'Mine 2', creator: owner._id }),
+      ]);
+      other = await Bug.create(testUtils.createValidBugData({ title: 'Theirs', creator: stranger._id }));
+    });
+
+    const bulk = (body) =>
+      request(app).post('/api/bugs/bulk').set('Authorization', ownerAuth).send(body);
+
+    it('should require authentication', async () => {
+      const res = await request(app)
+        .post('/api/bugs/bulk')
+        .send({ ids: [mine[0]._id], action: 'delete' });
+
+      expect(res.status).toBe(401);
+    });
+
+    it('should set priority and report per-item results', async () => {
+      const missing = new mongoose.Types.ObjectId().toString();
+
+      const res = await bulk({
+        ids: [mine[0]._id, mine[1]._id, other._id, missing],
+        action: 'set-priority',
+        value: 'critical',
+      });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toMatchObject({ action: 'set-priority', succeeded: 2, failed: 2 });
+
+      const [first, second, theirs, unknown] = res.body.data.results;
+      expect(first).toMatchObject({ success: true, data: { priority: 'critical' } });
+      expect(second.success).toBe(true);
+      expect(theirs).toMatchObject({ id: other._id.toString(), success: false, statusCode: 403 });
+      expect(unknown).toMatchObject({ id: missing, success: false, statusCode: 404 });
+
+      expect((await Bug.findById(other._id)).priority).toBe('medium');
+    });
+
+    it('should not look up the assignee when no bug may be edited', async () => {
+      const res = await bulk({
+        ids: [other._id],
+        action: 'set-assignee',
+        value: new mongoose.Types.ObjectId().toString(),
+      });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.results[0]).toMatchObject({ success: false, statusCode: 403 });
+    });
+
+    it('should enforce the status workflow per bug', async () => {
+      await Bug.findByIdAndUpdate(mine[1]._id, { status: 'in-progress' });
+
+      const res = await bulk({ ids: [mine[0]._id, mine[1]._id], action: 'set-status', value: 'resolved' });
+
+      const [open, inProgress] = res.body.data.results;
+      expect(open).toMatchObject({ success: false, statusCode: 422, allowedStatuses: ['in-progress'] });
+      expect(inProgress).toMatchObject({ success: true, data: { status: 'resolved' } });
+      expect(inProgress.data.resolvedAt).toBeTruthy();
+    });
+
+    it('should assign and unassign bugs', async () => {
+      const assigned = await bulk({ ids: [mine[0]._id], action: 'set-assignee', value: owner._id });
+      expect(assigned.body.data.results[0].data.assignee.name).toBe('Owner');
+
+      const cleared = await bulk({ ids: [mine[0]._id], action: 'set-assignee', value: null });
+      expect(cleared.body.data.results[0].data.assignee).toBeNull();
+    });
+
+    it('should reject an unknown assignee for the whole request', async () => {
+      const res = await bulk({
+        ids: [mine[0]._id],
+        action: 'set-assignee',
+        value: new mongoose.Types.ObjectId(),
+      });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('should delete bugs the user owns and record history', async () => {
+      const res = await bulk({ ids: [mine[0]._id, other._id], action: 'delete' });
+
+      expect(res.body.data).toMatchObject({ succeeded: 1, failed: 1 });
+      expect((await Bug.findById(mine[0]._id)).deletedAt).not.toBeNull();
+      expect((await Bug.findById(other._id)).deletedAt).toBeNull();
+      expect(await BugHistory.exists({ bug: mine[0]._id, action: 'deleted' })).toBeTruthy();
+    });
+
+    it('should validate the request', async () => {
+      await bulk({ ids: [], action: 'delete' }).expect(400);
+      await bulk({ ids: ['nope'], action: 'delete' }).expect(400);
+      await bulk({ ids: [mine[0]._id], action: 'archive' }).expect(400);
+      await bulk({ ids: [mine[0]._id], action: 'set-status', value: 'done' }).expect(400);
+    });
+  });
+
+  describe('Ownership policy', () => {
+    let assignee;
+    let stranger;
+    let admin;
+    let bugId;
+
+    const authFor = (user) => `Bearer ${user.generateAuthToken()}`;
+
+    beforeEach(async () => {
+      await signInOwner();
+      assignee = await User.create({ name: 'Assignee', email: 'assignee@example.com', password: 'password123' });
+      stranger = await User.create({ name: 'Stranger', email: 'stranger@example.com', password: 'password123' });
+      admin = await User.create({
+        name: 'Admin',
+        email: 'admin@example.com',
+        password: 'password123',
+        role: 'admin',
+      });
+
+      const bug = await Bug.create(
+        testUtils.createValidBugData({ creator: owner._id, assignee: assignee._id })
+      );
+      bugId = bug._id.toString();
+    });
+
+    it('should let the assignee edit the bug', async () => {
+      const res = await request(app)
+        .patch(`/api/bugs/${bugId}`)
+        .set('Authorization', authFor(assignee))
+        .send({ status: 'in-progress' });
+
+      expect(res.status).toBe(200);
+    });
+
+    it('should return 403 when another user edits the bug', async () => {
+      const res = await request(app)
+        .put(`/api/bugs/${bugId}`)
+        .set('Authorization', authFor(stranger))
+        .send({ title: 'Hijacked title' });
+
+      expect(res.status).toBe(403);
+      expect(res.body.success).toBe(false);
+
+      const bug = await Bug.findById(bugId);
+      expect(bug.title).toBe('Test Bug Title');
+    });
+
+    it('should refuse the edit before checking the assignee and labels', async () => {
+      const res = await request(app)
+        .put(`/api/bugs/${bugId}`)
+        .set('Authorization', authFor(stranger))
+        .send({
+          assignee: new mongoose.Types.ObjectId().toString(),
+          labels: [new mongoose.Types.ObjectId().toString()],
+        });
+
+      expect(res.status).toBe(403);
+    });
+
+    it('should not let the assignee delete the bug', async () => {
+      const res = await request(app)
+        .delete(`/api/bugs/${bugId}`)
+        .set('Authorization', authFor(assignee));
+
+      expect(res.status).toBe(403);
+      expect(await Bug.exists({ _id: bugId })).toBeTruthy();
+    });
+
+    it('should let admins edit and delete any bug', async () => {
+      await request(app)
+        .patch(`/api/bugs/${bugId}`)
+        .set('Authorization', authFor(admin))
+        .send({ status: 'in-progress' })
+        .expect(200);
+
+      await request(app)
+        .delete(`/api/bugs/${bugId}`)
+        .set('Authorization', authFor(admin))
+        .expect(200);
+    });
+  });
+
+  describe('GET /api/bugs/stats', () => {
+    beforeEach(async () => {
+      await Bug.create([
+        {
+          title: 'Bug 1',
+          description: 'Description 1',
+          priority: 'high',
+          severity: 'major',
+          status: 'open',
+          createdBy: 'User1',
+        },
+        {
+          title: 'Bug 2',
+          description: 'Description 2',
+          priority: 'high',
+          severity: 'critical',
+          status: 'open',
+          createdBy: 'User2',
+        },
+        {
+          title: 'Bug 3',
+          description: 'Description 3',
+          priority: 'low',
+          severity: 'minor',
+          status: 'closed',
           createdBy: 'User3',
         },
         {
@@ -619,6 +1409,573 @@ describe('Bug API Routes - Integration Tests', () => {
       expect(res.body.data.total).toBe(0);
       expect(Object.keys(res.body.data.byStatus)).toHaveLength(0);
     });
+
+    it('should break counts down by creator', async () => {
+      await Bug.create(
+        testUtils.createValidBugData({ createdBy: 'User1', status: 'in-progress' })
+      );
+
+      const res = await request(app).get('/api/bugs/stats');
+
+      expect(res.body.data.byCreator[0]).toEqual({
+        createdBy: 'User1',
+        total: 2,
+        byStatus: { open: 1, 'in-progress': 1 },
+      });
+      expect(res.body.data.byCreator).toHaveLength(4);
+    });
+
+    it('should limit statistics to bugs created between from and to', async () => {
+      const old = await Bug.findOne({ title: 'Bug 3' });
+      await Bug.collection.updateOne(
+        { _id: old._id },
+        { $set: { createdAt: new Date('2020-01-15T00:00:00.000Z') } }
+      );
+
+      const res = await request(app)
+        .get('/api/bugs/stats')
+        .query({ from: '2020-01-01T00:00:00.000Z', to: '2020-01-31T23:59:59.999Z' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.total).toBe(1);
+      expect(res.body.data.byStatus).toEqual({ closed: 1 });
+      expect(res.body.data.range.from).toBe('2020-01-01T00:00:00.000Z');
+    });
+
+    it('should return 400 for an inverted date range', async () => {
+      const res = await request(app)
+        .get('/api/bugs/stats')
+        .query({ from: '2024-02-01', to: '2024-01-01' });
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('SLA', () => {
+    const hoursAgo = (hours) => new Date(Date.now() - hours * 60 * 60 * 1000);
+
+    beforeEach(async () => {
+      await Bug.collection.insertMany([
+        testUtils.createValidBugData({ title: 'Fresh critical', priority: 'critical', createdAt: hoursAgo(1) }),
+        testUtils.createValidBugData({ title: 'Late critical', priority: 'critical', createdAt: hoursAgo(30) }),
+        testUtils.createValidBugData({
+          title: 'Fixed critical',
+          priority: 'critical',
+          status: 'resolved',
+          createdAt: hoursAgo(30),
+          resolvedAt: hoursAgo(20),
+        }),
+      ]);
+    });
+
+    it('should report SLA status in bug lists', async () => {
+      const res = await request(app).get('/api/bugs').query({ limit: 10 });
+
+      const statusOf = (title) => res.body.data.find((bug) => bug.title === title).slaStatus;
+      expect(statusOf('Fresh critical')).toBe('on-track');
+      expect(statusOf('Late critical')).toBe('breached');
+      expect(statusOf('Fixed critical')).toBe('met');
+    });
+
+    it('should report the SLA deadline for a single bug', async () => {
+      const bug = await Bug.findOne({ title: 'Late critical' });
+
+      const res = await request(app).get(`/api/bugs/${bug._id}`);
+
+      expect(res.body.data.slaStatus).toBe('breached');
+      expect(new Date(res.body.data.slaDueAt)).toEqual(
+        new Date(bug.createdAt.getTime() + 24 * 60 * 60 * 1000)
+      );
+    });
+  });
+
+  describe('GET /api/bugs/stats/trends', () => {
+    const range = { from: '2024-03-01T00:00:00.000Z', to: '2024-03-03T23:59:59.999Z' };
+
+    // Insert bypassing timestamps so bugs and transitions can be backdated
+    const insertBug = async (overrides) => {
+      const { insertedId } = await Bug.collection.insertOne({
+        ...testUtils.createValidBugData(overrides),
+      });
+      return insertedId;
+    };
+
+    const recordResolution = (bug, at, from = 'in-progress', to = 'resolved') =>
+      BugHistory.collection.insertOne({
+        bug,
+        actor: null,
+        action: 'updated',
+        changes: [{ field: 'status', from, to }],
+        createdAt: new Date(at),
+      });
+
+    beforeEach(async () => {
+      // Still open from before the window: starting backlog
+      await insertBug({ createdAt: new Date('2024-02-20T00:00:00.000Z') });
+      // Opened on day 1, still open
+      await insertBug({ createdAt: new Date('2024-03-01T08:00:00.000Z') });
+      // Opened on day 1, resolved 36 hours later on day 2, then closed on day 3
+      const fixed = await insertBug({
+        status: 'closed',
+        createdAt: new Date('2024-03-01T00:00:00.000Z'),
+        updatedAt: new Date('2024-03-03T09:00:00.000Z'),
+      });
+      await recordResolution(fixed, '2024-03-02T12:00:00.000Z');
+      await recordResolution(fixed, '2024-03-03T09:00:00.000Z', 'resolved', 'closed');
+    });
+
+    afterEach(async () => {
+      await BugHistory.deleteMany({});
+    });
+
+    it('should return opened vs. resolved per day with a running backlog', async () => {
+      const res = await request(app).get('/api/bugs/stats/trends').query(range);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.interval).toBe('day');
+      expect(res.body.data.buckets).toEqual([
+        {
+          start: '2024-03-01T00:00:00.000Z',
+          opened: 2,
+          resolved: 0,
+          backlog: 3,
+          meanTimeToResolutionHours: null,
+        },
+        {
+          start: '2024-03-02T00:00:00.000Z',
+          opened: 0,
+          resolved: 1,
+          backlog: 2,
+          meanTimeToResolutionHours: 36,
+        },
+        {
+          start: '2024-03-03T00:00:00.000Z',
+          opened: 0,
+          resolved: 0,
+          backlog: 2,
+          meanTimeToResolutionHours: null,
+        },
+      ]);
+      expect(res.body.data.totals).toMatchObject({
+        opened: 2,
+        resolved: 1,
+        startingBacklog: 1,
+        endingBacklog: 2,
+        meanTimeToResolutionHours: 36,
+      });
+    });
+
+    it('should group by Monday-aligned weeks', async () => {
+      const res = await request(app)
+        .get('/api/bugs/stats/trends')
+        .query({ ...range, interval: 'week' });
+
+      expect(res.status).toBe(200);
+      // 2024-03-01 is a Friday; its week starts on 2024-02-26
+      expect(res.body.data.buckets).toHaveLength(1);
+      expect(res.body.data.buckets[0]).toMatchObject({
+        start: '2024-02-26T00:00:00.000Z',
+        opened: 2,
+        resolved: 1,
+      });
+    });
+
+    it('should fall back to updatedAt for resolved bugs without history', async () => {
+      await insertBug({
+        status: 'resolved',
+        createdAt: new Date('2024-03-02T00:00:00.000Z'),
+        updatedAt: new Date('2024-03-03T00:00:00.000Z'),
+      });
+
+      const res = await request(app).get('/api/bugs/stats/trends').query(range);
+
+      expect(res.body.data.buckets[2].resolved).toBe(1);
+      expect(res.body.data.buckets[2].meanTimeToResolutionHours).toBe(24);
+    });
+
+    it('should return 400 for an unknown interval', async () => {
+      const res = await request(app)
+        .get('/api/bugs/stats/trends')
+        .query({ interval: 'month' });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('should return 400 when the range needs too many buckets', async () => {
+      const res = await request(app)
+        .get('/api/bugs/stats/trends')
+        .query({ from: '2000-01-01', to: '2024-01-01' });
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('Assignee', () => {
+    let alice;
+    let bob;
+    let aliceToken;
+
+    beforeEach(async () => {
+      alice = await User.create({ name: 'Alice', email: 'alice@example.com', password: 'password123' });
+      bob = await User.create({ name: 'Bob', email: 'bob@example.com', password: 'password123' });
+      aliceToken = alice.generateAuthToken();
+
+      await Bug.create([
+        testUtils.createValidBugData({ title: 'Assigned to Alice', assignee: alice._id }),
+        testUtils.createValidBugData({ title: 'Assigned to Bob', assignee: bob._id }),
+        testUtils.createValidBugData({ title: 'Unassigned bug' }),
+      ]);
+    });
+
+    afterEach(async () => {
+      await User.deleteMany({});
+    });
+
+    it('should create a bug with an assignee', async () => {
+      const res = await request(app)
+        .post('/api/bugs')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .send(testUtils.createValidBugData({ assignee: bob._id.toString() }));
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.assignee.name).toBe('Bob');
+    });
+
+    it('should return 400 for an assignee that does not exist', async () => {
+      const res = await request(app)
+        .post('/api/bugs')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .send(testUtils.createValidBugData({ assignee: new mongoose.Types.ObjectId().toString() }));
+
+      expect(res.status).toBe(400);
+    });
+
+    it('should return 400 for a deactivated assignee', async () => {
+      await User.updateOne({ _id: bob._id }, { isActive: false, deactivatedAt: new Date() });
+
+      const res = await request(app)
+        .post('/api/bugs')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .send(testUtils.createValidBugData({ assignee: bob._id.toString() }));
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toMatch(/deactivated/);
+      expect(await Bug.countDocuments({ assignee: bob._id })).toBe(1);
+    });
+
+    it('should not bulk-assign bugs to a deactivated user', async () => {
+      await User.updateOne({ _id: bob._id }, { isActive: false });
+      const bug = await Bug.findOne({ title: 'Unassigned bug' });
+
+      const res = await request(app)
+        .post('/api/bugs/bulk')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .send({ ids: [bug._id], action: 'set-assignee', value: bob._id.toString() });
+
+      expect(res.status).toBe(400);
+      expect((await Bug.findById(bug._id)).assignee).toBeNull();
+    });
+
+    it('should unassign a bug when assignee is empty', async () => {
+      const bug = await Bug.findOne({ title: 'Assigned to Bob' });
+
+      const res = await request(app)
+        .put(`/api/bugs/${bug._id}`)
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .send({ assignee: '' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.assignee).toBeNull();
+    });
+
+    it('should filter bugs assigned to the current user with assignee=me', async () => {
+      const res = await request(app)
+        .get('/api/bugs?assignee=me')
+        .set('Authorization', `Bearer ${aliceToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toHaveLength(1);
+      expect(res.body.data[0].title).toBe('Assigned to Alice');
+      expect(res.body.data[0].assignee.name).toBe('Alice');
+    });
+
+    it('should return 401 for assignee=me without a token', async () => {
+      const res = await request(app).get('/api/bugs?assignee=me');
+
+      expect(res.status).toBe(401);
+    });
+
+    it('should filter unassigned bugs with assignee=none', async () => {
+      const res = await request(app).get('/api/bugs?assignee=none');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toHaveLength(1);
+      expect(res.body.data[0].title).toBe('Unassigned bug');
+    });
+
+    it('should return 400 for an invalid assignee filter', async () => {
+      const res = await request(app).get('/api/bugs?assignee=someone');
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('Labels', () => {
+    let ui;
+    let api;
+    let auth;
+
+    beforeEach(async () => {
+      await signInOwner();
+      auth = ownerAuth;
+      [ui, api] = await Label.create([
+        { name: 'ui', color: '#0969da' },
+        { name: 'api', color: '#1f883d' },
+      ]);
+
+      await Bug.create([
+        testUtils.createValidBugData({ title: 'Button misaligned', labels: [ui._id] }),
+        testUtils.createValidBugData({ title: 'Endpoint times out', labels: [api._id] }),
+        testUtils.createValidBugData({ title: 'Form posts twice', labels: [ui._id, api._id] }),
+        testUtils.createValidBugData({ title: 'Unlabelled bug' }),
+      ]);
+    });
+
+    afterEach(async () => {
+      await Label.deleteMany({});
+    });
+
+    const titles = (res) => res.body.data.map((bug) => bug.title).sort();
+
+    it('should create a bug with populated labels', async () => {
+      const res = await request(app)
+        .post('/api/bugs')
+        .set('Authorization', auth)
+        .send(testUtils.createValidBugData({ labels: [ui._id.toString(), ui._id.toString()] }));
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.labels).toEqual([
+        expect.objectContaining({ name: 'ui', color: '#0969da' }),
+      ]);
+    });
+
+    it('should return 400 for a label that does not exist', async () => {
+      const res = await request(app)
+        .post('/api/bugs')
+        .set('Authorization', auth)
+        .send(testUtils.createValidBugData({ labels: [new mongoose.Types.ObjectId()] }));
+
+      expect(res.status).toBe(400);
+    });
+
+    it('should filter bugs having any of the labels', async () => {
+      const res = await request(app).get(`/api/bugs?labels=${ui._id}`);
+
+      expect(titles(res)).toEqual(['Button misaligned', 'Form posts twice']);
+      expect(res.body.data[0].labels[0]).toHaveProperty('name', 'ui');
+    });
+
+    it('should exclude bugs with a label', async () => {
+      const res = await request(app).get(`/api/bugs?labels!=${ui._id}`);
+
+      expect(titles(res)).toEqual(['Endpoint times out', 'Unlabelled bug']);
+    });
+
+    it('should reject malformed label filters', async () => {
+      await request(app).get('/api/bugs?labels=ui').expect(400);
+    });
+
+    it('should count bugs per label in the statistics', async () => {
+      const res = await request(app).get('/api/bugs/stats');
+
+      expect(res.body.data.byLabel).toEqual([
+        expect.objectContaining({ name: 'api', color: '#1f883d', count: 2 }),
+        expect.objectContaining({ name: 'ui', color: '#0969da', count: 2 }),
+      ]);
+    });
+
+    it('should add labels in bulk without duplicating existing ones', async () => {
+      const mine = await Bug.create(
+        testUtils.createValidBugData({ creator: owner._id, labels: [ui._id] })
+      );
+
+      const res = await request(app)
+        .post('/api/bugs/bulk')
+        .set('Authorization', auth)
+        .send({ ids: [mine._id], action: 'add-labels', value: [ui._id, api._id] });
+
+      expect(res.body.data.succeeded).toBe(1);
+      expect(res.body.data.results[0].data.labels.map((label) => label.name).sort()).toEqual([
+        'api',
+        'ui',
+      ]);
+      expect(
+        await BugHistory.exists({ bug: mine._id, 'changes.field': 'labels' })
+      ).toBeTruthy();
+    });
+
+    it('should reject bulk labels that do not exist', async () => {
+      const mine = await Bug.create(testUtils.createValidBugData({ creator: owner._id }));
+
+      const res = await request(app)
+        .post('/api/bugs/bulk')
+        .set('Authorization', auth)
+        .send({ ids: [mine._id], action: 'add-labels', value: [new mongoose.Types.ObjectId()] });
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('Cursor pagination', () => {
+    beforeEach(async () => {
+      const bugs = [];
+      for (let i = 1; i <= 5; i++) {
+        bugs.push({
+          title: `Cursor bug ${i}`,
+          description: `Description for cursor bug ${i}`,
+          priority: 'medium',
+          severity: 'major',
+          createdBy: 'TestUser',
+        });
+      }
+      await Bug.insertMany(bugs);
+    });
+
+    it('should page through every bug exactly once', async () => {
+      const first = await request(app).get('/api/bugs?cursor=&limit=2');
+
+      expect(first.status).toBe(200);
+      expect(first.body.data).toHaveLength(2);
+      expect(first.body.pagination.hasNextPage).toBe(true);
+      expect(first.body.pagination.totalItems).toBeUndefined();
+
+      const seen = first.body.data.map((bug) => bug._id);
+      let { nextCursor } = first.body.pagination;
+
+      while (nextCursor) {
+        const res = await request(app).get(`/api/bugs?cursor=${nextCursor}&limit=2`);
+        seen.push(...res.body.data.map((bug) => bug._id));
+        nextCursor = res.body.pagination.nextCursor;
+      }
+
+      expect(seen).toHaveLength(5);
+      expect(new Set(seen).size).toBe(5);
+    });
+
+    it('should not repeat bugs created while paging', async () => {
+      const first = await request(app).get('/api/bugs?cursor=&limit=2');
+
+      await Bug.create({
+        title: 'Brand new bug',
+        description: 'Created between two page requests',
+        priority: 'low',
+        severity: 'minor',
+        createdBy: 'TestUser',
+      });
+
+      const second = await request(app).get(
+        `/api/bugs?cursor=${first.body.pagination.nextCursor}&limit=2`
+      );
+      const firstIds = first.body.data.map((bug) => bug._id);
+
+      expect(second.body.data.some((bug) => firstIds.includes(bug._id))).toBe(false);
+      expect(second.body.data.some((bug) => bug.title === 'Brand new bug')).toBe(false);
+    });
+
+    it('should combine the cursor with filters', async () => {
+      const res = await request(app).get('/api/bugs?cursor=&status=closed');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toHaveLength(0);
+      expect(res.body.pagination.nextCursor).toBeNull();
+    });
+
+    it('should return 400 for a malformed cursor', async () => {
+      const res = await request(app).get('/api/bugs?cursor=garbage');
+
+      expect(res.status).toBe(400);
+      expect(res.body.errors[0].field).toBe('cursor');
+    });
+
+    it('should return 400 when sorting by another field', async () => {
+      const res = await request(app).get('/api/bugs?cursor=&sortBy=priority');
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('Search', () => {
+    beforeAll(async () => {
+      // The text index must exist before $text queries run
+      await Bug.syncIndexes();
+    });
+
+    beforeEach(async () => {
+      await Bug.create([
+        {
+          title: 'Login fails on Safari',
+          description: 'Submitting the login form reloads the page without signing in',
+          priority: 'high',
+          severity: 'major',
+          createdBy: 'Alice',
+        },
+        {
+          title: 'Dashboard chart is empty',
+          description: 'The chart stays empty after a failed login redirect',
+          priority: 'low',
+          severity: 'minor',
+          createdBy: 'Bob',
+        },
+        {
+          title: 'Typo in footer',
+          description: 'The footer says Copyrigth instead of Copyright',
+          priority: 'low',
+          severity: 'minor',
+          createdBy: 'Carol',
+        },
+      ]);
+    });
+
+    it('should return bugs matching the query ranked by relevance', async () => {
+      const res = await request(app).get('/api/bugs?q=login');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toHaveLength(2);
+      expect(res.body.pagination.totalItems).toBe(2);
+      // Title matches outrank description-only matches
+      expect(res.body.data[0].title).toBe('Login fails on Safari');
+    });
+
+    it('should include highlighted title and description snippets', async () => {
+      const res = await request(app).get('/api/bugs?q=login');
+      const { highlights } = res.body.data[0];
+
+      expect(highlights.title).toContainEqual({ text: 'Login', match: true });
+      expect(highlights.description.some((segment) => segment.match)).toBe(true);
+    });
+
+    it('should combine search with other filters', async () => {
+      const res = await request(app).get('/api/bugs?q=login&priority=low');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toHaveLength(1);
+      expect(res.body.data[0].title).toBe('Dashboard chart is empty');
+    });
+
+    it('should ignore spaces around the query', async () => {
+      const res = await request(app).get('/api/bugs?q=%20footer%20');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toHaveLength(1);
+      expect(res.body.data[0].highlights.title).toContainEqual({ text: 'footer', match: true });
+    });
+
+    it('should return 400 for an empty query', async () => {
+      const res = await request(app).get('/api/bugs?q=%20%20');
+
+      expect(res.status).toBe(400);
+      expect(res.body.errors[0].field).toBe('q');
+    });
   });
 
   describe('Health Check', () => {
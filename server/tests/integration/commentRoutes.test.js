@@ -0,0 +1,189 @@
+/**
+ * Integration Tests for Bug Comment Routes
+ */
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Bug = require('../../src/models/Bug');
+const Comment = require('../../src/models/Comment');
+const User = require('../../src/models/User');
+
+let mongoServer;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create({
+    binary: {
+      version: '7.0.14',
+    },
+  });
+  await mongoose.connect(mongoServer.getUri());
+}, 60000);
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+describe('Comment API Routes - Integration Tests', () => {
+  let author;
+  let authorToken;
+  let otherToken;
+  let bug;
+
+  beforeEach(async () => {
+    author = await User.create({
+      name: 'Comment Author',
+      email: 'author@example.com',
+      password: 'password123',
+    });
+    const other = await User.create({
+      name: 'Someone Else',
+      email: 'other@example.com',
+      password: 'password123',
+    });
+
+    authorToken = author.generateAuthToken();
+    otherToken = other.generateAuthToken();
+
+    bug = await Bug.create(testUtils.createValidBugData({ creator: author._id }));
+  });
+
+  afterEach(async () => {
+    await Comment.deleteMany({});
+    await Bug.deleteMany({});
+    await User.deleteMany({});
+  });
+
+  describe('POST /api/bugs/:id/comments', () => {
+    it('should add a comment to a bug', async () => {
+      const res = await request(app)
+        .post(`/api/bugs/${bug._id}/comments`)
+        .set('Authorization', `Bearer ${authorToken}`)
+        .send({ content: 'Reproduced on staging as well' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.success).toBe(true);
+      expect(res.body.data.content).toBe('Reproduced on staging as well');
+      expect(res.body.data.author.name).toBe('Comment Author');
+    });
+
+    it('should return 401 without a token', async () => {
+      const res = await request(app)
+        .post(`/api/bugs/${bug._id}/comments`)
+        .send({ content: 'Anonymous comment' });
+
+      expect(res.status).toBe(401);
+    });
+
+    it('should return 400 for empty content', async () => {
+      const res = await request(app)
+        .post(`/api/bugs/${bug._id}/comments`)
+        .set('Authorization', `Bearer ${authorToken}`)
+        .send({ content: '   ' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.errors[0].field).toBe('content');
+    });
+
+    it('should return 404 for a non-existent bug', async () => {
+      const res = await request(app)
+        .post(`/api/bugs/${new mongoose.Types.ObjectId()}/comments`)
+        .set('Authorization', `Bearer ${authorToken}`)
+        .send({ content: 'Hello' });
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('GET /api/bugs/:id/comments', () => {
+    it('should return comments in chronological order', async () => {
+      await Comment.create({ bug: bug._id, author: author._id, content: 'First' });
+      await Comment.create({ bug: bug._id, author: author._id, content: 'Second' });
+
+      const res = await request(app)
+        .get(`/api/bugs/${bug._id}/comments`)
+        .set('Authorization', `Bearer ${authorToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.map((c) => c.content)).toEqual(['First', 'Second']);
+    });
+  });
+
+  describe('PUT /api/bugs/:id/comments/:commentId', () => {
+    it('should let the author edit their comment', async () => {
+      const comment = await Comment.create({ bug: bug._id, author: author._id, content: 'Typo' });
+
+      const res = await request(app)
+        .put(`/api/bugs/${bug._id}/comments/${comment._id}`)
+        .set('Authorization', `Bearer ${authorToken}`)
+        .send({ content: 'Fixed typo' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.content).toBe('Fixed typo');
+      expect(res.body.data.editedAt).toBeTruthy();
+    });
+
+    it('should return 403 when another user edits the comment', async () => {
+      const comment = await Comment.create({ bug: bug._id, author: author._id, content: 'Mine' });
+
+      const res = await request(app)
+        .put(`/api/bugs/${bug._id}/comments/${comment._id}`)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .send({ content: 'Not yours' });
+
+      expect(res.status).toBe(403);
+      expect(res.body.success).toBe(false);
+    });
+  });
+
+  describe('DELETE /api/bugs/:id/comments/:commentId', () => {
+    it('should let the author delete their comment', async () => {
+      const comment = await Comment.create({ bug: bug._id, author: author._id, content: 'Remove me' });
+
+      const res = await request(app)
+        .delete(`/api/bugs/${bug._id}/comments/${comment._id}`)
+        .set('Authorization', `Bearer ${authorToken}`);
+
+      expect(res.status).toBe(200);
+      expect(await Comment.findById(comment._id)).toBeNull();
+    });
+
+    it('should return 403 when another user deletes the comment', async () => {
+      const comment = await Comment.create({ bug: bug._id, author: author._id, content: 'Keep me' });
+
+      const res = await request(app)
+        .delete(`/api/bugs/${bug._id}/comments/${comment._id}`)
+        .set('Authorization', `Bearer ${otherToken}`);
+
+      expect(res.status).toBe(403);
+      expect(await Comment.findById(comment._id)).not.toBeNull();
+    });
+
+    it('should return 400 for an invalid comment ID', async () => {
+      const res = await request(app)
+        .delete(`/api/bugs/${bug._id}/comments/not-an-id`)
+        .set('Authorization', `Bearer ${authorToken}`);
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('DELETE /api/bugs/:id', () => {
+    it('should keep the comment thread while the bug is in the trash', async () => {
+      await Comment.create({ bug: bug._id, author: author._id, content: 'Back on restore' });
+
+      await request(app)
+        .delete(`/api/bugs/${bug._id}`)
+        .set('Authorization', `Bearer ${authorToken}`)
+        .expect(200);
+
+      expect(await Comment.countDocuments({ bug: bug._id })).toBe(1);
+      await request(app)
+        .get(`/api/bugs/${bug._id}/comments`)
+        .set('Authorization', `Bearer ${authorToken}`)
+        .expect(404);
+    });
+  });
+});
@@ -0,0 +1,170 @@
+/**
+ * Label Routes Integration Tests
+ * Tests for the label taxonomy endpoints
+ */
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const Label = require('../../src/models/Label');
+const Bug = require('../../src/models/Bug');
+
+let mongoServer;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create({
+    binary: {
+      version: '7.0.14',
+    },
+  });
+  await mongoose.connect(mongoServer.getUri());
+  await Label.syncIndexes();
+}, 60000);
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+describe('Label Routes Integration Tests', () => {
+  let adminToken;
+  let memberToken;
+  let ui;
+
+  beforeEach(async () => {
+    const admin = await User.create({
+      name: 'Admin User',
+      email: 'admin@example.com',
+      password: 'password123',
+      role: 'admin',
+    });
+    const member = await User.create({
+      name: 'Member User',
+      email: 'member@example.com',
+      password: 'password123',
+    });
+
+    adminToken = admin.generateAuthToken();
+    memberToken = member.generateAuthToken();
+    ui = await Label.create({ name: 'ui', color: '#0969da' });
+  });
+
+  afterEach(async () => {
+    await User.deleteMany({});
+    await Label.deleteMany({});
+    await Bug.deleteMany({});
+  });
+
+  describe('GET /api/labels', () => {
+    it('should list labels for any signed-in user', async () => {
+      const response = await request(app)
+        .get('/api/labels')
+        .set('Authorization', `Bearer ${memberToken}`)
+        .expect(200);
+
+      expect(response.body.data).toEqual([
+        expect.objectContaining({ name: 'ui', color: '#0969da' }),
+      ]);
+    });
+
+    it('should reject unauthenticated requests', async () => {
+      await request(app).get('/api/labels').expect(401);
+    });
+  });
+
+  describe('POST /api/labels', () => {
+    it('should create a label', async () => {
+      const response = await request(app)
+        .post('/api/labels')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Backend', color: '#1F883D' })
+        .expect(201);
+
+      expect(response.body.data).toMatchObject({ name: 'Backend', color: '#1f883d' });
+    });
+
+    it('should reject non-admin users', async () => {
+      await request(app)
+        .post('/api/labels')
+        .set('Authorization', `Bearer ${memberToken}`)
+        .send({ name: 'backend', color: '#1f883d' })
+        .expect(403);
+    });
+
+    it('should reject names that differ only in case', async () => {
+      const response = await request(app)
+        .post('/api/labels')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'UI', color: '#1f883d' })
+        .expect(409);
+
+      expect(response.body.message).toBe('A label with this name already exists');
+    });
+
+    it('should validate the name and color', async () => {
+      await request(app)
+        .post('/api/labels')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: '', color: '#1f883d' })
+        .expect(400);
+
+      await request(app)
+        .post('/api/labels')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'backend', color: 'green' })
+        .expect(400);
+    });
+  });
+
+  describe('PATCH /api/labels/:id', () => {
+    it('should rename and recolor a label', async () => {
+      const response = await request(app)
+        .patch(`/api/labels/${ui._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'frontend', color: '#8250df' })
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({ name: 'frontend', color: '#8250df' });
+    });
+
+    it('should allow changing only the case of its own name', async () => {
+      await request(app)
+        .patch(`/api/labels/${ui._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'UI' })
+        .expect(200);
+    });
+
+    it('should return 404 for unknown labels', async () => {
+      await request(app)
+        .patch(`/api/labels/${new mongoose.Types.ObjectId()}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ color: '#8250df' })
+        .expect(404);
+    });
+  });
+
+  describe('DELETE /api/labels/:id', () => {
+    it('should delete a label and remove it from bugs', async () => {
+      const bug = await Bug.create(testUtils.createValidBugData({ labels: [ui._id] }));
+
+      const response = await request(app)
+        .delete(`/api/labels/${ui._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data.bugsUpdated).toBe(1);
+      expect(await Label.findById(ui._id)).toBeNull();
+      expect((await Bug.findById(bug._id)).labels).toHaveLength(0);
+    });
+
+    it('should reject non-admin users', async () => {
+      await request(app)
+        .delete(`/api/labels/${ui._id}`)
+        .set('Authorization', `Bearer ${memberToken}`)
+        .expect(403);
+    });
+  });
+});
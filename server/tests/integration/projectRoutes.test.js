@@ -0,0 +1,343 @@
+/**
+ * Project Routes Integration Tests
+ * Tests for projects, their members and the project-scoped bug API
+ */
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const Bug = require('../../src/models/Bug');
+const BugHistory = require('../../src/models/BugHistory');
+const Project = require('../../src/models/Project');
+
+let mongoServer;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create({
+    binary: {
+      version: '7.0.14',
+    },
+  });
+  await mongoose.connect(mongoServer.getUri());
+  await Project.syncIndexes();
+}, 60000);
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+describe('Project Routes Integration Tests', () => {
+  let owner;
+  let member;
+  let viewer;
+  let outsider;
+  let tokens;
+  let project;
+
+  const bugBody = {
+    title: 'Checkout button missing',
+    description: 'The checkout button does not render on mobile Safari',
+    priority: 'high',
+    severity: 'major',
+  };
+
+  beforeEach(async () => {
+    [owner, member, viewer, outsider] = await User.create([
+      { name: 'Owner User', email: 'owner@example.com', password: 'password123' },
+      { name: 'Member User', email: 'member@example.com', password: 'password123' },
+      { name: 'Viewer User', email: 'viewer@example.com', password: 'password123' },
+      { name: 'Outsider User', email: 'outsider@example.com', password: 'password123' },
+    ]);
+
+    tokens = {
+      owner: owner.generateAuthToken(),
+      member: member.generateAuthToken(),
+      viewer: viewer.generateAuthToken(),
+      outsider: outsider.generateAuthToken(),
+    };
+
+    project = await Project.create({
+      name: 'Storefront',
+      creator: owner._id,
+      members: [
+        { user: owner._id, role: 'admin' },
+        { user: member._id, role: 'member' },
+        { user: viewer._id, role: 'viewer' },
+      ],
+    });
+  });
+
+  afterEach(async () => {
+    await User.deleteMany({});
+    await Bug.deleteMany({});
+    await BugHistory.deleteMany({});
+    await Project.deleteMany({});
+  });
+
+  const bugsUrl = (id = project._id) => `/api/projects/${id}/bugs`;
+
+  describe('GET /api/projects', () => {
+    it('should list the default project and the projects the user belongs to', async () => {
+      await Project.create({ name: 'Internal Tools' });
+
+      const response = await request(app)
+        .get('/api/projects')
+        .set('Authorization', `Bearer ${tokens.viewer}`)
+        .expect(200);
+
+      expect(response.body.data).toEqual([
+        expect.objectContaining({ name: 'Default', isDefault: true, role: 'member' }),
+        expect.objectContaining({ name: 'Storefront', role: 'viewer' }),
+      ]);
+    });
+
+    it('should reject unauthenticated requests', async () => {
+      await request(app).get('/api/projects').expect(401);
+    });
+  });
+
+  describe('POST /api/projects', () => {
+    it('should create a project with the creator as admin', async () => {
+      const response = await request(app)
+        .post('/api/projects')
+        .set('Authorization', `Bearer ${tokens.outsider}`)
+        .send({ name: 'Mobile App', description: 'iOS and Android clients' })
+        .expect(201);
+
+      expect(response.body.data).toMatchObject({ name: 'Mobile App', role: 'admin' });
+      expect(response.body.data.members).toEqual([
+        expect.objectContaining({ role: 'admin', user: expect.objectContaining({ name: 'Outsider User' }) }),
+      ]);
+    });
+
+    it('should reject names that differ only in case, including the default project', async () => {
+      await request(app)
+        .post('/api/projects')
+        .set('Authorization', `Bearer ${tokens.owner}`)
+        .send({ name: 'STOREFRONT' })
+        .expect(409);
+
+      await request(app)
+        .post('/api/projects')
+        .set('Authorization', `Bearer ${tokens.owner}`)
+        .send({ name: 'default' })
+        .expect(409);
+    });
+
+    it('should validate the name', async () => {
+      await request(app)
+        .post('/api/projects')
+        .set('Authorization', `Bearer ${tokens.owner}`)
+        .send({ name: '' })
+        .expect(400);
+    });
+  });
+
+  describe('Project-scoped bugs', () => {
+    it('should file bugs under the project', async () => {
+      const response = await request(app)
+        .post(bugsUrl())
+        .set('Authorization', `Bearer ${tokens.member}`)
+        .send(bugBody)
+        .expect(201);
+
+      const bug = await Bug.findById(response.body.data._id);
+      expect(String(bug.project)).toBe(String(project._id));
+    });
+
+    it('should keep bugs of other projects out of lists, lookups and stats', async () => {
+      const ours = await Bug.create(testUtils.createValidBugData({ project: project._id }));
+      await Bug.create(testUtils.createValidBugData({ title: 'Legacy bug' }));
+
+      const list = await request(app)
+        .get(bugsUrl())
+        .set('Authorization', `Bearer ${tokens.viewer}`)
+        .expect(200);
+      expect(list.body.data.map((bug) => bug._id)).toEqual([String(ours._id)]);
+
+      const legacy = await request(app).get('/api/bugs').expect(200);
+      expect(legacy.body.data.map((bug) => bug.title)).toEqual(['Legacy bug']);
+
+      await request(app).get(`/api/bugs/${ours._id}`).expect(404);
+
+      const stats = await request(app)
+        .get(`${bugsUrl()}/stats`)
+        .set('Authorization', `Bearer ${tokens.viewer}`)
+        .expect(200);
+      expect(stats.body.data.total).toBe(1);
+    });
+
+    it('should serve the default project under its ID as well', async () => {
+      await Bug.create(testUtils.createValidBugData({ title: 'Legacy bug' }));
+      const defaultProject = await Project.getDefault();
+
+      const response = await request(app)
+        .get(bugsUrl(defaultProject._id))
+        .set('Authorization', `Bearer ${tokens.outsider}`)
+        .expect(200);
+
+      expect(response.body.data).toHaveLength(1);
+    });
+
+    it('should require membership', async () => {
+      await request(app).get(bugsUrl()).expect(401);
+
+      const response = await request(app)
+        .get(bugsUrl())
+        .set('Authorization', `Bearer ${tokens.outsider}`)
+        .expect(403);
+      expect(response.body.message).toBe('You are not a member of this project');
+    });
+
+    it('should keep viewers read-only', async () => {
+      await request(app)
+        .post(bugsUrl())
+        .set('Authorization', `Bearer ${tokens.viewer}`)
+        .send(bugBody)
+        .expect(403);
+    });
+
+    it('should only assign bugs to project members', async () => {
+      const response = await request(app)
+        .post(bugsUrl())
+        .set('Authorization', `Bearer ${tokens.member}`)
+        .send({ ...bugBody, assignee: String(outsider._id) })
+        .expect(400);
+
+      expect(response.body.message).toContain('not a member of this project');
+    });
+
+    it('should let project admins delete any bug in the project', async () => {
+      const bug = await Bug.create(
+        testUtils.createValidBugData({ project: project._id, creator: member._id })
+      );
+
+      await request(app)
+        .delete(`${bugsUrl()}/${bug._id}`)
+        .set('Authorization', `Bearer ${tokens.owner}`)
+        .expect(200);
+    });
+
+    it('should return 404 for unknown projects', async () => {
+      await request(app)
+        .get(bugsUrl(new mongoose.Types.ObjectId()))
+        .set('Authorization', `Bearer ${tokens.owner}`)
+        .expect(404);
+    });
+  });
+
+  describe('Members', () => {
+    it('should add a member with a role', async () => {
+      const response = await request(app)
+        .post(`/api/projects/${project._id}/members`)
+        .set('Authorization', `Bearer ${tokens.owner}`)
+        .send({ user: String(outsider._id), role: 'viewer' })
+        .expect(201);
+
+      expect(response.body.data.members).toContainEqual(
+        expect.objectContaining({ role: 'viewer', user: expect.objectContaining({ name: 'Outsider User' }) })
+      );
+    });
+
+    it('should reject duplicate members', async () => {
+      await request(app)
+        .post(`/api/projects/${project._id}/members`)
+        .set('Authorization', `Bearer ${tokens.owner}`)
+        .send({ user: String(member._id) })
+        .expect(409);
+    });
+
+    it('should only let project admins manage members', async () => {
+      await request(app)
+        .post(`/api/projects/${project._id}/members`)
+        .set('Authorization', `Bearer ${tokens.member}`)
+        .send({ user: String(outsider._id) })
+        .expect(403);
+    });
+
+    it('should change and remove members', async () => {
+      await request(app)
+        .patch(`/api/projects/${project._id}/members/${viewer._id}`)
+        .set('Authorization', `Bearer ${tokens.owner}`)
+        .send({ role: 'member' })
+        .expect(200);
+
+      await request(app)
+        .delete(`/api/projects/${project._id}/members/${member._id}`)
+        .set('Authorization', `Bearer ${tokens.owner}`)
+        .expect(200);
+
+      const updated = await Project.findById(project._id).lean();
+      expect(updated.members.map(({ role }) => role)).toEqual(['admin', 'member']);
+    });
+
+    it('should keep at least one admin', async () => {
+      const response = await request(app)
+        .patch(`/api/projects/${project._id}/members/${owner._id}`)
+        .set('Authorization', `Bearer ${tokens.owner}`)
+        .send({ role: 'member' })
+        .expect(409);
+
+      expect(response.body.message).toBe('A project needs at least one admin');
+    });
+
+    it('should not manage members of the default project', async () => {
+      const admin = await User.create({
+        name: 'Admin User',
+        email: 'admin@example.com',
+        password: 'password123',
+        role: 'admin',
+      });
+      const defaultProject = await Project.getDefault();
+
+      await request(app)
+        .post(`/api/projects/${defaultProject._id}/members`)
+        .set('Authorization', `Bearer ${admin.generateAuthToken()}`)
+        .send({ user: String(member._id) })
+        .expect(400);
+    });
+  });
+
+  describe('PATCH and DELETE /api/projects/:projectId', () => {
+    it('should rename a project', async () => {
+      const response = await request(app)
+        .patch(`/api/projects/${project._id}`)
+        .set('Authorization', `Bearer ${tokens.owner}`)
+        .send({ name: 'Web Store' })
+        .expect(200);
+
+      expect(response.body.data.name).toBe('Web Store');
+    });
+
+    it('should not take the default project\'s name before that project exists', async () => {
+      await request(app)
+        .patch(`/api/projects/${project._id}`)
+        .set('Authorization', `Bearer ${tokens.owner}`)
+        .send({ name: 'DEFAULT' })
+        .expect(409);
+
+      await request(app).get('/api/bugs').expect(200);
+    });
+
+    it('should refuse to delete a project that still has bugs', async () => {
+      await Bug.create(testUtils.createValidBugData({ project: project._id }));
+
+      await request(app)
+        .delete(`/api/projects/${project._id}`)
+        .set('Authorization', `Bearer ${tokens.owner}`)
+        .expect(409);
+    });
+
+    it('should delete an empty project', async () => {
+      await request(app)
+        .delete(`/api/projects/${project._id}`)
+        .set('Authorization', `Bearer ${tokens.owner}`)
+        .expect(200);
+
+      expect(await Project.findById(project._id)).toBeNull();
+    });
+  });
+});
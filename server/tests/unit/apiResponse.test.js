@@ -10,6 +10,7 @@ const {
   notFoundResponse,
   serverErrorResponse,
   paginatedResponse,
+  cursorPaginatedResponse,
 } = require('../../src/utils/apiResponse');
 const { HTTP_STATUS } = require('../../src/config/constants');
 
@@ -336,4 +337,33 @@ describe('API Response Utilities - Unit Tests', () => {
       expect(callArgs.pagination.hasPreviousPage).toBe(true);
     });
   });
+
+  describe('cursorPaginatedResponse', () => {
+    it('should send the next cursor instead of page totals', () => {
+      const data = [{ id: 1, name: 'Bug 1' }];
+
+      cursorPaginatedResponse(mockRes, data, 10, 'abc123', 'Bugs retrieved');
+
+      expect(mockRes.status).toHaveBeenCalledWith(HTTP_STATUS.OK);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: true,
+        message: 'Bugs retrieved',
+        data,
+        pagination: {
+          itemsPerPage: 10,
+          nextCursor: 'abc123',
+          hasNextPage: true,
+        },
+      });
+    });
+
+    it('should mark the last page', () => {
+      cursorPaginatedResponse(mockRes, [], 10, null);
+
+      const callArgs = mockRes.json.mock.calls[0][0];
+      expect(callArgs.pagination.hasNextPage).toBe(false);
+      expect(callArgs.pagination.nextCursor).toBeNull();
+      expect(callArgs.message).toBe('Data retrieved successfully');
+    });
+  });
 });
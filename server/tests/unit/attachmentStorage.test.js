@@ -0,0 +1,117 @@
+/**
+ * Unit Tests for Attachment Storage and Upload Limits
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  createLocalStorage,
+  createMemoryStorage,
+  setStorage,
+  getStorage,
+  buildStorageKey,
+} = require('../../src/utils/attachmentStorage');
+const { getMaxFileBytes, isAllowedType } = require('../../src/middleware/upload');
+
+const readAll = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks).toString();
+};
+
+describe('Attachment Storage - Unit Tests', () => {
+  afterEach(() => {
+    setStorage(null);
+  });
+
+  describe('setStorage / getStorage', () => {
+    it('should use a registered backend', () => {
+      const storage = createMemoryStorage();
+      setStorage(storage);
+
+      expect(getStorage()).toBe(storage);
+    });
+
+    it('should reject backends missing a method', () => {
+      expect(() => setStorage({ save: async () => {} })).toThrow(TypeError);
+    });
+
+    it('should fall back to the local filesystem by default', () => {
+      expect(getStorage().name).toBe('local');
+    });
+  });
+
+  describe('createMemoryStorage', () => {
+    it('should save, read and remove files', async () => {
+      const storage = createMemoryStorage();
+
+      await storage.save('bug/file.txt', Buffer.from('stack trace'));
+      expect(await readAll(await storage.createReadStream('bug/file.txt'))).toBe('stack trace');
+
+      await storage.remove('bug/file.txt');
+      await expect(storage.createReadStream('bug/file.txt')).rejects.toThrow('No stored file');
+    });
+  });
+
+  describe('createLocalStorage', () => {
+    let root;
+
+    beforeEach(async () => {
+      root = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'attachments-'));
+    });
+
+    afterEach(async () => {
+      await fs.promises.rm(root, { recursive: true, force: true });
+    });
+
+    it('should write files below the root directory', async () => {
+      const storage = createLocalStorage(root);
+
+      await storage.save('bug/file.txt', Buffer.from('console output'));
+
+      expect(fs.readFileSync(path.join(root, 'bug', 'file.txt'), 'utf8')).toBe('console output');
+      expect(await readAll(await storage.createReadStream('bug/file.txt'))).toBe('console output');
+    });
+
+    it('should ignore removing a missing file', async () => {
+      await expect(createLocalStorage(root).remove('bug/missing.txt')).resolves.toBeUndefined();
+    });
+
+    it('should reject keys outside the root directory', async () => {
+      const storage = createLocalStorage(root);
+
+      await expect(storage.save('../escape.txt', Buffer.from('x'))).rejects.toThrow(
+        'Invalid storage key'
+      );
+      await expect(storage.createReadStream('/etc/passwd')).rejects.toThrow('Invalid storage key');
+    });
+  });
+
+  describe('buildStorageKey', () => {
+    it('should place files under the bug and keep a clean extension', () => {
+      expect(buildStorageKey('abc123', 'Screen Shot.PNG')).toMatch(/^abc123\/[0-9a-f-]{36}\.png$/);
+      expect(buildStorageKey('abc123', 'log.t"x$t')).toMatch(/\.txt$/);
+      expect(buildStorageKey('abc123', 'README')).toMatch(/^abc123\/[0-9a-f-]{36}$/);
+    });
+
+    it('should generate a new key for every upload', () => {
+      expect(buildStorageKey('abc123', 'a.png')).not.toBe(buildStorageKey('abc123', 'a.png'));
+    });
+  });
+
+  describe('upload limits', () => {
+    it('should default to the configured maximum file size', () => {
+      expect(getMaxFileBytes({})).toBe(10 * 1024 * 1024);
+      expect(getMaxFileBytes({ ATTACHMENT_MAX_MB: '2' })).toBe(2 * 1024 * 1024);
+      expect(getMaxFileBytes({ ATTACHMENT_MAX_MB: 'lots' })).toBe(10 * 1024 * 1024);
+    });
+
+    it('should only allow listed MIME types', () => {
+      expect(isAllowedType({ mimetype: 'image/png' })).toBe(true);
+      expect(isAllowedType({ mimetype: 'text/plain' })).toBe(true);
+      expect(isAllowedType({ mimetype: 'text/html' })).toBe(false);
+      expect(isAllowedType({ mimetype: 'application/x-msdownload' })).toBe(false);
+    });
+  });
+});
@@ -4,7 +4,7 @@
  */
 
 const jwt = require('jsonwebtoken');
-const { protect, authorize } = require('../../src/middleware/authMiddleware');
+const { protect, optionalAuth, authorize } = require('../../src/middleware/authMiddleware');
 const User = require('../../src/models/User');
 
 // Mock logger to avoid actual logging during tests
@@ -173,6 +173,41 @@ describe('Auth Middleware Unit Tests', () => {
     });
   });
 
+  describe('optionalAuth middleware', () => {
+    it('should continue without a user when no token provided', async () => {
+      await optionalAuth(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+      expect(req.user).toBeNull();
+      expect(res.status).not.toHaveBeenCalled();
+    });
+
+    it('should continue without a user for an invalid token', async () => {
+      req.headers.authorization = 'Bearer invalid-token';
+
+      await optionalAuth(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+      expect(req.user).toBeNull();
+      expect(res.status).not.toHaveBeenCalled();
+    });
+
+    it('should attach the user for a valid token', async () => {
+      const user = await User.create({
+        name: 'Optional User',
+        email: 'optional@example.com',
+        password: 'password123',
+      });
+
+      req.headers.authorization = `Bearer ${user.generateAuthToken()}`;
+
+      await optionalAuth(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+      expect(req.user.email).toBe(user.email);
+    });
+  });
+
   describe('authorize middleware', () => {
     beforeEach(() => {
       // Set up a user in the request (simulate protect middleware has run)
@@ -0,0 +1,118 @@
+/**
+ * Unit Tests for Bug Export Utilities
+ */
+
+const {
+  EXPORT_COLUMNS,
+  toExportRecord,
+  toCsvValue,
+  serializeBugs,
+  exportFilename,
+} = require('../../src/utils/bugExport');
+
+const bug = {
+  _id: '507f1f77bcf86cd799439011',
+  title: 'Login fails',
+  description: 'The login button does nothing, "sometimes"',
+  status: 'open',
+  priority: 'high',
+  severity: 'major',
+  createdBy: 'Ann',
+  assignee: { _id: 'u1', name: 'Bob', email: 'bob@example.com' },
+  labels: [{ _id: 'l1', name: 'ui' }, { _id: 'l2', name: 'auth' }],
+  createdAt: new Date('2024-05-01T10:00:00Z'),
+  updatedAt: new Date('2024-05-02T10:00:00Z'),
+  resolvedAt: null,
+  closedAt: null,
+};
+
+/**
+ * Collect every chunk an export yields
+ */
+const collect = async (bugs, format) => {
+  let output = '';
+  for await (const chunk of serializeBugs(bugs, format)) output += chunk;
+  return output;
+};
+
+describe('Bug Export Utilities - Unit Tests', () => {
+  describe('toExportRecord', () => {
+    it('should flatten references and dates', () => {
+      const record = toExportRecord(bug);
+
+      expect(record).toMatchObject({
+        id: '507f1f77bcf86cd799439011',
+        assignee: 'Bob',
+        assigneeEmail: 'bob@example.com',
+        labels: ['ui', 'auth'],
+        createdAt: '2024-05-01T10:00:00.000Z',
+        resolvedAt: null,
+      });
+      expect(Object.keys(record)).toEqual(EXPORT_COLUMNS);
+    });
+
+    it('should leave out a missing assignee', () => {
+      const record = toExportRecord({ ...bug, assignee: null, labels: undefined });
+
+      expect(record.assignee).toBeNull();
+      expect(record.labels).toEqual([]);
+    });
+  });
+
+  describe('toCsvValue', () => {
+    it('should quote commas, quotes and line breaks', () => {
+      expect(toCsvValue('plain')).toBe('plain');
+      expect(toCsvValue('a, b')).toBe('"a, b"');
+      expect(toCsvValue('say "hi"')).toBe('"say ""hi"""');
+      expect(toCsvValue('two\nlines')).toBe('"two\nlines"');
+    });
+
+    it('should write empty cells for missing values and join lists', () => {
+      expect(toCsvValue(null)).toBe('');
+      expect(toCsvValue(undefined)).toBe('');
+      expect(toCsvValue(['ui', 'auth'])).toBe('ui; auth');
+    });
+
+    it('should defuse text a spreadsheet would run as a formula', () => {
+      expect(toCsvValue('=HYPERLINK("x")')).toBe('"\'=HYPERLINK(""x"")"');
+      expect(toCsvValue('@SUM(A1)')).toBe("'@SUM(A1)");
+    });
+  });
+
+  describe('serializeBugs', () => {
+    it('should write CSV with a header row', async () => {
+      const lines = (await collect([bug], 'csv')).split('\r\n');
+
+      expect(lines[0]).toBe(`\uFEFF${EXPORT_COLUMNS.join(',')}`);
+      expect(lines[1]).toContain('"The login button does nothing, ""sometimes"""');
+      expect(lines[1]).toContain('Bob,bob@example.com,ui; auth');
+      expect(lines[2]).toBe('');
+    });
+
+    it('should write a JSON array', async () => {
+      expect(JSON.parse(await collect([bug, bug], 'json'))).toHaveLength(2);
+      expect(JSON.parse(await collect([], 'json'))).toEqual([]);
+    });
+
+    it('should write one JSON document per line for ndjson', async () => {
+      const lines = (await collect([bug, bug], 'ndjson')).trim().split('\n');
+
+      expect(lines).toHaveLength(2);
+      expect(JSON.parse(lines[0]).title).toBe('Login fails');
+    });
+
+    it('should read from async iterables such as database cursors', async () => {
+      async function* cursor() {
+        yield bug;
+      }
+
+      expect(JSON.parse(await collect(cursor(), 'json'))[0].id).toBe(bug._id);
+    });
+  });
+
+  describe('exportFilename', () => {
+    it('should name the file after the date and format', () => {
+      expect(exportFilename('ndjson', new Date('2024-05-01T12:00:00Z'))).toBe('bugs-2024-05-01.ndjson');
+    });
+  });
+});
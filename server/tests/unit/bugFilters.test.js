@@ -0,0 +1,107 @@
+/**
+ * Unit Tests for Bug Filter Utilities
+ */
+
+const mongoose = require('mongoose');
+const {
+  parseList,
+  buildBugFilter,
+  buildProjectFilter,
+} = require('../../src/utils/bugFilters');
+
+describe('Bug Filter Utilities - Unit Tests', () => {
+  describe('parseList', () => {
+    it('should split comma-separated values', () => {
+      expect(parseList('open, In-Progress,')).toEqual(['open', 'in-progress']);
+    });
+
+    it('should accept repeated parameters', () => {
+      expect(parseList(['open', 'closed,resolved'])).toEqual(['open', 'closed', 'resolved']);
+    });
+
+    it('should return an empty list for missing values', () => {
+      expect(parseList(undefined)).toEqual([]);
+      expect(parseList('')).toEqual([]);
+    });
+  });
+
+  describe('buildBugFilter', () => {
+    it('should return an empty filter without parameters', () => {
+      expect(buildBugFilter({})).toEqual({});
+    });
+
+    it('should match any of several values', () => {
+      expect(buildBugFilter({ status: 'open,in-progress' })).toEqual({
+        status: { $in: ['open', 'in-progress'] },
+      });
+    });
+
+    it('should exclude negated values', () => {
+      expect(buildBugFilter({ 'status!': 'closed', priority: 'high' })).toEqual({
+        status: { $nin: ['closed'] },
+        priority: { $in: ['high'] },
+      });
+    });
+
+    it('should combine inclusion and negation on the same field', () => {
+      expect(buildBugFilter({ severity: 'major,critical', 'severity!': 'critical' })).toEqual({
+        severity: { $in: ['major', 'critical'], $nin: ['critical'] },
+      });
+    });
+
+    it('should build date ranges', () => {
+      const filter = buildBugFilter({
+        createdAfter: '2024-01-01',
+        createdBefore: '2024-02-01',
+        updatedAfter: '2024-01-15',
+      });
+
+      expect(filter.createdAt).toEqual({
+        $gte: new Date('2024-01-01'),
+        $lte: new Date('2024-02-01'),
+      });
+      expect(filter.updatedAt).toEqual({ $gte: new Date('2024-01-15') });
+    });
+
+    it('should add a text search', () => {
+      expect(buildBugFilter({ q: 'login' })).toEqual({ $text: { $search: 'login' } });
+    });
+
+    it('should resolve assignee=me to the current user', () => {
+      const user = { _id: new mongoose.Types.ObjectId() };
+      expect(buildBugFilter({ assignee: 'me' }, user)).toEqual({ assignee: user._id });
+    });
+
+    it('should resolve assignee=none to unassigned bugs', () => {
+      expect(buildBugFilter({ assignee: 'none' })).toEqual({ assignee: null });
+    });
+
+    it('should reject assignee=me without a user', () => {
+      expect(() => buildBugFilter({ assignee: 'me' })).toThrow('Log in');
+    });
+
+    it('should match bugs with any of the labels and none of the excluded ones', () => {
+      const ui = new mongoose.Types.ObjectId();
+      const api = new mongoose.Types.ObjectId();
+      const wontfix = new mongoose.Types.ObjectId();
+
+      expect(
+        buildBugFilter({ labels: `${ui},${api}`, 'labels!': String(wontfix) })
+      ).toEqual({ labels: { $in: [ui, api], $nin: [wontfix] } });
+    });
+  });
+
+  describe('buildProjectFilter', () => {
+    it('should match bugs of a project', () => {
+      const project = { _id: new mongoose.Types.ObjectId(), isDefault: false };
+
+      expect(buildProjectFilter(project)).toEqual({ project: project._id });
+    });
+
+    it('should include bugs without a project in the default project', () => {
+      const project = { _id: new mongoose.Types.ObjectId(), isDefault: true };
+
+      expect(buildProjectFilter(project)).toEqual({ project: { $in: [project._id, null] } });
+    });
+  });
+});
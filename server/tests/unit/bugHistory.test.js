@@ -0,0 +1,109 @@
+/**
+ * Unit Tests for Bug History Utilities
+ */
+
+const mongoose = require('mongoose');
+const { diffBug, normalizeValue, TRACKED_FIELDS } = require('../../src/utils/bugHistory');
+
+describe('Bug History Utilities - Unit Tests', () => {
+  describe('normalizeValue', () => {
+    it('should return null for empty values', () => {
+      expect(normalizeValue(undefined)).toBeNull();
+      expect(normalizeValue(null)).toBeNull();
+    });
+
+    it('should return primitives unchanged', () => {
+      expect(normalizeValue('open')).toBe('open');
+      expect(normalizeValue(3)).toBe(3);
+    });
+
+    it('should collapse ObjectIds and populated documents to their ID', () => {
+      const id = new mongoose.Types.ObjectId();
+
+      expect(normalizeValue(id)).toBe(id.toString());
+      expect(normalizeValue({ _id: id, name: 'Alice' })).toBe(id.toString());
+    });
+
+    it('should turn lists into sorted IDs and empty lists into null', () => {
+      const a = new mongoose.Types.ObjectId();
+      const b = new mongoose.Types.ObjectId();
+
+      expect(normalizeValue([b, { _id: a }])).toEqual([a.toString(), b.toString()].sort());
+      expect(normalizeValue([])).toBeNull();
+    });
+
+    it('should serialize dates as ISO strings', () => {
+      const date = new Date('2024-01-01T00:00:00.000Z');
+      expect(normalizeValue(date)).toBe('2024-01-01T00:00:00.000Z');
+    });
+  });
+
+  describe('diffBug', () => {
+    const labelId = new mongoose.Types.ObjectId();
+    const before = {
+      title: 'Login fails',
+      description: 'Login fails on Safari',
+      status: 'open',
+      priority: 'high',
+      severity: 'major',
+      createdBy: 'Alice',
+      assignee: null,
+      labels: [labelId],
+    };
+
+    it('should return no changes for identical states', () => {
+      expect(diffBug(before, { ...before })).toEqual([]);
+    });
+
+    it('should report changed fields with before and after values', () => {
+      const after = { ...before, status: 'in-progress', priority: 'critical' };
+
+      expect(diffBug(before, after)).toEqual([
+        { field: 'status', from: 'open', to: 'in-progress' },
+        { field: 'priority', from: 'high', to: 'critical' },
+      ]);
+    });
+
+    it('should treat a populated assignee like its raw ID', () => {
+      const id = new mongoose.Types.ObjectId();
+      const raw = { ...before, assignee: id };
+      const populated = { ...before, assignee: { _id: id, name: 'Bob' } };
+
+      expect(diffBug(raw, populated)).toEqual([]);
+      expect(diffBug(before, populated)).toEqual([
+        { field: 'assignee', from: null, to: id.toString() },
+      ]);
+    });
+
+    it('should compare labels by content, ignoring order and population', () => {
+      const otherId = new mongoose.Types.ObjectId();
+      const reordered = { ...before, labels: [{ _id: otherId, name: 'ui' }, { _id: labelId }] };
+
+      expect(diffBug({ ...before, labels: [labelId, otherId] }, reordered)).toEqual([]);
+      expect(diffBug(before, reordered)).toEqual([
+        {
+          field: 'labels',
+          from: [labelId.toString()],
+          to: [labelId.toString(), otherId.toString()].sort(),
+        },
+      ]);
+    });
+
+    it('should record every set field on create', () => {
+      const changes = diffBug({}, before);
+
+      expect(changes.map((change) => change.field)).toEqual(
+        TRACKED_FIELDS.filter((field) => before[field] !== null)
+      );
+      expect(changes.every((change) => change.from === null)).toBe(true);
+    });
+
+    it('should only compare the requested fields', () => {
+      const after = { ...before, status: 'closed', title: 'Renamed' };
+
+      expect(diffBug(before, after, ['status'])).toEqual([
+        { field: 'status', from: 'open', to: 'closed' },
+      ]);
+    });
+  });
+});
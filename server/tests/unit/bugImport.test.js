@@ -0,0 +1,177 @@
+/**
+ * Unit Tests for Bug Import Utilities
+ */
+
+const {
+  getImportFormat,
+  parseCsv,
+  csvToRecords,
+  jsonToRecords,
+  parseImportFile,
+  guessField,
+  mapColumns,
+  toImportRow,
+} = require('../../src/utils/bugImport');
+const { EXPORT_COLUMNS, toCsvValue } = require('../../src/utils/bugExport');
+
+describe('Bug Import Utilities - Unit Tests', () => {
+  describe('getImportFormat', () => {
+    it('should prefer the file extension', () => {
+      expect(getImportFormat({ originalname: 'bugs.CSV', mimetype: 'application/vnd.ms-excel' })).toBe('csv');
+      expect(getImportFormat({ originalname: 'bugs.json', mimetype: 'text/plain' })).toBe('json');
+    });
+
+    it('should fall back to the MIME type', () => {
+      expect(getImportFormat({ originalname: 'bugs', mimetype: 'text/csv' })).toBe('csv');
+      expect(getImportFormat({ originalname: 'bugs', mimetype: 'application/json' })).toBe('json');
+    });
+
+    it('should reject other files', () => {
+      expect(getImportFormat({ originalname: 'bugs.xlsx', mimetype: 'application/zip' })).toBeNull();
+    });
+  });
+
+  describe('parseCsv', () => {
+    it('should split rows and cells', () => {
+      expect(parseCsv('a,b\n1,2\n')).toEqual([
+        ['a', 'b'],
+        ['1', '2'],
+      ]);
+    });
+
+    it('should handle quoted commas, quotes and line breaks', () => {
+      expect(parseCsv('a,b\r\n"x, y","say ""hi""\r\nagain"\r\n')).toEqual([
+        ['a', 'b'],
+        ['x, y', 'say "hi"\r\nagain'],
+      ]);
+    });
+
+    it('should drop the byte order mark and blank lines', () => {
+      expect(parseCsv('\uFEFFa\n\n1\n  \n')).toEqual([['a'], ['1']]);
+    });
+
+    it('should keep a last row without a line break', () => {
+      expect(parseCsv('a,b\n1,')).toEqual([
+        ['a', 'b'],
+        ['1', ''],
+      ]);
+    });
+  });
+
+  describe('csvToRecords', () => {
+    it('should key cells by the header row', () => {
+      expect(csvToRecords(' Title ,Priority\nCrash,High\nTypo\n')).toEqual([
+        { Title: 'Crash', Priority: 'High' },
+        { Title: 'Typo', Priority: '' },
+      ]);
+    });
+
+    it('should undo the formula escaping of exports', () => {
+      const row = [toCsvValue('=SUM(A1)'), toCsvValue("'quoted")].join(',');
+      expect(csvToRecords(`a,b\n${row}\n`)).toEqual([{ a: '=SUM(A1)', b: "'quoted" }]);
+    });
+  });
+
+  describe('jsonToRecords', () => {
+    it('should accept a list or a "bugs" list', () => {
+      expect(jsonToRecords('[{"title":"A"}]')).toEqual([{ title: 'A' }]);
+      expect(jsonToRecords('{"bugs":[{"title":"A"}]}')).toEqual([{ title: 'A' }]);
+    });
+
+    it('should reject invalid JSON', () => {
+      expect(() => jsonToRecords('[{')).toThrow(/not valid JSON/);
+    });
+
+    it('should reject JSON without a list of bugs', () => {
+      expect(() => jsonToRecords('{"title":"A"}')).toThrow(/list of bugs/);
+    });
+  });
+
+  describe('parseImportFile', () => {
+    it('should read the file in its format', () => {
+      const csv = { originalname: 'bugs.csv', buffer: Buffer.from('title\nCrash\n') };
+      const json = { originalname: 'bugs.json', buffer: Buffer.from('[{"title":"Crash"}]') };
+
+      expect(parseImportFile(csv)).toEqual([{ title: 'Crash' }]);
+      expect(parseImportFile(json)).toEqual([{ title: 'Crash' }]);
+    });
+  });
+
+  describe('guessField', () => {
+    it('should match field names loosely', () => {
+      expect(guessField('Created By')).toBe('createdBy');
+      expect(guessField('PRIORITY')).toBe('priority');
+      expect(guessField('assigneeEmail')).toBe('assignee');
+      expect(guessField('slaStatus')).toBeNull();
+    });
+
+    it('should map every importable export column', () => {
+      const fields = EXPORT_COLUMNS.map(guessField).filter(Boolean);
+      expect(new Set(fields)).toEqual(
+        new Set(['title', 'description', 'status', 'priority', 'severity', 'createdBy', 'assignee', 'labels'])
+      );
+    });
+  });
+
+  describe('mapColumns', () => {
+    it('should match columns by name without a mapping', () => {
+      expect(mapColumns({ Title: 'Crash', id: '1', Severity: 'major' })).toEqual({
+        title: 'Crash',
+        severity: 'major',
+      });
+    });
+
+    it('should follow an explicit mapping and skip unmapped columns', () => {
+      const columns = { Summary: 'title', Details: 'description', Title: null };
+      expect(mapColumns({ Summary: 'Crash', Details: 'Steps', Title: 'ignored' }, columns)).toEqual({
+        title: 'Crash',
+        description: 'Steps',
+      });
+    });
+
+    it('should take the assignee email over the name in exports', () => {
+      expect(mapColumns({ assignee: 'Bob', assigneeEmail: 'bob@example.com' })).toEqual({
+        assignee: 'bob@example.com',
+      });
+    });
+
+    it('should not let empty cells replace values', () => {
+      expect(mapColumns({ assignee: 'Bob', assigneeEmail: '' })).toEqual({ assignee: 'Bob' });
+    });
+
+    it('should ignore records that are not objects', () => {
+      expect(mapColumns('Crash')).toEqual({});
+      expect(mapColumns(null)).toEqual({});
+      expect(mapColumns(['Crash'])).toEqual({});
+    });
+  });
+
+  describe('toImportRow', () => {
+    it('should trim text and lowercase enum fields', () => {
+      expect(
+        toImportRow({ title: ' Crash ', priority: 'High', severity: 'MAJOR', status: 'Open' })
+      ).toEqual({
+        title: 'Crash',
+        priority: 'high',
+        severity: 'major',
+        status: 'open',
+        assignee: null,
+        labels: [],
+      });
+    });
+
+    it('should turn numbers into text', () => {
+      expect(toImportRow({ title: 404 }).title).toBe('404');
+    });
+
+    it('should split label lists', () => {
+      expect(toImportRow({ labels: 'ui; auth,ui ' }).labels).toEqual(['ui', 'auth']);
+      expect(toImportRow({ labels: ['ui', ' auth'] }).labels).toEqual(['ui', 'auth']);
+    });
+
+    it('should keep the assignee for the caller to resolve', () => {
+      expect(toImportRow({ assignee: ' bob@example.com ' }).assignee).toBe('bob@example.com');
+      expect(toImportRow({ assignee: '  ' }).assignee).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * Unit Tests for Bug Policy
+ */
+
+const mongoose = require('mongoose');
+const { canEditBug, canDeleteBug } = require('../../src/utils/bugPolicy');
+
+describe('Bug Policy - Unit Tests', () => {
+  const creator = { _id: new mongoose.Types.ObjectId(), role: 'user' };
+  const assignee = { _id: new mongoose.Types.ObjectId(), role: 'user' };
+  const stranger = { _id: new mongoose.Types.ObjectId(), role: 'user' };
+  const admin = { _id: new mongoose.Types.ObjectId(), role: 'admin' };
+
+  const bug = { creator: creator._id, assignee: assignee._id };
+
+  describe('canEditBug', () => {
+    it('should allow the creator, the assignee and admins', () => {
+      expect(canEditBug(creator, bug)).toBe(true);
+      expect(canEditBug(assignee, bug)).toBe(true);
+      expect(canEditBug(admin, bug)).toBe(true);
+    });
+
+    it('should deny other users', () => {
+      expect(canEditBug(stranger, bug)).toBe(false);
+    });
+
+    it('should match a populated assignee', () => {
+      expect(canEditBug(assignee, { ...bug, assignee: { _id: assignee._id, name: 'A' } })).toBe(true);
+    });
+
+    it('should allow project admins but not other project roles', () => {
+      expect(canEditBug(stranger, bug, 'admin')).toBe(true);
+      expect(canEditBug(stranger, bug, 'member')).toBe(false);
+      expect(canEditBug(stranger, bug, 'viewer')).toBe(false);
+    });
+
+    it('should only allow admins on bugs without an owner or assignee', () => {
+      const legacyBug = { creator: undefined, assignee: null };
+
+      expect(canEditBug(creator, legacyBug)).toBe(false);
+      expect(canEditBug(admin, legacyBug)).toBe(true);
+    });
+  });
+
+  describe('canDeleteBug', () => {
+    it('should allow the creator and admins', () => {
+      expect(canDeleteBug(creator, bug)).toBe(true);
+      expect(canDeleteBug(admin, bug)).toBe(true);
+    });
+
+    it('should deny the assignee and other users', () => {
+      expect(canDeleteBug(assignee, bug)).toBe(false);
+      expect(canDeleteBug(stranger, bug)).toBe(false);
+    });
+
+    it('should allow project admins', () => {
+      expect(canDeleteBug(stranger, bug, 'admin')).toBe(true);
+      expect(canDeleteBug(stranger, bug, 'member')).toBe(false);
+    });
+
+    it('should deny missing users', () => {
+      expect(canDeleteBug(undefined, bug)).toBe(false);
+      expect(canDeleteBug(undefined, bug, 'admin')).toBe(false);
+    });
+  });
+});
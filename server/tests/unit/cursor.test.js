@@ -0,0 +1,47 @@
+/**
+ * Unit Tests for Cursor Pagination Utilities
+ */
+
+const mongoose = require('mongoose');
+const { encodeCursor, decodeCursor, buildCursorCondition } = require('../../src/utils/cursor');
+
+describe('Cursor Pagination Utilities - Unit Tests', () => {
+  const doc = {
+    _id: new mongoose.Types.ObjectId(),
+    createdAt: new Date('2024-01-01T12:00:00.000Z'),
+  };
+
+  describe('encodeCursor / decodeCursor', () => {
+    it('should round-trip the position of a document', () => {
+      const position = decodeCursor(encodeCursor(doc));
+
+      expect(position.createdAt).toEqual(doc.createdAt);
+      expect(position._id.equals(doc._id)).toBe(true);
+    });
+
+    it('should produce a URL-safe string', () => {
+      expect(encodeCursor(doc)).toMatch(/^[A-Za-z0-9_-]+$/);
+    });
+
+    it('should return null for malformed cursors', () => {
+      expect(decodeCursor('not-a-cursor')).toBeNull();
+      expect(decodeCursor(Buffer.from('{"c":"nope","i":"1"}').toString('base64url'))).toBeNull();
+    });
+  });
+
+  describe('buildCursorCondition', () => {
+    it('should select older documents when descending', () => {
+      expect(buildCursorCondition(doc, -1)).toEqual({
+        $or: [
+          { createdAt: { $lt: doc.createdAt } },
+          { createdAt: doc.createdAt, _id: { $lt: doc._id } },
+        ],
+      });
+    });
+
+    it('should select newer documents when ascending', () => {
+      const condition = buildCursorCondition(doc, 1);
+      expect(condition.$or[0]).toEqual({ createdAt: { $gt: doc.createdAt } });
+    });
+  });
+});
@@ -7,6 +7,9 @@ const {
   NotFoundError,
   ValidationError,
   AuthenticationError,
+  ForbiddenError,
+  InvalidTransitionError,
+  PreconditionFailedError,
   DatabaseError,
 } = require('../../src/middleware/errorHandler');
 
@@ -272,6 +275,62 @@ describe('Error Handler Middleware - Unit Tests', () => {
       expect(error instanceof Error).toBe(true);
     });
 
+    it('should create ForbiddenError with correct properties', () => {
+      const error = new ForbiddenError('Not your comment');
+
+      expect(error.message).toBe('Not your comment');
+      expect(error.name).toBe('ForbiddenError');
+      expect(error.statusCode).toBe(403);
+      expect(error instanceof Error).toBe(true);
+    });
+
+    it('should create InvalidTransitionError with allowed statuses', () => {
+      const error = new InvalidTransitionError('closed', 'in-progress', ['open']);
+
+      expect(error.name).toBe('InvalidTransitionError');
+      expect(error.statusCode).toBe(422);
+      expect(error.allowedStatuses).toEqual(['open']);
+      expect(error.errors[0].field).toBe('status');
+    });
+
+    it('should include allowed statuses in the response', () => {
+      const error = new InvalidTransitionError('closed', 'in-progress', ['open']);
+
+      errorHandler(error, mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(422);
+      expect(mockRes.json).toHaveBeenCalledWith(
+        expect.objectContaining({
+          success: false,
+          allowedStatuses: ['open'],
+        })
+      );
+    });
+
+    it('should create PreconditionFailedError with the current resource', () => {
+      const current = { id: '1', version: 4 };
+      const error = new PreconditionFailedError(undefined, current);
+
+      expect(error.name).toBe('PreconditionFailedError');
+      expect(error.statusCode).toBe(412);
+      expect(error.message).toBe('This bug was changed by someone else since you loaded it');
+      expect(error.current).toBe(current);
+    });
+
+    it('should include the current resource in a 412 response', () => {
+      const error = new PreconditionFailedError(undefined, { id: '1', version: 4 });
+
+      errorHandler(error, mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(412);
+      expect(mockRes.json).toHaveBeenCalledWith(
+        expect.objectContaining({
+          success: false,
+          current: { id: '1', version: 4 },
+        })
+      );
+    });
+
     it('should create DatabaseError with correct properties', () => {
       const error = new DatabaseError('Database error');
 
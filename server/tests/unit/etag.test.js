@@ -0,0 +1,55 @@
+/**
+ * Unit Tests for Bug Version ETags
+ */
+
+const { getBugVersion, bugEtag, ifMatchSatisfied } = require('../../src/utils/etag');
+
+describe('Bug Version ETags - Unit Tests', () => {
+  describe('getBugVersion', () => {
+    it('should read the Mongoose version key', () => {
+      expect(getBugVersion({ __v: 3 })).toBe(3);
+    });
+
+    it('should read the version of a bug as sent to clients', () => {
+      expect(getBugVersion({ version: 2 })).toBe(2);
+    });
+
+    it('should treat a bug without a version as version 0', () => {
+      expect(getBugVersion({})).toBe(0);
+    });
+  });
+
+  describe('bugEtag', () => {
+    it('should quote the version', () => {
+      expect(bugEtag({ __v: 5 })).toBe('"5"');
+    });
+  });
+
+  describe('ifMatchSatisfied', () => {
+    const bug = { __v: 2 };
+
+    it('should accept the current version', () => {
+      expect(ifMatchSatisfied('"2"', bug)).toBe(true);
+    });
+
+    it('should refuse an older version', () => {
+      expect(ifMatchSatisfied('"1"', bug)).toBe(false);
+    });
+
+    it('should refuse a weak tag, even with the current version', () => {
+      expect(ifMatchSatisfied('W/"2"', bug)).toBe(false);
+    });
+
+    it('should accept any of several tags', () => {
+      expect(ifMatchSatisfied('"1", "2"', bug)).toBe(true);
+    });
+
+    it('should accept a wildcard', () => {
+      expect(ifMatchSatisfied('*', bug)).toBe(true);
+    });
+
+    it('should refuse an unquoted version', () => {
+      expect(ifMatchSatisfied('2', bug)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Unit Tests for Mailer
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  createConsoleTransport,
+  createFileTransport,
+  setTransport,
+  getTransport,
+  sendMail,
+  buildPasswordResetEmail,
+} = require('../../src/utils/mailer');
+
+describe('Mailer - Unit Tests', () => {
+  afterEach(() => {
+    setTransport(null);
+  });
+
+  describe('sendMail', () => {
+    it('should hand the message to the active transport', async () => {
+      const sent = [];
+      setTransport({ send: async (message) => sent.push(message) });
+
+      await sendMail({ to: 'user@example.com', subject: 'Hello', text: 'Body' });
+
+      expect(sent).toHaveLength(1);
+      expect(sent[0]).toMatchObject({ to: 'user@example.com', subject: 'Hello', text: 'Body' });
+      expect(sent[0].from).toBeTruthy();
+    });
+
+    it('should require a recipient and a subject', async () => {
+      setTransport({ send: async () => {} });
+
+      await expect(sendMail({ subject: 'Hello' })).rejects.toThrow('recipient');
+      await expect(sendMail({ to: 'user@example.com' })).rejects.toThrow('subject');
+    });
+
+    it('should reject transports without a send method', () => {
+      expect(() => setTransport({})).toThrow(TypeError);
+    });
+
+    it('should fall back to the console transport by default', () => {
+      expect(getTransport().name).toBe('console');
+    });
+  });
+
+  describe('createConsoleTransport', () => {
+    it('should log the message', async () => {
+      const log = { info: jest.fn() };
+
+      await createConsoleTransport(log).send({ to: 'a@example.com', subject: 'Hi', text: 'Body' });
+
+      expect(log.info).toHaveBeenCalledWith(expect.stringContaining('a@example.com'));
+    });
+  });
+
+  describe('createFileTransport', () => {
+    it('should append each message as a JSON line', async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mailer-'));
+      const filePath = path.join(dir, 'nested', 'mail.log');
+      const transport = createFileTransport(filePath);
+
+      await transport.send({ to: 'a@example.com', subject: 'First' });
+      await transport.send({ to: 'b@example.com', subject: 'Second' });
+
+      const lines = fs.readFileSync(filePath, 'utf8').trim().split('\n').map(JSON.parse);
+      expect(lines.map((line) => line.subject)).toEqual(['First', 'Second']);
+      expect(lines[0].sentAt).toBeDefined();
+
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+  });
+
+  describe('buildPasswordResetEmail', () => {
+    it('should include the reset link and expiry', () => {
+      const email = buildPasswordResetEmail({
+        name: 'Jane',
+        resetUrl: 'http://localhost:3000/reset-password/abc',
+        ttlMinutes: 30,
+      });
+
+      expect(email.subject).toBeTruthy();
+      expect(email.text).toContain('Hi Jane');
+      expect(email.text).toContain('http://localhost:3000/reset-password/abc');
+      expect(email.text).toContain('30 minutes');
+    });
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * Unit Tests for Project Access
+ */
+
+const mongoose = require('mongoose');
+const { findMember, getProjectRole, hasProjectRole } = require('../../src/utils/projectAccess');
+
+describe('Project Access - Unit Tests', () => {
+  const owner = { _id: new mongoose.Types.ObjectId(), role: 'user' };
+  const viewer = { _id: new mongoose.Types.ObjectId(), role: 'user' };
+  const stranger = { _id: new mongoose.Types.ObjectId(), role: 'user' };
+  const admin = { _id: new mongoose.Types.ObjectId(), role: 'admin' };
+
+  const project = {
+    isDefault: false,
+    members: [
+      { user: owner._id, role: 'admin' },
+      { user: viewer._id, role: 'viewer' },
+    ],
+  };
+  const defaultProject = { isDefault: true, members: [] };
+
+  describe('findMember', () => {
+    it('should match by ID, string or populated user', () => {
+      expect(findMember(project, owner._id).role).toBe('admin');
+      expect(findMember(project, String(viewer._id)).role).toBe('viewer');
+      expect(
+        findMember({ members: [{ user: { _id: owner._id, name: 'O' }, role: 'member' }] }, owner._id)
+      ).toBeDefined();
+    });
+
+    it('should return undefined for non-members', () => {
+      expect(findMember(project, stranger._id)).toBeUndefined();
+    });
+  });
+
+  describe('getProjectRole', () => {
+    it('should use the member list', () => {
+      expect(getProjectRole(project, owner)).toBe('admin');
+      expect(getProjectRole(project, viewer)).toBe('viewer');
+    });
+
+    it('should deny non-members and anonymous users', () => {
+      expect(getProjectRole(project, stranger)).toBeNull();
+      expect(getProjectRole(project, null)).toBeNull();
+    });
+
+    it('should make global admins project admins everywhere', () => {
+      expect(getProjectRole(project, admin)).toBe('admin');
+      expect(getProjectRole(defaultProject, admin)).toBe('admin');
+    });
+
+    it('should make everyone a member of the default project', () => {
+      expect(getProjectRole(defaultProject, stranger)).toBe('member');
+      expect(getProjectRole(defaultProject, null)).toBe('member');
+    });
+  });
+
+  describe('hasProjectRole', () => {
+    it('should let higher roles include lower ones', () => {
+      expect(hasProjectRole('admin', 'member')).toBe(true);
+      expect(hasProjectRole('member', 'member')).toBe(true);
+      expect(hasProjectRole('viewer', 'member')).toBe(false);
+    });
+
+    it('should reject missing or unknown roles', () => {
+      expect(hasProjectRole(null, 'viewer')).toBe(false);
+      expect(hasProjectRole('owner', 'viewer')).toBe(false);
+    });
+  });
+});
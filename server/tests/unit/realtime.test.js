@@ -0,0 +1,126 @@
+/**
+ * Unit Tests for Realtime Updates
+ * Runs a real Socket.IO server with the user and project lookups mocked
+ */
+
+const http = require('http');
+const mongoose = require('mongoose');
+const { io: connect } = require('socket.io-client');
+const Project = require('../../src/models/Project');
+const { findUserByToken } = require('../../src/middleware/authMiddleware');
+const {
+  attachRealtime,
+  closeRealtime,
+  broadcastBugEvent,
+  projectRoom,
+} = require('../../src/utils/realtime');
+
+jest.mock('../../src/config/logger', () => ({
+  debug: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+jest.mock('../../src/middleware/authMiddleware', () => ({
+  findUserByToken: jest.fn(),
+}));
+
+describe('Realtime - Unit Tests', () => {
+  const member = { _id: new mongoose.Types.ObjectId(), email: 'member@example.com', role: 'user' };
+  const defaultProject = { _id: new mongoose.Types.ObjectId(), isDefault: true, members: [] };
+  const project = {
+    _id: new mongoose.Types.ObjectId(),
+    isDefault: false,
+    members: [{ user: member._id, role: 'viewer' }],
+  };
+
+  let server;
+  let url;
+  const clients = [];
+
+  const open = (auth) =>
+    new Promise((resolve, reject) => {
+      const socket = connect(url, { auth, transports: ['websocket'], reconnection: false });
+      clients.push(socket);
+      socket.on('connect', () => resolve(socket));
+      socket.on('connect_error', reject);
+    });
+
+  const nextEvent = (socket, event) => new Promise((resolve) => socket.once(event, resolve));
+
+  beforeEach((done) => {
+    jest.spyOn(Project, 'getDefault').mockResolvedValue(defaultProject);
+    jest
+      .spyOn(Project, 'findById')
+      .mockImplementation(async (id) => (String(id) === String(project._id) ? project : null));
+    findUserByToken.mockImplementation(async (token) => (token === 'member-token' ? member : null));
+
+    server = http.createServer();
+    attachRealtime(server);
+    server.listen(0, () => {
+      url = `http://localhost:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterEach((done) => {
+    clients.splice(0).forEach((socket) => socket.disconnect());
+    closeRealtime();
+    jest.restoreAllMocks();
+    server.close(() => done());
+  });
+
+  it('should let anyone follow the default project', async () => {
+    const socket = await open({});
+    const received = nextEvent(socket, 'bug:created');
+
+    broadcastBugEvent(defaultProject._id, 'bug:created', { _id: 'b1', title: 'Crash' });
+
+    expect(await received).toEqual({ _id: 'b1', title: 'Crash' });
+  });
+
+  it('should only deliver events to sockets in the same project', async () => {
+    const inProject = await open({ token: 'member-token', projectId: String(project._id) });
+    const inDefault = await open({});
+    const leaked = jest.fn();
+    inDefault.on('bug:deleted', leaked);
+
+    const received = nextEvent(inProject, 'bug:deleted');
+    broadcastBugEvent(project._id, 'bug:deleted', { id: 'b1' });
+
+    expect(await received).toEqual({ id: 'b1' });
+    // Give a stray delivery time to arrive
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    expect(leaked).not.toHaveBeenCalled();
+  });
+
+  it('should serialize documents with toJSON', async () => {
+    const socket = await open({});
+    const received = nextEvent(socket, 'bug:updated');
+
+    broadcastBugEvent(defaultProject._id, 'bug:updated', {
+      toJSON: () => ({ _id: 'b1', status: 'resolved' }),
+    });
+
+    expect(await received).toEqual({ _id: 'b1', status: 'resolved' });
+  });
+
+  it('should refuse non-members and unknown projects', async () => {
+    await expect(open({ projectId: String(project._id) })).rejects.toThrow(
+      'You are not a member of this project'
+    );
+    await expect(open({ projectId: String(new mongoose.Types.ObjectId()) })).rejects.toThrow(
+      'not found'
+    );
+    await expect(open({ projectId: 'not-an-id' })).rejects.toThrow('Invalid project ID format');
+  });
+
+  it('should do nothing when no server is attached', () => {
+    closeRealtime();
+    expect(() => broadcastBugEvent(project._id, 'bug:created', { _id: 'b1' })).not.toThrow();
+  });
+
+  it('should name rooms after the project', () => {
+    expect(projectRoom('abc')).toBe('project:abc');
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * Unit Tests for Search Highlight Utilities
+ */
+
+const {
+  getSearchTerms,
+  buildTermPattern,
+  highlightText,
+  buildSnippet,
+  highlightBug,
+} = require('../../src/utils/searchHighlight');
+
+describe('Search Highlight Utilities - Unit Tests', () => {
+  describe('getSearchTerms', () => {
+    it('should split words and keep quoted phrases whole', () => {
+      expect(getSearchTerms('crash "login button" safari')).toEqual([
+        'crash',
+        'login button',
+        'safari',
+      ]);
+    });
+
+    it('should ignore negated terms and bare punctuation', () => {
+      expect(getSearchTerms('login -safari -"dark mode" -')).toEqual(['login']);
+    });
+  });
+
+  describe('buildTermPattern', () => {
+    it('should return null without terms', () => {
+      expect(buildTermPattern([])).toBeNull();
+    });
+
+    it('should escape regular expression characters', () => {
+      const pattern = buildTermPattern(['c++']);
+      expect('uses c++ code'.match(pattern)).toEqual(['c++']);
+    });
+  });
+
+  describe('highlightText', () => {
+    it('should mark matches case-insensitively at word starts', () => {
+      const pattern = buildTermPattern(['fail']);
+
+      expect(highlightText('Login FAILS, never failing', pattern)).toEqual([
+        { text: 'Login ', match: false },
+        { text: 'FAILS', match: true },
+        { text: ', never ', match: false },
+        { text: 'failing', match: true },
+      ]);
+    });
+
+    it('should not mark matches inside other words', () => {
+      const pattern = buildTermPattern(['in']);
+      expect(highlightText('login', pattern)).toEqual([{ text: 'login', match: false }]);
+    });
+
+    it('should return the text unmarked without a pattern', () => {
+      expect(highlightText('Login', null)).toEqual([{ text: 'Login', match: false }]);
+    });
+  });
+
+  describe('buildSnippet', () => {
+    it('should return short text unchanged', () => {
+      expect(buildSnippet('Short text', null, 50)).toBe('Short text');
+    });
+
+    it('should center the snippet on the first match', () => {
+      const text = `${'a '.repeat(100)}needle${' b'.repeat(100)}`;
+      const snippet = buildSnippet(text, buildTermPattern(['needle']), 40);
+
+      expect(snippet).toContain('needle');
+      expect(snippet.startsWith('…')).toBe(true);
+      expect(snippet.endsWith('…')).toBe(true);
+    });
+  });
+
+  describe('highlightBug', () => {
+    it('should highlight the title and description', () => {
+      const result = highlightBug(
+        { title: 'Login fails', description: 'The login form reloads' },
+        'login'
+      );
+
+      expect(result.title[0]).toEqual({ text: 'Login', match: true });
+      expect(result.description[1]).toEqual({ text: 'login', match: true });
+    });
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * Unit Tests for SLA Utilities
+ */
+
+const { getSlaTargets, getSlaDueAt, getSlaStatus, withSla } = require('../../src/utils/sla');
+
+describe('SLA Utilities - Unit Tests', () => {
+  const createdAt = new Date('2024-03-01T00:00:00.000Z');
+  const hoursLater = (hours) => new Date(createdAt.getTime() + hours * 60 * 60 * 1000);
+  const targets = { low: 720, medium: 168, high: 72, critical: 24 };
+
+  describe('getSlaTargets', () => {
+    it('should use the default targets', () => {
+      expect(getSlaTargets({})).toEqual(targets);
+    });
+
+    it('should apply valid per-priority overrides', () => {
+      const result = getSlaTargets({ SLA_HOURS_CRITICAL: '8', SLA_HOURS_LOW: 'soon' });
+
+      expect(result.critical).toBe(8);
+      expect(result.low).toBe(720);
+    });
+  });
+
+  describe('getSlaDueAt', () => {
+    it('should add the priority target to the creation time', () => {
+      expect(getSlaDueAt({ priority: 'critical', createdAt }, targets)).toEqual(hoursLater(24));
+    });
+
+    it('should return null without a known priority', () => {
+      expect(getSlaDueAt({ priority: 'urgent', createdAt }, targets)).toBeNull();
+    });
+  });
+
+  describe('getSlaStatus', () => {
+    const bug = { priority: 'critical', status: 'open', createdAt };
+
+    it('should classify unresolved bugs by elapsed time', () => {
+      expect(getSlaStatus(bug, hoursLater(12), targets)).toBe('on-track');
+      expect(getSlaStatus(bug, hoursLater(18), targets)).toBe('at-risk');
+      expect(getSlaStatus(bug, hoursLater(25), targets)).toBe('breached');
+    });
+
+    it('should classify resolved bugs by resolution time', () => {
+      const resolved = { ...bug, status: 'resolved', resolvedAt: hoursLater(20) };
+      const late = { ...bug, status: 'closed', resolvedAt: hoursLater(30), closedAt: hoursLater(31) };
+
+      expect(getSlaStatus(resolved, hoursLater(100), targets)).toBe('met');
+      expect(getSlaStatus(late, hoursLater(100), targets)).toBe('missed');
+    });
+
+    it('should fall back to updatedAt for bugs resolved before timestamps were recorded', () => {
+      const legacy = { ...bug, status: 'resolved', updatedAt: hoursLater(2) };
+
+      expect(getSlaStatus(legacy, hoursLater(100), targets)).toBe('met');
+    });
+  });
+
+  describe('withSla', () => {
+    it('should add slaDueAt and slaStatus to a plain bug', () => {
+      const result = withSla({ priority: 'high', status: 'open', createdAt }, hoursLater(1));
+
+      expect(result).toMatchObject({ priority: 'high', slaDueAt: hoursLater(72), slaStatus: 'on-track' });
+    });
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * Unit Tests for Status Workflow Utilities
+ */
+
+const {
+  canTransition,
+  getAllowedTransitions,
+  getStatusTimestamps,
+} = require('../../src/utils/statusWorkflow');
+const { BUG_STATUS, STATUS_TRANSITIONS } = require('../../src/config/constants');
+
+describe('Status Workflow Utilities - Unit Tests', () => {
+  describe('getAllowedTransitions', () => {
+    it('should return the next statuses from the workflow graph', () => {
+      expect(getAllowedTransitions(BUG_STATUS.OPEN)).toEqual(STATUS_TRANSITIONS[BUG_STATUS.OPEN]);
+    });
+
+    it('should return an empty list for unknown statuses', () => {
+      expect(getAllowedTransitions('unknown')).toEqual([]);
+    });
+  });
+
+  describe('canTransition', () => {
+    it('should allow moving forward through the workflow', () => {
+      expect(canTransition(BUG_STATUS.OPEN, BUG_STATUS.IN_PROGRESS)).toBe(true);
+      expect(canTransition(BUG_STATUS.IN_PROGRESS, BUG_STATUS.RESOLVED)).toBe(true);
+      expect(canTransition(BUG_STATUS.RESOLVED, BUG_STATUS.CLOSED)).toBe(true);
+    });
+
+    it('should allow reopening resolved and closed bugs', () => {
+      expect(canTransition(BUG_STATUS.RESOLVED, BUG_STATUS.OPEN)).toBe(true);
+      expect(canTransition(BUG_STATUS.CLOSED, BUG_STATUS.OPEN)).toBe(true);
+    });
+
+    it('should reject skipping or reversing steps', () => {
+      expect(canTransition(BUG_STATUS.OPEN, BUG_STATUS.CLOSED)).toBe(false);
+      expect(canTransition(BUG_STATUS.CLOSED, BUG_STATUS.IN_PROGRESS)).toBe(false);
+    });
+
+    it('should always allow keeping the current status', () => {
+      expect(canTransition(BUG_STATUS.CLOSED, BUG_STATUS.CLOSED)).toBe(true);
+      expect(canTransition(BUG_STATUS.CLOSED, undefined)).toBe(true);
+    });
+
+    it('should follow a custom transition graph', () => {
+      const graph = { open: ['closed'] };
+
+      expect(canTransition('open', 'closed', graph)).toBe(true);
+      expect(canTransition('open', 'in-progress', graph)).toBe(false);
+    });
+  });
+
+  describe('getStatusTimestamps', () => {
+    const now = new Date('2024-03-01T12:00:00.000Z');
+
+    it('should record nothing when the status is unchanged', () => {
+      expect(getStatusTimestamps(BUG_STATUS.OPEN, BUG_STATUS.OPEN, now)).toEqual({});
+      expect(getStatusTimestamps(BUG_STATUS.OPEN, undefined, now)).toEqual({});
+    });
+
+    it('should record resolution', () => {
+      expect(getStatusTimestamps(BUG_STATUS.IN_PROGRESS, BUG_STATUS.RESOLVED, now)).toEqual({
+        statusChangedAt: now,
+        resolvedAt: now,
+        closedAt: null,
+      });
+    });
+
+    it('should keep resolvedAt when closing a resolved bug', () => {
+      expect(getStatusTimestamps(BUG_STATUS.RESOLVED, BUG_STATUS.CLOSED, now)).toEqual({
+        statusChangedAt: now,
+        closedAt: now,
+      });
+    });
+
+    it('should clear resolution when reopening', () => {
+      expect(getStatusTimestamps(BUG_STATUS.CLOSED, BUG_STATUS.OPEN, now)).toEqual({
+        statusChangedAt: now,
+        resolvedAt: null,
+        closedAt: null,
+      });
+    });
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Unit Tests for Trend Utilities
+ */
+
+const {
+  bucketStart,
+  resolveTrendRange,
+  countBuckets,
+  buildTrendSeries,
+} = require('../../src/utils/trends');
+
+describe('Trend Utilities - Unit Tests', () => {
+  describe('bucketStart', () => {
+    it('should truncate to the UTC day', () => {
+      expect(bucketStart('2024-03-06T17:45:00.000Z', 'day')).toEqual(
+        new Date('2024-03-06T00:00:00.000Z')
+      );
+    });
+
+    it('should align weeks to Monday', () => {
+      // 2024-03-10 is a Sunday; 2024-03-04 is the Monday before it
+      expect(bucketStart('2024-03-10T08:00:00.000Z', 'week')).toEqual(
+        new Date('2024-03-04T00:00:00.000Z')
+      );
+      expect(bucketStart('2024-03-04T00:00:00.000Z', 'week')).toEqual(
+        new Date('2024-03-04T00:00:00.000Z')
+      );
+    });
+  });
+
+  describe('resolveTrendRange', () => {
+    const now = new Date('2024-03-31T12:00:00.000Z');
+
+    it('should default to the last 30 days', () => {
+      const { from, to } = resolveTrendRange({ interval: 'day' }, now);
+
+      expect(from).toEqual(new Date('2024-03-02T00:00:00.000Z'));
+      expect(to).toEqual(now);
+      expect(countBuckets(from, to, 'day')).toBe(30);
+    });
+
+    it('should default to the last 12 weeks', () => {
+      const { from, to } = resolveTrendRange({ interval: 'week' }, now);
+
+      expect(countBuckets(from, to, 'week')).toBe(12);
+    });
+
+    it('should align an explicit start to its bucket', () => {
+      const { from } = resolveTrendRange(
+        { from: '2024-03-06T10:00:00.000Z', to: '2024-03-20T00:00:00.000Z', interval: 'week' },
+        now
+      );
+
+      expect(from).toEqual(new Date('2024-03-04T00:00:00.000Z'));
+    });
+  });
+
+  describe('buildTrendSeries', () => {
+    const from = new Date('2024-03-01T00:00:00.000Z');
+    const to = new Date('2024-03-03T23:59:59.999Z');
+    const hours = (n) => n * 60 * 60 * 1000;
+
+    it('should fill empty buckets and track the running backlog', () => {
+      const { buckets, totals } = buildTrendSeries({
+        from,
+        to,
+        interval: 'day',
+        opened: [
+          { _id: new Date('2024-03-01T00:00:00.000Z'), count: 3 },
+          { _id: new Date('2024-03-03T00:00:00.000Z'), count: 1 },
+        ],
+        resolved: [
+          { _id: new Date('2024-03-02T00:00:00.000Z'), count: 2, resolutionMs: hours(10) },
+        ],
+        startingBacklog: 4,
+      });
+
+      expect(buckets.map((bucket) => bucket.start)).toEqual([
+        '2024-03-01T00:00:00.000Z',
+        '2024-03-02T00:00:00.000Z',
+        '2024-03-03T00:00:00.000Z',
+      ]);
+      expect(buckets.map((bucket) => bucket.backlog)).toEqual([7, 5, 6]);
+      expect(buckets[1].meanTimeToResolutionHours).toBe(5);
+      expect(buckets[0].meanTimeToResolutionHours).toBeNull();
+      expect(totals).toEqual({
+        opened: 4,
+        resolved: 2,
+        startingBacklog: 4,
+        endingBacklog: 6,
+        meanTimeToResolutionHours: 5,
+      });
+    });
+
+    it('should weight the overall mean by resolved bugs', () => {
+      const { totals } = buildTrendSeries({
+        from,
+        to,
+        interval: 'day',
+        resolved: [
+          { _id: new Date('2024-03-01T00:00:00.000Z'), count: 1, resolutionMs: hours(1) },
+          { _id: new Date('2024-03-02T00:00:00.000Z'), count: 3, resolutionMs: hours(15) },
+        ],
+      });
+
+      expect(totals.meanTimeToResolutionHours).toBe(4);
+    });
+
+    it('should report no mean when nothing was resolved', () => {
+      const { totals } = buildTrendSeries({ from, to, interval: 'day' });
+
+      expect(totals.meanTimeToResolutionHours).toBeNull();
+      expect(totals.endingBacklog).toBe(0);
+    });
+  });
+});